@@ -1,24 +1,52 @@
 /**
- * 3D Font Engine - TTF/OTF/WOFF to Three.js Typeface JSON converter
+ * 3D Font Engine - TTF/OTF/WOFF/WOFF2 to Three.js Typeface JSON converter
  * Standalone library, no external dependencies (except THREE for createTextShapes).
  * 
  * Supported formats:
  *   - TrueType (.ttf) 
  *   - OpenType/CFF (.otf)
- *   - CFF2 variable fonts (default instance)
+ *   - TrueType and CFF2 variable fonts (any instance via options.variations)
  *   - WOFF (.woff) with built-in inflate decompressor
- *   - WOFF2 (.woff2) detection with helpful error
+ *   - WOFF2 (.woff2) with built-in Brotli decompressor
+ *   - TrueType/OpenType Collections (.ttc/.otc) with face selection
  *
  * Features:
  *   - Full CFF Type2 CharString interpreter (shared stack, subroutines, transient array)
  *   - CID-keyed font support (FDSelect, per-FD Private DICTs)
- *   - Kerning from GPOS pair positioning and legacy kern table
- *   - cmap formats 0, 4, 6, 12
+ *   - Variable font instancing (fvar, avar, gvar with IUP, HVAR)
+ *   - Variation axes, named instances and STAT metadata in the output JSON
+ *   - GSUB shaping in text layout (ligatures, contextual substitutions, options.features)
+ *   - Arabic-style joining forms and right-to-left run layout
+ *   - Bidirectional text reordering (UAX #9) with bracket pairs and mirroring
+ *   - Layout tables and unmapped glyphs (ligatures, alternates) in the JSON on request (options.layout)
+ *   - GPOS mark attachment (mark-to-base, mark-to-ligature, mark-to-mark) with GDEF classes
+ *   - Kerning from GPOS pair positioning (per script/language/feature, lookup flags honoured) and legacy kern table
+ *     (Microsoft/Apple headers, formats 0, 2 and 3)
+ *   - Optional compact class-based kerning output (kerningFormat: 'classes')
+ *   - GPOS single/pair adjustments with full value records (x/y placement and advance)
+ *   - GPOS cursive attachment with the RIGHT_TO_LEFT lookup flag
+ *   - cmap formats 0, 4, 6, 12 (segment lookup by binary search), and 14 (Unicode Variation
+ *     Sequences applied in text layout)
+ *   - Lazy Font object (load) with on-demand, cached glyph decoding
+ *   - Multi-line layout: line height, alignment (incl. justify), word wrap at maxWidth, vertical anchoring
+ *   - Unicode line breaking (UAX #14) with CJK strict/normal/loose rules, soft hyphens and a hyphenation hook
+ *   - Vertical writing (vhea/vmtx/VORG metrics, vert/vrt2 substitutions, UAX #50 sideways runs)
+ *   - Color glyphs from COLR v0/v1 and CPAL (paint graphs flattened to colored layers, gradients kept)
+ *   - Bitmap and SVG glyph images (sbix, CBDT/CBLC, SVG table) for glyphs without outlines
  *   - Custom Shape builder for Three.js (bypasses TextGeometry winding bug)
+ *   - Built-in triangulation and extrusion into typed arrays, no 3D library required
+ *   - Built-in bevels from nested polygon offsets (round/miter joins, flat where strokes are too thin; chamfer, round, ogee or custom profiles)
  *
  * Usage:
  *   // Parse font → JSON
  *   const json = FontEngine3D.parse(arrayBuffer);
+ *   const bold = FontEngine3D.parse(arrayBuffer, { variations: { wght: 700 } });
+ *   const shaped = FontEngine3D.parse(arrayBuffer, { layout: true }); // GSUB/GPOS for text layout
+ *
+ *   // Decode only the glyphs you need
+ *   const font = FontEngine3D.load(arrayBuffer);
+ *   const glyph = font.getGlyph('A');
+ *   const subset = font.toTypefaceJSON('Hello');
  *
  *   // Build Three.js shapes (recommended over TextGeometry)
  *   const shapes = FontEngine3D.createTextShapes(THREE, json, 'Hello', {
@@ -26,6 +54,9 @@
  *   });
  *   const geometry = new THREE.ExtrudeGeometry(shapes, { depth: 15, curveSegments: 48 });
  *
+ *   // Or extrude without Three.js: positions, normals, uvs, indices as typed arrays
+ *   const mesh = FontEngine3D.createTextGeometry(json, 'Hello', { size: 80, depth: 15 });
+ *
  *   // Debug: generate SVG
  *   const svg = FontEngine3D.generateSVG(json, 'Test', 120);
  */
@@ -50,6 +81,7 @@ var FontEngine3D = (() => {
         readInt8() { const v = this.data.getInt8(this.offset); this.offset += 1; return v; }
         readUint16() { const v = this.data.getUint16(this.offset, false); this.offset += 2; return v; }
         readInt16() { const v = this.data.getInt16(this.offset, false); this.offset += 2; return v; }
+        readUint24() { return (this.readUint16() << 8) | this.readUint8(); }
         readUint32() { const v = this.data.getUint32(this.offset, false); this.offset += 4; return v; }
         readInt32() { const v = this.data.getInt32(this.offset, false); this.offset += 4; return v; }
 
@@ -207,6 +239,514 @@ var FontEngine3D = (() => {
         return new Uint8Array(out);
     }
 
+    // Brotli (RFC 7932) decoder for WOFF2 decompression
+    const BROTLI_CODE_LENGTH_ORDER = [1, 2, 3, 4, 0, 5, 17, 6, 16, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+    // Static prefix code for code length code lengths, indexed by the next 4 bits
+    const BROTLI_CL_PREFIX_LENGTH = [2, 2, 2, 3, 2, 2, 2, 4, 2, 2, 2, 3, 2, 2, 2, 4];
+    const BROTLI_CL_PREFIX_VALUE = [0, 4, 3, 2, 0, 4, 3, 1, 0, 4, 3, 2, 0, 4, 3, 5];
+    const BROTLI_BLOCK_LEN_BASE = [1, 5, 9, 13, 17, 25, 33, 41, 49, 65, 81, 97, 113, 145, 177, 209, 241, 305, 369, 497, 753, 1265, 2289, 4337, 8433, 16625];
+    const BROTLI_BLOCK_LEN_EXTRA = [2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 6, 6, 7, 8, 9, 10, 11, 12, 13, 24];
+    const BROTLI_INSERT_BASE = [0, 1, 2, 3, 4, 5, 6, 8, 10, 14, 18, 26, 34, 50, 66, 98, 130, 194, 322, 578, 1090, 2114, 6210, 22594];
+    const BROTLI_INSERT_EXTRA = [0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 12, 14, 24];
+    const BROTLI_COPY_BASE = [2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 18, 22, 30, 38, 54, 70, 102, 134, 198, 326, 582, 1094, 2118];
+    const BROTLI_COPY_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 24];
+    // Insert-and-copy length code cells: [insert code base, copy code base]
+    const BROTLI_CMD_CELLS = [[0, 0], [0, 8], [0, 0], [0, 8], [8, 0], [8, 8], [0, 16], [16, 0], [8, 16], [16, 8], [16, 16]];
+    // Distance short codes 0-15: [ring buffer index, delta]
+    const BROTLI_DIST_SHORT = [[0, 0], [1, 0], [2, 0], [3, 0], [0, -1], [0, 1], [0, -2], [0, 2], [0, -3], [0, 3],
+        [1, -1], [1, 1], [1, -2], [1, 2], [1, -3], [1, 3]];
+    const BROTLI_DICT_SIZE_BITS = [0, 0, 0, 0, 10, 10, 11, 11, 10, 10, 10, 10, 10, 9, 9, 8, 7, 7, 8, 7, 7, 6, 6, 5, 5];
+    // Dictionary word transforms: [prefix, type, suffix]
+    // type 0 = identity, 1-9 = omit last N, 10 = uppercase first, 11 = uppercase all, 12-20 = omit first N-11
+    const BROTLI_TRANSFORMS = [
+        ['', 0, ''], ['', 0, ' '], [' ', 0, ' '], ['', 12, ''], ['', 10, ' '], ['', 0, ' the '], [' ', 0, ''],
+        ['s ', 0, ' '], ['', 0, ' of '], ['', 10, ''], ['', 0, ' and '], ['', 13, ''], ['', 1, ''],
+        [', ', 0, ' '], ['', 0, ', '], [' ', 10, ' '], ['', 0, ' in '], ['', 0, ' to '], ['e ', 0, ' '],
+        ['', 0, '"'], ['', 0, '.'], ['', 0, '">'], ['', 0, '\n'], ['', 3, ''], ['', 0, ']'], ['', 0, ' for '],
+        ['', 14, ''], ['', 2, ''], ['', 0, ' a '], ['', 0, ' that '], [' ', 10, ''], ['', 0, '. '], ['.', 0, ''],
+        [' ', 0, ', '], ['', 15, ''], ['', 0, ' with '], ['', 0, '\''], ['', 0, ' from '], ['', 0, ' by '],
+        ['', 16, ''], ['', 17, ''], [' the ', 0, ''], ['', 4, ''], ['', 0, '. The '], ['', 11, ''],
+        ['', 0, ' on '], ['', 0, ' as '], ['', 0, ' is '], ['', 7, ''], ['', 1, 'ing '], ['', 0, '\n\t'],
+        ['', 0, ':'], [' ', 0, '. '], ['', 0, 'ed '], ['', 20, ''], ['', 18, ''], ['', 6, ''], ['', 0, '('],
+        ['', 10, ', '], ['', 8, ''], ['', 0, ' at '], ['', 0, 'ly '], [' the ', 0, ' of '], ['', 5, ''],
+        ['', 9, ''], [' ', 10, ', '], ['', 10, '"'], ['.', 0, '('], ['', 11, ' '], ['', 10, '">'], ['', 0, '="'],
+        [' ', 0, '.'], ['.com/', 0, ''], [' the ', 0, ' of the '], ['', 10, '\''], ['', 0, '. This '],
+        ['', 0, ','], ['.', 0, ' '], ['', 10, '('], ['', 10, '.'], ['', 0, ' not '], [' ', 0, '="'],
+        ['', 0, 'er '], [' ', 11, ' '], ['', 0, 'al '], [' ', 11, ''], ['', 0, '=\''], ['', 11, '"'],
+        ['', 10, '. '], [' ', 0, '('], ['', 0, 'ful '], [' ', 10, '. '], ['', 0, 'ive '], ['', 0, 'less '],
+        ['', 11, '\''], ['', 0, 'est '], [' ', 10, '.'], ['', 11, '">'], [' ', 0, '=\''], ['', 10, ','],
+        ['', 0, 'ize '], ['', 11, '.'], ['\xc2\xa0', 0, ''], [' ', 0, ','], ['', 10, '="'], ['', 11, '="'],
+        ['', 0, 'ous '], ['', 11, ', '], ['', 10, '=\''], [' ', 10, ','], [' ', 11, '="'], [' ', 11, ', '],
+        ['', 11, ','], ['', 11, '('], ['', 11, '. '], [' ', 11, '.'], ['', 11, '=\''], [' ', 11, '. '],
+        [' ', 10, '="'], [' ', 11, '=\''], [' ', 10, '=\'']
+    ];
+
+    let brotliContextLookup = null;
+    function getBrotliContextLookup() {
+        if (brotliContextLookup) return brotliContextLookup;
+        // UTF8 context mode: ASCII part of the last-byte and second-to-last-byte tables
+        const utf8Last = [
+            0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 4, 0, 0, 4, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+            8, 12, 16, 12, 12, 20, 12, 16, 24, 28, 12, 12, 32, 12, 36, 12, 44, 44, 44, 44, 44, 44, 44, 44, 44, 44, 32, 32, 24, 40, 28, 12,
+            12, 48, 52, 52, 52, 48, 52, 52, 52, 48, 52, 52, 52, 52, 52, 48, 52, 52, 52, 52, 52, 48, 52, 52, 52, 52, 52, 24, 12, 28, 12, 12,
+            12, 56, 60, 60, 60, 56, 60, 60, 60, 56, 60, 60, 60, 60, 60, 56, 60, 60, 60, 60, 60, 56, 60, 60, 60, 60, 60, 24, 12, 28, 12, 0
+        ];
+        const utf8Prev = [
+            0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+            0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1,
+            1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1,
+            1, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 1, 1, 1, 1, 0
+        ];
+        const last = new Uint8Array(256), prev = new Uint8Array(256), signed = new Uint8Array(256);
+        for (let b = 0; b < 256; b++) {
+            if (b < 128) { last[b] = utf8Last[b]; prev[b] = utf8Prev[b]; }
+            else if (b < 192) { last[b] = b & 1; prev[b] = 0; }   // continuation bytes
+            else { last[b] = 2 + (b & 1); prev[b] = b < 208 ? 0 : 2; } // lead bytes
+            signed[b] = b === 0 ? 0 : b < 16 ? 1 : b < 64 ? 2 : b < 128 ? 3 : b < 192 ? 4 : b < 240 ? 5 : b < 255 ? 6 : 7;
+        }
+        brotliContextLookup = { last, prev, signed };
+        return brotliContextLookup;
+    }
+
+    let brotliDictionary = null;
+    function getBrotliDictionary() {
+        // The 122,784-byte static dictionary is stored deflate-compressed and
+        // expanded with the built-in inflate() on first use
+        if (!brotliDictionary) brotliDictionary = inflate(decodeBase64(BROTLI_DICTIONARY_DATA.join('')));
+        return brotliDictionary;
+    }
+
+    function decodeBase64(str) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const lookup = new Uint8Array(128);
+        for (let i = 0; i < alphabet.length; i++) lookup[alphabet.charCodeAt(i)] = i;
+        let len = str.length;
+        while (len > 0 && str[len - 1] === '=') len--;
+        const out = new Uint8Array((len * 3) >> 2);
+        let acc = 0, accBits = 0, o = 0;
+        for (let i = 0; i < len; i++) {
+            acc = (acc << 6) | lookup[str.charCodeAt(i)];
+            accBits += 6;
+            if (accBits >= 8) {
+                accBits -= 8;
+                out[o++] = (acc >> accBits) & 0xFF;
+            }
+        }
+        return out;
+    }
+
+    function encodeBase64(bytes) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        let out = '';
+        for (let i = 0; i < bytes.length; i += 3) {
+            const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+            out += alphabet[n >> 18] + alphabet[(n >> 12) & 63] +
+                (i + 1 < bytes.length ? alphabet[(n >> 6) & 63] : '=') +
+                (i + 2 < bytes.length ? alphabet[n & 63] : '=');
+        }
+        return out;
+    }
+
+    function brotliDecompress(src, sizeHint) {
+        let pos = 0, bitBuf = 0, bitCount = 0;
+
+        function fill() {
+            while (bitCount <= 24) {
+                if (pos >= src.length + 4) throw new Error('Brotli: unexpected end of stream');
+                bitBuf |= (pos < src.length ? src[pos] : 0) << bitCount;
+                pos++;
+                bitCount += 8;
+            }
+        }
+        function readBits(n) {
+            if (n === 0) return 0;
+            if (bitCount < n) fill();
+            const v = bitBuf & ((1 << n) - 1);
+            bitBuf >>>= n;
+            bitCount -= n;
+            return v;
+        }
+        function alignToByte() {
+            readBits(bitCount & 7);
+            // Hand unread whole bytes back to the byte position
+            pos -= bitCount >> 3;
+            bitBuf = 0;
+            bitCount = 0;
+        }
+
+        // Two-level Huffman lookup table: 8-bit root, entries are (length << 16) | symbol.
+        // Root entries with length > 8 point to a sub-table at (entry & 0xFFFF).
+        function buildHuffmanTable(lengths, alphabetSize) {
+            const count = new Uint16Array(16);
+            for (let s = 0; s < alphabetSize; s++) if (lengths[s]) count[lengths[s]]++;
+            const nextCode = new Uint16Array(16);
+            let code = 0;
+            for (let l = 1; l < 16; l++) {
+                code = (code + count[l - 1]) << 1;
+                nextCode[l] = code;
+            }
+            const codes = [];
+            const subMax = new Uint8Array(256);
+            for (let s = 0; s < alphabetSize; s++) {
+                const l = lengths[s];
+                if (!l) continue;
+                let c = nextCode[l]++, r = 0;
+                for (let j = 0; j < l; j++) { r = (r << 1) | (c & 1); c >>= 1; }
+                codes.push(s, l, r);
+                if (l > 8 && l > subMax[r & 0xFF]) subMax[r & 0xFF] = l;
+            }
+            let size = 256;
+            for (let p = 0; p < 256; p++) if (subMax[p]) size += 1 << (subMax[p] - 8);
+            const table = new Uint32Array(size);
+            let next = 256;
+            for (let p = 0; p < 256; p++) {
+                if (!subMax[p]) continue;
+                table[p] = (subMax[p] << 16) | next;
+                next += 1 << (subMax[p] - 8);
+            }
+            for (let k = 0; k < codes.length; k += 3) {
+                const s = codes[k], l = codes[k + 1], r = codes[k + 2];
+                if (l <= 8) {
+                    for (let j = r; j < 256; j += 1 << l) table[j] = (l << 16) | s;
+                } else {
+                    const sub = table[r & 0xFF];
+                    const subSize = 1 << ((sub >>> 16) - 8);
+                    for (let j = r >>> 8; j < subSize; j += 1 << (l - 8)) table[(sub & 0xFFFF) + j] = ((l - 8) << 16) | s;
+                }
+            }
+            return table;
+        }
+        function singleSymbolTable(symbol) {
+            // A lone symbol is coded with zero bits
+            return new Uint32Array(256).fill(symbol);
+        }
+        function readSymbol(table) {
+            if (bitCount < 15) fill();
+            let e = table[bitBuf & 0xFF];
+            let len = e >>> 16;
+            if (len > 8) {
+                e = table[(e & 0xFFFF) + ((bitBuf >>> 8) & ((1 << (len - 8)) - 1))];
+                len = 8 + (e >>> 16);
+            }
+            bitBuf >>>= len;
+            bitCount -= len;
+            return e & 0xFFFF;
+        }
+
+        function readPrefixCode(alphabetSize) {
+            const lengths = new Uint8Array(alphabetSize);
+            const hskip = readBits(2);
+            if (hskip === 1) {
+                // Simple prefix code: up to 4 explicitly listed symbols
+                let alphabetBits = 0;
+                while ((1 << alphabetBits) < alphabetSize) alphabetBits++;
+                const nsym = readBits(2) + 1;
+                const syms = [];
+                for (let k = 0; k < nsym; k++) {
+                    const s = readBits(alphabetBits);
+                    if (s >= alphabetSize) throw new Error('Brotli: invalid simple prefix code');
+                    syms.push(s);
+                }
+                if (nsym === 1) return singleSymbolTable(syms[0]);
+                if (nsym === 2) { lengths[syms[0]] = 1; lengths[syms[1]] = 1; }
+                else if (nsym === 3) { lengths[syms[0]] = 1; lengths[syms[1]] = 2; lengths[syms[2]] = 2; }
+                else if (readBits(1) === 0) { for (const s of syms) lengths[s] = 2; }
+                else { lengths[syms[0]] = 1; lengths[syms[1]] = 2; lengths[syms[2]] = 3; lengths[syms[3]] = 3; }
+                return buildHuffmanTable(lengths, alphabetSize);
+            }
+
+            // Complex prefix code: code lengths are themselves prefix-coded
+            const clLengths = new Uint8Array(18);
+            let space = 32, numCodes = 0, lastCode = 0;
+            for (let k = hskip; k < 18; k++) {
+                if (bitCount < 4) fill();
+                const ix = bitBuf & 15;
+                readBits(BROTLI_CL_PREFIX_LENGTH[ix]);
+                const v = BROTLI_CL_PREFIX_VALUE[ix];
+                clLengths[BROTLI_CODE_LENGTH_ORDER[k]] = v;
+                if (v !== 0) {
+                    lastCode = BROTLI_CODE_LENGTH_ORDER[k];
+                    space -= 32 >> v;
+                    numCodes++;
+                    if (space <= 0) break;
+                }
+            }
+            if (numCodes !== 1 && space !== 0) throw new Error('Brotli: invalid code length code');
+            const clTable = numCodes === 1 ? singleSymbolTable(lastCode) : buildHuffmanTable(clLengths, 18);
+
+            let symbol = 0, prevLen = 8, repeat = 0, repeatLen = 0;
+            space = 32768;
+            while (symbol < alphabetSize && space > 0) {
+                const len = readSymbol(clTable);
+                if (len < 16) {
+                    repeat = 0;
+                    lengths[symbol++] = len;
+                    if (len !== 0) {
+                        prevLen = len;
+                        space -= 32768 >> len;
+                    }
+                } else {
+                    const extraBits = len === 16 ? 2 : 3;
+                    const newLen = len === 16 ? prevLen : 0;
+                    if (repeatLen !== newLen) { repeat = 0; repeatLen = newLen; }
+                    const oldRepeat = repeat;
+                    if (repeat > 0) repeat = (repeat - 2) << extraBits;
+                    repeat += readBits(extraBits) + 3;
+                    const delta = repeat - oldRepeat;
+                    if (symbol + delta > alphabetSize) throw new Error('Brotli: invalid code length repeat');
+                    for (let k = 0; k < delta; k++) lengths[symbol++] = repeatLen;
+                    if (repeatLen !== 0) space -= delta << (15 - repeatLen);
+                }
+            }
+            if (space !== 0) throw new Error('Brotli: incomplete prefix code');
+            return buildHuffmanTable(lengths, alphabetSize);
+        }
+
+        function readVarLenUint8() {
+            if (!readBits(1)) return 0;
+            const n = readBits(3);
+            return n === 0 ? 1 : (1 << n) + readBits(n);
+        }
+        function readBlockLength(table) {
+            const code = readSymbol(table);
+            return BROTLI_BLOCK_LEN_BASE[code] + readBits(BROTLI_BLOCK_LEN_EXTRA[code]);
+        }
+        function readContextMap(size, numTrees) {
+            const map = new Uint8Array(size);
+            if (numTrees < 2) return map;
+            const rleMax = readBits(1) ? readBits(4) + 1 : 0;
+            const table = readPrefixCode(numTrees + rleMax);
+            for (let k = 0; k < size;) {
+                const code = readSymbol(table);
+                if (code === 0) {
+                    map[k++] = 0;
+                } else if (code <= rleMax) {
+                    let reps = (1 << code) + readBits(code);
+                    if (k + reps > size) throw new Error('Brotli: invalid context map');
+                    while (reps-- > 0) map[k++] = 0;
+                } else {
+                    map[k++] = code - rleMax;
+                }
+            }
+            if (readBits(1)) {
+                // Inverse move-to-front transform
+                const mtf = [];
+                for (let k = 0; k < 256; k++) mtf.push(k);
+                for (let k = 0; k < size; k++) {
+                    const idx = map[k];
+                    const v = mtf[idx];
+                    map[k] = v;
+                    if (idx) { mtf.splice(idx, 1); mtf.unshift(v); }
+                }
+            }
+            return map;
+        }
+        function readBlockCategory() {
+            const cat = { n: readVarLenUint8() + 1, typeTable: null, lenTable: null, cur: 0, prev: 1, left: 1 << 28 };
+            if (cat.n >= 2) {
+                cat.typeTable = readPrefixCode(cat.n + 2);
+                cat.lenTable = readPrefixCode(26);
+                cat.left = readBlockLength(cat.lenTable);
+            }
+            return cat;
+        }
+        function switchBlock(cat) {
+            const code = readSymbol(cat.typeTable);
+            let type = code === 0 ? cat.prev : code === 1 ? cat.cur + 1 : code - 2;
+            if (type >= cat.n) type -= cat.n;
+            cat.prev = cat.cur;
+            cat.cur = type;
+            cat.left = readBlockLength(cat.lenTable);
+        }
+
+        let out = new Uint8Array(Math.max(sizeHint || 0, 1024));
+        let outPos = 0;
+        function ensure(n) {
+            if (outPos + n <= out.length) return;
+            let size = out.length * 2;
+            while (size < outPos + n) size *= 2;
+            const grown = new Uint8Array(size);
+            grown.set(out.subarray(0, outPos));
+            out = grown;
+        }
+
+        // Stream header: sliding window size
+        let wbits = 16;
+        if (readBits(1)) {
+            const n = readBits(3);
+            if (n !== 0) wbits = 17 + n;
+            else {
+                const m = readBits(3);
+                if (m === 1) throw new Error('Brotli: invalid window size');
+                wbits = m === 0 ? 17 : 8 + m;
+            }
+        }
+        const maxBackward = (1 << wbits) - 16;
+        const dist = [4, 11, 15, 16]; // most recent distance first
+        const ctx = getBrotliContextLookup();
+
+        let isLast = 0;
+        while (!isLast) {
+            isLast = readBits(1);
+            if (isLast && readBits(1)) break; // ISLASTEMPTY
+
+            const nibbleCode = readBits(2);
+            if (nibbleCode === 3) {
+                // Metadata block: skip its contents
+                if (readBits(1)) throw new Error('Brotli: reserved bit set');
+                const skipBytes = readBits(2);
+                let skipLen = 0;
+                for (let k = 0; k < skipBytes; k++) skipLen |= readBits(8) << (8 * k);
+                if (skipBytes) skipLen++;
+                alignToByte();
+                pos += skipLen;
+                continue;
+            }
+            let metaLen = 0;
+            for (let k = 0; k < nibbleCode + 4; k++) metaLen |= readBits(4) << (4 * k);
+            metaLen++;
+
+            if (!isLast && readBits(1)) {
+                // Uncompressed meta-block
+                alignToByte();
+                if (pos + metaLen > src.length) throw new Error('Brotli: unexpected end of stream');
+                ensure(metaLen);
+                out.set(src.subarray(pos, pos + metaLen), outPos);
+                outPos += metaLen;
+                pos += metaLen;
+                continue;
+            }
+
+            const litCat = readBlockCategory();
+            const cmdCat = readBlockCategory();
+            const distCat = readBlockCategory();
+            const npostfix = readBits(2);
+            const ndirect = readBits(4) << npostfix;
+            const postfixMask = (1 << npostfix) - 1;
+            const contextModes = new Uint8Array(litCat.n);
+            for (let k = 0; k < litCat.n; k++) contextModes[k] = readBits(2);
+            const litTreeCount = readVarLenUint8() + 1;
+            const litContextMap = readContextMap(64 * litCat.n, litTreeCount);
+            const distTreeCount = readVarLenUint8() + 1;
+            const distContextMap = readContextMap(4 * distCat.n, distTreeCount);
+            const litTables = [], cmdTables = [], distTables = [];
+            for (let k = 0; k < litTreeCount; k++) litTables.push(readPrefixCode(256));
+            for (let k = 0; k < cmdCat.n; k++) cmdTables.push(readPrefixCode(704));
+            for (let k = 0; k < distTreeCount; k++) distTables.push(readPrefixCode(16 + ndirect + (48 << npostfix)));
+
+            while (metaLen > 0) {
+                if (cmdCat.left === 0) switchBlock(cmdCat);
+                cmdCat.left--;
+                const cmd = readSymbol(cmdTables[cmdCat.cur]);
+                const cell = BROTLI_CMD_CELLS[cmd >> 6];
+                const insertCode = cell[0] + ((cmd >> 3) & 7);
+                const copyCode = cell[1] + (cmd & 7);
+                const insertLen = BROTLI_INSERT_BASE[insertCode] + readBits(BROTLI_INSERT_EXTRA[insertCode]);
+                const copyLen = BROTLI_COPY_BASE[copyCode] + readBits(BROTLI_COPY_EXTRA[copyCode]);
+
+                // Literals
+                ensure(insertLen);
+                for (let k = 0; k < insertLen; k++) {
+                    if (litCat.left === 0) switchBlock(litCat);
+                    litCat.left--;
+                    const p1 = outPos > 0 ? out[outPos - 1] : 0;
+                    const p2 = outPos > 1 ? out[outPos - 2] : 0;
+                    let context;
+                    switch (contextModes[litCat.cur]) {
+                        case 0: context = p1 & 0x3F; break;
+                        case 1: context = p1 >> 2; break;
+                        case 2: context = ctx.last[p1] | ctx.prev[p2]; break;
+                        default: context = (ctx.signed[p1] << 3) | ctx.signed[p2]; break;
+                    }
+                    out[outPos++] = readSymbol(litTables[litContextMap[(litCat.cur << 6) + context]]);
+                }
+                metaLen -= insertLen;
+                if (metaLen <= 0) break;
+
+                // Distance
+                let distCode = 0;
+                if (cmd >= 128) {
+                    if (distCat.left === 0) switchBlock(distCat);
+                    distCat.left--;
+                    const distContext = copyLen > 4 ? 3 : copyLen - 2;
+                    distCode = readSymbol(distTables[distContextMap[(distCat.cur << 2) + distContext]]);
+                }
+                let distance;
+                if (distCode < 16) {
+                    const short = BROTLI_DIST_SHORT[distCode];
+                    distance = dist[short[0]] + short[1];
+                    if (distance <= 0) throw new Error('Brotli: invalid distance');
+                } else if (distCode < 16 + ndirect) {
+                    distance = distCode - 15;
+                } else {
+                    const d = distCode - ndirect - 16;
+                    const nbits = 1 + (d >> (npostfix + 1));
+                    const offset = ((2 + ((d >> npostfix) & 1)) << nbits) - 4;
+                    distance = ((offset + readBits(nbits)) << npostfix) + (d & postfixMask) + ndirect + 1;
+                }
+
+                const maxDistance = Math.min(maxBackward, outPos);
+                if (distance > maxDistance) {
+                    // Static dictionary reference
+                    if (copyLen < 4 || copyLen > 24) throw new Error('Brotli: invalid dictionary reference');
+                    const dict = getBrotliDictionary();
+                    const sizeBits = BROTLI_DICT_SIZE_BITS[copyLen];
+                    const wordId = distance - maxDistance - 1;
+                    const transformIdx = wordId >> sizeBits;
+                    if (transformIdx >= BROTLI_TRANSFORMS.length) throw new Error('Brotli: invalid dictionary transform');
+                    let wordOffset = 0;
+                    for (let l = 4; l < copyLen; l++) wordOffset += l << BROTLI_DICT_SIZE_BITS[l];
+                    wordOffset += (wordId & ((1 << sizeBits) - 1)) * copyLen;
+                    const written = brotliTransformWord(dict.subarray(wordOffset, wordOffset + copyLen), transformIdx);
+                    ensure(written.length);
+                    out.set(written, outPos);
+                    outPos += written.length;
+                    metaLen -= written.length;
+                } else {
+                    if (distCode !== 0) {
+                        dist.pop();
+                        dist.unshift(distance);
+                    }
+                    ensure(copyLen);
+                    for (let k = 0; k < copyLen; k++, outPos++) out[outPos] = out[outPos - distance];
+                    metaLen -= copyLen;
+                }
+            }
+        }
+        return out.subarray(0, outPos);
+    }
+
+    function brotliTransformWord(word, transformIdx) {
+        const [prefix, type, suffix] = BROTLI_TRANSFORMS[transformIdx];
+        let start = 0, end = word.length;
+        if (type >= 1 && type <= 9) end = Math.max(0, end - type);
+        else if (type >= 12) start = Math.min(end, type - 11);
+        const result = [];
+        for (let k = 0; k < prefix.length; k++) result.push(prefix.charCodeAt(k));
+        const wordStart = result.length;
+        for (let k = start; k < end; k++) result.push(word[k]);
+        const wordEnd = result.length;
+        const upper = (k) => {
+            // Simplified UTF-8 uppercasing defined by the spec
+            if (result[k] < 0xC0) {
+                if (result[k] >= 97 && result[k] <= 122) result[k] ^= 32;
+                return 1;
+            }
+            if (result[k] < 0xE0) {
+                if (k + 1 < wordEnd) result[k + 1] ^= 32;
+                return 2;
+            }
+            if (k + 2 < wordEnd) result[k + 2] ^= 5;
+            return 3;
+        };
+        if (type === 10 && wordEnd > wordStart) upper(wordStart);
+        else if (type === 11) {
+            for (let k = wordStart; k < wordEnd;) k += upper(k);
+        }
+        for (let k = 0; k < suffix.length; k++) result.push(suffix.charCodeAt(k));
+        return result;
+    }
+
     function unwrapWOFF(buffer) {
         const view = new DataView(buffer);
         const signature = view.getUint32(0);
@@ -269,16 +809,365 @@ var FontEngine3D = (() => {
         return sfnt.buffer;
     }
 
+    // WOFF2 known table tags, indexed by the 6-bit tag code of the table directory
+    const WOFF2_KNOWN_TAGS = [
+        'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+        'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+        'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+        'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+        'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill'
+    ];
+
+    function readUIntBase128(reader) {
+        let v = 0;
+        for (let i = 0; i < 5; i++) {
+            const b = reader.readUint8();
+            if (i === 0 && b === 0x80) throw new Error('WOFF2: invalid UIntBase128 value');
+            v = v * 128 + (b & 0x7F);
+            if (!(b & 0x80)) return v;
+        }
+        throw new Error('WOFF2: UIntBase128 value too long');
+    }
+
+    function read255UInt16(reader) {
+        const code = reader.readUint8();
+        if (code === 253) return reader.readUint16();
+        if (code === 255) return reader.readUint8() + 253;
+        if (code === 254) return reader.readUint8() + 506;
+        return code;
+    }
+
     function unwrapWOFF2(buffer) {
-        const view = new DataView(buffer);
-        const signature = view.getUint32(0);
+        const reader = new DataReader(buffer);
+        const signature = reader.readUint32();
         if (signature !== 0x774F4632) return null; // 'wOF2'
-        throw new Error(
-            'WOFF2 format detected. WOFF2 requires Brotli decompression which is not included. ' +
-            'Please convert to .ttf/.otf/.woff first using tools like:\n' +
-            '  - https://transfonter.org/\n' +
-            '  - woff2_decompress command line tool'
-        );
+
+        const flavor = reader.readUint32();
+        reader.skip(4); // length
+        const numTables = reader.readUint16();
+        reader.skip(2); // reserved
+        reader.skip(4); // totalSfntSize
+        const totalCompressedSize = reader.readUint32();
+        reader.skip(24); // version, metadata and private block info
+
+        const entries = [];
+        let totalLength = 0;
+        for (let i = 0; i < numTables; i++) {
+            const flags = reader.readUint8();
+            const tag = (flags & 0x3F) === 0x3F ? reader.readTag() : WOFF2_KNOWN_TAGS[flags & 0x3F];
+            const transformVersion = flags >> 6;
+            const origLength = readUIntBase128(reader);
+            // glyf/loca use version 0 for the transform and 3 for none; other tables the opposite
+            const transformed = (tag === 'glyf' || tag === 'loca') ? transformVersion === 0 : transformVersion !== 0;
+            const length = transformed ? readUIntBase128(reader) : origLength;
+            entries.push({ tag, origLength, transformed, length, data: null });
+            totalLength += length;
+        }
+
+        // Collection directory: each face lists indices into the table directory
+        let faces;
+        if (flavor === 0x74746366) { // 'ttcf'
+            reader.skip(4); // ttcVersion
+            const numFonts = read255UInt16(reader);
+            faces = [];
+            for (let f = 0; f < numFonts; f++) {
+                const faceTables = read255UInt16(reader);
+                const faceFlavor = reader.readUint32();
+                const indices = [];
+                for (let i = 0; i < faceTables; i++) indices.push(read255UInt16(reader));
+                faces.push({ flavor: faceFlavor, indices });
+            }
+        } else {
+            faces = [{ flavor, indices: entries.map((e, i) => i) }];
+        }
+
+        // All tables share a single Brotli stream
+        if (reader.tell() + totalCompressedSize > buffer.byteLength) throw new Error('WOFF2: compressed data is truncated');
+        const compressed = new Uint8Array(buffer, reader.tell(), totalCompressedSize);
+        const decompressed = brotliDecompress(compressed, totalLength);
+        if (decompressed.length < totalLength) throw new Error('WOFF2: decompressed data is truncated');
+        let offset = 0;
+        for (const entry of entries) {
+            entry.data = decompressed.subarray(offset, offset + entry.length);
+            offset += entry.length;
+        }
+
+        // Undo table transforms. hmtx depends on the glyph bounds of the face it belongs to,
+        // so transforms are resolved per face (shared tables are only rebuilt once).
+        for (const face of faces) {
+            const byTag = {};
+            for (const idx of face.indices) byTag[entries[idx].tag] = entries[idx];
+            const glyf = byTag['glyf'];
+            if (glyf && glyf.transformed) {
+                const rebuilt = reconstructWOFF2Glyf(glyf.data);
+                glyf.data = rebuilt.glyf;
+                glyf.xMins = rebuilt.xMins;
+                glyf.transformed = false;
+                if (byTag['loca']) {
+                    byTag['loca'].data = rebuilt.loca;
+                    byTag['loca'].transformed = false;
+                }
+            }
+            const hmtx = byTag['hmtx'];
+            if (hmtx && hmtx.transformed) {
+                if (!glyf || !glyf.xMins) throw new Error('WOFF2: transformed hmtx requires a transformed glyf table');
+                const numGlyphs = new DataReader(byTag['maxp'].data.slice().buffer, 4).readUint16();
+                const numberOfHMetrics = new DataReader(byTag['hhea'].data.slice().buffer, 34).readUint16();
+                hmtx.data = reconstructWOFF2Hmtx(hmtx.data, numGlyphs, numberOfHMetrics, glyf.xMins);
+                hmtx.transformed = false;
+            }
+        }
+
+        return buildSFNT(faces.map(face => ({
+            flavor: face.flavor,
+            tables: face.indices.map(idx => entries[idx])
+        })), flavor === 0x74746366);
+    }
+
+    // Reassemble an SFNT file (or a 'ttcf' collection when isCollection is set) from
+    // faces of { flavor, tables: [{ tag, data }] }. Table records shared between faces
+    // are written once. Checksums are left as 0.
+    function buildSFNT(faces, isCollection) {
+        let size = isCollection ? 12 + faces.length * 4 : 0;
+        const dirOffsets = [];
+        for (const face of faces) {
+            dirOffsets.push(size);
+            size += 12 + face.tables.length * 16;
+        }
+        const dataOffsets = new Map();
+        for (const face of faces) {
+            for (const t of face.tables) {
+                if (dataOffsets.has(t)) continue;
+                dataOffsets.set(t, size);
+                size += (t.data.length + 3) & ~3;
+            }
+        }
+
+        const sfnt = new Uint8Array(size);
+        const view = new DataView(sfnt.buffer);
+        if (isCollection) {
+            view.setUint32(0, 0x74746366); // 'ttcf'
+            view.setUint32(4, 0x00010000);
+            view.setUint32(8, faces.length);
+            dirOffsets.forEach((off, i) => view.setUint32(12 + i * 4, off));
+        }
+
+        faces.forEach((face, f) => {
+            const numTables = face.tables.length;
+            const base = dirOffsets[f];
+            view.setUint32(base, face.flavor);
+            view.setUint16(base + 4, numTables);
+            let sr = 1, es = 0;
+            while (sr * 2 <= numTables) { sr *= 2; es++; }
+            sr *= 16;
+            view.setUint16(base + 6, sr);
+            view.setUint16(base + 8, es);
+            view.setUint16(base + 10, numTables * 16 - sr);
+
+            let dirOffset = base + 12;
+            for (const t of face.tables) {
+                for (let i = 0; i < 4; i++) view.setUint8(dirOffset + i, t.tag.charCodeAt(i));
+                view.setUint32(dirOffset + 8, dataOffsets.get(t));
+                view.setUint32(dirOffset + 12, t.data.length);
+                dirOffset += 16;
+            }
+        });
+        for (const [t, off] of dataOffsets) sfnt.set(t.data, off);
+        return sfnt.buffer;
+    }
+
+    // Rebuild standard glyf + loca tables from the WOFF2 transformed glyf stream
+    function reconstructWOFF2Glyf(data) {
+        const buf = data.slice().buffer;
+        const header = new DataReader(buf);
+        header.skip(2); // reserved
+        const optionFlags = header.readUint16();
+        const numGlyphs = header.readUint16();
+        const indexFormat = header.readUint16();
+        const streamSizes = [];
+        for (let i = 0; i < 7; i++) streamSizes.push(header.readUint32());
+
+        let p = header.tell();
+        const streams = streamSizes.map(size => { const r = new DataReader(buf, p); p += size; return r; });
+        const [nContourStream, nPointsStream, flagStream, glyphStream, compositeStream, bboxStream, instructionStream] = streams;
+        const bboxBitmapLength = ((numGlyphs + 31) >> 5) << 2;
+        const bboxBitmap = new Uint8Array(buf, bboxStream.tell(), bboxBitmapLength);
+        bboxStream.skip(bboxBitmapLength);
+        const overlapBitmap = (optionFlags & 1) ? new Uint8Array(buf, p, (numGlyphs + 7) >> 3) : null;
+        const bytes = new Uint8Array(buf);
+
+        const glyphData = [];
+        const xMins = new Array(numGlyphs).fill(0);
+        let glyfSize = 0;
+
+        for (let g = 0; g < numGlyphs; g++) {
+            const nContours = nContourStream.readInt16();
+            const hasBBox = !!(bboxBitmap[g >> 3] & (0x80 >> (g & 7)));
+            let out;
+
+            if (nContours === 0) {
+                out = new Uint8Array(0);
+            } else if (nContours > 0) {
+                // Simple glyph
+                const endPts = [];
+                let numPoints = 0;
+                for (let c = 0; c < nContours; c++) {
+                    numPoints += read255UInt16(nPointsStream);
+                    endPts.push(numPoints - 1);
+                }
+                const xs = new Array(numPoints), ys = new Array(numPoints), onCurve = new Array(numPoints);
+                let x = 0, y = 0;
+                for (let i = 0; i < numPoints; i++) {
+                    let flag = flagStream.readUint8();
+                    onCurve[i] = !(flag & 0x80);
+                    flag &= 0x7F;
+                    let dx, dy;
+                    if (flag < 10) {
+                        dx = 0;
+                        dy = woff2WithSign(flag, ((flag & 14) << 7) + glyphStream.readUint8());
+                    } else if (flag < 20) {
+                        dx = woff2WithSign(flag, (((flag - 10) & 14) << 7) + glyphStream.readUint8());
+                        dy = 0;
+                    } else if (flag < 84) {
+                        const b0 = flag - 20, b1 = glyphStream.readUint8();
+                        dx = woff2WithSign(flag, 1 + (b0 & 0x30) + (b1 >> 4));
+                        dy = woff2WithSign(flag >> 1, 1 + ((b0 & 0x0C) << 2) + (b1 & 0x0F));
+                    } else if (flag < 120) {
+                        const b0 = flag - 84;
+                        dx = woff2WithSign(flag, 1 + (Math.floor(b0 / 12) << 8) + glyphStream.readUint8());
+                        dy = woff2WithSign(flag >> 1, 1 + (((b0 % 12) >> 2) << 8) + glyphStream.readUint8());
+                    } else if (flag < 124) {
+                        const b0 = glyphStream.readUint8(), b1 = glyphStream.readUint8(), b2 = glyphStream.readUint8();
+                        dx = woff2WithSign(flag, (b0 << 4) + (b1 >> 4));
+                        dy = woff2WithSign(flag >> 1, ((b1 & 0x0F) << 8) + b2);
+                    } else {
+                        dx = woff2WithSign(flag, glyphStream.readUint16());
+                        dy = woff2WithSign(flag >> 1, glyphStream.readUint16());
+                    }
+                    x += dx; y += dy;
+                    xs[i] = x; ys[i] = y;
+                }
+                const instructionLength = read255UInt16(glyphStream);
+                const instructions = instructionStream.readBytes(instructionLength);
+
+                let xMin, yMin, xMax, yMax;
+                if (hasBBox) {
+                    xMin = bboxStream.readInt16(); yMin = bboxStream.readInt16();
+                    xMax = bboxStream.readInt16(); yMax = bboxStream.readInt16();
+                } else {
+                    xMin = Math.min(...xs); yMin = Math.min(...ys);
+                    xMax = Math.max(...xs); yMax = Math.max(...ys);
+                }
+                xMins[g] = xMin;
+
+                // Re-encode flags and coordinates using the short-vector forms
+                const flags = new Uint8Array(numPoints);
+                let xBytes = 0, yBytes = 0;
+                for (let i = 0; i < numPoints; i++) {
+                    const dx = i ? xs[i] - xs[i - 1] : xs[0];
+                    const dy = i ? ys[i] - ys[i - 1] : ys[0];
+                    let f = onCurve[i] ? 0x01 : 0;
+                    if (dx === 0) f |= 0x10;
+                    else if (dx > -256 && dx < 256) { f |= 0x02 | (dx > 0 ? 0x10 : 0); xBytes += 1; }
+                    else xBytes += 2;
+                    if (dy === 0) f |= 0x20;
+                    else if (dy > -256 && dy < 256) { f |= 0x04 | (dy > 0 ? 0x20 : 0); yBytes += 1; }
+                    else yBytes += 2;
+                    flags[i] = f;
+                }
+                if (overlapBitmap && (overlapBitmap[g >> 3] & (0x80 >> (g & 7))) && numPoints > 0) flags[0] |= 0x40;
+
+                out = new Uint8Array(10 + 2 * nContours + 2 + instructionLength + numPoints + xBytes + yBytes);
+                const w = new DataView(out.buffer);
+                let o = 0;
+                w.setInt16(o, nContours); w.setInt16(o + 2, xMin); w.setInt16(o + 4, yMin);
+                w.setInt16(o + 6, xMax); w.setInt16(o + 8, yMax); o += 10;
+                for (const e of endPts) { w.setUint16(o, e); o += 2; }
+                w.setUint16(o, instructionLength); o += 2;
+                out.set(instructions, o); o += instructionLength;
+                out.set(flags, o); o += numPoints;
+                for (let i = 0; i < numPoints; i++) {
+                    const dx = i ? xs[i] - xs[i - 1] : xs[0];
+                    if (flags[i] & 0x02) w.setUint8(o++, Math.abs(dx));
+                    else if (!(flags[i] & 0x10)) { w.setInt16(o, dx); o += 2; }
+                }
+                for (let i = 0; i < numPoints; i++) {
+                    const dy = i ? ys[i] - ys[i - 1] : ys[0];
+                    if (flags[i] & 0x04) w.setUint8(o++, Math.abs(dy));
+                    else if (!(flags[i] & 0x20)) { w.setInt16(o, dy); o += 2; }
+                }
+            } else {
+                // Composite glyph: component records are stored verbatim
+                const start = compositeStream.tell();
+                let hasInstructions = false;
+                let more = true;
+                while (more) {
+                    const flags = compositeStream.readUint16();
+                    compositeStream.skip(2); // glyphIndex
+                    compositeStream.skip((flags & 0x01) ? 4 : 2);
+                    if (flags & 0x08) compositeStream.skip(2);
+                    else if (flags & 0x40) compositeStream.skip(4);
+                    else if (flags & 0x80) compositeStream.skip(8);
+                    if (flags & 0x100) hasInstructions = true;
+                    more = !!(flags & 0x20);
+                }
+                const components = bytes.subarray(start, compositeStream.tell());
+                const instructionLength = hasInstructions ? read255UInt16(glyphStream) : 0;
+                if (!hasBBox) throw new Error('WOFF2: composite glyph is missing its bounding box');
+                const bbox = [bboxStream.readInt16(), bboxStream.readInt16(), bboxStream.readInt16(), bboxStream.readInt16()];
+                xMins[g] = bbox[0];
+
+                out = new Uint8Array(10 + components.length + (hasInstructions ? 2 + instructionLength : 0));
+                const w = new DataView(out.buffer);
+                w.setInt16(0, -1);
+                for (let i = 0; i < 4; i++) w.setInt16(2 + i * 2, bbox[i]);
+                out.set(components, 10);
+                if (hasInstructions) {
+                    w.setUint16(10 + components.length, instructionLength);
+                    out.set(instructionStream.readBytes(instructionLength), 12 + components.length);
+                }
+            }
+
+            glyphData.push(out);
+            glyfSize += (out.length + 3) & ~3;
+        }
+
+        const glyf = new Uint8Array(glyfSize);
+        const loca = new Uint8Array((numGlyphs + 1) * (indexFormat ? 4 : 2));
+        const locaView = new DataView(loca.buffer);
+        let offset = 0;
+        for (let g = 0; g <= numGlyphs; g++) {
+            if (indexFormat) locaView.setUint32(g * 4, offset);
+            else locaView.setUint16(g * 2, offset >> 1);
+            if (g === numGlyphs) break;
+            glyf.set(glyphData[g], offset);
+            offset += (glyphData[g].length + 3) & ~3;
+        }
+        return { glyf, loca, xMins };
+    }
+
+    function woff2WithSign(flag, value) {
+        return (flag & 1) ? value : -value;
+    }
+
+    // Rebuild a standard hmtx table; omitted side bearings equal the glyph xMin
+    function reconstructWOFF2Hmtx(data, numGlyphs, numberOfHMetrics, xMins) {
+        const reader = new DataReader(data.slice().buffer);
+        const flags = reader.readUint8();
+        const advances = [];
+        for (let i = 0; i < numberOfHMetrics; i++) advances.push(reader.readUint16());
+        const lsbs = [];
+        for (let i = 0; i < numberOfHMetrics; i++) lsbs.push((flags & 1) ? xMins[i] : reader.readInt16());
+        for (let i = numberOfHMetrics; i < numGlyphs; i++) lsbs.push((flags & 2) ? xMins[i] : reader.readInt16());
+
+        const out = new Uint8Array(numberOfHMetrics * 4 + (numGlyphs - numberOfHMetrics) * 2);
+        const w = new DataView(out.buffer);
+        let o = 0;
+        for (let i = 0; i < numGlyphs; i++) {
+            if (i < numberOfHMetrics) { w.setUint16(o, advances[i]); o += 2; }
+            w.setInt16(o, lsbs[i]); o += 2;
+        }
+        return out;
     }
 
     function detectAndUnwrap(buffer) {
@@ -292,8 +1181,8 @@ var FontEngine3D = (() => {
     // =========================================================================
     // Table Directory Parser
     // =========================================================================
-    function parseTableDirectory(reader) {
-        reader.seek(0);
+    function parseTableDirectory(reader, offset = 0) {
+        reader.seek(offset);
         const sfVersion = reader.readTag();
         const numTables = reader.readUint16();
         reader.skip(6); // searchRange, entrySelector, rangeShift
@@ -309,6 +1198,39 @@ var FontEngine3D = (() => {
         return { sfVersion, tables };
     }
 
+    // TrueType/OpenType Collection ('ttcf') header: returns the table directory offset
+    // of each face, or null when the buffer holds a single font
+    function parseCollectionHeader(reader) {
+        reader.seek(0);
+        if (reader.length < 12 || reader.readTag() !== 'ttcf') return null;
+        reader.skip(4); // majorVersion, minorVersion
+        const numFonts = reader.readUint32();
+        const offsets = [];
+        for (let i = 0; i < numFonts; i++) offsets.push(reader.readUint32());
+        return offsets;
+    }
+
+    // Pick the face to convert, by options.postScriptName or options.faceIndex (default 0)
+    function selectFace(reader, options) {
+        const offsets = parseCollectionHeader(reader);
+        if (!offsets) return { offset: 0, index: 0, count: 1, isCollection: false };
+
+        let index = options.faceIndex || 0;
+        if (options.postScriptName !== undefined) {
+            index = offsets.findIndex(offset => {
+                const dir = parseTableDirectory(reader, offset);
+                return !!dir.tables['name'] && parseName(reader, dir.tables['name']).postScriptName === options.postScriptName;
+            });
+            if (index < 0) {
+                throw new Error(`No face with PostScript name "${options.postScriptName}" found in font collection`);
+            }
+        }
+        if (index < 0 || index >= offsets.length) {
+            throw new Error(`Face index ${index} is out of range: the font collection has ${offsets.length} faces`);
+        }
+        return { offset: offsets[index], index, count: offsets.length, isCollection: true };
+    }
+
     // =========================================================================
     // 'head' table
     // =========================================================================
@@ -380,105 +1302,731 @@ var FontEngine3D = (() => {
     }
 
     // =========================================================================
-    // 'name' table
+    // 'VORG' table - vertical origins of CFF glyphs
     // =========================================================================
-    function parseName(reader, table) {
+    function parseVORG(reader, table) {
         reader.seek(table.offset);
-        const format = reader.readUint16();
+        reader.skip(4); // majorVersion, minorVersion
+        const defaultVertOriginY = reader.readInt16();
         const count = reader.readUint16();
-        const stringOffset = reader.readUint16();
-        const storageBase = table.offset + stringOffset;
-
-        const names = {};
+        const origins = {};
         for (let i = 0; i < count; i++) {
-            const platformID = reader.readUint16();
-            const encodingID = reader.readUint16();
-            const languageID = reader.readUint16();
-            const nameID = reader.readUint16();
-            const length = reader.readUint16();
-            const offset = reader.readUint16();
-
-            const savedOffset = reader.tell();
-            reader.seek(storageBase + offset);
-
-            let str;
-            if (platformID === 3 || platformID === 0) {
-                str = reader.readString(length, 'utf16be');
-            } else {
-                str = reader.readString(length, 'ascii');
-            }
-            reader.seek(savedOffset);
-
-            // Prefer platformID 3 (Windows) or first encountered
-            if (!names[nameID] || platformID === 3) {
-                names[nameID] = str;
-            }
+            const glyphIndex = reader.readUint16();
+            origins[glyphIndex] = reader.readInt16();
         }
-        return {
-            copyright: names[0] || '',
-            fontFamily: names[1] || '',
-            fontSubfamily: names[2] || '',
-            uniqueID: names[3] || '',
-            fullName: names[4] || '',
-            version: names[5] || '',
-            postScriptName: names[6] || '',
-            designer: names[9] || '',
-            license: names[13] || ''
-        };
+        return { defaultVertOriginY, origins };
     }
 
     // =========================================================================
-    // 'OS/2' table
+    // 'COLR' and 'CPAL' tables - color glyph layers
     // =========================================================================
-    function parseOS2(reader, table) {
-        if (!table) return null;
+    // CPAL: palettes as arrays of '#rrggbbaa' colors
+    function parseCPAL(reader, table) {
         reader.seek(table.offset);
+        reader.skip(2); // version
+        const numPaletteEntries = reader.readUint16();
+        const numPalettes = reader.readUint16();
+        reader.skip(2); // numColorRecords
+        const colorRecordsOffset = reader.readUint32();
+        const firstIndices = [];
+        for (let i = 0; i < numPalettes; i++) firstIndices.push(reader.readUint16());
+
+        const hex = v => (v < 16 ? '0' : '') + v.toString(16);
+        return firstIndices.map(first => {
+            reader.seek(table.offset + colorRecordsOffset + first * 4);
+            const colors = [];
+            for (let i = 0; i < numPaletteEntries; i++) {
+                const blue = reader.readUint8(), green = reader.readUint8(), red = reader.readUint8(), alpha = reader.readUint8();
+                colors.push('#' + hex(red) + hex(green) + hex(blue) + hex(alpha));
+            }
+            return colors;
+        });
+    }
+
+    // COLR v0 layer records and the v1 base glyph and layer paint lists (absolute paint offsets);
+    // paints are read on demand by flattenColorGlyph
+    function parseCOLR(reader, table) {
+        const start = table.offset;
+        reader.seek(start);
         const version = reader.readUint16();
-        reader.skip(2); // xAvgCharWidth
-        const usWeightClass = reader.readUint16();
-        reader.skip(2); // usWidthClass
-        reader.skip(2); // fsType
-        reader.skip(16); // ySubscript* (4 fields) + ySuperscript* (4 fields)
-        reader.skip(4); // yStrikeoutSize + yStrikeoutPosition
-        reader.skip(2); // sFamilyClass
-        reader.skip(10); // panose
-        reader.skip(16); // ulUnicode
-        reader.skip(4); // achVendID
-        const fsSelection = reader.readUint16();
-        reader.skip(4); // usFirst/LastCharIndex
-        const sTypoAscender = reader.readInt16();
-        const sTypoDescender = reader.readInt16();
-        const sTypoLineGap = reader.readInt16();
-        const usWinAscent = reader.readUint16();
-        const usWinDescent = reader.readUint16();
+        const numBaseGlyphRecords = reader.readUint16();
+        const baseGlyphRecordsOffset = reader.readUint32();
+        const layerRecordsOffset = reader.readUint32();
+        const numLayerRecords = reader.readUint16();
+        const colr = { baseGlyphs: {}, layers: [], baseGlyphPaints: {}, layerPaints: [], varIndexMap: null, store: null };
+
+        let baseGlyphListOffset = 0, layerListOffset = 0, varIndexMapOffset = 0, storeOffset = 0;
+        if (version >= 1) {
+            baseGlyphListOffset = reader.readUint32();
+            layerListOffset = reader.readUint32();
+            reader.skip(4); // clipListOffset
+            varIndexMapOffset = reader.readUint32();
+            storeOffset = reader.readUint32();
+        }
 
-        return { version, usWeightClass, fsSelection, sTypoAscender, sTypoDescender, sTypoLineGap, usWinAscent, usWinDescent };
+        if (baseGlyphRecordsOffset) {
+            reader.seek(start + baseGlyphRecordsOffset);
+            for (let i = 0; i < numBaseGlyphRecords; i++) {
+                const glyphId = reader.readUint16();
+                colr.baseGlyphs[glyphId] = { firstLayerIndex: reader.readUint16(), numLayers: reader.readUint16() };
+            }
+        }
+        if (layerRecordsOffset) {
+            reader.seek(start + layerRecordsOffset);
+            for (let i = 0; i < numLayerRecords; i++) {
+                colr.layers.push({ glyphId: reader.readUint16(), paletteIndex: reader.readUint16() });
+            }
+        }
+        if (baseGlyphListOffset) {
+            const listStart = start + baseGlyphListOffset;
+            reader.seek(listStart);
+            const count = reader.readUint32();
+            for (let i = 0; i < count; i++) {
+                const glyphId = reader.readUint16();
+                colr.baseGlyphPaints[glyphId] = listStart + reader.readUint32();
+            }
+        }
+        if (layerListOffset) {
+            const listStart = start + layerListOffset;
+            reader.seek(listStart);
+            const count = reader.readUint32();
+            for (let i = 0; i < count; i++) colr.layerPaints.push(listStart + reader.readUint32());
+        }
+        if (varIndexMapOffset) colr.varIndexMap = parseDeltaSetIndexMap(reader, start + varIndexMapOffset);
+        if (storeOffset) colr.store = parseItemVariationStore(reader, start + storeOffset);
+        return colr;
     }
 
-    // =========================================================================
-    // 'post' table
-    // =========================================================================
-    function parsePost(reader, table) {
-        reader.seek(table.offset);
-        const format = reader.readFixed();
-        const italicAngle = reader.readFixed();
-        const underlinePosition = reader.readInt16();
-        const underlineThickness = reader.readInt16();
-        const isFixedPitch = reader.readUint32();
-        return { format, italicAngle, underlinePosition, underlineThickness, isFixedPitch };
+    // Fields of the COLR v1 paint formats ('name:type'); the variable formats (odd, except 1 and 11)
+    // share the fields of the format before them and vary the fw/ufw/f2 ones
+    const COLR_PAINT_FIELDS = {
+        1: 'numLayers:u8 firstLayerIndex:u32',
+        2: 'paletteIndex:u16 alpha:f2',
+        4: 'colorLine:o24 x0:fw y0:fw x1:fw y1:fw x2:fw y2:fw',
+        6: 'colorLine:o24 x0:fw y0:fw r0:ufw x1:fw y1:fw r1:ufw',
+        8: 'colorLine:o24 centerX:fw centerY:fw startAngle:f2 endAngle:f2',
+        10: 'paint:o24 glyphID:u16',
+        11: 'glyphID:u16',
+        12: 'paint:o24 transform:o24',
+        14: 'paint:o24 dx:fw dy:fw',
+        16: 'paint:o24 scaleX:f2 scaleY:f2',
+        18: 'paint:o24 scaleX:f2 scaleY:f2 centerX:fw centerY:fw',
+        20: 'paint:o24 scale:f2',
+        22: 'paint:o24 scale:f2 centerX:fw centerY:fw',
+        24: 'paint:o24 angle:f2',
+        26: 'paint:o24 angle:f2 centerX:fw centerY:fw',
+        28: 'paint:o24 xSkewAngle:f2 ySkewAngle:f2',
+        30: 'paint:o24 xSkewAngle:f2 ySkewAngle:f2 centerX:fw centerY:fw',
+        32: 'sourcePaint:o24 compositeMode:u8 backdropPaint:o24'
+    };
+
+    // Paint nesting limit (cycles in malformed fonts)
+    const COLR_MAX_DEPTH = 64;
+
+    const IDENTITY_AFFINE = [1, 0, 0, 1, 0, 0];
+
+    // Affine transforms as [xx, yx, xy, yy, dx, dy]: x' = xx*x + xy*y + dx, y' = yx*x + yy*y + dy.
+    // multiplyAffine(a, b) applies b first.
+    function multiplyAffine(a, b) {
+        return [
+            a[0] * b[0] + a[2] * b[1],
+            a[1] * b[0] + a[3] * b[1],
+            a[0] * b[2] + a[2] * b[3],
+            a[1] * b[2] + a[3] * b[3],
+            a[0] * b[4] + a[2] * b[5] + a[4],
+            a[1] * b[4] + a[3] * b[5] + a[5]
+        ];
     }
 
-    // =========================================================================
-    // 'cmap' table - Character to Glyph mapping
-    // =========================================================================
-    function parseCmap(reader, table) {
-        reader.seek(table.offset);
-        const version = reader.readUint16();
-        const numSubtables = reader.readUint16();
-
-        // Find best subtable: prefer format 12 (full Unicode), then format 4 (BMP)
-        let bestSubtable = null;
-        let bestPriority = -1;
+    // Outline command string with every point transformed
+    function transformOutline(o, m) {
+        if (!o) return o;
+        const tokens = o.split(' ');
+        const round = v => Math.round(v * 100) / 100;
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token === 'm' || token === 'l' || token === 'q' || token === 'b') continue;
+            const x = parseFloat(token), y = parseFloat(tokens[i + 1]);
+            tokens[i] = String(round(m[0] * x + m[2] * y + m[4]));
+            tokens[i + 1] = String(round(m[1] * x + m[3] * y + m[5]));
+            i++;
+        }
+        return tokens.join(' ');
+    }
+
+    // Delta of item varIndexBase + i of the COLR ItemVariationStore (0 without variations)
+    function getColrDelta(colr, regionScalars, varIndexBase, i) {
+        if (!regionScalars || !colr.store || varIndexBase === 0xFFFFFFFF) return 0;
+        const index = varIndexBase + i;
+        let outer = Math.floor(index / 65536), inner = index % 65536;
+        if (colr.varIndexMap && colr.varIndexMap.length > 0) {
+            [outer, inner] = colr.varIndexMap[Math.min(index, colr.varIndexMap.length - 1)];
+        }
+        return getItemVariationDelta(colr.store, regionScalars, outer, inner);
+    }
+
+    // One paint table with its variation deltas applied; offsets (o24) are absolute, null when 0
+    function readColrPaint(reader, colr, regionScalars, offset) {
+        reader.seek(offset);
+        const format = reader.readUint8();
+        const variable = format % 2 === 1 && format !== 1 && format !== 11;
+        const spec = COLR_PAINT_FIELDS[variable ? format - 1 : format];
+        if (!spec) return null;
+
+        const paint = { format: variable ? format - 1 : format, variable };
+        const varied = [];
+        for (const field of spec.split(' ')) {
+            const [name, type] = field.split(':');
+            switch (type) {
+                case 'u8': paint[name] = reader.readUint8(); break;
+                case 'u16': paint[name] = reader.readUint16(); break;
+                case 'u32': paint[name] = reader.readUint32(); break;
+                case 'o24': {
+                    const value = reader.readUint24();
+                    paint[name] = value ? offset + value : null;
+                    break;
+                }
+                case 'fw': paint[name] = reader.readInt16(); varied.push([name, 1]); break;
+                case 'ufw': paint[name] = reader.readUint16(); varied.push([name, 1]); break;
+                case 'f2': paint[name] = reader.readF2Dot14(); varied.push([name, 1 / 16384]); break;
+            }
+        }
+        if (variable) {
+            const varIndexBase = reader.readUint32();
+            varied.forEach(([name, unit], i) => {
+                paint[name] += getColrDelta(colr, regionScalars, varIndexBase, i) * unit;
+            });
+        }
+        return paint;
+    }
+
+    // ColorLine / VarColorLine: { extend, stops: [{ offset, paletteIndex, alpha }] } sorted by offset
+    function readColrColorLine(reader, colr, regionScalars, offset, variable) {
+        reader.seek(offset);
+        const extend = reader.readUint8();
+        const numStops = reader.readUint16();
+        const stops = [];
+        for (let i = 0; i < numStops; i++) {
+            const stop = { offset: reader.readF2Dot14(), paletteIndex: reader.readUint16(), alpha: reader.readF2Dot14() };
+            if (variable) {
+                const varIndexBase = reader.readUint32();
+                stop.offset += getColrDelta(colr, regionScalars, varIndexBase, 0) / 16384;
+                stop.alpha += getColrDelta(colr, regionScalars, varIndexBase, 1) / 16384;
+            }
+            stops.push(stop);
+        }
+        return { extend: ['pad', 'repeat', 'reflect'][extend] || 'pad', stops: stops.sort((a, b) => a.offset - b.offset) };
+    }
+
+    // Transform of a PaintTransform ... PaintSkewAroundCenter (angles in half turns)
+    function colrPaintTransform(reader, colr, regionScalars, paint) {
+        const around = (m, cx, cy) => multiplyAffine(multiplyAffine([1, 0, 0, 1, cx, cy], m), [1, 0, 0, 1, -cx, -cy]);
+        switch (paint.format) {
+            case 12: {
+                reader.seek(paint.transform);
+                const m = [];
+                for (let i = 0; i < 6; i++) m.push(reader.readFixed());
+                if (paint.variable) {
+                    const varIndexBase = reader.readUint32();
+                    for (let i = 0; i < 6; i++) m[i] += getColrDelta(colr, regionScalars, varIndexBase, i) / 65536;
+                }
+                return m;
+            }
+            case 14: return [1, 0, 0, 1, paint.dx, paint.dy];
+            case 16: return [paint.scaleX, 0, 0, paint.scaleY, 0, 0];
+            case 18: return around([paint.scaleX, 0, 0, paint.scaleY, 0, 0], paint.centerX, paint.centerY);
+            case 20: return [paint.scale, 0, 0, paint.scale, 0, 0];
+            case 22: return around([paint.scale, 0, 0, paint.scale, 0, 0], paint.centerX, paint.centerY);
+            case 24:
+            case 26: {
+                const cos = Math.cos(paint.angle * Math.PI), sin = Math.sin(paint.angle * Math.PI);
+                const m = [cos, sin, -sin, cos, 0, 0];
+                return paint.format === 26 ? around(m, paint.centerX, paint.centerY) : m;
+            }
+            case 28:
+            case 30: {
+                const m = [1, Math.tan(paint.ySkewAngle * Math.PI), -Math.tan(paint.xSkewAngle * Math.PI), 1, 0, 0];
+                return paint.format === 30 ? around(m, paint.centerX, paint.centerY) : m;
+            }
+        }
+        return IDENTITY_AFFINE;
+    }
+
+    // Color layers of a glyph in paint order: [{ o, color, alpha?, gradient? }], or null without COLR data.
+    // color is '#rrggbb' from the palette, or null for the text color (palette index 0xFFFF); alpha is
+    // omitted when opaque. COLR v1 paint graphs are flattened into filled outlines: transforms are
+    // applied to the outlines, nested glyph clips keep the innermost outline, and composites paint
+    // the backdrop then the source. Gradients fill with the average of their stops and keep
+    // { type, extend, stops, transform?, ... } (linear x0..y1, radial x0, y0, r0, x1, y1, r1,
+    // sweep centerX, centerY, startAngle, endAngle in degrees), stops spread over 0..1.
+    function flattenColorGlyph(reader, colr, palette, glyphId, outlineOf, regionScalars) {
+        const resolveColor = (paletteIndex, alpha) => {
+            const entry = paletteIndex !== 0xFFFF ? palette[paletteIndex] : undefined;
+            const opacity = Math.max(0, Math.min(1, alpha * (entry ? parseInt(entry.slice(7), 16) / 255 : 1)));
+            const color = { color: entry ? entry.slice(0, 7) : null };
+            if (opacity < 1) color.alpha = Math.round(opacity * 1000) / 1000;
+            return color;
+        };
+        const layers = [];
+        const addLayer = (o, color, gradient) => {
+            if (!o) return;
+            const layer = Object.assign({ o }, color);
+            if (gradient) layer.gradient = gradient;
+            layers.push(layer);
+        };
+
+        // COLR v0: one palette color per layer glyph (v1 paints take precedence)
+        const record = colr.baseGlyphs[glyphId];
+        if (colr.baseGlyphPaints[glyphId] === undefined) {
+            if (!record) return null;
+            for (let i = 0; i < record.numLayers; i++) {
+                const layer = colr.layers[record.firstLayerIndex + i];
+                if (layer) addLayer(outlineOf(layer.glyphId), resolveColor(layer.paletteIndex, 1));
+            }
+            return layers;
+        }
+
+        // Gradient fill: geometry in paint space, stops spread over 0..1 with the geometry moved to match
+        const gradientFill = (paint, matrix) => {
+            const line = readColrColorLine(reader, colr, regionScalars, paint.colorLine, paint.variable);
+            if (line.stops.length === 0) return null;
+            const first = line.stops[0].offset, last = line.stops[line.stops.length - 1].offset;
+            const span = last - first;
+            const at = (a, b, t) => a + (b - a) * t;
+            const stops = line.stops.map(stop => Object.assign(
+                { offset: span > 0 ? (stop.offset - first) / span : 0 }, resolveColor(stop.paletteIndex, stop.alpha)));
+            let gradient;
+            if (paint.format === 4) {
+                // Color lines run parallel to p0p2: p1 projected onto the normal of p0p2
+                const nx = paint.y2 - paint.y0, ny = paint.x0 - paint.x2;
+                const norm = nx * nx + ny * ny;
+                const k = norm > 0 ? ((paint.x1 - paint.x0) * nx + (paint.y1 - paint.y0) * ny) / norm : 0;
+                const x1 = norm > 0 ? paint.x0 + k * nx : paint.x1, y1 = norm > 0 ? paint.y0 + k * ny : paint.y1;
+                const end = span > 0 ? last : first + 1;
+                gradient = {
+                    type: 'linear',
+                    x0: at(paint.x0, x1, first), y0: at(paint.y0, y1, first),
+                    x1: at(paint.x0, x1, end), y1: at(paint.y0, y1, end)
+                };
+            } else if (paint.format === 6) {
+                const end = span > 0 ? last : first + 1;
+                gradient = {
+                    type: 'radial',
+                    x0: at(paint.x0, paint.x1, first), y0: at(paint.y0, paint.y1, first), r0: Math.max(0, at(paint.r0, paint.r1, first)),
+                    x1: at(paint.x0, paint.x1, end), y1: at(paint.y0, paint.y1, end), r1: Math.max(0, at(paint.r0, paint.r1, end))
+                };
+            } else {
+                const start = paint.startAngle * 180, end = paint.endAngle * 180;
+                gradient = {
+                    type: 'sweep',
+                    centerX: paint.centerX, centerY: paint.centerY,
+                    startAngle: at(start, end, first), endAngle: span > 0 ? at(start, end, last) : at(start, end, first + 1)
+                };
+            }
+            gradient.extend = line.extend;
+            gradient.stops = stops;
+            if (matrix.some((v, i) => v !== IDENTITY_AFFINE[i])) gradient.transform = matrix;
+
+            // Solid fallback: the average of the stop colors
+            const colored = stops.filter(stop => stop.color);
+            const average = channel => Math.round(colored.reduce((sum, stop) => sum + parseInt(stop.color.slice(1 + channel * 2, 3 + channel * 2), 16), 0) / colored.length);
+            const hex = v => (v < 16 ? '0' : '') + v.toString(16);
+            const color = { color: colored.length > 0 ? '#' + hex(average(0)) + hex(average(1)) + hex(average(2)) : null };
+            const alpha = stops.reduce((sum, stop) => sum + (stop.alpha !== undefined ? stop.alpha : 1), 0) / stops.length;
+            if (alpha < 1) color.alpha = Math.round(alpha * 1000) / 1000;
+            return { color, gradient };
+        };
+
+        // matrix maps paint space to glyph space; clip is the outline being filled (glyph space)
+        const walk = (offset, matrix, clip, depth) => {
+            if (offset === null || offset === undefined || depth > COLR_MAX_DEPTH) return;
+            const paint = readColrPaint(reader, colr, regionScalars, offset);
+            if (!paint) return;
+            switch (paint.format) {
+                case 1:
+                    for (let i = 0; i < paint.numLayers; i++) {
+                        walk(colr.layerPaints[paint.firstLayerIndex + i], matrix, clip, depth + 1);
+                    }
+                    break;
+                case 2:
+                    if (clip) addLayer(clip, resolveColor(paint.paletteIndex, paint.alpha));
+                    break;
+                case 4:
+                case 6:
+                case 8: {
+                    const fill = clip ? gradientFill(paint, matrix) : null;
+                    if (fill) addLayer(clip, fill.color, fill.gradient);
+                    break;
+                }
+                case 10: {
+                    const outline = outlineOf(paint.glyphID);
+                    walk(paint.paint, matrix, matrix === IDENTITY_AFFINE ? outline : transformOutline(outline, matrix), depth + 1);
+                    break;
+                }
+                case 11:
+                    walk(colr.baseGlyphPaints[paint.glyphID], matrix, clip, depth + 1);
+                    break;
+                case 32: {
+                    // CLEAR draws nothing, SRC only the source, DEST only the backdrop and DEST_OVER
+                    // the source first; other modes are approximated by the source over the backdrop
+                    const mode = paint.compositeMode;
+                    const order = mode === 0 ? [] : mode === 1 ? [paint.sourcePaint] : mode === 2 ? [paint.backdropPaint]
+                        : mode === 4 ? [paint.sourcePaint, paint.backdropPaint] : [paint.backdropPaint, paint.sourcePaint];
+                    for (const child of order) walk(child, matrix, clip, depth + 1);
+                    break;
+                }
+                default:
+                    walk(paint.paint, multiplyAffine(matrix, colrPaintTransform(reader, colr, regionScalars, paint)), clip, depth + 1);
+            }
+        };
+        walk(colr.baseGlyphPaints[glyphId], IDENTITY_AFFINE, null, 0);
+        return layers;
+    }
+
+    // =========================================================================
+    // 'sbix', 'CBLC'/'CBDT' and 'SVG ' tables - bitmap and SVG glyph images
+    // =========================================================================
+    // Glyph images are placed in font units, (x, y) being the bottom-left corner relative to the
+    // glyph origin: bitmaps { format: 'png' | 'jpeg', data (base64), x, y, width, height } and SVG
+    // glyphs { format: 'svg', document, glyphId, x, y, width, height } over the em box of their
+    // advance, document indexing the 'SVG ' document list
+
+    // Pixel size of a PNG or JPEG image, or null
+    function imagePixelSize(bytes, format) {
+        if (format === 'png') {
+            if (bytes.length < 24) return null;
+            const u32 = p => ((bytes[p] << 24) | (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3]) >>> 0;
+            return { width: u32(16), height: u32(20) };
+        }
+        // JPEG: size from the first start-of-frame marker
+        let p = 2;
+        while (p + 9 < bytes.length && bytes[p] === 0xFF) {
+            const marker = bytes[p + 1];
+            if (marker === 0xFF) { p++; continue; }
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return { width: (bytes[p + 7] << 8) | bytes[p + 8], height: (bytes[p + 5] << 8) | bytes[p + 6] };
+            }
+            p += 2 + ((bytes[p + 2] << 8) | bytes[p + 3]);
+        }
+        return null;
+    }
+
+    // Strike for options.bitmapSize (ppem): the smallest one at least that large, else the largest (-1 if none)
+    function selectStrike(ppems, size) {
+        let best = -1;
+        ppems.forEach((ppem, i) => {
+            const current = ppems[best];
+            const better = best < 0 || (size > 0
+                ? (ppem >= size && (current < size || ppem < current)) || (current < size && ppem > current)
+                : ppem > current);
+            if (better) best = i;
+        });
+        return best;
+    }
+
+    // sbix: strikes { ppem, offset }; glyph data offsets are read per glyph
+    function parseSbix(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(4); // version, flags
+        const numStrikes = reader.readUint32();
+        const offsets = [];
+        for (let i = 0; i < numStrikes; i++) offsets.push(table.offset + reader.readUint32());
+        return offsets.map(offset => {
+            reader.seek(offset);
+            return { ppem: reader.readUint16(), offset };
+        });
+    }
+
+    // Image of a glyph in an sbix strike ('dupe' records point at another glyph), or null
+    function readSbixImage(reader, strike, glyphId, unitsPerEm, depth = 0) {
+        reader.seek(strike.offset + 4 + glyphId * 4);
+        const start = reader.readUint32(), end = reader.readUint32();
+        if (end - start <= 8) return null;
+        reader.seek(strike.offset + start);
+        const originOffsetX = reader.readInt16();
+        const originOffsetY = reader.readInt16();
+        const graphicType = reader.readTag();
+        const bytes = reader.readBytes(end - start - 8);
+        if (graphicType === 'dupe') {
+            return depth < 4 && bytes.length >= 2 ? readSbixImage(reader, strike, (bytes[0] << 8) | bytes[1], unitsPerEm, depth + 1) : null;
+        }
+        const format = graphicType === 'png ' ? 'png' : graphicType === 'jpg ' ? 'jpeg' : null;
+        const size = format ? imagePixelSize(bytes, format) : null;
+        if (!size) return null;
+        const scale = unitsPerEm / strike.ppem;
+        return {
+            format, data: encodeBase64(bytes),
+            x: originOffsetX * scale, y: originOffsetY * scale, width: size.width * scale, height: size.height * scale
+        };
+    }
+
+    // CBLC: bitmap sizes { ppemX, ppemY, subtables: [{ firstGlyphIndex, lastGlyphIndex, offset }] }
+    function parseCBLC(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(4); // majorVersion, minorVersion
+        const numSizes = reader.readUint32();
+        const sizes = [];
+        for (let i = 0; i < numSizes; i++) {
+            reader.seek(table.offset + 8 + i * 48);
+            const arrayOffset = table.offset + reader.readUint32();
+            reader.skip(4); // indexTablesSize
+            const count = reader.readUint32();
+            reader.skip(32); // colorRef, hori, vert, startGlyphIndex, endGlyphIndex
+            const ppemX = reader.readUint8();
+            const ppemY = reader.readUint8();
+            sizes.push({ ppemX, ppemY, arrayOffset, count });
+        }
+        return sizes.map(({ ppemX, ppemY, arrayOffset, count }) => {
+            reader.seek(arrayOffset);
+            const subtables = [];
+            for (let i = 0; i < count; i++) {
+                subtables.push({ firstGlyphIndex: reader.readUint16(), lastGlyphIndex: reader.readUint16(), offset: arrayOffset + reader.readUint32() });
+            }
+            return { ppemX, ppemY, subtables };
+        });
+    }
+
+    // PNG image of a glyph in a CBLC bitmap size (CBDT image formats 17, 18 and 19), or null
+    function readCBDTImage(reader, size, cbdtOffset, glyphId, unitsPerEm) {
+        const subtable = size.subtables.find(st => glyphId >= st.firstGlyphIndex && glyphId <= st.lastGlyphIndex);
+        if (!subtable) return null;
+        reader.seek(subtable.offset);
+        const indexFormat = reader.readUint16();
+        const imageFormat = reader.readUint16();
+        const imageDataOffset = cbdtOffset + reader.readUint32();
+        const k = glyphId - subtable.firstGlyphIndex;
+        // BigGlyphMetrics: the horizontal part
+        const readBigMetrics = () => {
+            const metrics = { height: reader.readUint8(), width: reader.readUint8(), bearingX: reader.readInt8(), bearingY: reader.readInt8() };
+            reader.skip(4); // horiAdvance, vertBearingX, vertBearingY, vertAdvance
+            return metrics;
+        };
+
+        let offset = -1, metrics = null;
+        switch (indexFormat) {
+            case 1:
+            case 3: {
+                const entrySize = indexFormat === 1 ? 4 : 2;
+                reader.skip(k * entrySize);
+                const start = indexFormat === 1 ? reader.readUint32() : reader.readUint16();
+                const end = indexFormat === 1 ? reader.readUint32() : reader.readUint16();
+                if (end > start) offset = start;
+                break;
+            }
+            case 2: {
+                const imageSize = reader.readUint32();
+                metrics = readBigMetrics();
+                offset = imageSize * k;
+                break;
+            }
+            case 4: {
+                const numGlyphs = reader.readUint32();
+                for (let i = 0; i < numGlyphs; i++) {
+                    const id = reader.readUint16(), start = reader.readUint16();
+                    if (id === glyphId) { offset = start; break; }
+                }
+                break;
+            }
+            case 5: {
+                const imageSize = reader.readUint32();
+                metrics = readBigMetrics();
+                const numGlyphs = reader.readUint32();
+                for (let i = 0; i < numGlyphs; i++) {
+                    if (reader.readUint16() === glyphId) { offset = imageSize * i; break; }
+                }
+                break;
+            }
+        }
+        if (offset < 0) return null;
+
+        reader.seek(imageDataOffset + offset);
+        if (imageFormat === 17) {
+            metrics = { height: reader.readUint8(), width: reader.readUint8(), bearingX: reader.readInt8(), bearingY: reader.readInt8() };
+            reader.skip(1); // advance
+        } else if (imageFormat === 18) {
+            metrics = readBigMetrics();
+        } else if (imageFormat !== 19) {
+            return null;
+        }
+        if (!metrics) return null;
+        const bytes = reader.readBytes(reader.readUint32());
+        const scaleX = unitsPerEm / size.ppemX, scaleY = unitsPerEm / size.ppemY;
+        return {
+            format: 'png', data: encodeBase64(bytes),
+            x: metrics.bearingX * scaleX, y: (metrics.bearingY - metrics.height) * scaleY,
+            width: metrics.width * scaleX, height: metrics.height * scaleY
+        };
+    }
+
+    // 'SVG ': document records [{ startGlyphID, endGlyphID, offset, length }] sorted by glyph ID
+    function parseSVGTable(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(2); // version
+        const listOffset = table.offset + reader.readUint32();
+        reader.seek(listOffset);
+        const numEntries = reader.readUint16();
+        const records = [];
+        for (let i = 0; i < numEntries; i++) {
+            records.push({
+                startGlyphID: reader.readUint16(), endGlyphID: reader.readUint16(),
+                offset: listOffset + reader.readUint32(), length: reader.readUint32()
+            });
+        }
+        return records;
+    }
+
+    // Index of the document record covering a glyph, or -1
+    function findSVGDocument(records, glyphId) {
+        let lo = 0, hi = records.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (glyphId < records[mid].startGlyphID) hi = mid - 1;
+            else if (glyphId > records[mid].endGlyphID) lo = mid + 1;
+            else return mid;
+        }
+        return -1;
+    }
+
+    // Text of an SVG document (gzip-compressed documents are inflated)
+    function readSVGDocument(reader, record) {
+        reader.seek(record.offset);
+        let bytes = reader.readBytes(record.length);
+        if (bytes[0] === 0x1F && bytes[1] === 0x8B) {
+            // gzip member: 10-byte header, then the optional extra field, name, comment and header CRC
+            const flags = bytes[3];
+            let p = 10;
+            if (flags & 4) p += 2 + (bytes[p] | (bytes[p + 1] << 8));
+            if (flags & 8) while (bytes[p++] !== 0) { /* file name */ }
+            if (flags & 16) while (bytes[p++] !== 0) { /* comment */ }
+            if (flags & 2) p += 2;
+            bytes = inflate(bytes.subarray(p));
+        }
+        return new TextDecoder('utf-8').decode(bytes);
+    }
+
+    // Standalone SVG of one glyph: the font's document in <defs>, the glyph element drawn with <use>
+    // and the image box as viewBox (SVG glyphs are drawn y-down from the glyph origin)
+    function svgGlyphDocument(documentText, image) {
+        const body = documentText.replace(/<\?xml[^>]*\?>/, '').replace(/<!DOCTYPE[^>[]*(\[[^\]]*\])?\s*>/, '');
+        return '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ' +
+            `viewBox="${image.x} ${-(image.y + image.height)} ${image.width} ${image.height}" width="${image.width}" height="${image.height}">` +
+            `<defs>${body}</defs><use xlink:href="#glyph${image.glyphId}"/></svg>`;
+    }
+
+    // Data URL of a glyph image; SVG glyphs read their document from svgDocuments (json.svgDocuments)
+    function glyphImageURL(image, svgDocuments) {
+        if (image.format !== 'svg') return `data:image/${image.format};base64,${image.data}`;
+        const documentText = svgDocuments && svgDocuments[image.document];
+        return documentText ? 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgGlyphDocument(documentText, image)) : null;
+    }
+
+    // =========================================================================
+    // 'name' table
+    // =========================================================================
+    function parseName(reader, table) {
+        reader.seek(table.offset);
+        const format = reader.readUint16();
+        const count = reader.readUint16();
+        const stringOffset = reader.readUint16();
+        const storageBase = table.offset + stringOffset;
+
+        const names = {}, ranks = {};
+        for (let i = 0; i < count; i++) {
+            const platformID = reader.readUint16();
+            const encodingID = reader.readUint16();
+            const languageID = reader.readUint16();
+            const nameID = reader.readUint16();
+            const length = reader.readUint16();
+            const offset = reader.readUint16();
+
+            const savedOffset = reader.tell();
+            reader.seek(storageBase + offset);
+
+            let str;
+            if (platformID === 3 || platformID === 0) {
+                str = reader.readString(length, 'utf16be');
+            } else {
+                str = reader.readString(length, 'ascii');
+            }
+            reader.seek(savedOffset);
+
+            // Prefer Windows English (US), then any Windows record, then the first encountered
+            const rank = platformID === 3 ? (languageID === 0x409 ? 2 : 1) : 0;
+            if (!(nameID in names) || rank > ranks[nameID]) {
+                names[nameID] = str;
+                ranks[nameID] = rank;
+            }
+        }
+        return {
+            copyright: names[0] || '',
+            fontFamily: names[1] || '',
+            fontSubfamily: names[2] || '',
+            uniqueID: names[3] || '',
+            fullName: names[4] || '',
+            version: names[5] || '',
+            postScriptName: names[6] || '',
+            designer: names[9] || '',
+            license: names[13] || '',
+            byID: names // all names by name ID (fvar/STAT reference IDs >= 256)
+        };
+    }
+
+    // =========================================================================
+    // 'OS/2' table
+    // =========================================================================
+    function parseOS2(reader, table) {
+        if (!table) return null;
+        reader.seek(table.offset);
+        const version = reader.readUint16();
+        reader.skip(2); // xAvgCharWidth
+        const usWeightClass = reader.readUint16();
+        reader.skip(2); // usWidthClass
+        reader.skip(2); // fsType
+        reader.skip(16); // ySubscript* (4 fields) + ySuperscript* (4 fields)
+        reader.skip(4); // yStrikeoutSize + yStrikeoutPosition
+        reader.skip(2); // sFamilyClass
+        reader.skip(10); // panose
+        reader.skip(16); // ulUnicode
+        reader.skip(4); // achVendID
+        const fsSelection = reader.readUint16();
+        reader.skip(4); // usFirst/LastCharIndex
+        const sTypoAscender = reader.readInt16();
+        const sTypoDescender = reader.readInt16();
+        const sTypoLineGap = reader.readInt16();
+        const usWinAscent = reader.readUint16();
+        const usWinDescent = reader.readUint16();
+
+        return { version, usWeightClass, fsSelection, sTypoAscender, sTypoDescender, sTypoLineGap, usWinAscent, usWinDescent };
+    }
+
+    // =========================================================================
+    // 'post' table
+    // =========================================================================
+    function parsePost(reader, table) {
+        reader.seek(table.offset);
+        const format = reader.readFixed();
+        const italicAngle = reader.readFixed();
+        const underlinePosition = reader.readInt16();
+        const underlineThickness = reader.readInt16();
+        const isFixedPitch = reader.readUint32();
+        return { format, italicAngle, underlinePosition, underlineThickness, isFixedPitch };
+    }
+
+    // =========================================================================
+    // 'cmap' table - Character to Glyph mapping
+    // =========================================================================
+    // Subtables keep their segment/group structure instead of one entry per code point:
+    // segments [{ start, end, delta, wrap, glyphs }] give the glyph of code point c as
+    // glyphs[c - start] when a glyph array is present, otherwise c + delta (mod 65536 when wrap).
+    // Returns { charToGlyph(codePoint), glyphToChars(glyphId), codePoints() } (glyph 0 is unmapped).
+    function parseCmap(reader, table) {
+        reader.seek(table.offset);
+        const version = reader.readUint16();
+        const numSubtables = reader.readUint16();
+
+        // Find best subtable: prefer format 12 (full Unicode), then format 4 (BMP)
+        let bestSubtable = null;
+        let bestPriority = -1;
 
         for (let i = 0; i < numSubtables; i++) {
             const platformID = reader.readUint16();
@@ -506,14 +2054,116 @@ var FontEngine3D = (() => {
         reader.seek(bestSubtable.offset);
         const format = reader.readUint16();
 
-        if (format === 4) return parseCmapFormat4(reader, bestSubtable.offset);
-        if (format === 12) return parseCmapFormat12(reader, bestSubtable.offset);
-        if (format === 6) return parseCmapFormat6(reader, bestSubtable.offset);
-        if (format === 0) return parseCmapFormat0(reader, bestSubtable.offset);
+        if (format === 4) return createCmapLookup(parseCmapFormat4(reader, bestSubtable.offset));
+        if (format === 12) return createCmapLookup(parseCmapFormat12(reader, bestSubtable.offset));
+        if (format === 6) return createCmapLookup(parseCmapFormat6(reader, bestSubtable.offset));
+        if (format === 0) return createCmapLookup(parseCmapFormat0(reader, bestSubtable.offset));
 
         throw new Error(`Unsupported cmap format: ${format}`);
     }
 
+    function createCmapLookup(segments) {
+        segments.sort((a, b) => a.start - b.start);
+        const glyphAt = (seg, c) => {
+            if (seg.glyphs) return seg.glyphs[c - seg.start];
+            return seg.wrap ? (c + seg.delta) & 0xFFFF : c + seg.delta;
+        };
+
+        // Binary search for the segment containing the code point
+        function charToGlyph(codePoint) {
+            let lo = 0, hi = segments.length - 1;
+            while (lo <= hi) {
+                const mid = (lo + hi) >> 1;
+                const seg = segments[mid];
+                if (codePoint < seg.start) hi = mid - 1;
+                else if (codePoint > seg.end) lo = mid + 1;
+                else return glyphAt(seg, codePoint) || undefined;
+            }
+            return undefined;
+        }
+
+        // Code points mapped to a glyph, in ascending order; one pass over the segments
+        function glyphToChars(glyphId) {
+            const result = [];
+            if (!glyphId) return result;
+            for (const seg of segments) {
+                if (seg.glyphs) {
+                    seg.glyphs.forEach((gid, i) => { if (gid === glyphId) result.push(seg.start + i); });
+                } else {
+                    const c = seg.wrap ? (((glyphId - seg.delta) % 0x10000) + 0x10000) % 0x10000 : glyphId - seg.delta;
+                    if (c >= seg.start && c <= seg.end) result.push(c);
+                }
+            }
+            return result;
+        }
+
+        // Full enumeration of the mapped code points, in ascending order
+        function codePoints() {
+            const result = [];
+            for (const seg of segments) {
+                for (let c = seg.start; c <= seg.end; c++) {
+                    if (glyphAt(seg, c)) result.push(c);
+                }
+            }
+            return result;
+        }
+
+        return { charToGlyph, glyphToChars, codePoints };
+    }
+
+    // Format 14 (platform 0, encoding 5): Unicode Variation Sequences
+    // Returns { selector: { defaults: [[start, end]], glyphs: { base: gid } } } or null.
+    // Bases in a default range keep their cmap glyph; the others map to the given glyph.
+    function parseCmapVariations(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(2); // version
+        const numSubtables = reader.readUint16();
+        let subtableOffset = -1;
+        for (let i = 0; i < numSubtables; i++) {
+            const platformID = reader.readUint16();
+            const encodingID = reader.readUint16();
+            const offset = reader.readUint32();
+            if (platformID === 0 && encodingID === 5) subtableOffset = table.offset + offset;
+        }
+        if (subtableOffset < 0) return null;
+
+        reader.seek(subtableOffset);
+        if (reader.readUint16() !== 14) return null;
+        reader.skip(4); // length
+        const numRecords = reader.readUint32();
+        const records = [];
+        for (let i = 0; i < numRecords; i++) {
+            records.push({
+                selector: reader.readUint24(),
+                defaultOffset: reader.readUint32(),
+                nonDefaultOffset: reader.readUint32()
+            });
+        }
+
+        const variations = {};
+        for (const { selector, defaultOffset, nonDefaultOffset } of records) {
+            const entry = { defaults: [], glyphs: {} };
+            if (defaultOffset) {
+                reader.seek(subtableOffset + defaultOffset);
+                const numRanges = reader.readUint32();
+                for (let i = 0; i < numRanges; i++) {
+                    const start = reader.readUint24();
+                    entry.defaults.push([start, start + reader.readUint8()]);
+                }
+            }
+            if (nonDefaultOffset) {
+                reader.seek(subtableOffset + nonDefaultOffset);
+                const numMappings = reader.readUint32();
+                for (let i = 0; i < numMappings; i++) {
+                    const base = reader.readUint24();
+                    entry.glyphs[base] = reader.readUint16();
+                }
+            }
+            variations[selector] = entry;
+        }
+        return variations;
+    }
+
     function parseCmapFormat4(reader, tableOffset) {
         reader.seek(tableOffset);
         reader.skip(2); // format (already read, re-read for consistency)
@@ -533,7 +2183,7 @@ var FontEngine3D = (() => {
         const idRangeOffsets = [];
         for (let i = 0; i < segCount; i++) idRangeOffsets.push(reader.readUint16());
 
-        const mapping = {};
+        const segments = [];
         for (let i = 0; i < segCount; i++) {
             const start = startCodes[i];
             const end = endCodes[i];
@@ -541,21 +2191,22 @@ var FontEngine3D = (() => {
             const rangeOffset = idRangeOffsets[i];
 
             if (start === 0xFFFF) break;
+            if (end < start) continue;
 
-            for (let c = start; c <= end; c++) {
-                let glyphId;
-                if (rangeOffset === 0) {
-                    glyphId = (c + delta) & 0xFFFF;
-                } else {
-                    const offsetAddr = idRangeOffsetPos + i * 2 + rangeOffset + (c - start) * 2;
-                    reader.seek(offsetAddr);
-                    glyphId = reader.readUint16();
-                    if (glyphId !== 0) glyphId = (glyphId + delta) & 0xFFFF;
+            if (rangeOffset === 0) {
+                segments.push({ start, end, delta, wrap: true });
+            } else {
+                // Glyph index array: read this segment's glyphs once
+                const glyphs = new Uint16Array(end - start + 1);
+                reader.seek(idRangeOffsetPos + i * 2 + rangeOffset);
+                for (let c = start; c <= end; c++) {
+                    const glyphId = reader.readUint16();
+                    glyphs[c - start] = glyphId !== 0 ? (glyphId + delta) & 0xFFFF : 0;
                 }
-                if (glyphId !== 0) mapping[c] = glyphId;
+                segments.push({ start, end, glyphs });
             }
         }
-        return mapping;
+        return segments;
     }
 
     function parseCmapFormat12(reader, tableOffset) {
@@ -566,16 +2217,15 @@ var FontEngine3D = (() => {
         reader.skip(4); // language
         const numGroups = reader.readUint32();
 
-        const mapping = {};
+        const segments = [];
         for (let i = 0; i < numGroups; i++) {
             const startCharCode = reader.readUint32();
             const endCharCode = reader.readUint32();
             const startGlyphID = reader.readUint32();
-            for (let c = startCharCode; c <= endCharCode; c++) {
-                mapping[c] = startGlyphID + (c - startCharCode);
-            }
+            if (endCharCode < startCharCode) continue;
+            segments.push({ start: startCharCode, end: endCharCode, delta: startGlyphID - startCharCode, wrap: false });
         }
-        return mapping;
+        return segments;
     }
 
     function parseCmapFormat6(reader, tableOffset) {
@@ -585,12 +2235,10 @@ var FontEngine3D = (() => {
         reader.skip(2); // language
         const firstCode = reader.readUint16();
         const entryCount = reader.readUint16();
-        const mapping = {};
-        for (let i = 0; i < entryCount; i++) {
-            const gid = reader.readUint16();
-            if (gid !== 0) mapping[firstCode + i] = gid;
-        }
-        return mapping;
+        if (entryCount === 0) return [];
+        const glyphs = new Uint16Array(entryCount);
+        for (let i = 0; i < entryCount; i++) glyphs[i] = reader.readUint16();
+        return [{ start: firstCode, end: firstCode + entryCount - 1, glyphs }];
     }
 
     function parseCmapFormat0(reader, tableOffset) {
@@ -598,54 +2246,167 @@ var FontEngine3D = (() => {
         reader.skip(2); // format
         reader.skip(2); // length
         reader.skip(2); // language
-        const mapping = {};
-        for (let i = 0; i < 256; i++) {
-            const gid = reader.readUint8();
-            if (gid !== 0) mapping[i] = gid;
-        }
-        return mapping;
+        const glyphs = new Uint16Array(256);
+        for (let i = 0; i < 256; i++) glyphs[i] = reader.readUint8();
+        return [{ start: 0, end: 255, glyphs }];
     }
 
     // =========================================================================
     // 'kern' table - Kerning (legacy format)
     // =========================================================================
+    // Microsoft (version 0) and Apple (version 1) headers; formats 0 (pair list), 2 (class
+    // array) and 3 (Apple compact classes). Only horizontal, non-cross-stream subtables count;
+    // values of successive subtables add up unless a subtable has the override bit.
     function parseKern(reader, table) {
         reader.seek(table.offset);
-        const version = reader.readUint16();
-        const nTables = reader.readUint16();
+        const isApple = reader.readUint16() === 1;
+        let nTables;
+        if (isApple) {
+            reader.skip(2); // minor half of the 16.16 version
+            nTables = reader.readUint32();
+        } else {
+            nTables = reader.readUint16();
+        }
         const pairs = {};
+        const tableEnd = table.offset + table.length;
 
-        for (let t = 0; t < nTables; t++) {
-            const subtableVersion = reader.readUint16();
-            const length = reader.readUint16();
-            const coverage = reader.readUint16();
-            const format = coverage >> 8;
+        let start = reader.tell();
+        for (let t = 0; t < nTables && start < tableEnd; t++) {
+            reader.seek(start);
+            let length, format, usable, override = false;
+            if (isApple) {
+                length = reader.readUint32();
+                const coverage = reader.readUint16();
+                reader.skip(2); // tupleIndex
+                format = coverage & 0xFF;
+                // vertical, cross-stream and variation subtables are not used
+                usable = (coverage & 0xE000) === 0;
+            } else {
+                reader.skip(2); // subtable version
+                length = reader.readUint16();
+                const coverage = reader.readUint16();
+                format = coverage >> 8;
+                // horizontal only; minimum and cross-stream subtables are not used
+                usable = (coverage & 0x0007) === 0x0001;
+                override = (coverage & 0x0008) !== 0;
+            }
+            const headerSize = reader.tell() - start;
+
+            const add = (left, right, value) => {
+                if (!pairs[left]) pairs[left] = {};
+                const sum = override ? value : (pairs[left][right] || 0) + value;
+                if (sum !== 0) pairs[left][right] = sum;
+                else delete pairs[left][right];
+            };
 
             if (format === 0) {
                 // Format 0: ordered list of kerning pairs
                 const nPairs = reader.readUint16();
                 reader.skip(6); // searchRange, entrySelector, rangeShift
-                for (let i = 0; i < nPairs; i++) {
+                // The 16-bit length overflows in large Microsoft subtables; the pair count does not
+                if (!isApple) length = headerSize + 8 + nPairs * 6;
+                for (let i = 0; usable && i < nPairs; i++) {
                     const left = reader.readUint16();
                     const right = reader.readUint16();
                     const value = reader.readInt16();
-                    if (value !== 0) {
-                        if (!pairs[left]) pairs[left] = {};
-                        pairs[left][right] = value;
-                    }
+                    if (value !== 0 || override) add(left, right, value);
                 }
-            } else {
-                // Skip unsupported formats
-                reader.skip(length - 6);
+            } else if (format === 2 && usable) {
+                parseKernClassArray(reader, start, add);
+            } else if (format === 3 && usable) {
+                parseKernCompactClasses(reader, add);
             }
+            // Other formats (Apple state tables) are skipped
+            start += length;
+        }
+        for (const left of Object.keys(pairs)) {
+            if (Object.keys(pairs[left]).length === 0) delete pairs[left];
         }
         return pairs;
     }
 
+    // Format 2: left class values are byte offsets from the subtable start to a row of the kerning
+    // array, right class values byte offsets within the row
+    function parseKernClassArray(reader, subtableStart, add) {
+        reader.skip(2); // rowWidth
+        const leftClassOffset = reader.readUint16();
+        const rightClassOffset = reader.readUint16();
+        reader.skip(2); // kerningArrayOffset (already part of the left class values)
+
+        const readClasses = (offset) => {
+            reader.seek(subtableStart + offset);
+            const firstGlyph = reader.readUint16();
+            const nGlyphs = reader.readUint16();
+            const classes = new Map();
+            for (let i = 0; i < nGlyphs; i++) {
+                const value = reader.readUint16();
+                if (value) classes.set(firstGlyph + i, value);
+            }
+            return classes;
+        };
+        const leftClasses = readClasses(leftClassOffset);
+        const rightClasses = readClasses(rightClassOffset);
+
+        const values = new Map();
+        const valueAt = (offset) => {
+            if (!values.has(offset)) {
+                reader.seek(subtableStart + offset);
+                values.set(offset, reader.readInt16());
+            }
+            return values.get(offset);
+        };
+        for (const [left, row] of leftClasses) {
+            for (const [right, column] of rightClasses) {
+                const value = valueAt(row + column);
+                if (value !== 0) add(left, right, value);
+            }
+        }
+    }
+
+    // Format 3 (Apple): one byte class per glyph and a byte index into a shared value list
+    function parseKernCompactClasses(reader, add) {
+        const glyphCount = reader.readUint16();
+        const kernValueCount = reader.readUint8();
+        const leftClassCount = reader.readUint8();
+        const rightClassCount = reader.readUint8();
+        reader.skip(1); // flags
+        const kernValues = [];
+        for (let i = 0; i < kernValueCount; i++) kernValues.push(reader.readInt16());
+        const leftClass = [];
+        for (let i = 0; i < glyphCount; i++) leftClass.push(reader.readUint8());
+        const rightClass = [];
+        for (let i = 0; i < glyphCount; i++) rightClass.push(reader.readUint8());
+        const kernIndex = [];
+        for (let i = 0; i < leftClassCount * rightClassCount; i++) kernIndex.push(reader.readUint8());
+
+        // Glyphs grouped by class so each class pair is looked up once
+        const group = (classes, count) => {
+            const members = Array.from({ length: count }, () => []);
+            classes.forEach((c, gid) => { if (c < count) members[c].push(gid); });
+            return members;
+        };
+        const lefts = group(leftClass, leftClassCount);
+        const rights = group(rightClass, rightClassCount);
+        for (let l = 0; l < leftClassCount; l++) {
+            for (let r = 0; r < rightClassCount; r++) {
+                const value = kernValues[kernIndex[l * rightClassCount + r]] || 0;
+                if (value === 0) continue;
+                for (const left of lefts[l]) {
+                    for (const right of rights[r]) add(left, right, value);
+                }
+            }
+        }
+    }
+
     // =========================================================================
-    // 'GPOS' table - Glyph Positioning (OpenType) - pair adjustment only
+    // 'GPOS' table - Glyph Positioning (OpenType)
     // =========================================================================
-    function parseGPOS(reader, table) {
+    // Single/pair adjustment (types 1, 2), cursive attachment (type 3) and mark attachment
+    // (types 4–6) are kept per lookup, in the same shape as GSUB:
+    //   { scripts, features, lookups: [{ type, flag, markFilteringSet, subtables }] }
+    // Extension lookups (type 9) are resolved to their wrapped type. Subtables that fail to parse
+    // are left out and described in errors.
+    function parseGPOS(reader, table, errors) {
         const base = table.offset;
         reader.seek(base);
         const majorVersion = reader.readUint16();
@@ -654,7 +2415,8 @@ var FontEngine3D = (() => {
         const featureListOffset = reader.readUint16();
         const lookupListOffset = reader.readUint16();
 
-        const pairs = {};
+        const scripts = parseScriptList(reader, base + scriptListOffset);
+        const features = parseFeatureList(reader, base + featureListOffset);
 
         // Parse LookupList
         reader.seek(base + lookupListOffset);
@@ -664,44 +2426,85 @@ var FontEngine3D = (() => {
             lookupOffsets.push(reader.readUint16());
         }
 
-        for (const lkOff of lookupOffsets) {
+        const lookups = lookupOffsets.map((lkOff, lookupIndex) => {
             const lookupAddr = base + lookupListOffset + lkOff;
             reader.seek(lookupAddr);
-            const lookupType = reader.readUint16();
+            let lookupType = reader.readUint16();
             const lookupFlag = reader.readUint16();
             const subTableCount = reader.readUint16();
-            const subTableOffsets = [];
+            const subTableAddrs = [];
             for (let i = 0; i < subTableCount; i++) {
-                subTableOffsets.push(reader.readUint16());
+                subTableAddrs.push(lookupAddr + reader.readUint16());
             }
+            const markFilteringSet = (lookupFlag & 0x0010) ? reader.readUint16() : undefined;
 
-            // Only parse PairPos (type 2)
-            if (lookupType !== 2) continue;
-
-            for (const stOff of subTableOffsets) {
+            const subtables = [];
+            const isExtension = lookupType === 9;
+            subTableAddrs.forEach((addr, subtableIndex) => {
                 try {
-                    parseGPOSPairPos(reader, lookupAddr + stOff, pairs);
+                    let type = lookupType;
+                    if (isExtension) {
+                        // Extension: format, extensionLookupType, extensionOffset (32-bit)
+                        reader.seek(addr + 2);
+                        type = reader.readUint16();
+                        addr += reader.readUint32();
+                        lookupType = type;
+                    }
+                    if (type === 1) {
+                        subtables.push(parseGPOSSinglePos(reader, addr));
+                    } else if (type === 2) {
+                        subtables.push(parseGPOSPairPos(reader, addr));
+                    } else if (type === 3) {
+                        subtables.push(parseGPOSCursivePos(reader, addr));
+                    } else if (type >= 4 && type <= 6) {
+                        subtables.push(parseGPOSMarkPos(reader, addr, type));
+                    }
                 } catch (e) {
-                    // Skip broken subtables
+                    errors.push(`GPOS lookup ${lookupIndex} subtable ${subtableIndex}: ${e.message}`);
                 }
-            }
+            });
+            // Other lookup types (contextual) stay as empty placeholders
+            const lookup = { type: lookupType, flag: lookupFlag, subtables };
+            if (markFilteringSet !== undefined) lookup.markFilteringSet = markFilteringSet;
+            return lookup;
+        });
+
+        return { scripts, features, lookups };
+    }
+
+    // Single adjustment: { map: { gid: value } }
+    function parseGPOSSinglePos(reader, offset) {
+        reader.seek(offset);
+        const posFormat = reader.readUint16();
+        const coverageOffset = reader.readUint16();
+        const valueFormat = reader.readUint16();
+        const values = [];
+        if (posFormat === 1) {
+            values.push(readValueRecord(reader, valueFormat));
+        } else if (posFormat === 2) {
+            const valueCount = reader.readUint16();
+            for (let i = 0; i < valueCount; i++) values.push(readValueRecord(reader, valueFormat));
         }
-        return pairs;
+
+        const map = {};
+        parseGPOSCoverage(reader, offset + coverageOffset).forEach((gid, i) => {
+            const value = posFormat === 1 ? values[0] : values[i];
+            if (value) map[gid] = value;
+        });
+        return { map };
     }
 
-    function parseGPOSPairPos(reader, offset, pairs) {
+    // Pair adjustment, with a value for each glyph of the pair ([value1, value2]):
+    //   format 1: { format, pairs: { gid1: { gid2: [value1, value2] } }, adjustsSecond }
+    //   format 2: { format, coverage, classDef1, classDef2, matrix: [class1][class2] → [value1, value2] | null, adjustsSecond }
+    // adjustsSecond: the second glyph has a value record, so it cannot start the next pair
+    function parseGPOSPairPos(reader, offset) {
         reader.seek(offset);
         const posFormat = reader.readUint16();
         const coverageOffset = reader.readUint16();
         const valueFormat1 = reader.readUint16();
         const valueFormat2 = reader.readUint16();
-
-        // Only handle xAdvance in valueFormat1 (bit 2 = 0x0004)
-        const vf1Size = countValueRecordSize(valueFormat1);
-        const vf2Size = countValueRecordSize(valueFormat2);
-
-        // Parse coverage to get first glyph set
-        const coverage = parseGPOSCoverage(reader, offset + coverageOffset);
+        const adjustsSecond = valueFormat2 !== 0;
 
         if (posFormat === 1) {
             // Format 1: individual pairs
@@ -711,24 +2514,27 @@ var FontEngine3D = (() => {
                 pairSetOffsets.push(reader.readUint16());
             }
 
+            // Parse coverage to get first glyph set
+            const coverage = parseGPOSCoverage(reader, offset + coverageOffset);
+            const pairs = {};
             for (let i = 0; i < pairSetCount; i++) {
                 const firstGlyph = coverage[i];
                 if (firstGlyph === undefined) continue;
                 reader.seek(offset + pairSetOffsets[i]);
                 const pairValueCount = reader.readUint16();
-
+                const seconds = {};
                 for (let j = 0; j < pairValueCount; j++) {
                     const secondGlyph = reader.readUint16();
                     const val1 = readValueRecord(reader, valueFormat1);
                     const val2 = readValueRecord(reader, valueFormat2);
-                    const kern = val1.xAdvance || 0;
-                    if (kern !== 0) {
-                        if (!pairs[firstGlyph]) pairs[firstGlyph] = {};
-                        pairs[firstGlyph][secondGlyph] = kern;
-                    }
+                    seconds[secondGlyph] = [val1, val2];
                 }
+                pairs[firstGlyph] = seconds;
             }
-        } else if (posFormat === 2) {
+            return { format: 1, pairs, adjustsSecond };
+        }
+
+        if (posFormat === 2) {
             // Format 2: class-based pairs
             const classDef1Offset = reader.readUint16();
             const classDef2Offset = reader.readUint16();
@@ -742,49 +2548,150 @@ var FontEngine3D = (() => {
                 for (let c2 = 0; c2 < class2Count; c2++) {
                     const val1 = readValueRecord(reader, valueFormat1);
                     const val2 = readValueRecord(reader, valueFormat2);
-                    row.push(val1.xAdvance || 0);
+                    row.push(val1 || val2 ? [val1, val2] : null);
                 }
                 matrix.push(row);
             }
 
-            // Parse class definitions
-            const classDef1 = parseGPOSClassDef(reader, offset + classDef1Offset);
-            const classDef2 = parseGPOSClassDef(reader, offset + classDef2Offset);
+            return {
+                format: 2,
+                coverage: parseCoverageMap(reader, offset + coverageOffset),
+                classDef1: parseGPOSClassDef(reader, offset + classDef1Offset),
+                classDef2: parseGPOSClassDef(reader, offset + classDef2Offset),
+                matrix,
+                adjustsSecond
+            };
+        }
+        throw new Error(`Unsupported PairPos format ${posFormat}`);
+    }
 
-            // Build glyph-to-glyph kerning from classes
-            for (const gid of coverage) {
-                const c1 = classDef1[gid] || 0;
-                for (const [gid2Str, c2] of Object.entries(classDef2)) {
-                    const kern = matrix[c1]?.[c2] || 0;
-                    if (kern !== 0) {
-                        const gid2 = parseInt(gid2Str);
-                        if (!pairs[gid]) pairs[gid] = {};
-                        pairs[gid][gid2] = kern;
+    // Flatten the selected pair adjustment lookups into glyph-pair kerning (first glyph's x-advance):
+    // { gid1: { gid2: value } }. Successive lookups add up. Pairs with a glyph the lookup flags
+    // skip (IgnoreMarks, mark filtering sets, ...) never meet in layout and are left out.
+    function collectGPOSKerning(gpos, lookups, gdef) {
+        const pairs = {};
+        for (const { index } of lookups) {
+            const lookup = gpos.lookups[index];
+            if (!lookup || lookup.type !== 2) continue;
+            const lookupPairs = {};
+            for (const st of lookup.subtables) addPairKerning(st, lookupPairs);
+            for (const [left, rights] of Object.entries(lookupPairs)) {
+                if (isIgnoredByLookup(lookup, left, gdef)) continue;
+                for (const [right, value] of Object.entries(rights)) {
+                    if (isIgnoredByLookup(lookup, right, gdef)) continue;
+                    if (!pairs[left]) pairs[left] = {};
+                    pairs[left][right] = (pairs[left][right] || 0) + value;
+                }
+            }
+        }
+        return pairs;
+    }
+
+    // Compact form of the selected pair adjustment lookups, keyed by character (first glyph's x-advance):
+    //   [ lookup: [ subtable: { pairs: { ch1: { ch2: value } } }
+    //                       | { left: { ch: class1 }, right: { ch: class2 }, matrix: [[value]] } ] ]
+    // Within a lookup the first subtable that matches wins; successive lookups add up.
+    // Right class -1 marks a glyph the lookup flags skip; it never pairs in that lookup.
+    // Only the classes of the given characters are kept, renumbered in order of first use.
+    // Glyph-pair subtables (format 1) stay pairs, so a font that kerns glyph by glyph comes out no smaller
+    // than with kerning; the saving is in class subtables and in converting a subset of the characters.
+    function collectGPOSKerningClasses(gpos, lookups, gdef, glyphs) {
+        const charsByGid = {};
+        for (const [char, glyph] of Object.entries(glyphs)) {
+            (charsByGid[glyph.gid] = charsByGid[glyph.gid] || []).push(char);
+        }
+        const kerningValue = value => (value && value[0] ? value[0][2] : 0);
+
+        const result = [];
+        for (const { index } of lookups) {
+            const lookup = gpos.lookups[index];
+            if (!lookup || lookup.type !== 2) continue;
+            const ignored = gid => isIgnoredByLookup(lookup, gid, gdef);
+            const subtables = [];
+            for (const st of lookup.subtables) {
+                if (st.format === 1) {
+                    const pairs = {};
+                    for (const [gid1, seconds] of Object.entries(st.pairs)) {
+                        if (!charsByGid[gid1] || ignored(gid1)) continue;
+                        const row = {};
+                        for (const [gid2, value] of Object.entries(seconds)) {
+                            if (ignored(gid2)) continue;
+                            for (const ch2 of charsByGid[gid2] || []) row[ch2] = kerningValue(value);
+                        }
+                        for (const ch1 of charsByGid[gid1]) pairs[ch1] = row;
+                    }
+                    if (Object.keys(pairs).length > 0) subtables.push({ pairs });
+                } else {
+                    const rows = new Map([[0, 0]]), columns = new Map([[0, 0]]);
+                    const left = {};
+                    for (const gid1 of Object.keys(st.coverage)) {
+                        if (ignored(gid1) || !charsByGid[gid1]) continue;
+                        const c1 = renumberClass(rows, st.classDef1[gid1] || 0);
+                        for (const ch1 of charsByGid[gid1]) left[ch1] = c1;
+                    }
+                    if (Object.keys(left).length === 0) continue;
+                    const right = {};
+                    for (const [gid2, chars] of Object.entries(charsByGid)) {
+                        const c2 = ignored(gid2) ? -1 : renumberClass(columns, st.classDef2[gid2] || 0);
+                        if (c2 !== 0) for (const ch2 of chars) right[ch2] = c2;
                     }
+                    const matrix = compactClassMatrix(st.matrix, rows, columns).map(row => row.map(kerningValue));
+                    subtables.push({ left, right, matrix });
                 }
             }
+            if (subtables.length > 0) result.push(subtables);
         }
+        return result;
+    }
+
+    // New number of a class in a renumbering map (old → new, class 0 first), added on first use
+    function renumberClass(numbers, cls) {
+        if (!numbers.has(cls)) numbers.set(cls, numbers.size);
+        return numbers.get(cls);
+    }
+
+    // Rows and columns of a class matrix for the renumbered classes, in their new order
+    function compactClassMatrix(matrix, rows, columns) {
+        return Array.from(rows.keys(), c1 => Array.from(columns.keys(), c2 => (matrix[c1] && matrix[c1][c2]) || null));
     }
 
-    function countValueRecordSize(valueFormat) {
-        let size = 0;
-        for (let i = 0; i < 8; i++) {
-            if (valueFormat & (1 << i)) size += 2;
+    // Within one lookup the first subtable that has a pair wins
+    function addPairKerning(st, pairs) {
+        const add = (gid1, gid2, value) => {
+            const kern = value[0] ? value[0][2] : 0;
+            if (kern === 0) return;
+            if (!pairs[gid1]) pairs[gid1] = {};
+            if (pairs[gid1][gid2] === undefined) pairs[gid1][gid2] = kern;
+        };
+        if (st.format === 1) {
+            for (const [gid1, seconds] of Object.entries(st.pairs)) {
+                for (const [gid2, value] of Object.entries(seconds)) add(gid1, gid2, value);
+            }
+        } else {
+            // Build glyph-to-glyph kerning from classes
+            const class2Glyphs = Object.entries(st.classDef2);
+            for (const gid1 of Object.keys(st.coverage)) {
+                const row = st.matrix[st.classDef1[gid1] || 0];
+                if (!row) continue;
+                for (const [gid2, c2] of class2Glyphs) {
+                    if (row[c2]) add(gid1, gid2, row[c2]);
+                }
+            }
         }
-        return size;
     }
 
+    // ValueRecord → [xPlacement, yPlacement, xAdvance, yAdvance], or null when all are zero
     function readValueRecord(reader, valueFormat) {
-        const rec = {};
-        if (valueFormat & 0x0001) rec.xPlacement = reader.readInt16();
-        if (valueFormat & 0x0002) rec.yPlacement = reader.readInt16();
-        if (valueFormat & 0x0004) rec.xAdvance = reader.readInt16();
-        if (valueFormat & 0x0008) rec.yAdvance = reader.readInt16();
+        const value = [0, 0, 0, 0];
+        if (valueFormat & 0x0001) value[0] = reader.readInt16(); // xPlacement
+        if (valueFormat & 0x0002) value[1] = reader.readInt16(); // yPlacement
+        if (valueFormat & 0x0004) value[2] = reader.readInt16(); // xAdvance
+        if (valueFormat & 0x0008) value[3] = reader.readInt16(); // yAdvance
         if (valueFormat & 0x0010) reader.skip(2); // xPlaDevice
         if (valueFormat & 0x0020) reader.skip(2); // yPlaDevice
         if (valueFormat & 0x0040) reader.skip(2); // xAdvDevice
         if (valueFormat & 0x0080) reader.skip(2); // yAdvDevice
-        return rec;
+        return value.some(v => v !== 0) ? value : null;
     }
 
     function parseGPOSCoverage(reader, offset) {
@@ -830,6 +2737,602 @@ var FontEngine3D = (() => {
         return classDef;
     }
 
+    // Cursive attachment: { entryExit: { gid: [entryAnchor, exitAnchor] } }, anchors [x, y] or null
+    function parseGPOSCursivePos(reader, offset) {
+        reader.seek(offset);
+        reader.skip(2); // posFormat
+        const coverageOffset = reader.readUint16();
+        const entryExitCount = reader.readUint16();
+        const anchorOffsets = [];
+        for (let i = 0; i < entryExitCount; i++) {
+            anchorOffsets.push([reader.readUint16(), reader.readUint16()]);
+        }
+
+        const entryExit = {};
+        parseGPOSCoverage(reader, offset + coverageOffset).forEach((gid, i) => {
+            if (!anchorOffsets[i]) return;
+            const [entryOffset, exitOffset] = anchorOffsets[i];
+            entryExit[gid] = [
+                entryOffset ? parseGPOSAnchor(reader, offset + entryOffset) : null,
+                exitOffset ? parseGPOSAnchor(reader, offset + exitOffset) : null
+            ];
+        });
+        return { entryExit };
+    }
+
+    // Mark attachment subtables (MarkBasePos, MarkLigPos, MarkMarkPos; format 1).
+    // Anchors are [x, y] in font units, null where the font defines none.
+    //   type 4/6: { marks: { gid: [class, x, y] }, bases: { gid: [anchor per class] } }
+    //   type 5:   { marks, ligatures: { gid: [[anchor per class] per component] } }
+    function parseGPOSMarkPos(reader, offset, type) {
+        reader.seek(offset);
+        reader.skip(2); // posFormat
+        const markCoverageOffset = reader.readUint16();
+        const baseCoverageOffset = reader.readUint16();
+        const markClassCount = reader.readUint16();
+        const markArrayOffset = reader.readUint16();
+        const baseArrayOffset = reader.readUint16();
+
+        const markCoverage = parseGPOSCoverage(reader, offset + markCoverageOffset);
+        const baseCoverage = parseGPOSCoverage(reader, offset + baseCoverageOffset);
+
+        // MarkArray: class and anchor of each covered mark
+        const marks = {};
+        const markArray = offset + markArrayOffset;
+        reader.seek(markArray);
+        const markCount = reader.readUint16();
+        const markRecords = [];
+        for (let i = 0; i < markCount; i++) {
+            markRecords.push({ markClass: reader.readUint16(), anchorOffset: reader.readUint16() });
+        }
+        markRecords.forEach(({ markClass, anchorOffset }, i) => {
+            const anchor = parseGPOSAnchor(reader, markArray + anchorOffset);
+            if (markCoverage[i] !== undefined && anchor) marks[markCoverage[i]] = [markClass, anchor[0], anchor[1]];
+        });
+
+        // AnchorMatrix: one anchor per mark class for each row
+        const readAnchorMatrix = (matrixOffset) => {
+            reader.seek(matrixOffset);
+            const rowCount = reader.readUint16();
+            const anchorOffsets = [];
+            for (let i = 0; i < rowCount * markClassCount; i++) anchorOffsets.push(reader.readUint16());
+            const rows = [];
+            for (let r = 0; r < rowCount; r++) {
+                const row = [];
+                for (let c = 0; c < markClassCount; c++) {
+                    const anchorOffset = anchorOffsets[r * markClassCount + c];
+                    row.push(anchorOffset ? parseGPOSAnchor(reader, matrixOffset + anchorOffset) : null);
+                }
+                rows.push(row);
+            }
+            return rows;
+        };
+
+        if (type === 5) {
+            // LigatureArray → LigatureAttach tables, one anchor row per component
+            const ligatureArray = offset + baseArrayOffset;
+            reader.seek(ligatureArray);
+            const ligatureCount = reader.readUint16();
+            const attachOffsets = [];
+            for (let i = 0; i < ligatureCount; i++) attachOffsets.push(reader.readUint16());
+            const ligatures = {};
+            attachOffsets.forEach((attachOffset, i) => {
+                if (baseCoverage[i] !== undefined) ligatures[baseCoverage[i]] = readAnchorMatrix(ligatureArray + attachOffset);
+            });
+            return { marks, ligatures };
+        }
+
+        const bases = {};
+        readAnchorMatrix(offset + baseArrayOffset).forEach((row, i) => {
+            if (baseCoverage[i] !== undefined) bases[baseCoverage[i]] = row;
+        });
+        return { marks, bases };
+    }
+
+    // Anchor table (formats 1–3; contour points and device tables are not used) → [x, y]
+    function parseGPOSAnchor(reader, offset) {
+        reader.seek(offset);
+        const format = reader.readUint16();
+        if (format < 1 || format > 3) return null;
+        return [reader.readInt16(), reader.readInt16()];
+    }
+
+    // =========================================================================
+    // 'GDEF' table - Glyph Definition
+    // =========================================================================
+    // { glyphClasses: { gid: class }, markAttachClasses: { gid: class }, markGlyphSets: [{ gid: index }] }
+    // Glyph classes: 1 = base, 2 = ligature, 3 = mark, 4 = component
+    function parseGDEF(reader, table) {
+        const base = table.offset;
+        reader.seek(base);
+        reader.skip(2); // majorVersion
+        const minorVersion = reader.readUint16();
+        const glyphClassDefOffset = reader.readUint16();
+        reader.skip(4); // attachListOffset, ligCaretListOffset
+        const markAttachClassDefOffset = reader.readUint16();
+        const markGlyphSetsDefOffset = minorVersion >= 2 ? reader.readUint16() : 0;
+
+        const gdef = {
+            glyphClasses: glyphClassDefOffset ? parseGPOSClassDef(reader, base + glyphClassDefOffset) : {}
+        };
+        if (markAttachClassDefOffset) {
+            gdef.markAttachClasses = parseGPOSClassDef(reader, base + markAttachClassDefOffset);
+        }
+        if (markGlyphSetsDefOffset) {
+            const setsAddr = base + markGlyphSetsDefOffset;
+            reader.seek(setsAddr);
+            reader.skip(2); // format
+            const setCount = reader.readUint16();
+            const coverageOffsets = [];
+            for (let i = 0; i < setCount; i++) coverageOffsets.push(reader.readUint32());
+            gdef.markGlyphSets = coverageOffsets.map(off => parseCoverageMap(reader, setsAddr + off));
+        }
+        return gdef;
+    }
+
+    // Whether a lookup's flags make it skip a glyph: IgnoreBaseGlyphs, IgnoreLigatures, IgnoreMarks,
+    // UseMarkFilteringSet and MarkAttachmentType, tested against the GDEF classes
+    function isIgnoredByLookup(lookup, gid, gdef) {
+        const flag = lookup.flag;
+        if (!gdef || !(flag & 0xFF1E)) return false;
+        const glyphClass = gdef.glyphClasses[gid];
+        if (glyphClass === 1) return (flag & 0x0002) !== 0;
+        if (glyphClass === 2) return (flag & 0x0004) !== 0;
+        if (glyphClass !== 3) return false;
+        if (flag & 0x0008) return true;
+        if (flag & 0x0010) {
+            const set = gdef.markGlyphSets && gdef.markGlyphSets[lookup.markFilteringSet];
+            return !set || set[gid] === undefined;
+        }
+        if (flag & 0xFF00) {
+            return !gdef.markAttachClasses || gdef.markAttachClasses[gid] !== (flag >> 8);
+        }
+        return false;
+    }
+
+    // =========================================================================
+    // OpenType Layout common tables - ScriptList, FeatureList
+    // =========================================================================
+    // Returns { scriptTag: { defaultLangSys, langSys: { langTag: langSys } } }
+    // where langSys = { requiredFeatureIndex, featureIndices }
+    function parseScriptList(reader, offset) {
+        reader.seek(offset);
+        const scriptCount = reader.readUint16();
+        const records = [];
+        for (let i = 0; i < scriptCount; i++) {
+            records.push({ tag: reader.readTag(), offset: reader.readUint16() });
+        }
+
+        const readLangSys = (langSysOffset) => {
+            reader.seek(langSysOffset);
+            reader.skip(2); // lookupOrderOffset (reserved)
+            const requiredFeatureIndex = reader.readUint16();
+            const featureIndexCount = reader.readUint16();
+            const featureIndices = [];
+            for (let i = 0; i < featureIndexCount; i++) featureIndices.push(reader.readUint16());
+            return { requiredFeatureIndex, featureIndices };
+        };
+
+        const scripts = {};
+        for (const rec of records) {
+            const scriptOffset = offset + rec.offset;
+            reader.seek(scriptOffset);
+            const defaultLangSysOffset = reader.readUint16();
+            const langSysCount = reader.readUint16();
+            const langRecords = [];
+            for (let i = 0; i < langSysCount; i++) {
+                langRecords.push({ tag: reader.readTag(), offset: reader.readUint16() });
+            }
+            const script = {
+                defaultLangSys: defaultLangSysOffset ? readLangSys(scriptOffset + defaultLangSysOffset) : null,
+                langSys: {}
+            };
+            for (const lr of langRecords) {
+                script.langSys[lr.tag] = readLangSys(scriptOffset + lr.offset);
+            }
+            scripts[rec.tag] = script;
+        }
+        return scripts;
+    }
+
+    // Returns [{ tag, lookupIndices }] in FeatureList order
+    function parseFeatureList(reader, offset) {
+        reader.seek(offset);
+        const featureCount = reader.readUint16();
+        const records = [];
+        for (let i = 0; i < featureCount; i++) {
+            records.push({ tag: reader.readTag(), offset: reader.readUint16() });
+        }
+        return records.map(rec => {
+            reader.seek(offset + rec.offset);
+            reader.skip(2); // featureParamsOffset
+            const lookupIndexCount = reader.readUint16();
+            const lookupIndices = [];
+            for (let i = 0; i < lookupIndexCount; i++) lookupIndices.push(reader.readUint16());
+            return { tag: rec.tag, lookupIndices };
+        });
+    }
+
+    // Coverage as { glyphId: coverageIndex } for direct lookups
+    function parseCoverageMap(reader, offset) {
+        const map = {};
+        parseGPOSCoverage(reader, offset).forEach((gid, index) => { map[gid] = index; });
+        return map;
+    }
+
+    // =========================================================================
+    // 'GSUB' table - Glyph Substitution (OpenType)
+    // =========================================================================
+    // Output is plain JSON in glyph-ID terms so it can travel inside the typeface JSON:
+    //   { scripts, features, lookups: [{ type, flag, markFilteringSet, subtables }] }
+    // Extension lookups (type 7) are resolved to their wrapped type; contextual
+    // lookups (type 5) are stored in the chained form (type 6) with empty context.
+    // Subtables that fail to parse are left out and described in errors.
+    function parseGSUB(reader, table, errors) {
+        const base = table.offset;
+        reader.seek(base);
+        reader.skip(4); // majorVersion, minorVersion
+        const scriptListOffset = reader.readUint16();
+        const featureListOffset = reader.readUint16();
+        const lookupListOffset = reader.readUint16();
+
+        const scripts = parseScriptList(reader, base + scriptListOffset);
+        const features = parseFeatureList(reader, base + featureListOffset);
+
+        reader.seek(base + lookupListOffset);
+        const lookupCount = reader.readUint16();
+        const lookupOffsets = [];
+        for (let i = 0; i < lookupCount; i++) lookupOffsets.push(reader.readUint16());
+
+        const lookups = lookupOffsets.map((lkOff, lookupIndex) => {
+            const lookupAddr = base + lookupListOffset + lkOff;
+            reader.seek(lookupAddr);
+            let lookupType = reader.readUint16();
+            const lookupFlag = reader.readUint16();
+            const subTableCount = reader.readUint16();
+            const subTableAddrs = [];
+            for (let i = 0; i < subTableCount; i++) subTableAddrs.push(lookupAddr + reader.readUint16());
+            const markFilteringSet = (lookupFlag & 0x0010) ? reader.readUint16() : undefined;
+
+            const subtables = [];
+            const isExtension = lookupType === 7;
+            subTableAddrs.forEach((addr, subtableIndex) => {
+                try {
+                    let type = lookupType;
+                    if (isExtension) {
+                        // Extension: format, extensionLookupType, extensionOffset (32-bit)
+                        reader.seek(addr + 2);
+                        type = reader.readUint16();
+                        addr += reader.readUint32();
+                        lookupType = type;
+                    }
+                    const st = parseGSUBSubtable(reader, addr, type);
+                    if (st) subtables.push(st);
+                } catch (e) {
+                    errors.push(`GSUB lookup ${lookupIndex} subtable ${subtableIndex}: ${e.message}`);
+                }
+            });
+            if (lookupType === 5) lookupType = 6;
+            const lookup = { type: lookupType, flag: lookupFlag, subtables };
+            if (markFilteringSet !== undefined) lookup.markFilteringSet = markFilteringSet;
+            return lookup;
+        });
+
+        return { scripts, features, lookups };
+    }
+
+    function parseGSUBSubtable(reader, offset, type) {
+        reader.seek(offset);
+        const format = reader.readUint16();
+
+        if (type === 1) {
+            // Single substitution: { map: { glyph: substitute } }
+            const coverageOffset = reader.readUint16();
+            const map = {};
+            if (format === 1) {
+                const delta = reader.readInt16();
+                for (const gid of parseGPOSCoverage(reader, offset + coverageOffset)) {
+                    map[gid] = (gid + delta) & 0xFFFF;
+                }
+            } else if (format === 2) {
+                const glyphCount = reader.readUint16();
+                const substitutes = [];
+                for (let i = 0; i < glyphCount; i++) substitutes.push(reader.readUint16());
+                parseGPOSCoverage(reader, offset + coverageOffset).forEach((gid, i) => {
+                    if (i < glyphCount) map[gid] = substitutes[i];
+                });
+            }
+            return { map };
+        }
+
+        if (type === 2 || type === 3) {
+            // Multiple / alternate substitution: { map: { glyph: [glyphs] } }
+            const coverageOffset = reader.readUint16();
+            const setCount = reader.readUint16();
+            const setOffsets = [];
+            for (let i = 0; i < setCount; i++) setOffsets.push(reader.readUint16());
+            const coverage = parseGPOSCoverage(reader, offset + coverageOffset);
+            const map = {};
+            for (let i = 0; i < setCount && i < coverage.length; i++) {
+                reader.seek(offset + setOffsets[i]);
+                const glyphCount = reader.readUint16();
+                const glyphs = [];
+                for (let j = 0; j < glyphCount; j++) glyphs.push(reader.readUint16());
+                map[coverage[i]] = glyphs;
+            }
+            return { map };
+        }
+
+        if (type === 4) {
+            // Ligature substitution: { ligatures: { firstGlyph: [{ components, glyph }] } }
+            const coverageOffset = reader.readUint16();
+            const ligSetCount = reader.readUint16();
+            const ligSetOffsets = [];
+            for (let i = 0; i < ligSetCount; i++) ligSetOffsets.push(reader.readUint16());
+            const coverage = parseGPOSCoverage(reader, offset + coverageOffset);
+            const ligatures = {};
+            for (let i = 0; i < ligSetCount && i < coverage.length; i++) {
+                const setAddr = offset + ligSetOffsets[i];
+                reader.seek(setAddr);
+                const ligCount = reader.readUint16();
+                const ligOffsets = [];
+                for (let j = 0; j < ligCount; j++) ligOffsets.push(reader.readUint16());
+                ligatures[coverage[i]] = ligOffsets.map(ligOff => {
+                    reader.seek(setAddr + ligOff);
+                    const glyph = reader.readUint16();
+                    const componentCount = reader.readUint16();
+                    const components = [];
+                    for (let k = 1; k < componentCount; k++) components.push(reader.readUint16());
+                    return { components, glyph };
+                });
+            }
+            return { ligatures };
+        }
+
+        if (type === 5 || type === 6) {
+            return parseContextSubtable(reader, offset, format, type === 6);
+        }
+
+        return null;
+    }
+
+    // Contextual (type 5) and chained contextual (type 6) substitution subtables.
+    // Format 1 rules match glyph IDs, format 2 classes, format 3 coverages.
+    // Each rule: { input (after the first glyph), backtrack (nearest first), lookahead, lookupRecords: [[sequenceIndex, lookupIndex]] }
+    function parseContextSubtable(reader, offset, format, chained) {
+        const readGlyphs = (count) => {
+            const arr = [];
+            for (let i = 0; i < count; i++) arr.push(reader.readUint16());
+            return arr;
+        };
+        const readLookupRecords = (count) => {
+            const records = [];
+            for (let i = 0; i < count; i++) records.push([reader.readUint16(), reader.readUint16()]);
+            return records;
+        };
+        const readRule = (ruleAddr) => {
+            reader.seek(ruleAddr);
+            let backtrack = [], lookahead = [], input, lookupCount;
+            if (chained) {
+                backtrack = readGlyphs(reader.readUint16());
+                input = readGlyphs(reader.readUint16() - 1);
+                lookahead = readGlyphs(reader.readUint16());
+                lookupCount = reader.readUint16();
+            } else {
+                const glyphCount = reader.readUint16();
+                lookupCount = reader.readUint16();
+                input = readGlyphs(glyphCount - 1);
+            }
+            return { input, backtrack, lookahead, lookupRecords: readLookupRecords(lookupCount) };
+        };
+        const readRuleSets = (setOffsets, keys) => {
+            const ruleSets = {};
+            setOffsets.forEach((setOff, i) => {
+                if (!setOff || keys[i] === undefined) return;
+                const setAddr = offset + setOff;
+                reader.seek(setAddr);
+                const ruleOffsets = readGlyphs(reader.readUint16());
+                ruleSets[keys[i]] = ruleOffsets.map(ruleOff => readRule(setAddr + ruleOff));
+            });
+            return ruleSets;
+        };
+
+        if (format === 1) {
+            const coverageOffset = reader.readUint16();
+            const setOffsets = readGlyphs(reader.readUint16());
+            const coverage = parseGPOSCoverage(reader, offset + coverageOffset);
+            return { format, ruleSets: readRuleSets(setOffsets, coverage) };
+        }
+
+        if (format === 2) {
+            const coverageOffset = reader.readUint16();
+            let backtrackClassDefOffset = 0, lookaheadClassDefOffset = 0;
+            if (chained) backtrackClassDefOffset = reader.readUint16();
+            const inputClassDefOffset = reader.readUint16();
+            if (chained) lookaheadClassDefOffset = reader.readUint16();
+            const setOffsets = readGlyphs(reader.readUint16());
+            const ruleSets = readRuleSets(setOffsets, setOffsets.map((_, i) => i));
+            return {
+                format,
+                coverage: parseCoverageMap(reader, offset + coverageOffset),
+                classDef: parseGPOSClassDef(reader, offset + inputClassDefOffset),
+                backtrackClassDef: backtrackClassDefOffset ? parseGPOSClassDef(reader, offset + backtrackClassDefOffset) : {},
+                lookaheadClassDef: lookaheadClassDefOffset ? parseGPOSClassDef(reader, offset + lookaheadClassDefOffset) : {},
+                ruleSets
+            };
+        }
+
+        if (format === 3) {
+            let backtrackOffsets = [], inputOffsets, lookaheadOffsets = [], lookupCount;
+            if (chained) {
+                backtrackOffsets = readGlyphs(reader.readUint16());
+                inputOffsets = readGlyphs(reader.readUint16());
+                lookaheadOffsets = readGlyphs(reader.readUint16());
+                lookupCount = reader.readUint16();
+            } else {
+                const glyphCount = reader.readUint16();
+                lookupCount = reader.readUint16();
+                inputOffsets = readGlyphs(glyphCount);
+            }
+            const lookupRecords = readLookupRecords(lookupCount);
+            const toCoverages = offs => offs.map(off => parseCoverageMap(reader, offset + off));
+            return {
+                format,
+                input: toCoverages(inputOffsets),
+                backtrack: toCoverages(backtrackOffsets),
+                lookahead: toCoverages(lookaheadOffsets),
+                lookupRecords
+            };
+        }
+
+        return null;
+    }
+
+    // Glyphs that GSUB can produce from the given set (transitive closure), excluding the set itself
+    function gsubReachableGlyphs(gsub, glyphIds) {
+        const reached = new Set(glyphIds);
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const add = (gid) => {
+                if (!reached.has(gid)) { reached.add(gid); changed = true; }
+            };
+            for (const lookup of gsub.lookups) {
+                for (const st of lookup.subtables) {
+                    if (lookup.type === 1) {
+                        for (const [gid, sub] of Object.entries(st.map)) if (reached.has(+gid)) add(sub);
+                    } else if (lookup.type === 2 || lookup.type === 3) {
+                        for (const [gid, seq] of Object.entries(st.map)) if (reached.has(+gid)) seq.forEach(add);
+                    } else if (lookup.type === 4) {
+                        for (const [gid, ligs] of Object.entries(st.ligatures)) {
+                            if (!reached.has(+gid)) continue;
+                            for (const lig of ligs) if (lig.components.every(c => reached.has(c))) add(lig.glyph);
+                        }
+                    }
+                }
+            }
+        }
+        return Array.from(reached).filter(gid => !glyphIds.has(gid));
+    }
+
+    // Copies of the parsed GSUB, GPOS and GDEF tables reduced to a set of glyph IDs, for typeface JSON
+    // of a character subset. Lookups keep their indices (contextual rules refer to them) but lose the
+    // subtables that can no longer match; class matrices keep only the classes still in use.
+    function subsetLayoutTables(gsub, gpos, gdef, glyphIds) {
+        const kept = gid => glyphIds.has(+gid);
+        const pick = (map) => {
+            const result = {};
+            for (const [gid, value] of Object.entries(map)) {
+                if (kept(gid)) result[gid] = value;
+            }
+            return result;
+        };
+        const isEmpty = map => Object.keys(map).length === 0;
+        const subsetLookups = (lookups, subsetSubtable) => lookups.map(lookup => {
+            const subtables = [];
+            for (const st of lookup.subtables) {
+                const subset = subsetSubtable(lookup.type, st);
+                if (subset) subtables.push(subset);
+            }
+            const copy = { type: lookup.type, flag: lookup.flag, subtables };
+            if (lookup.markFilteringSet !== undefined) copy.markFilteringSet = lookup.markFilteringSet;
+            return copy;
+        });
+
+        const subsetGSUB = (type, st) => {
+            if (type === 1) {
+                const map = {};
+                for (const [gid, sub] of Object.entries(st.map)) {
+                    if (kept(gid) && kept(sub)) map[gid] = sub;
+                }
+                return isEmpty(map) ? null : { map };
+            }
+            if (type === 2 || type === 3) {
+                // Alternates keep their positions: the feature value picks one by index
+                const map = {};
+                for (const [gid, glyphs] of Object.entries(st.map)) {
+                    if (kept(gid) && (type === 3 || glyphs.every(kept))) map[gid] = glyphs;
+                }
+                return isEmpty(map) ? null : { map };
+            }
+            if (type === 4) {
+                const ligatures = {};
+                for (const [gid, ligs] of Object.entries(st.ligatures)) {
+                    const matching = kept(gid) ? ligs.filter(lig => kept(lig.glyph) && lig.components.every(kept)) : [];
+                    if (matching.length > 0) ligatures[gid] = matching;
+                }
+                return isEmpty(ligatures) ? null : { ligatures };
+            }
+            if (st.format === 1) {
+                const ruleSets = {};
+                for (const [gid, rules] of Object.entries(pick(st.ruleSets))) {
+                    const matching = rules.filter(rule =>
+                        rule.input.every(kept) && rule.backtrack.every(kept) && rule.lookahead.every(kept));
+                    if (matching.length > 0) ruleSets[gid] = matching;
+                }
+                return isEmpty(ruleSets) ? null : { format: 1, ruleSets };
+            }
+            if (st.format === 2) {
+                const coverage = pick(st.coverage);
+                if (isEmpty(coverage)) return null;
+                return {
+                    format: 2, coverage, classDef: pick(st.classDef),
+                    backtrackClassDef: pick(st.backtrackClassDef), lookaheadClassDef: pick(st.lookaheadClassDef),
+                    ruleSets: st.ruleSets
+                };
+            }
+            const input = st.input.map(pick), backtrack = st.backtrack.map(pick), lookahead = st.lookahead.map(pick);
+            if (input.concat(backtrack, lookahead).some(isEmpty)) return null;
+            return { format: 3, input, backtrack, lookahead, lookupRecords: st.lookupRecords };
+        };
+
+        const subsetGPOS = (type, st) => {
+            if (type === 1) {
+                const map = pick(st.map);
+                return isEmpty(map) ? null : { map };
+            }
+            if (type === 2 && st.format === 1) {
+                const pairs = {};
+                for (const [gid, seconds] of Object.entries(pick(st.pairs))) {
+                    const row = pick(seconds);
+                    if (!isEmpty(row)) pairs[gid] = row;
+                }
+                return isEmpty(pairs) ? null : { format: 1, pairs, adjustsSecond: st.adjustsSecond };
+            }
+            if (type === 2) {
+                const coverage = pick(st.coverage);
+                if (isEmpty(coverage)) return null;
+                const rows = new Map([[0, 0]]), columns = new Map([[0, 0]]);
+                const classDef1 = {}, classDef2 = {};
+                for (const [gid, cls] of Object.entries(pick(st.classDef1))) classDef1[gid] = renumberClass(rows, cls);
+                for (const [gid, cls] of Object.entries(pick(st.classDef2))) classDef2[gid] = renumberClass(columns, cls);
+                const matrix = compactClassMatrix(st.matrix, rows, columns);
+                return { format: 2, coverage, classDef1, classDef2, matrix, adjustsSecond: st.adjustsSecond };
+            }
+            if (type === 3) {
+                const entryExit = pick(st.entryExit);
+                return isEmpty(entryExit) ? null : { entryExit };
+            }
+            if (type >= 4 && type <= 6) {
+                const marks = pick(st.marks);
+                const bases = pick(type === 5 ? st.ligatures : st.bases);
+                if (isEmpty(marks) || isEmpty(bases)) return null;
+                return type === 5 ? { marks, ligatures: bases } : { marks, bases };
+            }
+            return st;
+        };
+
+        const result = { gsub: null, gpos: null, gdef: null };
+        if (gsub) result.gsub = { scripts: gsub.scripts, features: gsub.features, lookups: subsetLookups(gsub.lookups, subsetGSUB) };
+        if (gpos) result.gpos = { scripts: gpos.scripts, features: gpos.features, lookups: subsetLookups(gpos.lookups, subsetGPOS) };
+        if (gdef) {
+            result.gdef = { glyphClasses: pick(gdef.glyphClasses) };
+            if (gdef.markAttachClasses) result.gdef.markAttachClasses = pick(gdef.markAttachClasses);
+            if (gdef.markGlyphSets) result.gdef.markGlyphSets = gdef.markGlyphSets.map(pick);
+        }
+        return result;
+    }
+
     // =========================================================================
     // 'loca' table - Glyph locations (TrueType)
     // =========================================================================
@@ -849,29 +3352,30 @@ var FontEngine3D = (() => {
     // =========================================================================
     // 'glyf' table - TrueType Glyph outlines
     // =========================================================================
-    function parseGlyfTable(reader, glyfTable, locaOffsets, numGlyphs) {
+    // variation: optional { gvar, coords } to instance a TrueType variable font.
+    // Returns glyphIndex → { contours, xMin, yMin, xMax, yMax, advanceDelta }, parsing each glyph
+    // (and its components) on first use.
+    function createGlyfLoader(reader, glyfTable, locaOffsets, numGlyphs, variation) {
         const glyphs = new Array(numGlyphs);
-        for (let i = 0; i < numGlyphs; i++) {
-            const offset = locaOffsets[i];
-            const nextOffset = locaOffsets[i + 1];
-            if (offset === nextOffset) {
-                // Empty glyph (e.g. space)
+        const components = new Array(numGlyphs); // outlines reused by composite glyphs
+        return (i) => {
+            if (!(i >= 0 && i < numGlyphs)) return null;
+            if (glyphs[i]) return glyphs[i];
+            if (locaOffsets[i] === locaOffsets[i + 1]) {
+                // Empty glyph (e.g. space); only its phantom points can vary
                 glyphs[i] = { contours: [], xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+                if (variation && variation.gvar) {
+                    const deltas = computeGlyphDeltas(reader, variation, i, [], null);
+                    if (deltas) glyphs[i].advanceDelta = deltas.dx[1] - deltas.dx[0];
+                }
             } else {
-                glyphs[i] = null; // parse lazily or mark for parsing
-            }
-        }
-
-        // Parse all glyphs (needed for composite glyph resolution)
-        for (let i = 0; i < numGlyphs; i++) {
-            if (glyphs[i] === null) {
-                glyphs[i] = parseGlyph(reader, glyfTable.offset, locaOffsets, i, glyphs);
+                glyphs[i] = parseGlyph(reader, glyfTable.offset, locaOffsets, i, components, variation);
             }
-        }
-        return glyphs;
+            return glyphs[i];
+        };
     }
 
-    function parseGlyph(reader, glyfOffset, locaOffsets, glyphIndex, glyphsCache) {
+    function parseGlyph(reader, glyfOffset, locaOffsets, glyphIndex, glyphsCache, variation) {
         if (glyphsCache[glyphIndex] && glyphsCache[glyphIndex].contours) {
             return glyphsCache[glyphIndex];
         }
@@ -892,14 +3396,14 @@ var FontEngine3D = (() => {
         const xMax = reader.readInt16();
         const yMax = reader.readInt16();
 
-        if (numberOfContours >= 0) {
-            return parseSimpleGlyph(reader, numberOfContours, xMin, yMin, xMax, yMax);
-        } else {
-            return parseCompositeGlyph(reader, glyfOffset, locaOffsets, glyphsCache, xMin, yMin, xMax, yMax);
-        }
+        const g = numberOfContours >= 0
+            ? parseSimpleGlyph(reader, numberOfContours, xMin, yMin, xMax, yMax, glyphIndex, variation)
+            : parseCompositeGlyph(reader, glyfOffset, locaOffsets, glyphsCache, xMin, yMin, xMax, yMax, glyphIndex, variation);
+        glyphsCache[glyphIndex] = g;
+        return g;
     }
 
-    function parseSimpleGlyph(reader, numberOfContours, xMin, yMin, xMax, yMax) {
+    function parseSimpleGlyph(reader, numberOfContours, xMin, yMin, xMax, yMax, glyphIndex, variation) {
         if (numberOfContours === 0) {
             return { contours: [], xMin, yMin, xMax, yMax };
         }
@@ -963,6 +3467,20 @@ var FontEngine3D = (() => {
             points.push({ x: xs[i], y: ys[i], onCurve: !!(flags[i] & 0x01) });
         }
 
+        // Apply gvar deltas (untouched points are interpolated per contour)
+        let advanceDelta = 0;
+        if (variation && variation.gvar) {
+            const deltas = computeGlyphDeltas(reader, variation, glyphIndex, points, endPts);
+            if (deltas) {
+                for (let i = 0; i < numPoints; i++) {
+                    points[i].x = Math.round(points[i].x + deltas.dx[i]);
+                    points[i].y = Math.round(points[i].y + deltas.dy[i]);
+                }
+                advanceDelta = deltas.dx[numPoints + 1] - deltas.dx[numPoints];
+                ({ xMin, yMin, xMax, yMax } = pointBounds(points));
+            }
+        }
+
         const contours = [];
         let start = 0;
         for (let c = 0; c < numberOfContours; c++) {
@@ -971,16 +3489,28 @@ var FontEngine3D = (() => {
             start = end + 1;
         }
 
-        return { contours, xMin, yMin, xMax, yMax };
+        return { contours, xMin, yMin, xMax, yMax, advanceDelta };
     }
 
-    function parseCompositeGlyph(reader, glyfOffset, locaOffsets, glyphsCache, xMin, yMin, xMax, yMax) {
-        const contours = [];
+    // Bounds of glyph points; the glyf header only holds those of the default instance
+    function pointBounds(points) {
+        let xMin = Infinity, yMin = Infinity, xMax = -Infinity, yMax = -Infinity;
+        for (const p of points) {
+            if (p.x < xMin) xMin = p.x;
+            if (p.y < yMin) yMin = p.y;
+            if (p.x > xMax) xMax = p.x;
+            if (p.y > yMax) yMax = p.y;
+        }
+        return xMin <= xMax ? { xMin, yMin, xMax, yMax } : { xMin: 0, yMin: 0, xMax: 0, yMax: 0 };
+    }
+
+    function parseCompositeGlyph(reader, glyfOffset, locaOffsets, glyphsCache, xMin, yMin, xMax, yMax, glyphIndex, variation) {
+        const components = [];
         let hasMore = true;
 
         while (hasMore) {
             const flags = reader.readUint16();
-            const glyphIndex = reader.readUint16();
+            const componentIndex = reader.readUint16();
 
             let arg1, arg2;
             if (flags & 0x01) { // ARG_1_AND_2_ARE_WORDS
@@ -1019,25 +3549,42 @@ var FontEngine3D = (() => {
                 d = reader.readF2Dot14();
             }
 
-            // Recursively parse the component glyph
-            const savedOffset = reader.tell();
-            const component = parseGlyph(reader, glyfOffset, locaOffsets, glyphIndex, glyphsCache);
-            reader.seek(savedOffset);
+            components.push({ flags, glyphIndex: componentIndex, a, b, c, d, tx, ty });
+            hasMore = !!(flags & 0x20); // MORE_COMPONENTS
+        }
 
-            // Transform and add contours
+        // gvar deltas move component offsets: one point per component, then 4 phantom points
+        let advanceDelta = 0;
+        if (variation && variation.gvar) {
+            const deltas = computeGlyphDeltas(reader, variation, glyphIndex, components.map(cp => ({ x: cp.tx, y: cp.ty })), null);
+            if (deltas) {
+                components.forEach((cp, k) => {
+                    if (!(cp.flags & 0x02)) return; // point-matched components have no offset to vary
+                    cp.tx = Math.round(cp.tx + deltas.dx[k]);
+                    cp.ty = Math.round(cp.ty + deltas.dy[k]);
+                });
+                advanceDelta = deltas.dx[components.length + 1] - deltas.dx[components.length];
+            }
+        }
+
+        const contours = [];
+        for (const cp of components) {
+            // Recursively parse the component glyph
+            const component = parseGlyph(reader, glyfOffset, locaOffsets, cp.glyphIndex, glyphsCache, variation);
+
+            // Transform and add contours
             for (const contour of component.contours) {
                 const transformedContour = contour.map(p => ({
-                    x: a * p.x + c * p.y + tx,
-                    y: b * p.x + d * p.y + ty,
+                    x: cp.a * p.x + cp.c * p.y + cp.tx,
+                    y: cp.b * p.x + cp.d * p.y + cp.ty,
                     onCurve: p.onCurve
                 }));
                 contours.push(transformedContour);
             }
-
-            hasMore = !!(flags & 0x20); // MORE_COMPONENTS
         }
+        if (variation && variation.gvar) ({ xMin, yMin, xMax, yMax } = pointBounds([].concat(...contours)));
 
-        return { contours, xMin, yMin, xMax, yMax };
+        return { contours, xMin, yMin, xMax, yMax, advanceDelta };
     }
 
     // =========================================================================
@@ -1109,6 +3656,443 @@ var FontEngine3D = (() => {
         return cmds.join(' ');
     }
 
+    // =========================================================================
+    // Font Variations - 'fvar', 'avar', 'gvar', 'HVAR', 'STAT'
+    // =========================================================================
+    function parseFvar(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(4); // majorVersion, minorVersion
+        const axesArrayOffset = reader.readUint16();
+        reader.skip(2); // reserved
+        const axisCount = reader.readUint16();
+        const axisSize = reader.readUint16();
+        const instanceCount = reader.readUint16();
+        const instanceSize = reader.readUint16();
+
+        const axes = [];
+        for (let i = 0; i < axisCount; i++) {
+            reader.seek(table.offset + axesArrayOffset + i * axisSize);
+            const tag = reader.readTag();
+            const minValue = reader.readFixed();
+            const defaultValue = reader.readFixed();
+            const maxValue = reader.readFixed();
+            const flags = reader.readUint16();
+            const axisNameID = reader.readUint16();
+            axes.push({ tag, minValue, defaultValue, maxValue, flags, axisNameID });
+        }
+
+        // Named instances follow the axes; postScriptNameID is optional
+        const instances = [];
+        const instancesOffset = table.offset + axesArrayOffset + axisCount * axisSize;
+        for (let i = 0; i < instanceCount; i++) {
+            reader.seek(instancesOffset + i * instanceSize);
+            const subfamilyNameID = reader.readUint16();
+            reader.skip(2); // flags
+            const coordinates = {};
+            for (const axis of axes) coordinates[axis.tag] = reader.readFixed();
+            const postScriptNameID = instanceSize >= axisCount * 4 + 6 ? reader.readUint16() : 0xFFFF;
+            instances.push({ subfamilyNameID, postScriptNameID, coordinates });
+        }
+        return { axes, instances };
+    }
+
+    function parseSTAT(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(2); // majorVersion
+        const minorVersion = reader.readUint16();
+        const designAxisSize = reader.readUint16();
+        const designAxisCount = reader.readUint16();
+        const designAxesOffset = reader.readUint32();
+        const axisValueCount = reader.readUint16();
+        const axisValuesOffset = reader.readUint32();
+        const elidedFallbackNameID = minorVersion >= 1 ? reader.readUint16() : 2;
+
+        const designAxes = [];
+        for (let i = 0; i < designAxisCount; i++) {
+            reader.seek(table.offset + designAxesOffset + i * designAxisSize);
+            const tag = reader.readTag();
+            const axisNameID = reader.readUint16();
+            const axisOrdering = reader.readUint16();
+            designAxes.push({ tag, axisNameID, axisOrdering });
+        }
+
+        const axisValues = [];
+        const valuesBase = table.offset + axisValuesOffset;
+        for (let i = 0; i < axisValueCount; i++) {
+            reader.seek(valuesBase + i * 2);
+            reader.seek(valuesBase + reader.readUint16());
+            const format = reader.readUint16();
+            if (format === 4) {
+                const axisCount = reader.readUint16();
+                const flags = reader.readUint16();
+                const valueNameID = reader.readUint16();
+                const values = [];
+                for (let a = 0; a < axisCount; a++) {
+                    values.push({ axisIndex: reader.readUint16(), value: reader.readFixed() });
+                }
+                axisValues.push({ format, flags, valueNameID, values });
+            } else if (format >= 1 && format <= 3) {
+                const axisIndex = reader.readUint16();
+                const flags = reader.readUint16();
+                const valueNameID = reader.readUint16();
+                const record = { format, axisIndex, flags, valueNameID };
+                if (format === 2) {
+                    record.value = reader.readFixed(); // nominalValue
+                    record.rangeMinValue = reader.readFixed();
+                    record.rangeMaxValue = reader.readFixed();
+                } else {
+                    record.value = reader.readFixed();
+                    if (format === 3) record.linkedValue = reader.readFixed();
+                }
+                axisValues.push(record);
+            }
+        }
+        return { designAxes, axisValues, elidedFallbackNameID };
+    }
+
+    // Returns one segment map ([fromCoord, toCoord] pairs) per axis
+    function parseAvar(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(4); // majorVersion, minorVersion
+        reader.skip(2); // reserved
+        const axisCount = reader.readUint16();
+        const segmentMaps = [];
+        for (let i = 0; i < axisCount; i++) {
+            const positionMapCount = reader.readUint16();
+            const map = [];
+            for (let j = 0; j < positionMapCount; j++) {
+                map.push([reader.readF2Dot14(), reader.readF2Dot14()]);
+            }
+            segmentMaps.push(map);
+        }
+        return segmentMaps;
+    }
+
+    // Map user-space axis values (e.g. { wght: 700 }) to normalized coordinates in [-1, 1]
+    function normalizeVariationCoords(axes, avar, variations) {
+        const toF2Dot14 = v => Math.round(v * 16384) / 16384;
+        return axes.map((axis, i) => {
+            let v = variations[axis.tag];
+            if (v === undefined) return 0;
+            v = Math.min(Math.max(v, axis.minValue), axis.maxValue);
+
+            let n = 0;
+            if (v < axis.defaultValue) n = (v - axis.defaultValue) / (axis.defaultValue - axis.minValue);
+            else if (v > axis.defaultValue) n = (v - axis.defaultValue) / (axis.maxValue - axis.defaultValue);
+            n = toF2Dot14(n);
+
+            // avar: piecewise-linear remapping
+            const map = avar && avar[i];
+            if (map && map.length > 0) {
+                if (n <= map[0][0]) {
+                    n = map[0][1];
+                } else if (n >= map[map.length - 1][0]) {
+                    n = map[map.length - 1][1];
+                } else {
+                    for (let k = 1; k < map.length; k++) {
+                        if (n > map[k][0]) continue;
+                        const [from0, to0] = map[k - 1], [from1, to1] = map[k];
+                        n = from1 === from0 ? to1 : to0 + (to1 - to0) * (n - from0) / (from1 - from0);
+                        break;
+                    }
+                }
+                n = toF2Dot14(n);
+            }
+            return n;
+        });
+    }
+
+    // Scalar of a variation region/tuple at the given normalized coordinates.
+    // start/end are optional (implied from peak for non-intermediate tuples).
+    function tupleScalar(coords, peak, start, end) {
+        let scalar = 1;
+        for (let a = 0; a < peak.length; a++) {
+            const p = peak[a];
+            if (p === 0) continue;
+            let lo = Math.min(0, p), hi = Math.max(0, p);
+            if (start) {
+                lo = start[a];
+                hi = end[a];
+                // Invalid regions are ignored for this axis
+                if (lo > p || p > hi || (lo < 0 && hi > 0)) continue;
+            }
+            const v = coords[a] || 0;
+            if (v === p) continue;
+            if (v <= lo || v >= hi) return 0;
+            scalar *= v < p ? (v - lo) / (p - lo) : (hi - v) / (hi - p);
+        }
+        return scalar;
+    }
+
+    function parseGvar(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(4); // majorVersion, minorVersion
+        const axisCount = reader.readUint16();
+        const sharedTupleCount = reader.readUint16();
+        const sharedTuplesOffset = reader.readUint32();
+        const glyphCount = reader.readUint16();
+        const flags = reader.readUint16();
+        const dataArrayOffset = reader.readUint32();
+
+        const offsets = [];
+        for (let i = 0; i <= glyphCount; i++) {
+            offsets.push((flags & 1) ? reader.readUint32() : reader.readUint16() * 2);
+        }
+
+        reader.seek(table.offset + sharedTuplesOffset);
+        const sharedTuples = [];
+        for (let i = 0; i < sharedTupleCount; i++) {
+            const tuple = [];
+            for (let a = 0; a < axisCount; a++) tuple.push(reader.readF2Dot14());
+            sharedTuples.push(tuple);
+        }
+        return { axisCount, sharedTuples, offsets, dataOffset: table.offset + dataArrayOffset };
+    }
+
+    // Packed point numbers: returns null for "all points"
+    function readPackedPointNumbers(reader) {
+        let count = reader.readUint8();
+        if (count === 0) return null;
+        if (count & 0x80) count = ((count & 0x7F) << 8) | reader.readUint8();
+        const points = [];
+        let point = 0;
+        while (points.length < count) {
+            const control = reader.readUint8();
+            const runCount = (control & 0x7F) + 1;
+            for (let i = 0; i < runCount && points.length < count; i++) {
+                point += (control & 0x80) ? reader.readUint16() : reader.readUint8();
+                points.push(point);
+            }
+        }
+        return points;
+    }
+
+    function readPackedDeltas(reader, count) {
+        const deltas = [];
+        while (deltas.length < count) {
+            const control = reader.readUint8();
+            const runCount = (control & 0x3F) + 1;
+            for (let i = 0; i < runCount && deltas.length < count; i++) {
+                if ((control & 0xC0) === 0x80) deltas.push(0);              // DELTAS_ARE_ZERO
+                else if ((control & 0xC0) === 0xC0) deltas.push(reader.readInt32()); // DELTAS_ARE_LONGS
+                else if (control & 0x40) deltas.push(reader.readInt16());   // DELTAS_ARE_WORDS
+                else deltas.push(reader.readInt8());
+            }
+        }
+        return deltas;
+    }
+
+    // Sum the gvar deltas of one glyph at variation.coords. `points` are the glyph's
+    // outline points (or component offsets); 4 phantom points follow them.
+    // contourEnds enables IUP interpolation of untouched points (simple glyphs only).
+    // Returns { dx, dy } or null when the glyph has no variation data.
+    function computeGlyphDeltas(reader, variation, glyphIndex, points, contourEnds) {
+        const gvar = variation.gvar;
+        if (glyphIndex + 1 >= gvar.offsets.length) return null;
+        const start = gvar.dataOffset + gvar.offsets[glyphIndex];
+        const end = gvar.dataOffset + gvar.offsets[glyphIndex + 1];
+        if (start >= end) return null;
+
+        const numPoints = points.length + 4;
+        reader.seek(start);
+        const tupleVariationCount = reader.readUint16();
+        let dataPos = start + reader.readUint16();
+
+        const headers = [];
+        for (let t = 0; t < (tupleVariationCount & 0x0FFF); t++) {
+            const dataSize = reader.readUint16();
+            const tupleIndex = reader.readUint16();
+            let peak = gvar.sharedTuples[tupleIndex & 0x0FFF];
+            if (tupleIndex & 0x8000) { // EMBEDDED_PEAK_TUPLE
+                peak = [];
+                for (let a = 0; a < gvar.axisCount; a++) peak.push(reader.readF2Dot14());
+            }
+            let startTuple = null, endTuple = null;
+            if (tupleIndex & 0x4000) { // INTERMEDIATE_REGION
+                startTuple = [];
+                endTuple = [];
+                for (let a = 0; a < gvar.axisCount; a++) startTuple.push(reader.readF2Dot14());
+                for (let a = 0; a < gvar.axisCount; a++) endTuple.push(reader.readF2Dot14());
+            }
+            headers.push({ dataSize, tupleIndex, peak, startTuple, endTuple });
+        }
+
+        let sharedPoints = null;
+        if (tupleVariationCount & 0x8000) { // SHARED_POINT_NUMBERS
+            reader.seek(dataPos);
+            sharedPoints = readPackedPointNumbers(reader);
+            dataPos = reader.tell();
+        }
+
+        const dx = new Float64Array(numPoints), dy = new Float64Array(numPoints);
+        for (const h of headers) {
+            const tupleDataPos = dataPos;
+            dataPos += h.dataSize;
+            if (!h.peak) continue;
+            const scalar = tupleScalar(variation.coords, h.peak, h.startTuple, h.endTuple);
+            if (scalar === 0) continue;
+
+            reader.seek(tupleDataPos);
+            const pointNumbers = (h.tupleIndex & 0x2000) ? readPackedPointNumbers(reader) : sharedPoints;
+            const count = pointNumbers ? pointNumbers.length : numPoints;
+            const xDeltas = readPackedDeltas(reader, count);
+            const yDeltas = readPackedDeltas(reader, count);
+
+            if (!pointNumbers) {
+                for (let i = 0; i < numPoints; i++) {
+                    dx[i] += xDeltas[i] * scalar;
+                    dy[i] += yDeltas[i] * scalar;
+                }
+                continue;
+            }
+
+            const tx = new Float64Array(numPoints), ty = new Float64Array(numPoints);
+            const touched = new Uint8Array(numPoints);
+            for (let k = 0; k < count; k++) {
+                const p = pointNumbers[k];
+                if (p >= numPoints) continue;
+                tx[p] += xDeltas[k];
+                ty[p] += yDeltas[k];
+                touched[p] = 1;
+            }
+            if (contourEnds) interpolateUntouchedPoints(points, contourEnds, tx, ty, touched);
+            for (let i = 0; i < numPoints; i++) {
+                dx[i] += tx[i] * scalar;
+                dy[i] += ty[i] * scalar;
+            }
+        }
+        return { dx, dy };
+    }
+
+    // IUP: infer deltas of untouched points from the nearest touched neighbours in each contour
+    function interpolateUntouchedPoints(points, contourEnds, dx, dy, touched) {
+        const iup = (v, c1, c2, d1, d2) => {
+            if (c1 === c2) return d1 === d2 ? d1 : 0;
+            if (c1 > c2) { [c1, c2] = [c2, c1]; [d1, d2] = [d2, d1]; }
+            if (v <= c1) return d1;
+            if (v >= c2) return d2;
+            return d1 + (v - c1) * (d2 - d1) / (c2 - c1);
+        };
+
+        let start = 0;
+        for (const end of contourEnds) {
+            const touchedIdx = [];
+            for (let i = start; i <= end; i++) if (touched[i]) touchedIdx.push(i);
+
+            if (touchedIdx.length === 1) {
+                // A single touched point shifts the whole contour
+                const t = touchedIdx[0];
+                for (let i = start; i <= end; i++) { dx[i] = dx[t]; dy[i] = dy[t]; }
+            } else if (touchedIdx.length > 1) {
+                const next = i => (i === end ? start : i + 1);
+                for (let k = 0; k < touchedIdx.length; k++) {
+                    const a = touchedIdx[k], b = touchedIdx[(k + 1) % touchedIdx.length];
+                    for (let i = next(a); i !== b; i = next(i)) {
+                        dx[i] = iup(points[i].x, points[a].x, points[b].x, dx[a], dx[b]);
+                        dy[i] = iup(points[i].y, points[a].y, points[b].y, dy[a], dy[b]);
+                    }
+                }
+            }
+            start = end + 1;
+        }
+    }
+
+    // ItemVariationStore (shared by HVAR and CFF2)
+    function parseItemVariationStore(reader, offset) {
+        reader.seek(offset);
+        reader.skip(2); // format
+        const regionListOffset = reader.readUint32();
+        const dataCount = reader.readUint16();
+        const dataOffsets = [];
+        for (let i = 0; i < dataCount; i++) dataOffsets.push(reader.readUint32());
+
+        reader.seek(offset + regionListOffset);
+        const axisCount = reader.readUint16();
+        const regionCount = reader.readUint16();
+        const regions = [];
+        for (let r = 0; r < regionCount; r++) {
+            const start = [], peak = [], end = [];
+            for (let a = 0; a < axisCount; a++) {
+                start.push(reader.readF2Dot14());
+                peak.push(reader.readF2Dot14());
+                end.push(reader.readF2Dot14());
+            }
+            regions.push({ start, peak, end });
+        }
+
+        const itemData = dataOffsets.map(dataOffset => {
+            reader.seek(offset + dataOffset);
+            const itemCount = reader.readUint16();
+            const wordDeltaCount = reader.readUint16();
+            const longWords = !!(wordDeltaCount & 0x8000);
+            const wordCount = wordDeltaCount & 0x7FFF;
+            const regionIndexCount = reader.readUint16();
+            const regionIndexes = [];
+            for (let i = 0; i < regionIndexCount; i++) regionIndexes.push(reader.readUint16());
+            const deltaSets = [];
+            for (let i = 0; i < itemCount; i++) {
+                const row = [];
+                for (let r = 0; r < regionIndexCount; r++) {
+                    if (r < wordCount) row.push(longWords ? reader.readInt32() : reader.readInt16());
+                    else row.push(longWords ? reader.readInt16() : reader.readInt8());
+                }
+                deltaSets.push(row);
+            }
+            return { regionIndexes, deltaSets };
+        });
+
+        return { regions, itemData };
+    }
+
+    function computeRegionScalars(store, coords) {
+        return store.regions.map(r => tupleScalar(coords, r.peak, r.start, r.end));
+    }
+
+    function getItemVariationDelta(store, regionScalars, outer, inner) {
+        const data = store.itemData[outer];
+        const row = data && data.deltaSets[inner];
+        if (!row) return 0;
+        let delta = 0;
+        for (let k = 0; k < row.length; k++) delta += regionScalars[data.regionIndexes[k]] * row[k];
+        return delta;
+    }
+
+    // DeltaSetIndexMap: returns [outer, inner] pairs
+    function parseDeltaSetIndexMap(reader, offset) {
+        reader.seek(offset);
+        const format = reader.readUint8();
+        const entryFormat = reader.readUint8();
+        const mapCount = format === 0 ? reader.readUint16() : reader.readUint32();
+        const entrySize = ((entryFormat & 0x30) >> 4) + 1;
+        const innerRange = Math.pow(2, (entryFormat & 0x0F) + 1);
+        const map = [];
+        for (let i = 0; i < mapCount; i++) {
+            let entry = 0;
+            for (let b = 0; b < entrySize; b++) entry = entry * 256 + reader.readUint8();
+            map.push([Math.floor(entry / innerRange), entry % innerRange]);
+        }
+        return map;
+    }
+
+    function parseHVAR(reader, table) {
+        reader.seek(table.offset);
+        reader.skip(4); // majorVersion, minorVersion
+        const storeOffset = reader.readUint32();
+        const advanceMapOffset = reader.readUint32();
+        return {
+            store: parseItemVariationStore(reader, table.offset + storeOffset),
+            advanceMap: advanceMapOffset ? parseDeltaSetIndexMap(reader, table.offset + advanceMapOffset) : null
+        };
+    }
+
+    function getHVARAdvanceDelta(hvar, regionScalars, glyphId) {
+        let outer = 0, inner = glyphId;
+        if (hvar.advanceMap && hvar.advanceMap.length > 0) {
+            [outer, inner] = hvar.advanceMap[Math.min(glyphId, hvar.advanceMap.length - 1)];
+        }
+        return getItemVariationDelta(hvar.store, regionScalars, outer, inner);
+    }
+
     // =========================================================================
     // CFF (Compact Font Format) Parser - for OTF fonts
     // =========================================================================
@@ -1132,8 +4116,6 @@ var FontEngine3D = (() => {
             offSize = reader.readUint8();
         }
 
-        let numRegions = 0; // for CFF2 blend operator
-
         if (isCFF2) {
             // CFF2: header → Top DICT → Global Subr INDEX
             // Top DICT is inline (not an INDEX)
@@ -1143,33 +4125,18 @@ var FontEngine3D = (() => {
 
             // Global Subr INDEX follows Top DICT
             reader.seek(cffOffset + hdrSize + topDictLength);
-            const globalSubrIndex = parseCFFIndex(reader);
+            const globalSubrIndex = parseCFFIndex(reader, true);
 
             // CharStrings
             const charStringsOffset = topDict.charStrings;
             reader.seek(cffOffset + charStringsOffset);
-            const charStringsIndex = parseCFFIndex(reader);
+            const charStringsIndex = parseCFFIndex(reader, true);
             const numGlyphs = charStringsIndex.data.length;
 
-            // Try to get numRegions from ItemVariationStore (vstore, key 24)
-            // For now, assume 0 regions for default instance
-            if (topDict.vstore !== undefined) {
-                try {
-                    reader.seek(cffOffset + topDict.vstore);
-                    const vsLength = reader.readUint16();
-                    const vsMajor = reader.readUint16();
-                    const vsMinor = reader.readUint16();
-                    const varRegionListOffset = reader.readUint32();
-                    const itemVarDataCount = reader.readUint16();
-                    if (itemVarDataCount > 0) {
-                        reader.readUint32(); // first itemVarData offset
-                        // Read VariationRegionList to count regions
-                        reader.seek(cffOffset + topDict.vstore + 2 + varRegionListOffset);
-                        const axisCount = reader.readUint16();
-                        numRegions = reader.readUint16();
-                    }
-                } catch(e) { numRegions = 0; }
-            }
+            // ItemVariationStore (vstore, key 24) for the blend operator; preceded by a uint16 length
+            const vstore = topDict.vstore !== undefined
+                ? parseItemVariationStore(reader, cffOffset + topDict.vstore + 2)
+                : null;
 
             // FDArray and FDSelect
             let privateDicts = [];
@@ -1179,7 +4146,7 @@ var FontEngine3D = (() => {
 
             if (isCID && topDict.fdArray !== undefined) {
                 reader.seek(cffOffset + topDict.fdArray);
-                const fdArrayIndex = parseCFFIndex(reader);
+                const fdArrayIndex = parseCFFIndex(reader, true);
 
                 if (topDict.fdSelect !== undefined) {
                     reader.seek(cffOffset + topDict.fdSelect);
@@ -1198,7 +4165,7 @@ var FontEngine3D = (() => {
                         privateDicts.push(privDict);
                         if (privDict.subrs !== undefined) {
                             reader.seek(cffOffset + privOffset + privDict.subrs);
-                            localSubrIndices.push(parseCFFIndex(reader));
+                            localSubrIndices.push(parseCFFIndex(reader, true));
                         } else {
                             localSubrIndices.push(null);
                         }
@@ -1218,7 +4185,7 @@ var FontEngine3D = (() => {
                     privateDicts.push(privDict);
                     if (privDict.subrs !== undefined) {
                         reader.seek(cffOffset + privOffset + privDict.subrs);
-                        localSubrIndices.push(parseCFFIndex(reader));
+                        localSubrIndices.push(parseCFFIndex(reader, true));
                     } else {
                         localSubrIndices.push(null);
                     }
@@ -1236,7 +4203,8 @@ var FontEngine3D = (() => {
                 fdSelect,
                 isCID,
                 isCFF2: true,
-                numRegions,
+                vstore,
+                vsindex: privateDicts.map(d => d.vsindex || 0),
                 topDict,
                 numGlyphs,
                 defaultWidthX: privateDicts.map(d => d.defaultWidthX || 0),
@@ -1367,7 +4335,7 @@ var FontEngine3D = (() => {
     // Parse FDSelect structure (maps GID to FD index)
     function parseFDSelect(reader, numGlyphs) {
         const format = reader.readUint8();
-        const mapping = new Uint8Array(numGlyphs);
+        const mapping = new Uint16Array(numGlyphs);
 
         if (format === 0) {
             for (let i = 0; i < numGlyphs; i++) {
@@ -1384,13 +4352,26 @@ var FontEngine3D = (() => {
                 }
             }
             reader.readUint16(); // sentinel
+        } else if (format === 4) {
+            // CFF2: 32-bit ranges with 16-bit FD indices
+            const nRanges = reader.readUint32();
+            for (let i = 0; i < nRanges; i++) {
+                const first = reader.readUint32();
+                const fd = reader.readUint16();
+                const next = (i + 1 < nRanges) ? reader.data.getUint32(reader.tell(), false) : numGlyphs;
+                for (let g = first; g < next && g < numGlyphs; g++) {
+                    mapping[g] = fd;
+                }
+            }
+            reader.readUint32(); // sentinel
         }
         return mapping;
     }
 
     // Parse CFF INDEX structure
-    function parseCFFIndex(reader) {
-        const count = reader.readUint16();
+    // CFF2 INDEXes use a 32-bit count
+    function parseCFFIndex(reader, isCFF2) {
+        const count = isCFF2 ? reader.readUint32() : reader.readUint16();
         if (count === 0) return { data: [], count: 0 };
 
         const offSize = reader.readUint8();
@@ -1491,7 +4472,7 @@ var FontEngine3D = (() => {
             4: 'weight', 5: 'fontBBox', 13: 'uniqueID',
             14: 'xuid', 15: 'charset', 16: 'encoding', 17: 'charStrings',
             18: 'private', 19: 'subrs', 20: 'defaultWidthX', 21: 'nominalWidthX',
-            24: 'vstore', 25: 'maxstack',
+            22: 'vsindex', 24: 'vstore', 25: 'maxstack',
             1200: 'copyright', 1201: 'isFixedPitch', 1202: 'italicAngle',
             1203: 'underlinePosition', 1204: 'underlineThickness',
             1206: 'charstringType', 1207: 'fontMatrix',
@@ -1513,8 +4494,10 @@ var FontEngine3D = (() => {
     // =========================================================================
     // CharString2 Interpreter - executes CFF charstring programs
     // =========================================================================
-    function executeCharString(charStringData, globalSubrs, localSubrs, defaultWidthX, nominalWidthX, numRegions) {
-        numRegions = numRegions || 0;
+    // blend: optional CFF2 variation context { store, regionScalars, vsindex };
+    // regionScalars may be null to keep the default instance
+    function executeCharString(charStringData, globalSubrs, localSubrs, defaultWidthX, nominalWidthX, blend) {
+        let vsindex = blend ? blend.vsindex : 0;
         const path = [];
         let x = 0, y = 0;
         let width = null;
@@ -1927,17 +4910,28 @@ var FontEngine3D = (() => {
                     ended = true;
                     break;
                 }
-                case 15: // vsindex (CFF2: switch ItemVariationData - ignore for default instance)
-                    stack.pop();
+                case 15: // vsindex (CFF2: select the ItemVariationData used by blend)
+                    vsindex = stack.pop();
                     break;
-                case 16: // blend (CFF2: variable font interpolation - use default values)
+                case 16: // blend (CFF2: variable font interpolation)
                 {
                     const n = stack.pop();
-                    // Remove n*numRegions delta values, keep n base operands
+                    const itemData = blend && blend.store ? blend.store.itemData[vsindex] : null;
+                    const numRegions = itemData ? itemData.regionIndexes.length : 0;
                     if (numRegions > 0 && n > 0) {
+                        // Stack: n base operands followed by n * numRegions deltas
                         const deltasCount = n * numRegions;
-                        // Deltas sit on top of the base operands
-                        stack.splice(stack.length - deltasCount, deltasCount);
+                        const deltaStart = stack.length - deltasCount;
+                        const baseStart = deltaStart - n;
+                        if (blend.regionScalars) {
+                            for (let j = 0; j < n; j++) {
+                                for (let k = 0; k < numRegions; k++) {
+                                    stack[baseStart + j] += stack[deltaStart + j * numRegions + k] *
+                                        blend.regionScalars[itemData.regionIndexes[k]];
+                                }
+                            }
+                        }
+                        stack.splice(deltaStart, deltasCount);
                     }
                     break;
                 }
@@ -1972,23 +4966,50 @@ var FontEngine3D = (() => {
         return commands.join(' ');
     }
 
+    // Extent of a typeface outline string (control points included)
+    function outlineBounds(o) {
+        if (!o) return null;
+        let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity, isX = true;
+        for (const token of o.split(' ')) {
+            if (token === 'm' || token === 'l' || token === 'q' || token === 'b') { isX = true; continue; }
+            const v = parseFloat(token);
+            if (isX) {
+                if (v < xMin) xMin = v;
+                if (v > xMax) xMax = v;
+            } else {
+                if (v < yMin) yMin = v;
+                if (v > yMax) yMax = v;
+            }
+            isX = !isX;
+        }
+        return xMin <= xMax ? { xMin, xMax, yMin, yMax } : null;
+    }
+
     // =========================================================================
-    // Main parse function
+    // Font object - lazy glyph decoding
     // =========================================================================
-    function parse(arrayBuffer, options = {}) {
+    // load() reads the tables needed to look glyphs up; outlines are decoded on first use and
+    // cached. The returned Font object:
+    //   { familyName, resolution, ascender, descender, lineGap, numGlyphs, palettes,
+    //     charToGlyph(char), glyphToChars(gid), getGlyph(char), getGlyphById(gid),
+    //     getSVGDocument(index), toTypefaceJSON(characters?, options?) }
+    // options: faceIndex, postScriptName, variations, palette, bitmapSize (fixed for the Font object)
+    function load(arrayBuffer, options = {}) {
         // Auto-detect and unwrap WOFF/WOFF2 containers
         const unwrapped = detectAndUnwrap(arrayBuffer);
         const reader = new DataReader(unwrapped);
-        const dir = parseTableDirectory(reader);
+        const face = selectFace(reader, options);
+        const dir = parseTableDirectory(reader, face.offset);
         const tables = dir.tables;
 
         // Determine font type
         const isCFF = !!tables['CFF '];
         const isCFF2 = !!tables['CFF2'];
         const isTrueType = !!tables['glyf'];
+        const hasGlyphImages = !!(tables['sbix'] || tables['CBDT'] || tables['SVG ']);
 
-        if (!isCFF && !isCFF2 && !isTrueType) {
-            throw new Error('Unsupported font format: neither TrueType nor CFF/CFF2 outlines found.');
+        if (!isCFF && !isCFF2 && !isTrueType && !hasGlyphImages) {
+            throw new Error('Unsupported font format: neither TrueType nor CFF/CFF2 outlines (nor bitmap/SVG glyphs) found.');
         }
 
         // Parse common tables
@@ -2001,80 +5022,99 @@ var FontEngine3D = (() => {
         const post = tables['post'] ? parsePost(reader, tables['post']) : { underlinePosition: -100, underlineThickness: 50 };
         const cmap = parseCmap(reader, tables['cmap']);
 
-        // Parse kerning (try GPOS first, then kern)
-        let kernPairsGID = {};
-        try {
-            if (tables['GPOS']) {
-                kernPairsGID = parseGPOS(reader, tables['GPOS']);
-            }
-            if (tables['kern'] && Object.keys(kernPairsGID).length === 0) {
-                kernPairsGID = parseKern(reader, tables['kern']);
-            }
-        } catch (e) { /* ignore kerning parse failures */ }
+        // Vertical metrics: vhea/vmtx share the hhea/hmtx layout (advance height, top side bearing)
+        const vhea = tables['vhea'] && tables['vmtx'] ? parseHhea(reader, tables['vhea']) : null;
+        const vmtx = vhea ? parseHmtx(reader, tables['vmtx'], vhea.numberOfHMetrics, maxp.numGlyphs) : null;
+        const vorg = tables['VORG'] ? parseVORG(reader, tables['VORG']) : null;
 
-        // Build reverse cmap (glyph ID → char code) for kerning
-        const gidToChar = {};
-        for (const [code, gid] of Object.entries(cmap)) {
-            if (!gidToChar[gid]) gidToChar[gid] = String.fromCodePoint(Number(code));
-        }
+        // Color glyphs: COLR layers filled from CPAL palette options.palette (default 0)
+        const colr = tables['COLR'] ? parseCOLR(reader, tables['COLR']) : null;
+        const palettes = tables['CPAL'] ? parseCPAL(reader, tables['CPAL']) : [];
+        const palette = palettes[options.palette] || palettes[0] || [];
+
+        // Glyph images (SVG glyphs, sbix and CBDT bitmaps) for glyphs without outlines or COLR layers;
+        // bitmap strikes are picked by options.bitmapSize (ppem, default the largest)
+        const svgRecords = tables['SVG '] ? parseSVGTable(reader, tables['SVG ']) : null;
+        const sbixStrikes = tables['sbix'] ? parseSbix(reader, tables['sbix']) : [];
+        const sbixStrike = sbixStrikes[selectStrike(sbixStrikes.map(strike => strike.ppem), options.bitmapSize)];
+        const cblcSizes = tables['CBLC'] && tables['CBDT'] ? parseCBLC(reader, tables['CBLC']) : [];
+        const cblcSize = cblcSizes[selectStrike(cblcSizes.map(size => size.ppemY), options.bitmapSize)];
 
         const unitsPerEm = head.unitsPerEm;
         const ascender = os2 ? os2.sTypoAscender : hhea.ascender;
         const descender = os2 ? os2.sTypoDescender : hhea.descender;
+        const lineGap = os2 ? os2.sTypoLineGap : hhea.lineGap;
 
-        // Filter characters to convert
-        let charCodes;
-        if (options.characters) {
-            // Specific characters requested
-            const chars = new Set();
-            for (const ch of options.characters) {
-                chars.add(ch.codePointAt(0));
-            }
-            charCodes = Array.from(chars).filter(c => cmap[c] !== undefined);
-        } else if (options.restrictCharSet !== false) {
-            // Default: convert all mapped characters
-            charCodes = Object.keys(cmap).map(Number);
+        // Glyph outline sources
+        let glyfLoader;
+        let cffData;
+        let cffRegionScalars = null;
+
+        // Variable font instancing (options.variations, e.g. { wght: 700 })
+        const fvar = tables['fvar'] ? parseFvar(reader, tables['fvar']) : null;
+        let variationCoords = null;
+        if (options.variations && !fvar && Object.keys(options.variations).length > 0) {
+            throw new Error('The variations option needs a variable font: this font has no fvar table');
+        }
+        if (options.variations && fvar) {
+            const avar = tables['avar'] ? parseAvar(reader, tables['avar']) : null;
+            const coords = normalizeVariationCoords(fvar.axes, avar, options.variations);
+            if (coords.some(v => v !== 0)) variationCoords = coords;
         }
 
-        // Build glyphs
-        let glyphOutlines;
-        let cffData;
+        // HVAR advance deltas (TrueType glyphs fall back to gvar phantom points)
+        let hvar = null, hvarScalars = null;
+        if (variationCoords && tables['HVAR']) {
+            hvar = parseHVAR(reader, tables['HVAR']);
+            hvarScalars = computeRegionScalars(hvar.store, variationCoords);
+        }
+        const colrScalars = variationCoords && colr && colr.store ? computeRegionScalars(colr.store, variationCoords) : null;
 
         if (isTrueType) {
             const loca = parseLoca(reader, tables['loca'], maxp.numGlyphs, head.indexToLocFormat);
-            glyphOutlines = parseGlyfTable(reader, tables['glyf'], loca, maxp.numGlyphs);
+            const variation = variationCoords && tables['gvar']
+                ? { coords: variationCoords, gvar: parseGvar(reader, tables['gvar']) }
+                : null;
+            glyfLoader = createGlyfLoader(reader, tables['glyf'], loca, maxp.numGlyphs, variation);
         } else if (isCFF2) {
             cffData = parseCFF(reader, tables['CFF2'], true);
-        } else {
+            if (variationCoords && cffData.vstore) {
+                cffRegionScalars = computeRegionScalars(cffData.vstore, variationCoords);
+            }
+        } else if (isCFF) {
             cffData = parseCFF(reader, tables['CFF '], false);
         }
 
-        // Build typeface JSON
-        const glyphs = {};
-        let convertedCount = 0;
-        let errorCount = 0;
-
-        for (const charCode of charCodes) {
-            const glyphId = cmap[charCode];
-            if (glyphId === undefined || glyphId === 0) continue;
-
-            const char = String.fromCodePoint(charCode);
-            const advanceWidth = hmtx[glyphId] ? hmtx[glyphId].advanceWidth : 0;
+        // Decoded glyphs by glyph ID ({ ha, o }); failed glyphs keep an empty outline
+        const glyphCache = new Map();
+        const failedGlyphs = new Set();
+
+        // Outline and advances of one glyph in typeface JSON form ({ ha, o }, plus { va, vo } with vmtx or VORG
+        // and layers for COLR color glyphs)
+        function convertGlyph(glyphId) {
+            if (glyphCache.has(glyphId)) return glyphCache.get(glyphId);
+
+            const outline = isTrueType ? glyfLoader(glyphId) : null;
+            let advanceWidth = hmtx[glyphId] ? hmtx[glyphId].advanceWidth : 0;
+            if (hvar) {
+                advanceWidth = Math.round(advanceWidth + getHVARAdvanceDelta(hvar, hvarScalars, glyphId));
+            } else if (outline && outline.advanceDelta) {
+                advanceWidth = Math.round(advanceWidth + outline.advanceDelta);
+            }
 
             let commandStr = '';
 
             try {
                 if (isTrueType) {
-                    const glyph = glyphOutlines[glyphId];
-                    if (glyph && glyph.contours && glyph.contours.length > 0) {
+                    if (outline && outline.contours && outline.contours.length > 0) {
                         const parts = [];
-                        for (const contour of glyph.contours) {
+                        for (const contour of outline.contours) {
                             const cmd = ttContourToCommands(contour);
                             if (cmd) parts.push(cmd);
                         }
                         commandStr = parts.join(' ');
                     }
-                } else {
+                } else if (cffData) {
                     // CFF
                     if (glyphId < cffData.charStringsIndex.data.length) {
                         const charString = cffData.charStringsIndex.data[glyphId];
@@ -2092,401 +5132,4376 @@ var FontEngine3D = (() => {
                             localSubrs,
                             cffData.isCFF2 ? 0 : dwx,
                             cffData.isCFF2 ? 0 : nwx,
-                            cffData.numRegions || 0
+                            cffData.isCFF2 ? { store: cffData.vstore, regionScalars: cffRegionScalars, vsindex: cffData.vsindex[fdIdx] || 0 } : null
                         );
                         commandStr = cffPathToCommands(result.path);
                     }
                 }
-                convertedCount++;
             } catch (e) {
-                errorCount++;
+                failedGlyphs.add(glyphId);
                 // Skip problematic glyphs
                 commandStr = '';
             }
 
-            glyphs[char] = {
-                ha: advanceWidth,
-                o: commandStr
-            };
+            const glyph = { ha: advanceWidth, o: commandStr };
+            if (vmtx || vorg) {
+                // Vertical advance (va) and the y of the vertical origin (vo): VORG for CFF,
+                // else the top of the glyph plus its top side bearing
+                const metrics = vmtx && vmtx[glyphId];
+                const bounds = vorg ? null : outlineBounds(commandStr);
+                glyph.va = metrics ? metrics.advanceWidth : ascender - descender;
+                glyph.vo = vorg ? (vorg.origins[glyphId] !== undefined ? vorg.origins[glyphId] : vorg.defaultVertOriginY)
+                    : (bounds && metrics ? bounds.yMax + metrics.lsb : ascender);
+            }
+            glyphCache.set(glyphId, glyph);
+
+            // Cached first: layer glyphs may refer back to this glyph
+            if (colr) {
+                let layers = null;
+                try {
+                    layers = flattenColorGlyph(reader, colr, palette, glyphId, gid => convertGlyph(gid).o, colrScalars);
+                } catch (e) { /* ignore malformed paint graphs */ }
+                if (layers && layers.length > 0) glyph.layers = layers;
+            }
+            if (!glyph.o && !glyph.layers && (svgRecords || sbixStrike || cblcSize)) {
+                let image = null;
+                try {
+                    image = readGlyphImage(glyphId, glyph.ha);
+                } catch (e) { /* ignore malformed images */ }
+                if (image) glyph.image = image;
+            }
+            return glyph;
         }
 
-        // Build kerning map (char → char → value)
-        const kerning = {};
-        for (const [gid1Str, gid1Pairs] of Object.entries(kernPairsGID)) {
-            const ch1 = gidToChar[gid1Str];
-            if (!ch1 || !glyphs[ch1]) continue;
-            for (const [gid2Str, value] of Object.entries(gid1Pairs)) {
-                const ch2 = gidToChar[gid2Str];
-                if (!ch2 || !glyphs[ch2]) continue;
-                if (!kerning[ch1]) kerning[ch1] = {};
-                kerning[ch1][ch2] = value;
+        // Image of a glyph: its SVG document over the em box, else an sbix or CBDT bitmap
+        function readGlyphImage(glyphId, advance) {
+            const documentIndex = svgRecords ? findSVGDocument(svgRecords, glyphId) : -1;
+            if (documentIndex >= 0) {
+                return {
+                    format: 'svg', document: documentIndex, glyphId,
+                    x: 0, y: descender, width: advance || unitsPerEm, height: ascender - descender
+                };
             }
+            const image = sbixStrike ? readSbixImage(reader, sbixStrike, glyphId, unitsPerEm) : null;
+            if (image || !cblcSize) return image;
+            return readCBDTImage(reader, cblcSize, tables['CBDT'].offset, glyphId, unitsPerEm);
         }
 
-        const formatStr = isCFF2 ? 'CFF2/OTF' : (isCFF ? 'CFF/OTF' : 'TrueType');
+        // Text of an SVG glyph document by index (decoded once)
+        const svgDocuments = new Map();
+        function getSVGDocument(index) {
+            if (!svgRecords || !svgRecords[index]) return null;
+            if (!svgDocuments.has(index)) svgDocuments.set(index, readSVGDocument(reader, svgRecords[index]));
+            return svgDocuments.get(index);
+        }
 
-        const result = {
-            glyphs: glyphs,
-            familyName: nameTable.fontFamily || nameTable.fullName || 'Unknown',
-            ascender: ascender,
-            descender: descender,
-            underlinePosition: post.underlinePosition || Math.round(-unitsPerEm * 0.1),
-            underlineThickness: post.underlineThickness || Math.round(unitsPerEm * 0.05),
-            boundingBox: {
-                xMin: head.xMin,
-                yMin: head.yMin,
-                xMax: head.xMax,
-                yMax: head.yMax
-            },
-            resolution: unitsPerEm,
-            kerning: kerning,
-            original_font_information: {
-                format: formatStr,
-                fontFamily: nameTable.fontFamily,
-                fontSubfamily: nameTable.fontSubfamily,
-                fullName: nameTable.fullName,
-                postScriptName: nameTable.postScriptName,
-                version: nameTable.version,
-                copyright: nameTable.copyright,
-                designer: nameTable.designer
-            },
-            _meta: {
-                convertedGlyphs: convertedCount,
-                errorGlyphs: errorCount,
-                totalMapped: charCodes.length,
-                type: formatStr
+        // Copy of a cached glyph for callers: { ha, o } and, with vertical metrics, { va, vo }, with COLR, layers,
+        // for bitmap/SVG glyphs, image
+        function copyGlyph(glyph) {
+            const copy = { ha: glyph.ha, o: glyph.o };
+            if (glyph.va !== undefined) {
+                copy.va = glyph.va;
+                copy.vo = glyph.vo;
             }
-        };
+            if (glyph.layers) copy.layers = glyph.layers.map(layer => Object.assign({}, layer));
+            if (glyph.image) copy.image = Object.assign({}, glyph.image);
+            return copy;
+        }
 
-        return result;
-    }
+        // Layout tables are only needed for the typeface JSON; parsed once on first use
+        let layoutTables = null;
+        function getLayoutTables() {
+            if (layoutTables) return layoutTables;
+            // errors: subtables and tables that failed to parse, reported in _meta.layoutErrors
+            layoutTables = { cmapVariations: null, gpos: null, gsub: null, gdef: null, errors: [] };
 
-    // =========================================================================
-    // Debug: Convert typeface glyph path to SVG path data (for verification)
-    // =========================================================================
-    function glyphToSVGPath(glyphObj, scale) {
-        if (!glyphObj || !glyphObj.o) return '';
-        const tokens = glyphObj.o.split(' ');
-        const s = scale || 1;
-        let d = '';
-        let i = 0;
-        let firstInContour = true;
-        while (i < tokens.length) {
-            const cmd = tokens[i++];
-            switch (cmd) {
-                case 'm': {
-                    if (!firstInContour) d += 'Z ';
-                    const x = parseFloat(tokens[i++]) * s;
-                    const y = parseFloat(tokens[i++]) * s;
-                    d += `M ${x} ${-y} `;
-                    firstInContour = false;
-                    break;
-                }
-                case 'l': {
-                    const x = parseFloat(tokens[i++]) * s;
-                    const y = parseFloat(tokens[i++]) * s;
-                    d += `L ${x} ${-y} `;
-                    break;
-                }
-                case 'q': {
-                    const cx = parseFloat(tokens[i++]) * s;
-                    const cy = parseFloat(tokens[i++]) * s;
-                    const x = parseFloat(tokens[i++]) * s;
-                    const y = parseFloat(tokens[i++]) * s;
-                    d += `Q ${cx} ${-cy} ${x} ${-y} `;
-                    break;
-                }
-                case 'b': {
-                    const c1x = parseFloat(tokens[i++]) * s;
-                    const c1y = parseFloat(tokens[i++]) * s;
-                    const c2x = parseFloat(tokens[i++]) * s;
-                    const c2y = parseFloat(tokens[i++]) * s;
-                    const x = parseFloat(tokens[i++]) * s;
-                    const y = parseFloat(tokens[i++]) * s;
-                    d += `C ${c1x} ${-c1y} ${c2x} ${-c2y} ${x} ${-y} `;
-                    break;
-                }
-                default:
-                    break;
+            // Unicode Variation Sequences (cmap format 14)
+            try {
+                layoutTables.cmapVariations = parseCmapVariations(reader, tables['cmap']);
+            } catch (e) { /* ignore format 14 parse failures */ }
+
+            // Glyph positioning data for text layout (adjustments, kerning, mark attachment)
+            try {
+                if (tables['GPOS']) layoutTables.gpos = parseGPOS(reader, tables['GPOS'], layoutTables.errors);
+            } catch (e) {
+                layoutTables.errors.push(`GPOS: ${e.message}`);
             }
-        }
-        d += 'Z';
-        return d;
-    }
 
-    function generateSVG(typefaceJSON, text, fontSize) {
-        fontSize = fontSize || 120;
-        const res = typefaceJSON.resolution || 1000;
-        const scale = fontSize / res;
-        const glyphs = typefaceJSON.glyphs;
-        const kerning = typefaceJSON.kerning || {};
-        let paths = '';
-        let xOffset = 10;
-        const baseline = fontSize * 1.1;
-        const chars = [...text];
+            // Glyph substitution data for text layout (ligatures, contextual forms)
+            try {
+                if (tables['GSUB']) layoutTables.gsub = parseGSUB(reader, tables['GSUB'], layoutTables.errors);
+            } catch (e) {
+                layoutTables.errors.push(`GSUB: ${e.message}`);
+            }
 
-        for (let ci = 0; ci < chars.length; ci++) {
-            const ch = chars[ci];
-            const g = glyphs[ch];
-            if (!g) { xOffset += res * 0.3 * scale; continue; }
-            if (g.o) {
-                const svgPath = glyphToSVGPath(g, scale);
-                paths += `<path d="${svgPath}" transform="translate(${xOffset},${baseline})" fill="black" fill-rule="nonzero" />\n`;
+            // Glyph classes for lookup flags; GDEF marks get no advance in text layout
+            try {
+                if (tables['GDEF']) layoutTables.gdef = parseGDEF(reader, tables['GDEF']);
+            } catch (e) {
+                layoutTables.errors.push(`GDEF: ${e.message}`);
             }
-            xOffset += g.ha * scale;
-            // Apply kerning
-            if (ci + 1 < chars.length && kerning[ch]) {
-                const kern = kerning[ch][chars[ci + 1]];
-                if (kern) xOffset += kern * scale;
+            return layoutTables;
+        }
+
+        function getGlyphById(glyphId) {
+            if (!(glyphId >= 0 && glyphId < maxp.numGlyphs)) return null;
+            return copyGlyph(convertGlyph(glyphId));
+        }
+
+        // Glyph ID of a character (undefined when unmapped) and the characters mapped to a glyph ID
+        function charToGlyph(char) {
+            return cmap.charToGlyph(String(char).codePointAt(0));
+        }
+        function glyphToChars(glyphId) {
+            return cmap.glyphToChars(glyphId).map(c => String.fromCodePoint(c));
+        }
+
+        // Glyph of a character ({ ha, o, gid }), or null when the font does not map it
+        function getGlyph(char) {
+            const glyphId = charToGlyph(char);
+            if (glyphId === undefined) return null;
+            const glyph = copyGlyph(convertGlyph(glyphId));
+            glyph.gid = glyphId;
+            return glyph;
+        }
+
+        // Bounds of an instance, which the head table only gives for the default one: those of the converted glyphs
+        function instanceBounds(converted) {
+            const box = { xMin: Infinity, yMin: Infinity, xMax: -Infinity, yMax: -Infinity };
+            for (const glyph of converted) {
+                const bounds = outlineBounds(glyph.o);
+                if (!bounds) continue;
+                box.xMin = Math.min(box.xMin, bounds.xMin);
+                box.yMin = Math.min(box.yMin, bounds.yMin);
+                box.xMax = Math.max(box.xMax, bounds.xMax);
+                box.yMax = Math.max(box.yMax, bounds.yMax);
             }
+            return box.xMin <= box.xMax ? box : { xMin: head.xMin, yMin: head.yMin, xMax: head.xMax, yMax: head.yMax };
         }
 
-        const width = Math.ceil(xOffset + 20);
-        const height = Math.ceil(fontSize * 1.6);
-        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-<rect width="100%" height="100%" fill="white"/>
-${paths}</svg>`;
-    }
+        // Typeface JSON for the given characters (all mapped characters by default).
+        // options: layout, script, language, features, kerningFormat (see parse())
+        function toTypefaceJSON(characters, jsonOptions = {}) {
+            const { cmapVariations, gpos, gsub, gdef, errors: layoutErrors } = getLayoutTables();
+
+            // Filter characters to convert
+            let charCodes;
+            if (characters) {
+                // Specific characters requested
+                const chars = new Set();
+                for (const ch of characters) {
+                    chars.add(ch.codePointAt(0));
+                }
+                charCodes = Array.from(chars).filter(c => cmap.charToGlyph(c) !== undefined);
+            } else {
+                // Default: convert all mapped characters
+                charCodes = cmap.codePoints();
+            }
 
-    // =========================================================================
-    // Three.js Shape Builder - bypasses TextGeometry's broken winding detection
-    // =========================================================================
-    // Three.js's Font/ShapePath.toShapes() uses only 12 divisions for area
-    // calculation, causing winding direction detection to fail on complex CFF
-    // cubic bezier paths. This implementation uses high-quality tessellation
-    // and proper point-in-polygon testing for hole assignment.
-    //
-    // Usage:
-    //   const shapes = FontEngine3D.createTextShapes(THREE, json, 'Hello', {
-    //       size: 80, curveSegments: 48, reverseWinding: false
-    //   });
-    //   const geometry = new THREE.ExtrudeGeometry(shapes, { depth: 15, curveSegments: 48 });
-    // =========================================================================
+            // Build typeface JSON
+            const glyphs = {};
+            let convertedCount = 0;
+            let errorCount = 0;
+            const addGlyph = (glyphId) => {
+                const glyph = convertGlyph(glyphId);
+                if (failedGlyphs.has(glyphId)) errorCount++;
+                else convertedCount++;
+                return glyph;
+            };
 
-    function createTextShapes(THREE, typefaceJSON, text, options) {
-        options = options || {};
-        const size = options.size || 80;
-        const divisions = options.curveSegments || 48;
-        const reverseWinding = !!options.reverseWinding;
-        const data = typefaceJSON;
-        const scale = size / (data.resolution || 1000);
-        let offsetX = 0;
-        const allShapes = [];
-        const kerning = data.kerning || {};
-        const chars = [...text];
+            for (const charCode of charCodes) {
+                const glyphId = cmap.charToGlyph(charCode);
+                if (glyphId === undefined) continue;
 
-        for (let ci = 0; ci < chars.length; ci++) {
-            const char = chars[ci];
-            if (char === '\n') { offsetX = 0; continue; }
-            const glyph = data.glyphs[char];
-            if (!glyph) {
-                offsetX += (data.resolution || 1000) * scale * 0.3;
-                continue;
+                const char = String.fromCodePoint(charCode);
+                const glyph = copyGlyph(addGlyph(glyphId));
+                glyph.gid = glyphId;
+                glyphs[char] = glyph;
             }
 
-            if (glyph.o) {
-                const shapes = _buildShapesFromGlyph(THREE, glyph.o, scale, offsetX, divisions, reverseWinding);
-                allShapes.push(...shapes);
+            // Variation sequences of the converted characters, keyed by selector and base character:
+            // { selector: { defaults: [[start, end]], glyphs: { base: gid } } }
+            const variationSequences = {};
+            const variationGlyphs = new Set();
+            const hasGlyphInRange = (start, end) => {
+                for (let cp = start; cp <= end; cp++) if (glyphs[String.fromCodePoint(cp)]) return true;
+                return false;
+            };
+            for (const [selector, entry] of Object.entries(cmapVariations || {})) {
+                const sequences = { defaults: entry.defaults.filter(([start, end]) => hasGlyphInRange(start, end)), glyphs: {} };
+                for (const [base, gid] of Object.entries(entry.glyphs)) {
+                    const char = String.fromCodePoint(Number(base));
+                    if (!glyphs[char] || gid >= maxp.numGlyphs) continue;
+                    sequences.glyphs[char] = gid;
+                    variationGlyphs.add(gid);
+                }
+                if (sequences.defaults.length > 0 || Object.keys(sequences.glyphs).length > 0) {
+                    variationSequences[String.fromCodePoint(Number(selector))] = sequences;
+                }
             }
 
-            offsetX += (glyph.ha || 0) * scale;
+            // Glyphs missing from `glyphs` (ligatures, alternates, contextual forms, variation sequences),
+            // keyed by glyph ID, for shaping with layout: true. With characters only the variation glyphs
+            // of the requested characters and the glyphs reachable through GSUB from them are kept.
+            const glyphsById = {};
+            let unmappedCount = 0;
+            if (jsonOptions.layout === true) {
+                const mapped = new Set(Object.values(glyphs).map(g => g.gid));
+                let candidates;
+                if (characters) {
+                    const sources = new Set([...mapped, ...variationGlyphs]);
+                    candidates = [...variationGlyphs].concat(gsub ? gsubReachableGlyphs(gsub, sources) : []);
+                } else {
+                    candidates = [];
+                    for (let gid = 1; gid < maxp.numGlyphs; gid++) candidates.push(gid);
+                }
+                for (const gid of candidates) {
+                    if (mapped.has(gid) || gid >= maxp.numGlyphs) continue;
+                    glyphsById[gid] = copyGlyph(addGlyph(gid));
+                    unmappedCount++;
+                }
+            }
 
-            // Apply kerning
-            if (ci + 1 < chars.length && kerning[char]) {
-                const nextChar = chars[ci + 1];
-                const kern = kerning[char][nextChar];
-                if (kern) offsetX += kern * scale;
+            // Kerning pairs from the GPOS lookups of the requested script/language/features
+            // (default: 'kern' for the script most of the converted characters belong to), else the kern table
+            // With kerningFormat === 'classes' the GPOS lookups stay class-based in kerningClasses
+            let kernPairsGID = {};
+            let kerningClasses = [];
+            try {
+                if (gpos) {
+                    const script = jsonOptions.script || detectFontScript(charCodes, gpos.scripts);
+                    const featureValues = resolveFeatureValues(DEFAULT_KERNING_FEATURES, jsonOptions.features);
+                    const lookups = selectLookups(gpos, script, jsonOptions.language, featureValues);
+                    if (jsonOptions.kerningFormat === 'classes') {
+                        kerningClasses = collectGPOSKerningClasses(gpos, lookups, gdef, glyphs);
+                    } else {
+                        kernPairsGID = collectGPOSKerning(gpos, lookups, gdef);
+                    }
+                }
+                if (tables['kern'] && Object.keys(kernPairsGID).length === 0 && kerningClasses.length === 0) {
+                    kernPairsGID = parseKern(reader, tables['kern']);
+                }
+            } catch (e) { /* ignore kerning parse failures */ }
+
+            // Reverse mapping of the converted characters (glyph ID → lowest char) for kerning
+            const gidToChar = {};
+            for (const [char, glyph] of Object.entries(glyphs)) {
+                const current = gidToChar[glyph.gid];
+                if (!current || char.codePointAt(0) < current.codePointAt(0)) gidToChar[glyph.gid] = char;
+            }
+
+            // Build kerning map (char → char → value)
+            const kerning = {};
+            for (const [gid1Str, gid1Pairs] of Object.entries(kernPairsGID)) {
+                const ch1 = gidToChar[gid1Str];
+                if (!ch1 || !glyphs[ch1]) continue;
+                for (const [gid2Str, value] of Object.entries(gid1Pairs)) {
+                    const ch2 = gidToChar[gid2Str];
+                    if (!ch2 || !glyphs[ch2]) continue;
+                    if (!kerning[ch1]) kerning[ch1] = {};
+                    kerning[ch1][ch2] = value;
+                }
+            }
+
+            const formatStr = isCFF2 ? 'CFF2/OTF' : (isCFF ? 'CFF/OTF' : 'TrueType');
+
+            const result = {
+                glyphs: glyphs,
+                familyName: nameTable.fontFamily || nameTable.fullName || 'Unknown',
+                ascender: ascender,
+                descender: descender,
+                lineGap: lineGap,
+                underlinePosition: post.underlinePosition || Math.round(-unitsPerEm * 0.1),
+                underlineThickness: post.underlineThickness || Math.round(unitsPerEm * 0.05),
+                boundingBox: variationCoords ? instanceBounds(Object.values(glyphs).concat(Object.values(glyphsById))) : {
+                    xMin: head.xMin,
+                    yMin: head.yMin,
+                    xMax: head.xMax,
+                    yMax: head.yMax
+                },
+                resolution: unitsPerEm,
+                kerning: kerning,
+                original_font_information: {
+                    format: formatStr,
+                    fontFamily: nameTable.fontFamily,
+                    fontSubfamily: nameTable.fontSubfamily,
+                    fullName: nameTable.fullName,
+                    postScriptName: nameTable.postScriptName,
+                    version: nameTable.version,
+                    copyright: nameTable.copyright,
+                    designer: nameTable.designer
+                },
+                _meta: {
+                    convertedGlyphs: convertedCount,
+                    errorGlyphs: errorCount,
+                    totalMapped: charCodes.length,
+                    unmappedGlyphs: unmappedCount,
+                    type: formatStr,
+                    layoutErrors: layoutErrors.slice()
+                }
+            };
+
+            if (kerningClasses.length > 0) result.kerningClasses = kerningClasses;
+            if (palettes.length > 0) result.palettes = palettes;
+
+            // SVG documents of the converted SVG glyphs, by document index
+            const svgDocumentsUsed = {};
+            for (const glyph of Object.values(glyphs).concat(Object.values(glyphsById))) {
+                if (glyph.image && glyph.image.format === 'svg') {
+                    svgDocumentsUsed[glyph.image.document] = getSVGDocument(glyph.image.document);
+                }
+            }
+            if (Object.keys(svgDocumentsUsed).length > 0) result.svgDocuments = svgDocumentsUsed;
+            if (Object.keys(variationSequences).length > 0) result.variationSequences = variationSequences;
+
+            // Layout tables with layout: true, reduced to the converted glyphs for a character subset
+            if (jsonOptions.layout === true) {
+                if (unmappedCount > 0) result.glyphsById = glyphsById;
+                let layout = { gsub, gpos, gdef };
+                if (characters) {
+                    const glyphIds = new Set(Object.values(glyphs).map(glyph => glyph.gid).concat(Object.keys(glyphsById).map(Number)));
+                    layout = subsetLayoutTables(gsub, gpos, gdef, glyphIds);
+                }
+                if (layout.gsub && layout.gsub.lookups.some(lookup => lookup.subtables.length > 0)) result.gsub = layout.gsub;
+                if (layout.gpos && layout.gpos.lookups.some(lookup => lookup.subtables.length > 0)) {
+                    result.gpos = { scripts: layout.gpos.scripts, features: layout.gpos.features, lookups: layout.gpos.lookups };
+                }
+                if (layout.gdef) result.gdef = layout.gdef;
             }
+
+            if (face.isCollection) {
+                result.original_font_information.faceIndex = face.index;
+                result.original_font_information.numFaces = face.count;
+            }
+
+            // Variable font metadata, with name IDs resolved through the 'name' table
+            if (fvar) {
+                const nameOf = id => nameTable.byID[id] || '';
+                result.variationAxes = fvar.axes.map(axis => ({
+                    tag: axis.tag,
+                    name: nameOf(axis.axisNameID),
+                    nameID: axis.axisNameID,
+                    minValue: axis.minValue,
+                    defaultValue: axis.defaultValue,
+                    maxValue: axis.maxValue,
+                    hidden: !!(axis.flags & 0x0001) // HIDDEN_AXIS
+                }));
+                result.namedInstances = fvar.instances.map(inst => ({
+                    name: nameOf(inst.subfamilyNameID),
+                    postScriptName: inst.postScriptNameID !== 0xFFFF ? nameOf(inst.postScriptNameID) : '',
+                    coordinates: inst.coordinates
+                }));
+            }
+            if (tables['STAT']) {
+                const nameOf = id => nameTable.byID[id] || '';
+                const stat = parseSTAT(reader, tables['STAT']);
+                const axisTag = index => stat.designAxes[index] ? stat.designAxes[index].tag : '';
+                result.stat = {
+                    designAxes: stat.designAxes.map(axis => ({
+                        tag: axis.tag,
+                        name: nameOf(axis.axisNameID),
+                        ordering: axis.axisOrdering
+                    })),
+                    axisValues: stat.axisValues.map(v => {
+                        const entry = { format: v.format, name: nameOf(v.valueNameID), flags: v.flags };
+                        if (v.format === 4) {
+                            entry.values = {};
+                            for (const av of v.values) entry.values[axisTag(av.axisIndex)] = av.value;
+                        } else {
+                            entry.axisTag = axisTag(v.axisIndex);
+                            entry.value = v.value;
+                            if (v.format === 2) {
+                                entry.rangeMinValue = v.rangeMinValue;
+                                entry.rangeMaxValue = v.rangeMaxValue;
+                            }
+                            if (v.format === 3) entry.linkedValue = v.linkedValue;
+                        }
+                        return entry;
+                    }),
+                    elidedFallbackName: nameOf(stat.elidedFallbackNameID)
+                };
+            }
+
+            return result;
         }
 
-        return allShapes;
+        return {
+            familyName: nameTable.fontFamily || nameTable.fullName || 'Unknown',
+            resolution: unitsPerEm,
+            ascender,
+            descender,
+            lineGap,
+            numGlyphs: maxp.numGlyphs,
+            palettes,
+            charToGlyph,
+            glyphToChars,
+            getGlyph,
+            getGlyphById,
+            getSVGDocument,
+            toTypefaceJSON
+        };
     }
 
-    function _buildShapesFromGlyph(THREE, pathStr, scale, offsetX, divisions, reverseWinding) {
-        const tokens = pathStr.split(' ');
-        const subPaths = [];
-        let current = null;
-        let i = 0;
+    // =========================================================================
+    // Main parse function
+    // =========================================================================
+    // Typeface JSON of the whole font (or options.characters) in one call; see load() to decode
+    // glyphs on demand instead
+    function parse(arrayBuffer, options = {}) {
+        return load(arrayBuffer, options).toTypefaceJSON(options.characters, options);
+    }
 
-        while (i < tokens.length) {
-            const cmd = tokens[i];
-            switch (cmd) {
-                case 'm': {
-                    current = [];
-                    subPaths.push(current);
-                    const x = parseFloat(tokens[i+1]) * scale + offsetX;
-                    const y = parseFloat(tokens[i+2]) * scale;
-                    current.push({ type: 'move', x, y });
-                    i += 3;
-                    break;
+    // =========================================================================
+    // Font collections: list the faces of a .ttc/.otc (or a single font)
+    // =========================================================================
+    function listFaces(arrayBuffer) {
+        const reader = new DataReader(detectAndUnwrap(arrayBuffer));
+        const offsets = parseCollectionHeader(reader) || [0];
+        return offsets.map((offset, index) => {
+            const dir = parseTableDirectory(reader, offset);
+            const name = dir.tables['name'] ? parseName(reader, dir.tables['name']) : {};
+            return {
+                index,
+                familyName: name.fontFamily || '',
+                subfamilyName: name.fontSubfamily || '',
+                fullName: name.fullName || '',
+                postScriptName: name.postScriptName || ''
+            };
+        });
+    }
+
+    // =========================================================================
+    // Text layout - GSUB shaping and glyph positioning
+    // Shared by createTextShapes() and generateSVG()
+    // =========================================================================
+
+    // GSUB and GPOS features applied by default; options.features adds or disables features
+    const DEFAULT_GSUB_FEATURES = ['ccmp', 'locl', 'rlig', 'liga', 'clig', 'calt'];
+    const DEFAULT_GPOS_FEATURES = ['kern', 'mark', 'mkmk', 'curs', 'dist', 'abvm', 'blwm'];
+    // GPOS features flattened into json.kerning by parse()
+    const DEFAULT_KERNING_FEATURES = ['kern'];
+    // GSUB features of upright runs in vertical text (horizontal-only features such as liga are left out)
+    const VERTICAL_GSUB_FEATURES = ['ccmp', 'locl', 'rlig', 'vert', 'vrt2'];
+
+    // Scripts with cursive joining and their positional-form features
+    const JOINING_SCRIPTS = ['arab', 'syrc', 'nko '];
+    const JOINING_GSUB_FEATURES = ['isol', 'fina', 'medi', 'init', 'mset'];
+    const JOINING_FORM_FEATURES = ['isol', 'fina', 'medi', 'init'];
+    // GSUB stages of joining scripts, each working on the output of the one before: the positional
+    // forms one at a time, then rlig, then rclt/calt; the other features come last
+    const JOINING_GSUB_STAGES = [['ccmp', 'locl'], ['isol'], ['fina'], ['medi'], ['init'], ['rlig'], ['rclt', 'calt']];
+
+    // Unicode ranges → OpenType script tags (first match in the text selects the GSUB script)
+    const SCRIPT_RANGES = [
+        [0x0041, 0x005A, 'latn'], [0x0061, 0x007A, 'latn'], [0x00C0, 0x024F, 'latn'],
+        [0x0370, 0x03FF, 'grek'], [0x0400, 0x052F, 'cyrl'], [0x0530, 0x058F, 'armn'],
+        [0x0590, 0x05FF, 'hebr'], [0x0600, 0x06FF, 'arab'], [0x0700, 0x074F, 'syrc'],
+        [0x0750, 0x077F, 'arab'], [0x0780, 0x07BF, 'thaa'], [0x07C0, 0x07FF, 'nko '],
+        [0x0860, 0x086F, 'syrc'], [0x0870, 0x08FF, 'arab'], [0x0900, 0x097F, 'deva'],
+        [0x0980, 0x09FF, 'beng'], [0x0A00, 0x0A7F, 'guru'], [0x0A80, 0x0AFF, 'gujr'],
+        [0x0B00, 0x0B7F, 'orya'], [0x0B80, 0x0BFF, 'taml'], [0x0C00, 0x0C7F, 'telu'],
+        [0x0C80, 0x0CFF, 'knda'], [0x0D00, 0x0D7F, 'mlym'], [0x0D80, 0x0DFF, 'sinh'],
+        [0x0E00, 0x0E7F, 'thai'], [0x0E80, 0x0EFF, 'lao '], [0x0F00, 0x0FFF, 'tibt'],
+        [0x10A0, 0x10FF, 'geor'], [0x1100, 0x11FF, 'hang'], [0x1E00, 0x1EFF, 'latn'],
+        [0x1F00, 0x1FFF, 'grek'], [0x3040, 0x30FF, 'kana'], [0x3130, 0x318F, 'hang'],
+        [0x3400, 0x4DBF, 'hani'], [0x4E00, 0x9FFF, 'hani'], [0xAC00, 0xD7AF, 'hang'],
+        [0xFB1D, 0xFB4F, 'hebr'], [0xFB50, 0xFDFF, 'arab'], [0xFE70, 0xFEFF, 'arab'],
+        [0x20000, 0x3FFFF, 'hani']
+    ];
+
+    function detectScript(codePoints) {
+        for (const cp of codePoints) {
+            for (const [start, end, tag] of SCRIPT_RANGES) {
+                if (cp >= start && cp <= end) return tag;
+            }
+        }
+        return 'DFLT';
+    }
+
+    // Script of the ScriptList that most of the code points belong to ('DFLT' when none)
+    function detectFontScript(codePoints, scripts) {
+        const counts = {};
+        let best = 'DFLT';
+        for (const cp of codePoints) {
+            const tag = detectScript([cp]);
+            if (tag === 'DFLT' || !scripts[tag]) continue;
+            counts[tag] = (counts[tag] || 0) + 1;
+            if (best === 'DFLT' || counts[tag] > counts[best]) best = tag;
+        }
+        return best;
+    }
+
+    // Lookups of the requested features for a script/language, in LookupList order.
+    // featureValues: { featureTag: value } (value selects the alternate for type 3 lookups)
+    // stages (optional): lists of feature tags applied one list after another, features in none of them
+    // last; a lookup shared by features of different stages runs in each of them.
+    // Returns [{ index, value, tag }]
+    function selectLookups(table, scriptTag, langTag, featureValues, stages) {
+        const scripts = table.scripts;
+        const script = scripts[scriptTag] || scripts['DFLT'] || scripts['dflt'] || scripts['latn'];
+        if (!script) return [];
+        const langSys = (langTag && script.langSys[langTag]) || script.defaultLangSys;
+        if (!langSys) return [];
+
+        const stageOf = (tag) => {
+            if (!stages) return 0;
+            const stage = stages.findIndex(tags => tags.includes(tag));
+            return stage < 0 ? stages.length : stage;
+        };
+        // Keyed by stage, then lookup index
+        const selected = new Map();
+        const addFeature = (featureIndex, value) => {
+            const feature = table.features[featureIndex];
+            if (!feature) return;
+            const stage = stageOf(feature.tag);
+            for (const index of feature.lookupIndices) {
+                const key = stage * 0x10000 + index;
+                if (!selected.has(key)) selected.set(key, { index, value, tag: feature.tag });
+            }
+        };
+        if (langSys.requiredFeatureIndex !== 0xFFFF) addFeature(langSys.requiredFeatureIndex, 1);
+        for (const fi of langSys.featureIndices) {
+            const feature = table.features[fi];
+            if (feature && featureValues[feature.tag]) addFeature(fi, featureValues[feature.tag]);
+        }
+        return Array.from(selected).sort((a, b) => a[0] - b[0]).map(([, lookup]) => lookup);
+    }
+
+    // Feature tag → value for selectLookups: the defaults, then options.features (true = 1, false = off)
+    function resolveFeatureValues(defaults, features) {
+        const values = {};
+        for (const tag of defaults) values[tag] = 1;
+        for (const [tag, value] of Object.entries(features || {})) {
+            values[tag] = value === true ? 1 : (value || 0);
+        }
+        return values;
+    }
+
+    // Apply GSUB lookups to a glyph buffer ([{ gid, cluster, form }]) in place.
+    // Positional-form lookups (init/medi/fina/isol) only apply to glyphs with that form.
+    // Ligatures get a ligId, shared by the marks skipped between their components along with
+    // ligComponent, the index of the component each of them follows.
+    // hasGlyph(gid) rejects substitutions whose output glyph is not in the typeface JSON;
+    // ignores(lookup, item) tells the glyphs a lookup's flags skip.
+    function applyGSUB(gsub, buffer, lookups, hasGlyph, ignores) {
+        const ligatures = { count: 0 };
+        for (const { index, value, tag } of lookups) {
+            const lookup = gsub.lookups[index];
+            if (!lookup) continue;
+            const ctx = { hasGlyph, value, ignores, ligatures };
+            const formOnly = JOINING_FORM_FEATURES.includes(tag);
+            let i = 0;
+            while (i < buffer.length) {
+                if ((formOnly && buffer[i].form !== tag) || ignores(lookup, buffer[i])) { i++; continue; }
+                const next = applyGSUBLookup(gsub, lookup, buffer, i, ctx, 0);
+                i = next > i ? next : i + 1;
+            }
+        }
+    }
+
+    // Apply the first matching subtable at buffer[i]; returns the next index, or -1
+    function applyGSUBLookup(gsub, lookup, buffer, i, ctx, depth) {
+        const gid = buffer[i].gid;
+        for (const st of lookup.subtables) {
+            switch (lookup.type) {
+                case 1: { // Single
+                    const sub = st.map[gid];
+                    if (sub === undefined || !ctx.hasGlyph(sub)) break;
+                    buffer[i].gid = sub;
+                    return i + 1;
                 }
-                case 'l': {
-                    const x = parseFloat(tokens[i+1]) * scale + offsetX;
-                    const y = parseFloat(tokens[i+2]) * scale;
-                    if (current) current.push({ type: 'line', x, y });
-                    i += 3;
-                    break;
+                case 2: { // Multiple
+                    const seq = st.map[gid];
+                    if (!seq || !seq.every(ctx.hasGlyph)) break;
+                    const { cluster, form } = buffer[i];
+                    buffer.splice(i, 1, ...seq.map(g => ({ gid: g, cluster, form })));
+                    return i + seq.length;
                 }
-                case 'q': {
-                    const cpx = parseFloat(tokens[i+1]) * scale + offsetX;
-                    const cpy = parseFloat(tokens[i+2]) * scale;
-                    const x   = parseFloat(tokens[i+3]) * scale + offsetX;
-                    const y   = parseFloat(tokens[i+4]) * scale;
-                    if (current) current.push({ type: 'quad', cpx, cpy, x, y });
-                    i += 5;
+                case 3: { // Alternate
+                    const alts = st.map[gid];
+                    const alt = alts && alts[Math.max(0, (ctx.value | 0) - 1)];
+                    if (alt === undefined || !ctx.hasGlyph(alt)) break;
+                    buffer[i].gid = alt;
+                    return i + 1;
+                }
+                case 4: { // Ligature
+                    const ligs = st.ligatures[gid];
+                    if (!ligs) break;
+                    for (const lig of ligs) {
+                        const positions = matchSequence(buffer, i, 1, lig.components, (c, g) => c === g, lookup, ctx);
+                        if (!positions || !ctx.hasGlyph(lig.glyph)) continue;
+                        // Skipped glyphs between the components (marks) follow the ligature
+                        const last = positions.length > 0 ? positions[positions.length - 1] : i;
+                        const ligId = ++ctx.ligatures.count;
+                        const skipped = [];
+                        let component = 0;
+                        for (let k = i + 1; k < last; k++) {
+                            if (positions.includes(k)) {
+                                component++;
+                                continue;
+                            }
+                            buffer[k].ligId = ligId;
+                            buffer[k].ligComponent = component;
+                            skipped.push(buffer[k]);
+                        }
+                        buffer.splice(i, last - i + 1, { gid: lig.glyph, cluster: buffer[i].cluster, form: buffer[i].form, ligId }, ...skipped);
+                        return i + 1 + skipped.length;
+                    }
                     break;
                 }
-                case 'b': {
-                    const cp1x = parseFloat(tokens[i+1]) * scale + offsetX;
-                    const cp1y = parseFloat(tokens[i+2]) * scale;
-                    const cp2x = parseFloat(tokens[i+3]) * scale + offsetX;
-                    const cp2y = parseFloat(tokens[i+4]) * scale;
-                    const x    = parseFloat(tokens[i+5]) * scale + offsetX;
-                    const y    = parseFloat(tokens[i+6]) * scale;
-                    if (current) current.push({ type: 'cubic', cp1x, cp1y, cp2x, cp2y, x, y });
-                    i += 7;
+                case 6: { // (Chained) contextual
+                    const next = applyContextSubtable(gsub, lookup, st, buffer, i, ctx, depth);
+                    if (next >= 0) return next;
                     break;
                 }
-                default:
-                    i++;
             }
         }
+        return -1;
+    }
 
-        if (subPaths.length === 0) return [];
+    // Positions of the glyphs matching values one by one from buffer[start] on, in direction step (1 or -1),
+    // passing over the glyphs the lookup skips; null when they do not match
+    function matchSequence(buffer, start, step, values, test, lookup, ctx) {
+        const positions = [];
+        let p = start;
+        for (const value of values) {
+            do p += step; while (p >= 0 && p < buffer.length && ctx.ignores(lookup, buffer[p]));
+            if (p < 0 || p >= buffer.length || !test(value, buffer[p].gid)) return null;
+            positions.push(p);
+        }
+        return positions;
+    }
 
-        function tessellate(sp, divs) {
-            const pts = [];
-            if (sp.length === 0) return pts;
-            let cx = sp[0].x, cy = sp[0].y;
-            pts.push({ x: cx, y: cy });
+    function applyContextSubtable(gsub, contextLookup, st, buffer, i, ctx, depth) {
+        const gid = buffer[i].gid;
+        let rules;
+        if (st.format === 1) {
+            rules = st.ruleSets[gid];
+        } else if (st.format === 2) {
+            if (st.coverage[gid] === undefined) return -1;
+            rules = st.ruleSets[st.classDef[gid] || 0];
+        } else {
+            if (st.input[0][gid] === undefined) return -1;
+            rules = [{ input: st.input.slice(1), backtrack: st.backtrack, lookahead: st.lookahead, lookupRecords: st.lookupRecords }];
+        }
+        if (!rules) return -1;
 
-            for (let j = 1; j < sp.length; j++) {
-                const cmd = sp[j];
-                switch (cmd.type) {
-                    case 'line':
-                        pts.push({ x: cmd.x, y: cmd.y });
-                        cx = cmd.x; cy = cmd.y;
-                        break;
-                    case 'quad':
-                        for (let t = 1; t <= divs; t++) {
-                            const u = t / divs, inv = 1 - u;
-                            pts.push({
-                                x: inv*inv*cx + 2*inv*u*cmd.cpx + u*u*cmd.x,
-                                y: inv*inv*cy + 2*inv*u*cmd.cpy + u*u*cmd.y
-                            });
-                        }
-                        cx = cmd.x; cy = cmd.y;
-                        break;
-                    case 'cubic':
-                        for (let t = 1; t <= divs; t++) {
-                            const u = t / divs, inv = 1 - u;
-                            pts.push({
-                                x: inv*inv*inv*cx + 3*inv*inv*u*cmd.cp1x + 3*inv*u*u*cmd.cp2x + u*u*u*cmd.x,
-                                y: inv*inv*inv*cy + 3*inv*inv*u*cmd.cp1y + 3*inv*u*u*cmd.cp2y + u*u*u*cmd.y
-                            });
-                        }
-                        cx = cmd.x; cy = cmd.y;
-                        break;
+        const matches = (value, g, classDef) => {
+            if (st.format === 1) return g === value;
+            if (st.format === 2) return (classDef[g] || 0) === value;
+            return value[g] !== undefined;
+        };
+
+        // Input, backtrack and lookahead pass over the glyphs the contextual lookup skips
+        const sequence = (start, step, values, classDef) =>
+            matchSequence(buffer, start, step, values, (v, g) => matches(v, g, classDef), contextLookup, ctx);
+        for (const rule of rules) {
+            const input = sequence(i, 1, rule.input, st.classDef);
+            if (!input) continue;
+            const positions = [i].concat(input);
+            if (!sequence(i, -1, rule.backtrack, st.backtrackClassDef)) continue;
+            if (!sequence(positions[positions.length - 1], 1, rule.lookahead, st.lookaheadClassDef)) continue;
+
+            // Apply nested lookups at the matched input positions, keeping the positions in step with
+            // the buffer: a multiple substitution adds positions after its glyph, a ligature drops its components'
+            let end = positions[positions.length - 1] + 1;
+            if (depth < 8) {
+                for (const [sequenceIndex, lookupIndex] of rule.lookupRecords) {
+                    const pos = positions[sequenceIndex];
+                    const lookup = gsub.lookups[lookupIndex];
+                    if (pos === undefined || !lookup || pos >= buffer.length) continue;
+                    const before = buffer.length;
+                    applyGSUBLookup(gsub, lookup, buffer, pos, ctx, depth + 1);
+                    const delta = buffer.length - before;
+                    if (delta > 0) {
+                        const added = [];
+                        for (let d = 1; d <= delta; d++) added.push(pos + d);
+                        positions.splice(sequenceIndex + 1, 0, ...added);
+                        for (let k = sequenceIndex + 1 + delta; k < positions.length; k++) positions[k] += delta;
+                    } else if (delta < 0) {
+                        positions.splice(sequenceIndex + 1, -delta);
+                        for (let k = sequenceIndex + 1; k < positions.length; k++) positions[k] += delta;
+                    }
+                    end += delta;
                 }
             }
-            return pts;
+            return end;
         }
+        return -1;
+    }
 
-        function signedArea(pts) {
-            let area = 0;
-            for (let j = 0, n = pts.length; j < n; j++) {
-                const p1 = pts[j], p2 = pts[(j + 1) % n];
-                area += (p1.x * p2.y - p2.x * p1.y);
+    // glyph ID → typeface glyph (from glyphs and glyphsById) and its character (first one mapped),
+    // plus the GDEF glyph classes when the font defines them
+    function getGlyphIndex(data) {
+        const byId = {}, charById = {};
+        for (const [char, glyph] of Object.entries(data.glyphs)) {
+            if (glyph.gid === undefined) continue;
+            if (!byId[glyph.gid]) {
+                byId[glyph.gid] = glyph;
+                charById[glyph.gid] = char;
             }
-            return area / 2;
         }
+        for (const [gid, glyph] of Object.entries(data.glyphsById || {})) {
+            if (!byId[gid]) byId[gid] = glyph;
+        }
+        const classes = data.gdef && data.gdef.glyphClasses;
+        const glyphClasses = classes && Object.keys(classes).length > 0 ? classes : null;
+        return { byId, charById, glyphClasses };
+    }
 
-        function isPointInPolygon(pt, polygon) {
-            let inside = false;
-            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-                const xi = polygon[i].x, yi = polygon[i].y;
-                const xj = polygon[j].x, yj = polygon[j].y;
-                if (((yi > pt.y) !== (yj > pt.y)) &&
-                    (pt.x < (xj - xi) * (pt.y - yi) / (yj - yi) + xi)) {
-                    inside = !inside;
-                }
+    // Map one run of text to glyphs and apply GSUB features (the vertical set for upright vertical runs).
+    // Hebrew and Arabic marks are sorted by combining class first; joining scripts apply GSUB in stages.
+    // Returns [{ glyph, gid, char, mark }] in logical order; glyph is null for characters missing from the font.
+    // Ligatures and the marks inside them also carry ligId, and those marks ligComponent (see applyGSUB).
+    function shapeText(data, index, text, script, options, vertical) {
+        const chars = [...text];
+        reorderMarks(chars);
+        const buffer = [];
+        chars.forEach((char, cluster) => {
+            // A variation selector picks the glyph of the preceding character and is not drawn itself
+            if (isVariationSelector(char.codePointAt(0))) {
+                const prev = buffer[buffer.length - 1];
+                const gid = prev && prev.cluster === cluster - 1 ? variationGlyph(data, chars[prev.cluster], char) : undefined;
+                if (gid !== undefined && index.byId[gid]) prev.gid = gid;
+                return;
             }
-            return inside;
+            const glyph = data.glyphs[char];
+            buffer.push({ gid: glyph && glyph.gid !== undefined ? glyph.gid : -1, cluster });
+        });
+        const joining = JOINING_SCRIPTS.includes(script);
+        if (joining) assignJoiningForms(buffer, chars);
+
+        if (data.gsub) {
+            const defaults = vertical ? VERTICAL_GSUB_FEATURES
+                : joining ? DEFAULT_GSUB_FEATURES.concat(JOINING_GSUB_FEATURES) : DEFAULT_GSUB_FEATURES;
+            const featureValues = resolveFeatureValues(defaults, options.features);
+            const lookups = selectLookups(data.gsub, script, options.language, featureValues, joining ? JOINING_GSUB_STAGES : null);
+            // Lookup flags skip glyphs by their GDEF class, or without GDEF classes skip marks by their joining type
+            const gdef = index.glyphClasses ? data.gdef : null;
+            const ignores = (lookup, item) => gdef
+                ? isIgnoredByLookup(lookup, item.gid, gdef)
+                : (lookup.flag & 0x0008) !== 0 && getJoiningType(chars[item.cluster].codePointAt(0)) === 'T';
+            applyGSUB(data.gsub, buffer, lookups, gid => index.byId[gid] !== undefined, ignores);
         }
 
-        const areaDiv = Math.max(divisions, 48);
-        const subPathData = subPaths.map(sp => {
-            const pts = tessellate(sp, areaDiv);
-            const area = signedArea(pts);
-            return { sp, pts, area };
+        // Marks: GDEF mark glyphs, or without GDEF classes combining characters and
+        // zero-advance glyphs produced by decomposition (e.g. ccmp dots)
+        return buffer.map(item => {
+            const char = chars[item.cluster];
+            const glyph = item.gid >= 0 ? index.byId[item.gid] : (data.glyphs[char] || null);
+            const mark = index.glyphClasses
+                ? index.glyphClasses[item.gid] === 3
+                : getJoiningType(char.codePointAt(0)) === 'T' || (!!glyph && glyph.ha === 0 && !!glyph.o);
+            // Characters missing from the font, or typeface JSON without glyph IDs, keep their own char
+            const shaped = { glyph, gid: item.gid, char: item.gid >= 0 ? index.charById[item.gid] : char, mark };
+            if (item.ligId) {
+                shaped.ligId = item.ligId;
+                if (item.ligComponent !== undefined) shaped.ligComponent = item.ligComponent;
+            }
+            return shaped;
         });
+    }
 
-        let largestIdx = 0, largestArea = 0;
-        for (let j = 0; j < subPathData.length; j++) {
-            if (Math.abs(subPathData[j].area) > largestArea) {
-                largestArea = Math.abs(subPathData[j].area);
-                largestIdx = j;
-            }
+    // Combining classes of Hebrew points and Arabic marks as [first, last, class] ranges, modified as in
+    // HarfBuzz so shadda comes before the other harakat and Hebrew points take the order fonts expect
+    const MARK_CLASS_RANGES = [
+        [0x05B0, 0x05B0, 22], [0x05B1, 0x05B1, 15], [0x05B2, 0x05B2, 16], [0x05B3, 0x05B3, 17],
+        [0x05B4, 0x05B4, 23], [0x05B5, 0x05B5, 18], [0x05B6, 0x05B6, 19], [0x05B7, 0x05B7, 20],
+        [0x05B8, 0x05B8, 21], [0x05B9, 0x05BA, 14], [0x05BB, 0x05BB, 24], [0x05BC, 0x05BC, 12],
+        [0x05BD, 0x05BD, 25], [0x05BF, 0x05BF, 13], [0x05C1, 0x05C1, 10], [0x05C2, 0x05C2, 11],
+        [0x05C4, 0x05C4, 230], [0x05C5, 0x05C5, 220], [0x05C7, 0x05C7, 21],
+        [0x0610, 0x0617, 230], [0x0618, 0x0618, 31], [0x0619, 0x0619, 32], [0x061A, 0x061A, 33],
+        [0x064B, 0x064B, 28], [0x064C, 0x064C, 29], [0x064D, 0x064D, 30], [0x064E, 0x064E, 31],
+        [0x064F, 0x064F, 32], [0x0650, 0x0650, 33], [0x0651, 0x0651, 27], [0x0652, 0x0652, 34],
+        [0x0653, 0x0654, 230], [0x0655, 0x0656, 220], [0x0657, 0x065B, 230], [0x065C, 0x065C, 220],
+        [0x065D, 0x065E, 230], [0x065F, 0x065F, 220], [0x0670, 0x0670, 35],
+        [0x06D6, 0x06DC, 230], [0x06DF, 0x06E2, 230], [0x06E3, 0x06E3, 220], [0x06E4, 0x06E4, 230],
+        [0x06E7, 0x06E8, 230], [0x06EA, 0x06EA, 220], [0x06EB, 0x06EC, 230], [0x06ED, 0x06ED, 220],
+        [0xFB1E, 0xFB1E, 26]
+    ];
+
+    function getMarkClass(char) {
+        const codePoint = char.codePointAt(0);
+        if (codePoint < 0x05B0 || codePoint > 0xFB1E) return 0;
+        for (const [first, last, markClass] of MARK_CLASS_RANGES) {
+            if (codePoint >= first && codePoint <= last) return markClass;
         }
+        return 0;
+    }
 
-        const outerSign = Math.sign(subPathData[largestIdx].area);
-        for (const d of subPathData) {
-            d.isOuter = (Math.sign(d.area) === outerSign) || (d.area === 0);
-            if (reverseWinding) d.isOuter = !d.isOuter;
+    // Sort each run of classed marks by class in place (stable, so equal classes keep their order)
+    function reorderMarks(chars) {
+        for (let i = 0; i < chars.length; i++) {
+            if (!getMarkClass(chars[i])) continue;
+            let end = i + 1;
+            while (end < chars.length && getMarkClass(chars[end])) end++;
+            if (end - i > 1) {
+                const run = chars.slice(i, end).sort((a, b) => getMarkClass(a) - getMarkClass(b));
+                chars.splice(i, end - i, ...run);
+            }
+            i = end;
         }
+    }
 
-        // Build THREE.Shape/Path from pre-tessellated points (smooth polylines).
-        // This bypasses Three.js internal curve tessellation which can produce
-        // inconsistent results with ExtrudeGeometry for certain font glyphs.
-        function buildThreePathFromPoints(pts, isShape) {
-            const path = isShape ? new THREE.Shape() : new THREE.Path();
-            if (pts.length === 0) return path;
-            path.moveTo(pts[0].x, pts[0].y);
-            for (let j = 1; j < pts.length; j++) {
-                path.lineTo(pts[j].x, pts[j].y);
+    // Mongolian free variation selectors, VS1–VS16 and VS17–VS256
+    function isVariationSelector(codePoint) {
+        return (codePoint >= 0x180B && codePoint <= 0x180D) || codePoint === 0x180F ||
+            (codePoint >= 0xFE00 && codePoint <= 0xFE0F) || (codePoint >= 0xE0100 && codePoint <= 0xE01EF);
+    }
+
+    // Glyph ID of a non-default variation sequence from json.variationSequences; undefined for default
+    // or unknown sequences, which keep the base character's own glyph
+    function variationGlyph(data, base, selector) {
+        const sequences = data.variationSequences && data.variationSequences[selector];
+        return sequences ? sequences.glyphs[base] : undefined;
+    }
+
+    // Positional forms for joining scripts: sets item.form to 'isol', 'init', 'medi' or 'fina'
+    // from the Unicode joining types. Transparent characters (marks) are skipped over;
+    // join-causing characters (tatweel, ZWJ) join like dual-joining letters.
+    function assignJoiningForms(buffer, chars) {
+        let prev = null, prevType = 'U';
+        for (const item of buffer) {
+            const type = getJoiningType(chars[item.cluster].codePointAt(0));
+            if (type === 'T') continue;
+            const joinsPrev = type === 'D' || type === 'R' || type === 'C';
+            const prevJoinsNext = prevType === 'D' || prevType === 'L' || prevType === 'C';
+            if (prev && joinsPrev && prevJoinsNext) {
+                if (prev.form === 'isol') prev.form = 'init';
+                else if (prev.form === 'fina') prev.form = 'medi';
+                item.form = 'fina';
+            } else if (type !== 'U') {
+                item.form = 'isol';
             }
-            return path;
+            prev = type === 'U' ? null : item;
+            prevType = type;
         }
+    }
 
-        const outers = [];
-        const holes = [];
+    let joiningTypeTable = null;
+    function getJoiningType(codePoint) {
+        if (!joiningTypeTable) joiningTypeTable = decodeRangeTable(JOINING_TYPE_DATA.join(''));
+        return lookupRangeTable(joiningTypeTable, codePoint) || 'U';
+    }
 
-        for (const d of subPathData) {
-            if (d.isOuter) {
-                outers.push({ data: d, shape: buildThreePathFromPoints(d.pts, true), holes: [] });
-            } else {
-                holes.push(d);
+    // Compact Unicode property table: runs of "<gap>.<length><value>", numbers in base 36,
+    // gap counted from the end of the previous run, value in capital letters
+    function decodeRangeTable(data) {
+        const starts = [], ends = [], values = [];
+        const re = /([0-9a-z]*)\.([0-9a-z]+)([A-Z]+)/g;
+        let cp = 0, m;
+        while ((m = re.exec(data))) {
+            const start = cp + (m[1] ? parseInt(m[1], 36) : 0);
+            cp = start + parseInt(m[2], 36);
+            starts.push(start);
+            ends.push(cp);
+            values.push(m[3]);
+        }
+        return { starts, ends, values };
+    }
+
+    function lookupRangeTable(table, codePoint) {
+        let lo = 0, hi = table.starts.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >> 1;
+            if (codePoint < table.starts[mid]) hi = mid - 1;
+            else if (codePoint >= table.ends[mid]) lo = mid + 1;
+            else return table.values[mid];
+        }
+        return undefined;
+    }
+
+    // Place the shaped glyphs of one run at pen position x; returns the pen position after the run.
+    // Right-to-left runs are filled from their right edge. GPOS lookups (from selectLookups) adjust
+    // placements and advances and attach marks; without GPOS adjustments the kerning map is used.
+    // Marks then lose their advance (in left-to-right runs only when the font has GDEF classes);
+    // marks no attachment applies to keep the font's own placement. wordSpacing widens spaces (justify).
+    function positionRun(items, x, rtl, font, lookups, positioned, wordSpacing) {
+        // [xPlacement, yPlacement, xAdvance, yAdvance] per item
+        const pos = items.map(item => [0, 0, item.glyph ? item.glyph.ha || 0 : font.res * 0.3, 0]);
+        if (font.gposAdjustments) {
+            applyGPOSAdjustments(font, lookups, items, pos, rtl);
+        } else {
+            // Apply kerning
+            items.forEach((item, k) => {
+                if (!item.glyph || k + 1 >= items.length || item.char === undefined) return;
+                const kern = lookupKerning(font, item.char, items[k + 1].char);
+                if (kern) pos[k][2] += kern;
+            });
+        }
+        items.forEach((item, k) => {
+            if (!item.glyph || !item.mark || !(rtl || font.glyphClasses)) return;
+            // Left-to-right marks move back by their advance so they still sit over the preceding base
+            if (!rtl) {
+                pos[k][0] -= pos[k][2];
+                pos[k][1] -= pos[k][3];
             }
+            pos[k][2] = 0;
+            pos[k][3] = 0;
+        });
+        if (wordSpacing) {
+            items.forEach((item, k) => {
+                if (item.char && JUSTIFY_SPACES.includes(item.char)) pos[k][2] += wordSpacing;
+            });
+        }
+        const runWidth = pos.reduce((sum, p) => sum + p[2], 0);
+
+        let pen = rtl ? x + runWidth : x, penY = 0;
+        const entries = items.map((item, k) => {
+            if (rtl) pen -= pos[k][2];
+            const entry = item.glyph ? { glyph: item.glyph, x: pen + pos[k][0], y: penY + pos[k][1] } : null;
+            if (!rtl) pen += pos[k][2];
+            penY += pos[k][3];
+            return entry;
+        });
+        if (font.gpos) attachMarks(font, lookups, items, entries);
+        for (const entry of entries) {
+            if (entry) positioned.push(entry);
         }
+        return x + runWidth;
+    }
 
-        for (const hole of holes) {
-            const holePath = buildThreePathFromPoints(hole.pts, false);
-            if (hole.pts.length === 0) continue;
-            const testPt = hole.pts[0];
-            let bestOuter = null, bestArea = Infinity;
+    // Item indices a lookup skips, from its flags (GDEF classes, or the mark heuristic without them)
+    function ignoredItems(font, lookup, items) {
+        return items.map(item => font.gdef
+            ? isIgnoredByLookup(lookup, item.gid, font.gdef)
+            : (lookup.flag & 0x0008) !== 0 && item.mark);
+    }
 
-            for (const outer of outers) {
-                if (isPointInPolygon(testPt, outer.data.pts)) {
-                    const absArea = Math.abs(outer.data.area);
-                    if (absArea < bestArea) {
-                        bestArea = absArea;
-                        bestOuter = outer;
-                    }
+    // Kerning between two characters: json.kerning plus the compact kerningClasses lookups
+    function lookupKerning(font, ch1, ch2) {
+        let kern = (font.kerning[ch1] && font.kerning[ch1][ch2]) || 0;
+        if (ch2 === undefined) return kern;
+        for (const subtables of font.kerningClasses) {
+            for (const st of subtables) {
+                if (st.pairs) {
+                    const value = st.pairs[ch1] && st.pairs[ch1][ch2];
+                    if (value === undefined) continue;
+                    kern += value;
+                    break;
                 }
+                if (st.left[ch1] === undefined) continue;
+                const row = st.matrix[st.left[ch1]];
+                const c2 = st.right[ch2] || 0;
+                if (c2 < 0) break;
+                if (!row || c2 >= row.length) continue;
+                kern += row[c2];
+                break;
             }
+        }
+        return kern;
+    }
 
-            if (bestOuter) {
-                bestOuter.shape.holes.push(holePath);
-            } else if (outers.length > 0) {
-                outers[0].shape.holes.push(holePath);
+    // GPOS single (1), pair (2) and cursive (3) lookups, applied to the per-item pos records
+    function applyGPOSAdjustments(font, lookups, items, pos, rtl) {
+        const add = (k, value) => {
+            if (value) for (let v = 0; v < 4; v++) pos[k][v] += value[v];
+        };
+        // Cursive attachment chains: offset from each glyph to the glyph it hangs from
+        const chain = new Int32Array(items.length);
+        for (const { index } of lookups) {
+            const lookup = font.gpos.lookups[index];
+            if (!lookup || lookup.type > 3) continue;
+            const ignored = ignoredItems(font, lookup, items);
+            // Next item after k the lookup sees, or -1
+            const next = (k) => {
+                do k++; while (k < items.length && ignored[k]);
+                return k < items.length ? k : -1;
+            };
+            if (lookup.type === 1) {
+                items.forEach((item, k) => {
+                    if (ignored[k]) return;
+                    const st = lookup.subtables.find(st => st.map[item.gid]);
+                    if (st) add(k, st.map[item.gid]);
+                });
+            } else if (lookup.type === 2) {
+                for (let k = 0; k < items.length; k++) {
+                    if (ignored[k]) continue;
+                    const n = next(k);
+                    if (n < 0) break;
+                    const match = findPairAdjustment(lookup, items[k].gid, items[n].gid);
+                    if (!match) continue;
+                    add(k, match.value[0]);
+                    add(n, match.value[1]);
+                    // The second glyph starts the next pair unless it was adjusted itself
+                    k = match.adjustsSecond ? n : n - 1;
+                }
+            } else if (lookup.type === 3) {
+                for (let j = 1; j < items.length; j++) {
+                    if (ignored[j]) continue;
+                    const st = lookup.subtables.find(st => st.entryExit[items[j].gid]);
+                    if (!st || !st.entryExit[items[j].gid][0]) continue;
+                    let i = j - 1;
+                    while (i >= 0 && ignored[i]) i--;
+                    const prev = i >= 0 && st.entryExit[items[i].gid];
+                    if (!prev || !prev[1]) continue;
+                    attachCursive(pos, chain, i, j, prev[1], st.entryExit[items[j].gid][0], rtl, (lookup.flag & 0x0001) !== 0);
+                }
             }
         }
 
-        return outers.map(o => o.shape);
+        // Each cursively attached glyph follows the vertical offset of its chain
+        const propagate = (k, depth) => {
+            const link = chain[k];
+            if (!link) return;
+            chain[k] = 0;
+            const parent = k + link;
+            if (parent < 0 || parent >= items.length) return;
+            if (depth < 64) propagate(parent, depth + 1);
+            pos[k][1] += pos[parent][1];
+        };
+        for (let k = 0; k < items.length; k++) propagate(k, 0);
     }
 
+    // Connect the exit anchor of glyph i to the entry anchor of the following glyph j.
+    // Advances close the gap along the line; across it the child glyph takes a y offset from
+    // its parent — the later glyph hangs from the earlier one unless the lookup is RIGHT_TO_LEFT.
+    function attachCursive(pos, chain, i, j, exit, entry, rtl, rightToLeft) {
+        if (rtl) {
+            const d = exit[0] + pos[i][0];
+            pos[i][2] -= d;
+            pos[i][0] -= d;
+            pos[j][2] = entry[0] + pos[j][0];
+        } else {
+            pos[i][2] = exit[0] + pos[i][0];
+            const d = entry[0] + pos[j][0];
+            pos[j][2] -= d;
+            pos[j][0] -= d;
+        }
+
+        let child = i, parent = j, yOffset = entry[1] - exit[1];
+        if (!rightToLeft) {
+            child = j;
+            parent = i;
+            yOffset = -yOffset;
+        }
+        // A child already hanging elsewhere brings its old chain along, reversed
+        reverseCursiveChain(pos, chain, child, parent);
+        chain[child] = parent - child;
+        pos[child][1] = yOffset;
+        if (chain[parent] === -chain[child]) {
+            chain[parent] = 0;
+            pos[parent][1] = 0;
+        }
+    }
+
+    function reverseCursiveChain(pos, chain, k, newParent) {
+        const link = chain[k];
+        if (!link) return;
+        chain[k] = 0;
+        const parent = k + link;
+        if (parent === newParent) return;
+        reverseCursiveChain(pos, chain, parent, newParent);
+        pos[parent][1] = -pos[k][1];
+        chain[parent] = -link;
+    }
+
+    // First subtable of a pair adjustment lookup matching the glyph pair → { value, adjustsSecond }
+    function findPairAdjustment(lookup, gid1, gid2) {
+        for (const st of lookup.subtables) {
+            if (st.format === 1) {
+                const value = st.pairs[gid1] && st.pairs[gid1][gid2];
+                if (value) return { value, adjustsSecond: st.adjustsSecond };
+            } else if (st.coverage[gid1] !== undefined) {
+                const row = st.matrix[st.classDef1[gid1] || 0];
+                const c2 = st.classDef2[gid2] || 0;
+                if (!row || c2 >= row.length) continue;
+                return { value: row[c2] || [null, null], adjustsSecond: st.adjustsSecond };
+            }
+        }
+        return null;
+    }
+
+    // GPOS mark-to-base (4), mark-to-ligature (5) and mark-to-mark (6) lookups: moves the entry of
+    // each attached mark so its anchor meets the base anchor.
+    function attachMarks(font, lookups, items, entries) {
+        for (const { index } of lookups) {
+            const lookup = font.gpos.lookups[index];
+            if (!lookup || lookup.type < 4 || lookup.type > 6) continue;
+            const ignored = ignoredItems(font, lookup, items);
+            items.forEach((item, k) => {
+                if (!entries[k] || ignored[k]) return;
+                // Mark-to-mark attaches to the preceding glyph, the others to the preceding non-mark;
+                // glyphs the lookup flags skip are passed over
+                let b = k - 1;
+                while (b >= 0 && (ignored[b] || (lookup.type !== 6 && items[b].mark))) b--;
+                if (b < 0 || !entries[b]) return;
+                for (const st of lookup.subtables) {
+                    const mark = st.marks[item.gid];
+                    let anchors = lookup.type === 5 ? st.ligatures[items[b].gid] : st.bases[items[b].gid];
+                    if (!mark || !anchors) continue;
+                    // Marks from between the components of this ligature take their component's anchors,
+                    // other marks the last component's
+                    if (lookup.type === 5) {
+                        const ownComponent = item.ligId !== undefined && item.ligId === items[b].ligId && item.ligComponent !== undefined;
+                        anchors = anchors[ownComponent ? Math.min(item.ligComponent, anchors.length - 1) : anchors.length - 1];
+                    }
+                    const anchor = anchors && anchors[mark[0]];
+                    if (!anchor) break;
+                    entries[k].x = entries[b].x + anchor[0] - mark[1];
+                    entries[k].y = entries[b].y + anchor[1] - mark[2];
+                    break;
+                }
+            });
+        }
+    }
+
+    // Lay out text in font units. Lines end at hard line breaks and, with options.maxWidth, wrap at
+    // UAX #14 break opportunities; options.hyphenate(word) may return positions for breaking inside a word.
+    // Each line is split into bidi runs (UAX #9) that are shaped separately and placed in visual order;
+    // options.direction ('ltr' | 'rtl') sets the base direction, otherwise the first strong character does.
+    // Paragraph options (font units): lineHeight (default ascender - descender + lineGap), maxWidth, lineBreak,
+    // hyphenate, align ('left' | 'center' | 'right' | 'justify'), verticalAlign ('baseline' | 'top' | 'middle').
+    // options.direction 'vertical' sets the text in columns from right to left (see positionVerticalLine).
+    // Returns { glyphs: [{ glyph, x, y, sideways? }], width, lineHeight, lines: [{ x, y, width }] };
+    // a line's x, y is where it starts (the top of a column in vertical text) and width its length.
+    function layoutText(data, text, options) {
+        options = options || {};
+        const index = getGlyphIndex(data);
+        const gpos = data.gpos || null;
+        const font = {
+            res: data.resolution || 1000,
+            kerning: data.kerning || {},
+            kerningClasses: data.kerningClasses || [],
+            gpos,
+            gposAdjustments: !!gpos && gpos.lookups.some(l => l.type <= 3 && l.subtables.length > 0),
+            glyphClasses: index.glyphClasses,
+            gdef: index.glyphClasses ? data.gdef : null
+        };
+        const lineHeight = options.lineHeight || (data.ascender - data.descender + (data.lineGap || 0)) || font.res * 1.2;
+        const maxWidth = options.maxWidth > 0 ? options.maxWidth : Infinity;
+        const align = options.align || 'left';
+        const vertical = options.direction === 'vertical';
+        const layoutLine = (line, direction, x, wordSpacing, positioned) => {
+            if (vertical) return positionVerticalLine(data, index, font, line, x, wordSpacing, options, positioned);
+            for (const run of splitBidiRuns(data, line, direction)) {
+                const script = options.script || detectScript([...run.text].map(c => c.codePointAt(0)));
+                const items = shapeText(data, index, run.text, script, options);
+                const lookups = gpos ? selectLookups(gpos, script, options.language, resolveFeatureValues(DEFAULT_GPOS_FEATURES, options.features)) : [];
+                x = positionRun(items, x, (run.level & 1) === 1, font, lookups, positioned, wordSpacing);
+            }
+            return x;
+        };
+
+        // Break into lines at mandatory breaks and, with maxWidth, at UAX #14 break opportunities
+        // (options.lineBreak: 'strict' | 'normal' | 'loose'): paragraphs as lists of unbreakable segments
+        const chars = [...text];
+        const breaks = findLineBreaks(chars.map(c => c.codePointAt(0)), options.lineBreak || 'normal');
+        const paragraphs = [];
+        let segments = [], start = 0;
+        for (let i = 1; i <= chars.length; i++) {
+            if (breaks[i] === LINE_BREAK_NONE || (breaks[i] === LINE_BREAK_ALLOWED && maxWidth === Infinity)) continue;
+            const segment = chars.slice(start, i).join('');
+            start = i;
+            if (breaks[i] === LINE_BREAK_ALLOWED) {
+                segments.push(segment);
+            } else {
+                segments.push(segment.replace(HARD_LINE_BREAK, ''));
+                paragraphs.push(segments);
+                segments = [];
+            }
+        }
+        segments.push(chars.slice(start).join(''));
+        paragraphs.push(segments);
+
+        // Text of a line that ends at a soft break: trailing spaces hang, a final soft hyphen is drawn.
+        // Soft hyphens elsewhere are invisible.
+        const hyphen = data.glyphs['\u2010'] ? '\u2010' : '-';
+        const softLine = line => line.replace(/[ \u3000]+$/, '').replace(/\u00AD$/, hyphen).replace(/\u00AD/g, '');
+        // A line's width is added up segment by segment as it fills, so each segment is shaped once or twice
+        // rather than the whole line again for every candidate; kerning across a break opportunity is left
+        // out of where lines break
+        const measure = text => layoutLine(text, options.direction, 0, 0, []);
+        const fits = (width, segment) => maxWidth === Infinity || width + measure(softLine(segment)) <= maxWidth;
+        // Longest head of the segment's first word that fits with a hyphen after a line start `width` wide,
+        // from the break positions options.hyphenate(word) returns: { head, tail } or null
+        const hyphenateSegment = (width, segment) => {
+            const match = options.hyphenate && segment.match(/^(\P{L}*)(\p{L}[\p{L}\p{M}]*)/u);
+            if (!match) return null;
+            const positions = (options.hyphenate(match[2]) || []).filter(p => p > 0 && p < match[2].length);
+            for (const p of positions.sort((x, y) => y - x)) {
+                const head = segment.slice(0, match[1].length + p);
+                if (fits(width, head + '\u00AD')) return { head, tail: segment.slice(head.length) };
+            }
+            return null;
+        };
+
+        // Greedy wrapping: [{ text, direction, last }], last marking the end of a paragraph.
+        // Wrapped lines keep the base direction of their paragraph.
+        const lines = [];
+        for (const paragraph of paragraphs) {
+            const direction = options.direction ||
+                (resolveBidiLevels([...paragraph.join('')].map(c => c.codePointAt(0))).baseLevel === 1 ? 'rtl' : 'ltr');
+            const pushLine = (text, last) => lines.push({ text, direction, last });
+            let current = '', width = 0;
+            // Segments within a line keep their trailing spaces; soft hyphens there are invisible
+            const append = segment => {
+                current += segment;
+                if (maxWidth !== Infinity) width += measure(segment.replace(/\u00AD/g, ''));
+            };
+            while (paragraph.length > 0) {
+                const segment = paragraph.shift();
+                if (fits(width, segment)) {
+                    append(segment);
+                    continue;
+                }
+                const split = hyphenateSegment(width, segment);
+                if (split) {
+                    pushLine(softLine(current + split.head + '\u00AD'), false);
+                    current = '';
+                    width = 0;
+                    paragraph.unshift(split.tail);
+                } else if (current) {
+                    pushLine(softLine(current), false);
+                    current = '';
+                    width = 0;
+                    paragraph.unshift(segment);
+                } else {
+                    // A segment wider than maxWidth on its own overflows
+                    append(segment);
+                }
+            }
+            pushLine(current.replace(/\u00AD/g, ''), true);
+        }
+
+        const measured = lines.map(line => layoutLine(line.text, line.direction, 0, 0, []));
+        const width = maxWidth !== Infinity ? Math.max(maxWidth, ...measured) : Math.max(0, ...measured);
+
+        // Vertical anchor: first baseline at y = 0, top of the first line, or middle of the block.
+        // Vertical text starts at y = 0, or is centred on it with 'middle'.
+        const blockBottom = data.descender - (lines.length - 1) * lineHeight;
+        const anchorY = vertical ? (options.verticalAlign === 'middle' ? width / 2 : 0)
+            : options.verticalAlign === 'top' ? -data.ascender
+            : options.verticalAlign === 'middle' ? -(data.ascender + blockBottom) / 2
+            : 0;
+
+        const positioned = [];
+        const placed = lines.map((line, i) => {
+            const lineWidth = measured[i];
+            let x = 0, wordSpacing = 0;
+            const spaces = [...line.text].filter(c => JUSTIFY_SPACES.includes(c)).length;
+            if (align === 'center') x = (width - lineWidth) / 2;
+            else if (align === 'right') x = width - lineWidth;
+            else if (align === 'justify' && !line.last && spaces > 0) wordSpacing = (width - lineWidth) / spaces;
+            else if (align === 'justify' && line.direction === 'rtl') x = width - lineWidth;
+            const start = positioned.length;
+            const end = layoutLine(line.text, line.direction, x, wordSpacing, positioned);
+            if (vertical) {
+                // Columns run from right to left; x is the distance from the top of the column
+                const columnX = -i * lineHeight;
+                for (let k = start; k < positioned.length; k++) {
+                    positioned[k].x += columnX;
+                    positioned[k].y += anchorY;
+                }
+                return { x: columnX, y: anchorY - x, width: end - x };
+            }
+            const y = anchorY - i * lineHeight;
+            for (let k = start; k < positioned.length; k++) positioned[k].y += y;
+            return { x, y, width: end - x };
+        });
+        return { glyphs: positioned, width, lineHeight, lines: placed };
+    }
+
+    // Line terminator at the end of a paragraph (BK, CR, LF and NL classes)
+    const HARD_LINE_BREAK = /(\r\n|[\n\v\f\r\u0085\u2028\u2029])$/;
+
+    // Characters stretched by justification
+    const JUSTIFY_SPACES = ' \u00A0';
+
+    // Split one line into runs of equal embedding level, in visual order: [{ text, level }].
+    // Bidi controls without a glyph are dropped; right-to-left runs use mirrored characters (L4).
+    function splitBidiRuns(data, line, direction) {
+        const codePoints = [...line].map(c => c.codePointAt(0));
+        const { levels } = resolveBidiLevels(codePoints, direction);
+        const runs = [];
+        codePoints.forEach((cp, i) => {
+            let char = String.fromCodePoint(cp);
+            if (BIDI_CONTROL_CHARS.test(char) && !data.glyphs[char]) return;
+            if (levels[i] & 1) {
+                const mirror = getBidiMirror(cp);
+                if (mirror !== undefined && data.glyphs[String.fromCodePoint(mirror)]) char = String.fromCodePoint(mirror);
+            }
+            const last = runs[runs.length - 1];
+            if (last && last.level === levels[i]) last.text += char;
+            else runs.push({ text: char, level: levels[i] });
+        });
+        return reorderByLevels(runs.map(run => run.level)).map(i => runs[i]);
+    }
+
+    // =========================================================================
+    // Bidirectional text - Unicode Bidi Algorithm (UAX #9)
+    // =========================================================================
+
+    // Single-letter codes of BIDI_CLASS_DATA → Bidi_Class values
+    const BIDI_CLASS_CODES = {
+        R: 'R', A: 'AL', E: 'EN', S: 'ES', T: 'ET', N: 'AN', C: 'CS', M: 'NSM', Z: 'BN', B: 'B', G: 'S',
+        W: 'WS', O: 'ON', H: 'LRE', I: 'RLE', J: 'LRO', K: 'RLO', P: 'PDF', U: 'LRI', V: 'RLI', X: 'FSI', Y: 'PDI'
+    };
+
+    // Deepest explicit embedding level (BD2)
+    const BIDI_MAX_DEPTH = 125;
+
+    // Bidi_Control characters: formatting only, never drawn
+    const BIDI_CONTROL_CHARS = /[\u061C\u200E\u200F\u202A-\u202E\u2066-\u2069]/;
+
+    let bidiClassTable = null;
+    function getBidiClass(codePoint) {
+        if (!bidiClassTable) bidiClassTable = decodeRangeTable(BIDI_CLASS_DATA.join(''));
+        const code = lookupRangeTable(bidiClassTable, codePoint);
+        return code ? BIDI_CLASS_CODES[code] : 'L';
+    }
+
+    let bidiBracketTable = null;
+    function getBidiBracketType(codePoint) {
+        if (!bidiBracketTable) bidiBracketTable = decodeRangeTable(BIDI_BRACKET_DATA.join(''));
+        return lookupRangeTable(bidiBracketTable, codePoint);
+    }
+
+    let bidiMirrorMap = null;
+    function getBidiMirror(codePoint) {
+        if (!bidiMirrorMap) {
+            bidiMirrorMap = new Map();
+            let cp = 0;
+            for (const pair of BIDI_MIRROR_DATA.join('').split(',')) {
+                const [gap, delta] = pair.split('.');
+                cp += parseInt(gap, 36);
+                const mirror = cp + parseInt(delta, 36);
+                bidiMirrorMap.set(cp, mirror);
+                bidiMirrorMap.set(mirror, cp);
+            }
+        }
+        return bidiMirrorMap.get(codePoint);
+    }
+
+    function isIsolateInitiator(type) {
+        return type === 'LRI' || type === 'RLI' || type === 'FSI';
+    }
+
+    // Characters removed by rule X9 (embedding and override controls, boundary neutrals)
+    function isRemovedByX9(type) {
+        return type === 'LRE' || type === 'RLE' || type === 'LRO' || type === 'RLO' || type === 'PDF' || type === 'BN';
+    }
+
+    // Neutral and isolate types handled by rules N1/N2
+    function isNeutralOrIsolate(type) {
+        return type === 'B' || type === 'S' || type === 'WS' || type === 'ON' || isIsolateInitiator(type) || type === 'PDI';
+    }
+
+    // Direction of the first strong character in [start, end), skipping isolates (P2). Returns 'L', 'R' or null.
+    function firstStrongDirection(types, matchingPDI, start, end) {
+        for (let i = start; i < end; i++) {
+            const type = types[i];
+            if (type === 'L') return 'L';
+            if (type === 'R' || type === 'AL') return 'R';
+            if (isIsolateInitiator(type)) {
+                if (matchingPDI[i] < 0) return null;
+                i = matchingPDI[i];
+            }
+        }
+        return null;
+    }
+
+    // Resolve the embedding levels of one paragraph (rules P2–I2 and L1).
+    // direction: 'ltr', 'rtl', or anything else to take it from the first strong character.
+    // Returns { levels: Uint8Array, baseLevel }
+    function resolveBidiLevels(codePoints, direction) {
+        const n = codePoints.length;
+        const original = codePoints.map(getBidiClass);
+        const types = original.slice();
+        const levels = new Uint8Array(n);
+
+        // BD9: matching PDI of every isolate initiator
+        const matchingPDI = new Int32Array(n).fill(-1);
+        const matchedInitiator = new Int32Array(n).fill(-1);
+        const openIsolates = [];
+        for (let i = 0; i < n; i++) {
+            if (isIsolateInitiator(types[i])) {
+                openIsolates.push(i);
+            } else if (types[i] === 'PDI' && openIsolates.length > 0) {
+                const opener = openIsolates.pop();
+                matchingPDI[opener] = i;
+                matchedInitiator[i] = opener;
+            }
+        }
+
+        // P2/P3: paragraph embedding level
+        const baseLevel = direction === 'rtl' ? 1 : direction === 'ltr' ? 0
+            : (firstStrongDirection(types, matchingPDI, 0, n) === 'R' ? 1 : 0);
+
+        // X1–X8: explicit embeddings, overrides and isolates
+        const stack = [{ level: baseLevel, override: null, isolate: false }];
+        let overflowIsolates = 0, overflowEmbeddings = 0, validIsolates = 0;
+        for (let i = 0; i < n; i++) {
+            const type = types[i];
+            let top = stack[stack.length - 1];
+            if (type === 'RLE' || type === 'LRE' || type === 'RLO' || type === 'LRO') {
+                const rtl = type === 'RLE' || type === 'RLO';
+                const level = rtl ? (top.level + 1) | 1 : (top.level + 2) & ~1;
+                levels[i] = top.level;
+                if (level <= BIDI_MAX_DEPTH && overflowIsolates === 0 && overflowEmbeddings === 0) {
+                    const override = type === 'RLO' ? 'R' : type === 'LRO' ? 'L' : null;
+                    stack.push({ level, override, isolate: false });
+                } else if (overflowIsolates === 0) {
+                    overflowEmbeddings++;
+                }
+            } else if (isIsolateInitiator(type)) {
+                levels[i] = top.level;
+                if (top.override) types[i] = top.override;
+                const end = matchingPDI[i] < 0 ? n : matchingPDI[i];
+                const rtl = type === 'RLI' || (type === 'FSI' && firstStrongDirection(original, matchingPDI, i + 1, end) === 'R');
+                const level = rtl ? (top.level + 1) | 1 : (top.level + 2) & ~1;
+                if (level <= BIDI_MAX_DEPTH && overflowIsolates === 0 && overflowEmbeddings === 0) {
+                    validIsolates++;
+                    stack.push({ level, override: null, isolate: true });
+                } else {
+                    overflowIsolates++;
+                }
+            } else if (type === 'PDI') {
+                if (overflowIsolates > 0) {
+                    overflowIsolates--;
+                } else if (validIsolates > 0) {
+                    overflowEmbeddings = 0;
+                    while (!stack[stack.length - 1].isolate) stack.pop();
+                    stack.pop();
+                    validIsolates--;
+                }
+                top = stack[stack.length - 1];
+                levels[i] = top.level;
+                if (top.override) types[i] = top.override;
+            } else if (type === 'PDF') {
+                levels[i] = top.level;
+                if (overflowIsolates > 0) {
+                    // PDF inside an overflowing isolate is ignored
+                } else if (overflowEmbeddings > 0) {
+                    overflowEmbeddings--;
+                } else if (!top.isolate && stack.length >= 2) {
+                    stack.pop();
+                }
+            } else if (type === 'B') {
+                levels[i] = baseLevel;
+            } else {
+                levels[i] = top.level;
+                if (top.override && type !== 'BN') types[i] = top.override;
+            }
+        }
+
+        // X9/X10: level runs of the remaining characters, joined across isolates into isolating run sequences.
+        // Runs and sos/eos use the explicit levels; the implicit rules update levels as sequences resolve.
+        const explicitLevels = levels.slice();
+        const kept = [];
+        for (let i = 0; i < n; i++) if (!isRemovedByX9(original[i])) kept.push(i);
+        const runs = [];
+        for (let k = 0; k < kept.length; k++) {
+            const i = kept[k];
+            if (k > 0 && explicitLevels[i] === explicitLevels[kept[k - 1]]) runs[runs.length - 1].push(i);
+            else runs.push([i]);
+        }
+        const runByStart = new Map(runs.map(run => [run[0], run]));
+        const keptPos = new Map(kept.map((i, k) => [i, k]));
+        for (const run of runs) {
+            if (original[run[0]] === 'PDI' && matchedInitiator[run[0]] >= 0) continue;
+            const sequence = run.slice();
+            let last = sequence[sequence.length - 1];
+            while (isIsolateInitiator(original[last]) && matchingPDI[last] >= 0 && runByStart.has(matchingPDI[last])) {
+                sequence.push(...runByStart.get(matchingPDI[last]));
+                last = sequence[sequence.length - 1];
+            }
+
+            const level = explicitLevels[sequence[0]];
+            const before = keptPos.get(sequence[0]);
+            const after = keptPos.get(last);
+            const prevLevel = before > 0 ? explicitLevels[kept[before - 1]] : baseLevel;
+            const nextLevel = after < kept.length - 1 && !isIsolateInitiator(original[last]) ? explicitLevels[kept[after + 1]] : baseLevel;
+            const sos = Math.max(prevLevel, level) & 1 ? 'R' : 'L';
+            const eos = Math.max(nextLevel, level) & 1 ? 'R' : 'L';
+            resolveIsolatingRunSequence(sequence, types, original, codePoints, levels, level, sos, eos);
+        }
+
+        // Removed characters take the level of the character before them
+        for (let i = 0; i < n; i++) {
+            if (isRemovedByX9(original[i])) levels[i] = i > 0 ? levels[i - 1] : baseLevel;
+        }
+
+        // L1: segment/paragraph separators and trailing whitespace return to the paragraph level
+        let trailing = true;
+        for (let i = n - 1; i >= 0; i--) {
+            const type = original[i];
+            if (type === 'S' || type === 'B') {
+                levels[i] = baseLevel;
+                trailing = true;
+            } else if (type === 'WS' || isIsolateInitiator(type) || type === 'PDI' || isRemovedByX9(type)) {
+                if (trailing) levels[i] = baseLevel;
+            } else {
+                trailing = false;
+            }
+        }
+        return { levels, baseLevel };
+    }
+
+    // W1–W7, N0–N2 and I1–I2 for one isolating run sequence (indices into the paragraph)
+    function resolveIsolatingRunSequence(sequence, types, original, codePoints, levels, level, sos, eos) {
+        const t = sequence.map(i => types[i]);
+        const len = t.length;
+
+        // W1: NSM takes the type of the preceding character (ON after isolates)
+        for (let k = 0; k < len; k++) {
+            if (t[k] !== 'NSM') continue;
+            const prev = k > 0 ? t[k - 1] : sos;
+            t[k] = isIsolateInitiator(prev) || prev === 'PDI' ? 'ON' : prev;
+        }
+        // W2: EN after AL becomes AN; W3: AL becomes R
+        let lastStrong = sos;
+        for (let k = 0; k < len; k++) {
+            if (t[k] === 'L' || t[k] === 'R' || t[k] === 'AL') lastStrong = t[k];
+            else if (t[k] === 'EN' && lastStrong === 'AL') t[k] = 'AN';
+        }
+        for (let k = 0; k < len; k++) if (t[k] === 'AL') t[k] = 'R';
+        // W4: a single separator between two numbers of the same type joins them
+        for (let k = 1; k < len - 1; k++) {
+            if (t[k] === 'ES' && t[k - 1] === 'EN' && t[k + 1] === 'EN') t[k] = 'EN';
+            else if (t[k] === 'CS' && (t[k - 1] === 'EN' || t[k - 1] === 'AN') && t[k + 1] === t[k - 1]) t[k] = t[k - 1];
+        }
+        // W5: terminators adjacent to European numbers become EN
+        for (let k = 0; k < len; k++) {
+            if (t[k] !== 'ET') continue;
+            let end = k;
+            while (end < len && t[end] === 'ET') end++;
+            if ((k > 0 && t[k - 1] === 'EN') || (end < len && t[end] === 'EN')) {
+                for (let j = k; j < end; j++) t[j] = 'EN';
+            }
+            k = end - 1;
+        }
+        // W6: remaining separators and terminators become ON
+        for (let k = 0; k < len; k++) {
+            if (t[k] === 'ES' || t[k] === 'ET' || t[k] === 'CS') t[k] = 'ON';
+        }
+        // W7: EN after L (or an L sos) becomes L
+        lastStrong = sos;
+        for (let k = 0; k < len; k++) {
+            if (t[k] === 'L' || t[k] === 'R') lastStrong = t[k];
+            else if (t[k] === 'EN' && lastStrong === 'L') t[k] = 'L';
+        }
+
+        const embedding = level & 1 ? 'R' : 'L';
+        const strongOf = type => type === 'L' ? 'L' : (type === 'R' || type === 'EN' || type === 'AN') ? 'R' : null;
+
+        // N0: paired brackets take the embedding direction, or the direction of their context
+        for (const [open, close] of findBracketPairs(sequence, t, codePoints)) {
+            let inside = null;
+            for (let k = open + 1; k < close; k++) {
+                const strong = strongOf(t[k]);
+                if (strong === embedding) { inside = embedding; break; }
+                if (strong) inside = strong;
+            }
+            if (!inside) continue;
+            let direction = embedding;
+            if (inside !== embedding) {
+                let context = sos;
+                for (let k = open - 1; k >= 0; k--) {
+                    const strong = strongOf(t[k]);
+                    if (strong) { context = strong; break; }
+                }
+                if (context !== embedding) direction = context;
+            }
+            for (const k of [open, close]) {
+                t[k] = direction;
+                // Marks following a bracket take its new direction
+                for (let j = k + 1; j < len && original[sequence[j]] === 'NSM'; j++) t[j] = direction;
+            }
+        }
+
+        // N1/N2: neutrals between two strong types of the same direction take it, others the embedding direction
+        for (let k = 0; k < len; k++) {
+            if (!isNeutralOrIsolate(t[k])) continue;
+            let end = k;
+            while (end < len && isNeutralOrIsolate(t[end])) end++;
+            const before = k > 0 ? strongOf(t[k - 1]) : sos;
+            const after = end < len ? strongOf(t[end]) : eos;
+            const direction = before === after ? before : embedding;
+            for (let j = k; j < end; j++) t[j] = direction;
+            k = end - 1;
+        }
+
+        // I1/I2: implicit levels
+        for (let k = 0; k < len; k++) {
+            const i = sequence[k];
+            if (level & 1) {
+                if (t[k] === 'L' || t[k] === 'EN' || t[k] === 'AN') levels[i] = level + 1;
+            } else if (t[k] === 'R') {
+                levels[i] = level + 1;
+            } else if (t[k] === 'AN' || t[k] === 'EN') {
+                levels[i] = level + 2;
+            }
+        }
+    }
+
+    // BD16: bracket pairs of an isolating run sequence, as [open, close] positions sorted by opening bracket
+    function findBracketPairs(sequence, t, codePoints) {
+        const pairs = [], stack = [];
+        // U+2329/U+232A are canonically equivalent to U+3008/U+3009
+        const canonical = cp => cp === 0x2329 ? 0x3008 : cp === 0x232A ? 0x3009 : cp;
+        for (let k = 0; k < sequence.length; k++) {
+            if (t[k] !== 'ON') continue;
+            const cp = codePoints[sequence[k]];
+            const bracket = getBidiBracketType(cp);
+            if (bracket === 'O') {
+                if (stack.length === 63) break;
+                stack.push({ close: canonical(getBidiMirror(cp)), k });
+            } else if (bracket === 'C') {
+                for (let s = stack.length - 1; s >= 0; s--) {
+                    if (stack[s].close !== canonical(cp)) continue;
+                    pairs.push([stack[s].k, k]);
+                    stack.length = s;
+                    break;
+                }
+            }
+        }
+        return pairs.sort((a, b) => a[0] - b[0]);
+    }
+
+    // L2: visual order of items with embedding levels — from the highest level down to the
+    // lowest odd level, reverse every contiguous sequence at that level or above
+    function reorderByLevels(levels) {
+        const order = levels.map((_, i) => i);
+        let highest = 0, lowestOdd = Infinity;
+        for (const level of levels) {
+            if (level > highest) highest = level;
+            if ((level & 1) && level < lowestOdd) lowestOdd = level;
+        }
+        for (let level = highest; level >= lowestOdd; level--) {
+            for (let i = 0; i < order.length; i++) {
+                if (levels[order[i]] < level) continue;
+                let end = i;
+                while (end < order.length && levels[order[end]] >= level) end++;
+                const reversed = order.slice(i, end).reverse();
+                for (let j = i; j < end; j++) order[j] = reversed[j - i];
+                i = end;
+            }
+        }
+        return order;
+    }
+
+    // =========================================================================
+    // Vertical text - Vertical_Orientation (UAX #50) and vertical metrics
+    // =========================================================================
+
+    // Codes of VERTICAL_ORIENTATION_DATA (unlisted code points are R)
+    const VERTICAL_ORIENTATION_CODES = { U: 'U', TU: 'Tu', TR: 'Tr' };
+
+    let verticalOrientationTable = null;
+    function getVerticalOrientation(codePoint) {
+        if (!verticalOrientationTable) verticalOrientationTable = decodeRangeTable(VERTICAL_ORIENTATION_DATA.join(''));
+        const code = lookupRangeTable(verticalOrientationTable, codePoint);
+        return code ? VERTICAL_ORIENTATION_CODES[code] : 'R';
+    }
+
+    // Split a line into upright and sideways runs: [{ text, upright }].
+    // Combining marks (joining type T) stay in the run of their base.
+    function splitOrientationRuns(line) {
+        const runs = [];
+        for (const char of line) {
+            const cp = char.codePointAt(0);
+            const last = runs[runs.length - 1];
+            const upright = last && getJoiningType(cp) === 'T' ? last.upright : getVerticalOrientation(cp) !== 'R';
+            if (last && last.upright === upright) last.text += char;
+            else runs.push({ text: char, upright });
+        }
+        return runs;
+    }
+
+    // Place one line of vertical text downwards from distance pen below y = 0; returns the pen position after it.
+    // Upright runs are shaped with vert/vrt2 and stacked by vertical advance (va, default ascender - descender),
+    // each glyph centred on x = 0 with its vertical origin (vo, default ascender) at the pen. Sideways runs and
+    // Tr characters without a vertical alternate are laid out horizontally and turned 90° clockwise, with the
+    // middle of the em box on x = 0; their entries are marked sideways.
+    function positionVerticalLine(data, index, font, line, pen, wordSpacing, options, positioned) {
+        const advance = glyph => glyph.va !== undefined ? glyph.va : data.ascender - data.descender;
+        const origin = glyph => glyph.vo !== undefined ? glyph.vo : data.ascender;
+        const sidewaysX = -(data.ascender + data.descender) / 2;
+        const placeSideways = (items, script) => {
+            const lookups = font.gpos ? selectLookups(font.gpos, script, options.language, resolveFeatureValues(DEFAULT_GPOS_FEATURES, options.features)) : [];
+            const entries = [];
+            const end = positionRun(items, 0, false, font, lookups, entries, wordSpacing);
+            for (const entry of entries) positioned.push({ glyph: entry.glyph, x: sidewaysX + entry.y, y: -pen - entry.x, sideways: true });
+            pen += end;
+        };
+
+        for (const run of splitOrientationRuns(line)) {
+            const script = options.script || detectScript([...run.text].map(c => c.codePointAt(0)));
+            if (!run.upright) {
+                placeSideways(shapeText(data, index, run.text, script, options), script);
+                continue;
+            }
+            let base = null;
+            for (const item of shapeText(data, index, run.text, script, options, true)) {
+                if (item.char !== undefined && getVerticalOrientation(item.char.codePointAt(0)) === 'Tr') {
+                    // Not replaced by vert/vrt2: rotate like sideways text
+                    placeSideways([item], script);
+                    base = null;
+                } else if (!item.glyph) {
+                    pen += font.res * 0.3;
+                } else if (item.mark && base) {
+                    positioned.push({ glyph: item.glyph, x: base.x, y: base.y });
+                } else {
+                    base = { glyph: item.glyph, x: -(item.glyph.ha || 0) / 2, y: -pen - origin(item.glyph) };
+                    positioned.push(base);
+                    pen += advance(item.glyph) + (item.char && JUSTIFY_SPACES.includes(item.char) ? wordSpacing : 0);
+                }
+            }
+        }
+        return pen;
+    }
+
+    // =========================================================================
+    // Line breaking - Unicode Line Breaking Algorithm (UAX #14)
+    // =========================================================================
+
+    // Break kinds returned by findLineBreaks
+    const LINE_BREAK_NONE = 0, LINE_BREAK_ALLOWED = 1, LINE_BREAK_MANDATORY = 2;
+
+    // Codes of LINE_BREAK_DATA that are not the class name itself
+    // (P: unassigned Extended_Pictographic code point, class ID)
+    const LINE_BREAK_CODES = { B: 'B2', P: 'ID', Z: 'ZWJ' };
+
+    // Quotation marks with General_Category Pi / Pf (rules LB15a/LB15b)
+    const INITIAL_QUOTES = '\u00AB\u2018\u201B\u201C\u201F\u2039\u2E02\u2E04\u2E09\u2E0C\u2E1C\u2E20';
+    const FINAL_QUOTES = '\u00BB\u2019\u201D\u203A\u2E03\u2E05\u2E0A\u2E0D\u2E1D\u2E21';
+
+    // CSS line-break tailorings: iteration marks and centred punctuation that 'loose' lets lines start with,
+    // and hyphens that 'normal' and 'loose' allow a break before after an ideograph
+    const LOOSE_STARTERS = [0x3005, 0x303B, 0x309D, 0x309E, 0x30FD, 0x30FE, 0x30FB, 0xFF1A, 0xFF1B, 0xFF65];
+    const CJK_BREAKABLE_HYPHENS = [0x2010, 0x2013, 0x301C, 0x30A0];
+
+    let lineBreakTable = null;
+    // Line_Break class after rule LB1 (AI, SG, XX → AL; SA resolved when the table was built).
+    // CJ is NS for strictness 'strict' and ID otherwise.
+    function getLineBreakClass(codePoint, strictness) {
+        if (codePoint >= 0xAC00 && codePoint <= 0xD7A3) return (codePoint - 0xAC00) % 28 === 0 ? 'H2' : 'H3';
+        if (!lineBreakTable) lineBreakTable = decodeRangeTable(LINE_BREAK_DATA.join(''));
+        const code = lookupRangeTable(lineBreakTable, codePoint);
+        if (!code) return 'AL';
+        if (code === 'CJ') return strictness === 'strict' ? 'NS' : 'ID';
+        if (strictness === 'loose' && LOOSE_STARTERS.includes(codePoint)) return 'ID';
+        return LINE_BREAK_CODES[code] || code;
+    }
+
+    function isUnassignedPictographic(codePoint) {
+        if (!lineBreakTable) lineBreakTable = decodeRangeTable(LINE_BREAK_DATA.join(''));
+        return lookupRangeTable(lineBreakTable, codePoint) === 'P';
+    }
+
+    // East Asian Width F/W/H for opening and closing punctuation (rule LB30): the CJK and fullwidth blocks
+    function isEastAsianWide(codePoint) {
+        return codePoint === 0x2329 || codePoint === 0x232A || (codePoint >= 0x2E80 && codePoint <= 0xA4CF) || (codePoint >= 0xF900 && codePoint <= 0xFAFF) ||
+            (codePoint >= 0xFE10 && codePoint <= 0xFE6F) || (codePoint >= 0xFF00 && codePoint <= 0xFFEF);
+    }
+
+    // Break opportunities of a code point sequence (rules LB2–LB31).
+    // strictness: 'strict' | 'normal' | 'loose' (CSS line-break) for CJK text.
+    // Returns a Uint8Array of length n + 1: entry i is the break before code point i
+    // (LINE_BREAK_NONE, LINE_BREAK_ALLOWED or LINE_BREAK_MANDATORY); entry n is mandatory after a final newline.
+    function findLineBreaks(codePoints, strictness) {
+        const n = codePoints.length;
+        const breaks = new Uint8Array(n + 1);
+        if (n === 0) return breaks;
+        const original = codePoints.map(cp => getLineBreakClass(cp, strictness));
+
+        // LB9/LB10: combining marks and ZWJ join the preceding character; unattached ones are AL.
+        // The remaining rules work on these units: first code point and class.
+        const units = [], types = [];
+        original.forEach((type, i) => {
+            const prev = types[types.length - 1];
+            if ((type === 'CM' || type === 'ZWJ') && prev !== undefined &&
+                prev !== 'BK' && prev !== 'CR' && prev !== 'LF' && prev !== 'SP' && prev !== 'ZW') return;
+            units.push(i);
+            types.push(type === 'CM' || type === 'ZWJ' ? 'AL' : type);
+        });
+        const m = units.length;
+        const isAksara = u => types[u] === 'AK' || types[u] === 'AS' || codePoints[units[u]] === 0x25CC;
+        const isQuote = (u, quotes) => types[u] === 'QU' && quotes.includes(String.fromCodePoint(codePoints[units[u]]));
+        // Whether unit u ends a number: NU (NU | SY | IS)*
+        const afterNumber = u => {
+            for (; u >= 0 && (types[u] === 'SY' || types[u] === 'IS' || types[u] === 'NU'); u--) {
+                if (types[u] === 'NU') return true;
+            }
+            return false;
+        };
+        // Last unit at or before u that is not a space
+        const beforeSpaces = u => {
+            while (u >= 0 && types[u] === 'SP') u--;
+            return u;
+        };
+
+        let regionalIndicators = 0;
+        for (let u = 1; u <= m; u++) {
+            const a = types[u - 1];
+            const index = u < m ? units[u] : n;
+            regionalIndicators = a === 'RI' ? regionalIndicators + 1 : 0;
+            // LB4/LB5: always break after hard line breaks, but not within CR LF
+            if (a === 'BK' || a === 'LF' || (a === 'CR' && types[u] !== 'LF')) {
+                breaks[index] = LINE_BREAK_MANDATORY;
+                continue;
+            }
+            if (u === m) break;
+            breaks[index] = lineBreakBetween(u, a, types[u]) ? LINE_BREAK_ALLOWED : LINE_BREAK_NONE;
+        }
+        return breaks;
+
+        // LB6–LB31 for the boundary before unit u
+        function lineBreakBetween(u, a, b) {
+            const last = beforeSpaces(u - 1);
+            const next = u + 1 < m ? types[u + 1] : null;
+            if (b === 'BK' || b === 'CR' || b === 'LF') return false;               // LB6
+            if (b === 'SP' || b === 'ZW') return false;                             // LB7
+            if (types[last] === 'ZW') return true;                                  // LB8
+            if (original[units[u] - 1] === 'ZWJ') return false;                     // LB8a
+            if (a === 'WJ' || b === 'WJ') return false;                             // LB11
+            if (a === 'GL') return false;                                           // LB12
+            if (b === 'GL' && a !== 'SP' && a !== 'BA' && a !== 'HY') return false;  // LB12a
+            if (b === 'CL' || b === 'CP' || b === 'EX' || b === 'IS' || b === 'SY') return false; // LB13
+            if (types[last] === 'OP') return false;                                 // LB14
+            if (last >= 0 && isQuote(last, INITIAL_QUOTES)) {                       // LB15a
+                const before = last > 0 ? types[last - 1] : null;
+                if (before === null || ['BK', 'CR', 'LF', 'OP', 'QU', 'GL', 'SP', 'ZW'].includes(before)) return false;
+            }
+            if (isQuote(u, FINAL_QUOTES) &&                                         // LB15b
+                (next === null || ['SP', 'GL', 'WJ', 'CL', 'QU', 'CP', 'EX', 'IS', 'SY', 'BK', 'CR', 'LF', 'ZW'].includes(next))) return false;
+            if ((types[last] === 'CL' || types[last] === 'CP') && b === 'NS') return false; // LB16
+            if (types[last] === 'B2' && b === 'B2') return false;                   // LB17
+            if (a === 'SP') return true;                                            // LB18
+            if (a === 'QU' || b === 'QU') return false;                             // LB19
+            if (a === 'CB' || b === 'CB') return true;                              // LB20
+            if (strictness !== 'strict' && a === 'ID' && CJK_BREAKABLE_HYPHENS.includes(codePoints[units[u]])) return true;
+            if (b === 'BA' || b === 'HY' || b === 'NS' || a === 'BB') return false; // LB21
+            if (u >= 2 && types[u - 2] === 'HL' && (a === 'HY' || a === 'BA')) return false; // LB21a
+            if (a === 'SY' && b === 'HL') return false;                             // LB21b
+            if (b === 'IN') return strictness === 'loose' && a === 'IN';            // LB22
+            const alpha = t => t === 'AL' || t === 'HL';
+            if ((alpha(a) && b === 'NU') || (a === 'NU' && alpha(b))) return false; // LB23
+            if (strictness !== 'loose' &&                                           // LB23a
+                ((a === 'PR' && (b === 'ID' || b === 'EB' || b === 'EM')) || ((a === 'ID' || a === 'EB' || a === 'EM') && b === 'PO'))) return false;
+            if (((a === 'PR' || a === 'PO') && alpha(b)) || (alpha(a) && (b === 'PR' || b === 'PO'))) return false; // LB24
+            if (((a === 'PR' || a === 'PO') && (b === 'NU' || ((b === 'OP' || b === 'HY') && next === 'NU'))) || // LB25
+                ((a === 'OP' || a === 'HY') && b === 'NU') ||
+                (afterNumber(u - 1) && (b === 'NU' || b === 'SY' || b === 'IS' || b === 'CL' || b === 'CP')) ||
+                ((afterNumber(u - 1) || ((a === 'CL' || a === 'CP') && afterNumber(u - 2))) && (b === 'PO' || b === 'PR'))) return false;
+            if ((a === 'JL' && (b === 'JL' || b === 'JV' || b === 'H2' || b === 'H3')) || // LB26
+                ((a === 'JV' || a === 'H2') && (b === 'JV' || b === 'JT')) ||
+                ((a === 'JT' || a === 'H3') && b === 'JT')) return false;
+            const korean = t => t === 'JL' || t === 'JV' || t === 'JT' || t === 'H2' || t === 'H3';
+            if ((korean(a) && b === 'PO') || (a === 'PR' && korean(b))) return false; // LB27
+            if (alpha(a) && alpha(b)) return false;                                 // LB28
+            if ((a === 'AP' && isAksara(u)) ||                                      // LB28a
+                (isAksara(u - 1) && (b === 'VF' || b === 'VI')) ||
+                (a === 'VI' && u >= 2 && isAksara(u - 2) && (types[u] === 'AK' || codePoints[units[u]] === 0x25CC)) ||
+                (isAksara(u - 1) && isAksara(u) && next === 'VF')) return false;
+            if (a === 'IS' && alpha(b)) return false;                               // LB29
+            if (((alpha(a) || a === 'NU') && b === 'OP' && !isEastAsianWide(codePoints[units[u]])) || // LB30
+                (a === 'CP' && !isEastAsianWide(codePoints[units[u - 1]]) && (alpha(b) || b === 'NU'))) return false;
+            if (a === 'RI' && b === 'RI') return regionalIndicators % 2 === 0;      // LB30a
+            if ((a === 'EB' || isUnassignedPictographic(codePoints[units[u - 1]])) && b === 'EM') return false; // LB30b
+            return true;                                                            // LB31
+        }
+    }
+
+    // =========================================================================
+    // Debug: Convert typeface glyph path to SVG path data (for verification)
+    // =========================================================================
+    function glyphToSVGPath(glyphObj, scale) {
+        if (!glyphObj || !glyphObj.o) return '';
+        const tokens = glyphObj.o.split(' ');
+        const s = scale || 1;
+        let d = '';
+        let i = 0;
+        let firstInContour = true;
+        while (i < tokens.length) {
+            const cmd = tokens[i++];
+            switch (cmd) {
+                case 'm': {
+                    if (!firstInContour) d += 'Z ';
+                    const x = parseFloat(tokens[i++]) * s;
+                    const y = parseFloat(tokens[i++]) * s;
+                    d += `M ${x} ${-y} `;
+                    firstInContour = false;
+                    break;
+                }
+                case 'l': {
+                    const x = parseFloat(tokens[i++]) * s;
+                    const y = parseFloat(tokens[i++]) * s;
+                    d += `L ${x} ${-y} `;
+                    break;
+                }
+                case 'q': {
+                    const cx = parseFloat(tokens[i++]) * s;
+                    const cy = parseFloat(tokens[i++]) * s;
+                    const x = parseFloat(tokens[i++]) * s;
+                    const y = parseFloat(tokens[i++]) * s;
+                    d += `Q ${cx} ${-cy} ${x} ${-y} `;
+                    break;
+                }
+                case 'b': {
+                    const c1x = parseFloat(tokens[i++]) * s;
+                    const c1y = parseFloat(tokens[i++]) * s;
+                    const c2x = parseFloat(tokens[i++]) * s;
+                    const c2y = parseFloat(tokens[i++]) * s;
+                    const x = parseFloat(tokens[i++]) * s;
+                    const y = parseFloat(tokens[i++]) * s;
+                    d += `C ${c1x} ${-c1y} ${c2x} ${-c2y} ${x} ${-y} `;
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+        d += 'Z';
+        return d;
+    }
+
+    // lineHeight and maxWidth are given in output units (pixels, world units); layoutText works in font units
+    function scaleLayoutOptions(options, scale) {
+        options = options || {};
+        return Object.assign({}, options, {
+            lineHeight: options.lineHeight ? options.lineHeight / scale : undefined,
+            maxWidth: options.maxWidth ? options.maxWidth / scale : undefined
+        });
+    }
+
+    // Outline tokens turned 90° clockwise: (x, y) → (y, -x)
+    function rotateOutlineTokens(tokens) {
+        const rotated = tokens.slice();
+        let isX = true;
+        for (let i = 0; i < rotated.length; i++) {
+            const token = tokens[i];
+            if (token === 'm' || token === 'l' || token === 'q' || token === 'b') { isX = true; continue; }
+            if (isX && i + 1 < tokens.length) {
+                rotated[i] = tokens[i + 1];
+                rotated[i + 1] = String(-parseFloat(token));
+            }
+            isX = !isX;
+        }
+        return rotated;
+    }
+
+    // Outlines drawn for a glyph in one color: a color glyph without a monochrome outline falls back to its layers
+    function monochromeOutlines(glyph) {
+        if (glyph.o) return [glyph.o];
+        return glyph.layers ? glyph.layers.map(layer => layer.o) : [];
+    }
+
+    // SVG gradient of a color layer: geometry in paint space, mapped by gradientTransform into the
+    // scaled, y-down space of the layer's path
+    function svgGradient(id, gradient, scale) {
+        const m = multiplyAffine([scale, 0, 0, -scale, 0, 0], gradient.transform || IDENTITY_AFFINE);
+        const stops = gradient.stops.map(stop => `<stop offset="${stop.offset}" stop-color="${stop.color || 'black'}"` +
+            (stop.alpha !== undefined ? ` stop-opacity="${stop.alpha}"` : '') + '/>').join('');
+        const attributes = `id="${id}" gradientUnits="userSpaceOnUse" spreadMethod="${gradient.extend}" gradientTransform="matrix(${m.join(' ')})"`;
+        if (gradient.type === 'linear') {
+            return `<linearGradient ${attributes} x1="${gradient.x0}" y1="${gradient.y0}" x2="${gradient.x1}" y2="${gradient.y1}">${stops}</linearGradient>`;
+        }
+        return `<radialGradient ${attributes} fx="${gradient.x0}" fy="${gradient.y0}" fr="${gradient.r0}" cx="${gradient.x1}" cy="${gradient.y1}" r="${gradient.r1}">${stops}</radialGradient>`;
+    }
+
+    function generateSVG(typefaceJSON, text, fontSize, options) {
+        fontSize = fontSize || 120;
+        const res = typefaceJSON.resolution || 1000;
+        const scale = fontSize / res;
+        let paths = '', defs = '', gradientCount = 0;
+        const vertical = !!options && options.direction === 'vertical';
+        const colorLayers = !options || options.colorLayers !== false;
+        const layoutOptions = scaleLayoutOptions(options, scale);
+        if (vertical) layoutOptions.verticalAlign = 'top';
+        const layout = layoutText(typefaceJSON, text, layoutOptions);
+
+        // The canvas always fits the block: the first baseline sits at `baseline` whatever the anchor;
+        // vertical columns start 10px from the top, the first one on the right
+        let originX, originY, width, height;
+        if (vertical) {
+            const columns = (layout.lines[0].x - layout.lines[layout.lines.length - 1].x + layout.lineHeight) * scale;
+            originX = 10 + columns - layout.lineHeight * scale / 2;
+            originY = 10;
+            width = Math.ceil(10 + columns + 10);
+            height = Math.ceil(10 + layout.width * scale + 20);
+        } else {
+            const firstY = layout.lines[0].y;
+            originX = 10;
+            originY = fontSize * 1.1 + firstY * scale;
+            width = Math.ceil(10 + layout.width * scale + 20);
+            height = Math.ceil(fontSize * 1.6 + (firstY - layout.lines[layout.lines.length - 1].y) * scale);
+        }
+
+        for (const { glyph, x, y, sideways } of layout.glyphs) {
+            const rotate = sideways ? ' rotate(90)' : '';
+            const transform = `translate(${originX + x * scale},${originY - y * scale})${rotate}`;
+            if (colorLayers && glyph.image) {
+                const { x: imageX, y: imageY, width: imageWidth, height: imageHeight } = glyph.image;
+                const href = glyphImageURL(glyph.image, typefaceJSON.svgDocuments);
+                if (href) {
+                    paths += `<image href="${href}" transform="${transform}" x="${imageX * scale}" y="${-(imageY + imageHeight) * scale}" ` +
+                        `width="${imageWidth * scale}" height="${imageHeight * scale}" preserveAspectRatio="none" />\n`;
+                }
+                continue;
+            }
+            if (colorLayers && glyph.layers) {
+                // One path per color layer; sweep gradients have no SVG equivalent and keep the solid fill
+                for (const layer of glyph.layers) {
+                    let fill = layer.color || 'black';
+                    let opacity = layer.alpha !== undefined ? ` fill-opacity="${layer.alpha}"` : '';
+                    if (layer.gradient && layer.gradient.type !== 'sweep') {
+                        const id = `gradient${gradientCount++}`;
+                        defs += svgGradient(id, layer.gradient, scale) + '\n';
+                        fill = `url(#${id})`;
+                        opacity = '';
+                    }
+                    paths += `<path d="${glyphToSVGPath(layer, scale)}" transform="${transform}" fill="${fill}"${opacity} fill-rule="nonzero" />\n`;
+                }
+                continue;
+            }
+            for (const o of monochromeOutlines(glyph)) {
+                paths += `<path d="${glyphToSVGPath({ o }, scale)}" transform="${transform}" fill="black" fill-rule="nonzero" />\n`;
+            }
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="white"/>
+${defs ? `<defs>\n${defs}</defs>\n` : ''}${paths}</svg>`;
+    }
+
+    // =========================================================================
+    // Three.js Shape Builder - bypasses TextGeometry's broken winding detection
+    // =========================================================================
+    // Three.js's Font/ShapePath.toShapes() uses only 12 divisions for area
+    // calculation, causing winding direction detection to fail on complex CFF
+    // cubic bezier paths. This implementation uses high-quality tessellation
+    // and proper point-in-polygon testing for hole assignment.
+    //
+    // Usage:
+    //   const shapes = FontEngine3D.createTextShapes(THREE, json, 'Hello\nWorld', {
+    //       size: 80, curveSegments: 48, reverseWinding: false,
+    //       align: 'center', maxWidth: 600, verticalAlign: 'middle'
+    //   });
+    //   const geometry = new THREE.ExtrudeGeometry(shapes, { depth: 15, curveSegments: 48 });
+    //
+    // With colorLayers: true, color glyphs (COLR) come back as groups in paint order,
+    // [{ shapes, color, alpha, gradient? }], one material each; plain glyphs get color null.
+    // Bitmap/SVG glyphs add groups without shapes whose image { src, centerX, centerY, width,
+    // height, rotation } describes a textured plane.
+    // =========================================================================
+
+    function createTextShapes(THREE, typefaceJSON, text, options) {
+        options = options || {};
+        const size = options.size || 80;
+        const divisions = options.curveSegments || 48;
+        const reverseWinding = !!options.reverseWinding;
+        const data = typefaceJSON;
+        const scale = size / (data.resolution || 1000);
+        const allShapes = [];
+        const groups = [];
+        const layout = layoutText(data, text, scaleLayoutOptions(options, scale));
+
+        for (const { glyph, x, y, sideways } of layout.glyphs) {
+            if (!options.colorLayers) {
+                for (const o of monochromeOutlines(glyph)) {
+                    allShapes.push(..._buildShapesFromGlyph(THREE, o, scale, x * scale, y * scale, divisions, reverseWinding, sideways));
+                }
+                continue;
+            }
+
+            // Bitmap/SVG glyphs: a textured plane centred at (centerX, centerY), turned by rotation
+            if (glyph.image) {
+                const src = glyphImageURL(glyph.image, data.svgDocuments);
+                if (!src) continue;
+                const { x: imageX, y: imageY, width: imageWidth, height: imageHeight } = glyph.image;
+                const centerX = imageX + imageWidth / 2, centerY = imageY + imageHeight / 2;
+                groups.push({
+                    shapes: [], color: null, alpha: 1,
+                    image: {
+                        src,
+                        centerX: (x + (sideways ? centerY : centerX)) * scale,
+                        centerY: (y + (sideways ? -centerX : centerY)) * scale,
+                        width: imageWidth * scale, height: imageHeight * scale,
+                        rotation: sideways ? -Math.PI / 2 : 0
+                    }
+                });
+                continue;
+            }
+
+            // Color groups in paint order; neighbouring solid layers of the same color share a group
+            for (const layer of glyph.layers || [{ o: glyph.o, color: null }]) {
+                if (!layer.o) continue;
+                const shapes = _buildShapesFromGlyph(THREE, layer.o, scale, x * scale, y * scale, divisions, reverseWinding, sideways);
+                const group = { shapes, color: layer.color, alpha: layer.alpha !== undefined ? layer.alpha : 1 };
+                if (layer.gradient) {
+                    // Gradient geometry mapped straight to world units
+                    const place = multiplyAffine([scale, 0, 0, scale, x * scale, y * scale], sideways ? [0, -1, 1, 0, 0, 0] : IDENTITY_AFFINE);
+                    group.gradient = Object.assign({}, layer.gradient, {
+                        transform: multiplyAffine(place, layer.gradient.transform || IDENTITY_AFFINE)
+                    });
+                }
+                const last = groups[groups.length - 1];
+                if (last && !last.gradient && !group.gradient && last.color === group.color && last.alpha === group.alpha) {
+                    last.shapes.push(...shapes);
+                } else {
+                    groups.push(group);
+                }
+            }
+        }
+
+        return options.colorLayers ? groups : allShapes;
+    }
+
+    function signedArea(pts) {
+        let area = 0;
+        for (let j = 0, n = pts.length; j < n; j++) {
+            const p1 = pts[j], p2 = pts[(j + 1) % n];
+            area += (p1.x * p2.y - p2.x * p1.y);
+        }
+        return area / 2;
+    }
+
+    function isPointInPolygon(pt, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const xi = polygon[i].x, yi = polygon[i].y;
+            const xj = polygon[j].x, yj = polygon[j].y;
+            if (((yi > pt.y) !== (yj > pt.y)) &&
+                (pt.x < (xj - xi) * (pt.y - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Tessellated outline as polygons [{ outer, holes }] of { x, y } points, each hole assigned to
+    // the smallest outer contour containing it.
+    // sideways: turn the outline 90° clockwise about the glyph origin (sideways runs in vertical text)
+    function _buildPolygonsFromGlyph(pathStr, scale, offsetX, offsetY, divisions, reverseWinding, sideways) {
+        const tokens = sideways ? rotateOutlineTokens(pathStr.split(' ')) : pathStr.split(' ');
+        const subPaths = [];
+        let current = null;
+        let i = 0;
+
+        while (i < tokens.length) {
+            const cmd = tokens[i];
+            switch (cmd) {
+                case 'm': {
+                    current = [];
+                    subPaths.push(current);
+                    const x = parseFloat(tokens[i+1]) * scale + offsetX;
+                    const y = parseFloat(tokens[i+2]) * scale + offsetY;
+                    current.push({ type: 'move', x, y });
+                    i += 3;
+                    break;
+                }
+                case 'l': {
+                    const x = parseFloat(tokens[i+1]) * scale + offsetX;
+                    const y = parseFloat(tokens[i+2]) * scale + offsetY;
+                    if (current) current.push({ type: 'line', x, y });
+                    i += 3;
+                    break;
+                }
+                case 'q': {
+                    const cpx = parseFloat(tokens[i+1]) * scale + offsetX;
+                    const cpy = parseFloat(tokens[i+2]) * scale + offsetY;
+                    const x   = parseFloat(tokens[i+3]) * scale + offsetX;
+                    const y   = parseFloat(tokens[i+4]) * scale + offsetY;
+                    if (current) current.push({ type: 'quad', cpx, cpy, x, y });
+                    i += 5;
+                    break;
+                }
+                case 'b': {
+                    const cp1x = parseFloat(tokens[i+1]) * scale + offsetX;
+                    const cp1y = parseFloat(tokens[i+2]) * scale + offsetY;
+                    const cp2x = parseFloat(tokens[i+3]) * scale + offsetX;
+                    const cp2y = parseFloat(tokens[i+4]) * scale + offsetY;
+                    const x    = parseFloat(tokens[i+5]) * scale + offsetX;
+                    const y    = parseFloat(tokens[i+6]) * scale + offsetY;
+                    if (current) current.push({ type: 'cubic', cp1x, cp1y, cp2x, cp2y, x, y });
+                    i += 7;
+                    break;
+                }
+                default:
+                    i++;
+            }
+        }
+
+        if (subPaths.length === 0) return [];
+
+        function tessellate(sp, divs) {
+            const pts = [];
+            if (sp.length === 0) return pts;
+            let cx = sp[0].x, cy = sp[0].y;
+            pts.push({ x: cx, y: cy });
+
+            for (let j = 1; j < sp.length; j++) {
+                const cmd = sp[j];
+                switch (cmd.type) {
+                    case 'line':
+                        pts.push({ x: cmd.x, y: cmd.y });
+                        cx = cmd.x; cy = cmd.y;
+                        break;
+                    case 'quad':
+                        for (let t = 1; t <= divs; t++) {
+                            const u = t / divs, inv = 1 - u;
+                            pts.push({
+                                x: inv*inv*cx + 2*inv*u*cmd.cpx + u*u*cmd.x,
+                                y: inv*inv*cy + 2*inv*u*cmd.cpy + u*u*cmd.y
+                            });
+                        }
+                        cx = cmd.x; cy = cmd.y;
+                        break;
+                    case 'cubic':
+                        for (let t = 1; t <= divs; t++) {
+                            const u = t / divs, inv = 1 - u;
+                            pts.push({
+                                x: inv*inv*inv*cx + 3*inv*inv*u*cmd.cp1x + 3*inv*u*u*cmd.cp2x + u*u*u*cmd.x,
+                                y: inv*inv*inv*cy + 3*inv*inv*u*cmd.cp1y + 3*inv*u*u*cmd.cp2y + u*u*u*cmd.y
+                            });
+                        }
+                        cx = cmd.x; cy = cmd.y;
+                        break;
+                }
+            }
+            return pts;
+        }
+
+        // Winding and nesting are judged on at least 48 divisions, so a coarse curveSegments cannot
+        // turn a small contour round; the polygons keep curveSegments divisions
+        const areaDiv = Math.max(divisions, 48);
+        const subPathData = subPaths.map(sp => {
+            const fine = tessellate(sp, areaDiv);
+            const pts = areaDiv === divisions ? fine : tessellate(sp, divisions);
+            const area = signedArea(fine);
+            return { sp, fine, pts, area };
+        });
+
+        let largestIdx = 0, largestArea = 0;
+        for (let j = 0; j < subPathData.length; j++) {
+            if (Math.abs(subPathData[j].area) > largestArea) {
+                largestArea = Math.abs(subPathData[j].area);
+                largestIdx = j;
+            }
+        }
+
+        const outerSign = Math.sign(subPathData[largestIdx].area);
+        for (const d of subPathData) {
+            d.isOuter = (Math.sign(d.area) === outerSign) || (d.area === 0);
+            if (reverseWinding) d.isOuter = !d.isOuter;
+        }
+
+        const outers = [];
+        const holes = [];
+
+        for (const d of subPathData) {
+            if (d.isOuter) {
+                outers.push({ data: d, polygon: { outer: d.pts, holes: [] } });
+            } else {
+                holes.push(d);
+            }
+        }
+
+        for (const hole of holes) {
+            if (hole.pts.length === 0) continue;
+            const testPt = hole.fine[0];
+            let bestOuter = null, bestArea = Infinity;
+
+            for (const outer of outers) {
+                if (isPointInPolygon(testPt, outer.data.fine)) {
+                    const absArea = Math.abs(outer.data.area);
+                    if (absArea < bestArea) {
+                        bestArea = absArea;
+                        bestOuter = outer;
+                    }
+                }
+            }
+
+            if (bestOuter) {
+                bestOuter.polygon.holes.push(hole.pts);
+            } else if (outers.length > 0) {
+                outers[0].polygon.holes.push(hole.pts);
+            }
+        }
+
+        return outers.map(o => o.polygon);
+    }
+
+    function _buildShapesFromGlyph(THREE, pathStr, scale, offsetX, offsetY, divisions, reverseWinding, sideways) {
+        // Build THREE.Shape/Path from pre-tessellated points (smooth polylines).
+        // This bypasses Three.js internal curve tessellation which can produce
+        // inconsistent results with ExtrudeGeometry for certain font glyphs.
+        function buildThreePathFromPoints(pts, isShape) {
+            const path = isShape ? new THREE.Shape() : new THREE.Path();
+            if (pts.length === 0) return path;
+            path.moveTo(pts[0].x, pts[0].y);
+            for (let j = 1; j < pts.length; j++) {
+                path.lineTo(pts[j].x, pts[j].y);
+            }
+            return path;
+        }
+
+        return _buildPolygonsFromGlyph(pathStr, scale, offsetX, offsetY, divisions, reverseWinding, sideways).map(polygon => {
+            const shape = buildThreePathFromPoints(polygon.outer, true);
+            for (const hole of polygon.holes) shape.holes.push(buildThreePathFromPoints(hole, false));
+            return shape;
+        });
+    }
+
+    // =========================================================================
+    // Standalone geometry - triangulation and extrusion without Three.js
+    // =========================================================================
+    // The same tessellation and hole assignment as createTextShapes(), triangulated
+    // by ear clipping and extruded into plain typed arrays for any renderer or for
+    // asset pipelines in Node.js:
+    //
+    //   const geometry = FontEngine3D.createTextGeometry(json, 'Hello', { size: 80, depth: 15 });
+    //   // { positions, normals, uvs (Float32Array), indices (Uint32Array), groups }
+    //
+    // As in ExtrudeGeometry the back face lies at z = 0 and the front face at
+    // z = depth; groups[0] covers both faces and groups[1] the side walls.
+    // =========================================================================
+
+    // Side normals are shared across corners flatter than this, so curves shade smoothly
+    const SMOOTH_SIDE_ANGLE = 30 * Math.PI / 180;
+
+    // Twice the signed area of triangle abc, positive when counter-clockwise
+    function triangleArea(a, b, c) {
+        return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+    }
+
+    // Binary min-heap of entries ordered by their key
+    function heapPush(heap, entry) {
+        let i = heap.length;
+        heap.push(entry);
+        while (i > 0 && heap[(i - 1) >> 1].key > entry.key) {
+            heap[i] = heap[(i - 1) >> 1];
+            i = (i - 1) >> 1;
+        }
+        heap[i] = entry;
+    }
+
+    // Removes and returns the entry with the smallest key, undefined when empty
+    function heapPop(heap) {
+        const top = heap[0], last = heap.pop();
+        if (heap.length > 0) {
+            let i = 0;
+            for (;;) {
+                let child = 2 * i + 1;
+                if (child >= heap.length) break;
+                if (child + 1 < heap.length && heap[child + 1].key < heap[child].key) child++;
+                if (heap[child].key >= last.key) break;
+                heap[i] = heap[child];
+                i = child;
+            }
+            heap[i] = last;
+        }
+        return top;
+    }
+
+    // Contour without points within tolerance of the one before, the closing one included
+    function dedupeContour(pts, tolerance) {
+        const near = (p, q) => Math.abs(p.x - q.x) <= tolerance && Math.abs(p.y - q.y) <= tolerance;
+        const contour = [];
+        for (const p of pts) {
+            const last = contour[contour.length - 1];
+            if (!last || !near(last, p)) contour.push(p);
+        }
+        while (contour.length > 1 && near(contour[0], contour[contour.length - 1])) contour.pop();
+        return contour;
+    }
+
+    // Deduplicated contour wound counter-clockwise or clockwise
+    function cleanContour(pts, counterClockwise, tolerance) {
+        const contour = dedupeContour(pts, tolerance);
+        if (contour.length < 3) return [];
+        if ((signedArea(contour) > 0) !== counterClockwise) contour.reverse();
+        return contour;
+    }
+
+    // Ear clipping of a counter-clockwise outer contour with clockwise holes. Holes, rightmost first,
+    // are joined to the outline by a bridge to a vertex visible from their rightmost point, which
+    // leaves one polygon with doubled bridge edges. Returns index triples into outer.concat(...holes).
+    function triangulatePolygon(outer, holes) {
+        const points = outer.concat(...holes);
+        const ring = outer.map((p, i) => i);
+
+        let start = outer.length;
+        const holeRings = holes.map(hole => {
+            let rightmost = 0;
+            for (let i = 1; i < hole.length; i++) {
+                if (hole[i].x > hole[rightmost].x || (hole[i].x === hole[rightmost].x && hole[i].y < hole[rightmost].y)) rightmost = i;
+            }
+            const indices = [];
+            for (let i = 0; i < hole.length; i++) indices.push(start + (rightmost + i) % hole.length);
+            start += hole.length;
+            return indices;
+        });
+        holeRings.sort((a, b) => points[b[0]].x - points[a[0]].x);
+
+        for (const hole of holeRings) {
+            const slot = findBridge(points, ring, points[hole[0]]);
+            ring.splice(slot + 1, 0, ...hole, hole[0], ring[slot]);
+        }
+
+        return clipEars(points, ring);
+    }
+
+    // Position in ring of the vertex a hole's rightmost point m is bridged to: the right end of the
+    // first edge hit by a ray from m towards +x or, when vertices lie inside the triangle spanned by
+    // m, the hit and that end, the one closest in angle to the ray (Eberly, "Triangulation by Ear Clipping")
+    function findBridge(points, ring, m) {
+        const n = ring.length;
+        let hitX = Infinity, slot = -1;
+        for (let i = 0; i < n; i++) {
+            const a = points[ring[i]], b = points[ring[(i + 1) % n]];
+            if (a.y === b.y || Math.min(a.y, b.y) > m.y || Math.max(a.y, b.y) < m.y) continue;
+            const x = a.x + (m.y - a.y) * (b.x - a.x) / (b.y - a.y);
+            if (x < m.x || x >= hitX) continue;
+            hitX = x;
+            slot = a.x > b.x ? i : (i + 1) % n;
+        }
+
+        // Not inside the outline (a stray hole): bridge to the nearest vertex
+        if (slot < 0) {
+            let best = Infinity;
+            for (let i = 0; i < n; i++) {
+                const p = points[ring[i]];
+                const d = (p.x - m.x) * (p.x - m.x) + (p.y - m.y) * (p.y - m.y);
+                if (d < best) { best = d; slot = i; }
+            }
+            return slot;
+        }
+
+        const p = points[ring[slot]];
+        if (p.x === hitX && p.y === m.y) return slot;
+        const hit = { x: hitX, y: m.y };
+        const candidate = slot;
+        let bestTan = Infinity, bestX = p.x;
+        for (let i = 0; i < n; i++) {
+            if (i === candidate) continue;
+            const v = points[ring[i]];
+            if (v.x < m.x || !pointInTriangle(v, m, hit, p)) continue;
+            if (!locallyInside(points, ring, i, m)) continue;
+            const tan = Math.abs(v.y - m.y) / (v.x - m.x);
+            if (tan < bestTan || (tan === bestTan && v.x < bestX)) {
+                bestTan = tan;
+                bestX = v.x;
+                slot = i;
+            }
+        }
+        return slot;
+    }
+
+    // Whether the direction from ring[i] to q lies inside the polygon at that vertex
+    function locallyInside(points, ring, i, q) {
+        const n = ring.length;
+        const a = points[ring[i]], prev = points[ring[(i + n - 1) % n]], next = points[ring[(i + 1) % n]];
+        if (triangleArea(prev, a, next) >= 0) return triangleArea(a, next, q) >= 0 && triangleArea(a, q, prev) >= 0;
+        return triangleArea(a, next, q) >= 0 || triangleArea(a, q, prev) >= 0;
+    }
+
+    // Inside or on triangle abc, in either winding
+    function pointInTriangle(p, a, b, c) {
+        const d1 = triangleArea(a, b, p), d2 = triangleArea(b, c, p), d3 = triangleArea(c, a, p);
+        return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+    }
+
+    // Clips ears off a counter-clockwise ring of point indices, the sharpest corner first so no flat sliver
+    // is left for rounding to turn over. Reflex vertices are kept in a coarse grid so an ear only tests the
+    // points near it, and a corner is looked at again when a neighbour goes; a ring with no ear left (a
+    // self-intersecting outline) gives up its smallest convex corner instead. Collinear points dropped on the
+    // way go back into the triangle that took their edge, so no triangle edge passes through a vertex of
+    // another.
+    function clipEars(points, ring) {
+        const n = ring.length;
+        const triangles = [];
+        if (n < 3) return triangles;
+
+        const prev = new Int32Array(n), next = new Int32Array(n);
+        const removed = new Uint8Array(n), convex = new Uint8Array(n), stamp = new Int32Array(n);
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (let i = 0; i < n; i++) {
+            prev[i] = (i + n - 1) % n;
+            next[i] = (i + 1) % n;
+            const p = points[ring[i]];
+            if (p.x < minX) minX = p.x;
+            if (p.y < minY) minY = p.y;
+            if (p.x > maxX) maxX = p.x;
+            if (p.y > maxY) maxY = p.y;
+        }
+        // Corners within rounding of a straight line count as collinear
+        const epsilon = 1e-9 * Math.max(maxX - minX, maxY - minY, Math.abs(minX), Math.abs(maxX), Math.abs(minY), Math.abs(maxY));
+
+        // Only a corner that is not convex can lie inside an ear, and clipping never makes a convex corner
+        // reflex, so just the reflex corners go into the grid; those of cell c are cellItems[cellStart[c]]
+        // up to cellItems[cellStart[c + 1]]
+        const cornerArea = i => triangleArea(points[ring[prev[i]]], points[ring[i]], points[ring[next[i]]]);
+        for (let i = 0; i < n; i++) convex[i] = cornerArea(i) > 0 ? 1 : 0;
+        const cells = Math.max(1, Math.ceil(Math.sqrt(n / 2)));
+        const cellWidth = (maxX - minX) / cells || 1, cellHeight = (maxY - minY) / cells || 1;
+        const cellOf = (v, lo, size) => Math.min(cells - 1, Math.floor((v - lo) / size));
+        const cellStart = new Int32Array(cells * cells + 1), cellItems = new Int32Array(n), cellOfVertex = new Int32Array(n);
+        for (let i = 0; i < n; i++) {
+            if (convex[i]) continue;
+            const p = points[ring[i]];
+            cellOfVertex[i] = cellOf(p.y, minY, cellHeight) * cells + cellOf(p.x, minX, cellWidth);
+            cellStart[cellOfVertex[i] + 1]++;
+        }
+        for (let c = 0; c < cells * cells; c++) cellStart[c + 1] += cellStart[c];
+        const filled = cellStart.slice(0, cells * cells);
+        for (let i = 0; i < n; i++) if (!convex[i]) cellItems[filled[cellOfVertex[i]]++] = i;
+
+        function isEar(i) {
+            const a = points[ring[prev[i]]], b = points[ring[i]], c = points[ring[next[i]]];
+            const x0 = cellOf(Math.min(a.x, b.x, c.x), minX, cellWidth), x1 = cellOf(Math.max(a.x, b.x, c.x), minX, cellWidth);
+            const y0 = cellOf(Math.min(a.y, b.y, c.y), minY, cellHeight), y1 = cellOf(Math.max(a.y, b.y, c.y), minY, cellHeight);
+            for (let cy = y0; cy <= y1; cy++) {
+                for (let cx = x0; cx <= x1; cx++) {
+                    for (let k = cellStart[cy * cells + cx], end = cellStart[cy * cells + cx + 1]; k < end; k++) {
+                        const j = cellItems[k];
+                        if (removed[j] || convex[j] || j === i || j === prev[i] || j === next[i]) continue;
+                        const p = points[ring[j]];
+                        // Bridge duplicates of the corners do not block the ear
+                        if ((p.x === a.x && p.y === a.y) || (p.x === b.x && p.y === b.y) || (p.x === c.x && p.y === c.y)) continue;
+                        if (pointInTriangle(p, a, b, c)) return false;
+                    }
+                }
+            }
+            return true;
+        }
+
+        let remaining = n, live = 0;
+        function remove(i) {
+            removed[i] = 1;
+            next[prev[i]] = next[i];
+            prev[next[i]] = prev[i];
+            remaining--;
+            live = next[i];
+        }
+
+        // Ears wait in a heap by the angle of their corner; a corner looked at again voids its older entries
+        const heap = [], dropped = [];
+        const look = first => {
+            const corners = [first];
+            while (corners.length > 0 && remaining > 2) {
+                const i = corners.pop();
+                if (removed[i]) continue;
+                stamp[i]++;
+                const area = cornerArea(i);
+                convex[i] = area > 0 ? 1 : 0;
+                const a = points[ring[prev[i]]], c = points[ring[next[i]]];
+                const diagonal = Math.hypot(c.x - a.x, c.y - a.y);
+                if (Math.abs(area) <= epsilon * diagonal) {
+                    // Collinear points and zero-width spikes add no area
+                    if (a.x !== c.x || a.y !== c.y) dropped.push(ring[prev[i]], ring[i], ring[next[i]]);
+                    remove(i);
+                    corners.push(prev[i], next[i]);
+                } else if (area > 0 && isEar(i)) {
+                    const b = points[ring[i]];
+                    const angle = Math.atan2(area, (a.x - b.x) * (c.x - b.x) + (a.y - b.y) * (c.y - b.y));
+                    heapPush(heap, { key: angle, vertex: i, stamp: stamp[i] });
+                }
+            }
+        };
+        const clip = i => {
+            triangles.push(ring[prev[i]], ring[i], ring[next[i]]);
+            remove(i);
+            look(prev[i]);
+            look(next[i]);
+        };
+
+        for (let i = 0; i < n; i++) look(i);
+        while (remaining > 2) {
+            const entry = heapPop(heap);
+            if (entry) {
+                if (!removed[entry.vertex] && entry.stamp === stamp[entry.vertex]) clip(entry.vertex);
+                continue;
+            }
+            // No ear queued: look at every corner again, then give up the smallest convex one
+            const corners = [];
+            let i = live;
+            do { corners.push(i); i = next[i]; } while (i !== live);
+            for (const corner of corners) look(corner);
+            if (heap.length > 0 || remaining <= 2) continue;
+            let smallest = -1, smallestArea = Infinity;
+            i = live;
+            do {
+                const a = cornerArea(i);
+                if (a > 0 && a < smallestArea) { smallestArea = a; smallest = i; }
+                i = next[i];
+            } while (i !== live);
+            if (smallest < 0) break;
+            clip(smallest);
+        }
+
+        // Latest first, so the edge a dropped point sat on is whole again. The triangle (p, q, x) that took
+        // the edge through the middle point m becomes (p, m, x) and (m, q, x): the edge from a to c through
+        // b, or where the outline doubled back, the edge from b to a through c or from c to b through a.
+        // Where no triangle took it, as when a sliver narrower than rounding closed up, the three points
+        // make a triangle of their own with no area.
+        if (dropped.length > 0) {
+            const key = (a, b) => a * points.length + b;
+            const owner = new Map();
+            const add = (a, b, c) => {
+                owner.set(key(a, b), triangles.length);
+                owner.set(key(b, c), triangles.length + 1);
+                owner.set(key(c, a), triangles.length + 2);
+                triangles.push(a, b, c);
+            };
+            for (let t = 0; t < triangles.length; t++) owner.set(key(triangles[t], triangles[t - t % 3 + (t + 1) % 3]), t);
+            const split = (p, m, q) => {
+                const slot = owner.get(key(p, q));
+                if (slot === undefined) return false;
+                const base = slot - slot % 3, x = triangles[base + (slot + 2) % 3];
+                triangles[base + (slot + 1) % 3] = m;
+                owner.delete(key(p, q));
+                owner.set(key(p, m), slot);
+                owner.set(key(m, x), base + (slot + 1) % 3);
+                add(m, q, x);
+                return true;
+            };
+            for (let d = dropped.length - 3; d >= 0; d -= 3) {
+                const a = dropped[d], b = dropped[d + 1], c = dropped[d + 2];
+                const pa = points[a], pb = points[b], pc = points[c];
+                const dx = pc.x - pa.x, dy = pc.y - pa.y;
+                const t = ((pb.x - pa.x) * dx + (pb.y - pa.y) * dy) / (dx * dx + dy * dy);
+                if (!(t > 1 ? split(b, c, a) : t < 0 ? split(c, a, b) : split(a, b, c))) add(a, b, c);
+            }
+        }
+        return triangles;
+    }
+
+    // Flips the diagonal of every two triangles whose circumcircle holds the other's far corner, until
+    // none is left (Lawson), so long slivers across thin parts give way to compact triangles and bevel
+    // normals stay smooth. Edges of the ring, which only one triangle has, stay.
+    function flipToDelaunay(points, triangles) {
+        // twin[slot]: the slot of the same edge run the other way in the neighbouring triangle, or -1
+        const twin = new Int32Array(triangles.length).fill(-1);
+        const key = (a, b) => a * points.length + b;
+        const owner = new Map();
+        for (let t = 0; t < triangles.length; t++) owner.set(key(triangles[t], triangles[t - t % 3 + (t + 1) % 3]), t);
+        for (let t = 0; t < triangles.length; t++) {
+            const a = triangles[t], b = triangles[t - t % 3 + (t + 1) % 3];
+            const other = owner.get(key(b, a));
+            if (other !== undefined && owner.get(key(a, b)) === t) twin[t] = other;
+        }
+        // Earliest triangles first, which takes apart the fans clipEars leaves in fewer flips
+        const queued = new Uint8Array(triangles.length).fill(1);
+        const stack = [];
+        for (let t = triangles.length - 1; t >= 0; t--) stack.push(t);
+        const link = (slot, other) => {
+            twin[slot] = other;
+            if (other >= 0) twin[other] = slot;
+        };
+        const push = slot => {
+            if (!queued[slot]) { queued[slot] = 1; stack.push(slot); }
+        };
+        // Each pair of points is joined by a flip at most once, so the budget only guards against rounding
+        let budget = triangles.length * triangles.length;
+        while (stack.length > 0 && budget-- > 0) {
+            // Triangles (a, b, c) and (b, a, d) share the edge from a to b
+            const slot = stack.pop(), other = twin[slot];
+            queued[slot] = 0;
+            if (other < 0) continue;
+            const base = slot - slot % 3, otherBase = other - other % 3;
+            const bc = base + (slot + 1) % 3, ca = base + (slot + 2) % 3;
+            const ad = otherBase + (other + 1) % 3, db = otherBase + (other + 2) % 3;
+            const a = triangles[slot], b = triangles[bc], c = triangles[ca], d = triangles[db];
+            if (c === d) continue;
+            const pa = points[a], pb = points[b], pc = points[c], pd = points[d];
+            if (triangleArea(pa, pd, pc) <= 0 || triangleArea(pd, pb, pc) <= 0 || !inCircle(pa, pb, pc, pd)) continue;
+
+            // Now (a, d, c) and (d, b, c)
+            const outer = [twin[ad], twin[ca], twin[db], twin[bc]];
+            triangles[base] = a; triangles[base + 1] = d; triangles[base + 2] = c;
+            triangles[otherBase] = d; triangles[otherBase + 1] = b; triangles[otherBase + 2] = c;
+            link(base, outer[0]); link(base + 2, outer[1]);
+            link(otherBase, outer[2]); link(otherBase + 1, outer[3]);
+            link(base + 1, otherBase + 2);
+            push(base); push(base + 2); push(otherBase); push(otherBase + 1);
+        }
+        return triangles;
+    }
+
+    // Whether d lies inside the circumcircle of the counter-clockwise triangle abc, by more than rounding
+    function inCircle(a, b, c, d) {
+        const adx = a.x - d.x, ady = a.y - d.y, bdx = b.x - d.x, bdy = b.y - d.y, cdx = c.x - d.x, cdy = c.y - d.y;
+        const ad = adx * adx + ady * ady, bd = bdx * bdx + bdy * bdy, cd = cdx * cdx + cdy * cdy;
+        const det = ad * (bdx * cdy - cdx * bdy) - bd * (adx * cdy - cdx * ady) + cd * (adx * bdy - bdx * ady);
+        return det > 1e-12 * (ad + bd + cd) * (ad + bd + cd);
+    }
+
+    // Normal shared by two neighbouring faces when they meet at less than SMOOTH_SIDE_ANGLE, else a's own
+    function smoothNormal(a, b) {
+        if (a.x * b.x + a.y * b.y < Math.cos(SMOOTH_SIDE_ANGLE)) return a;
+        const length = Math.hypot(a.x + b.x, a.y + b.y);
+        return { x: (a.x + b.x) / length, y: (a.y + b.y) / length };
+    }
+
+    // Bevel profiles from the side wall (t = 0) to the face (t = 1): [inset, rise] as fractions of the
+    // bevel size and thickness
+    const BEVEL_PROFILES = {
+        chamfer: t => [t, t],
+        round: t => [1 - Math.cos(t * Math.PI / 2), Math.sin(t * Math.PI / 2)],
+        // A cove running into a quarter round, meeting the face tangentially
+        ogee: t => {
+            const a = (t < 0.5 ? t * 2 : t * 2 - 1) * Math.PI / 2;
+            return t < 0.5 ? [Math.sin(a) / 2, (1 - Math.cos(a)) / 2] : [1 - Math.cos(a) / 2, (1 + Math.sin(a)) / 2];
+        }
+    };
+
+    // Bevel of one face: frontBevel/backBevel are merged over bevel, false turns that face's bevel off
+    function resolveBevel(options, face, size) {
+        const own = options[face + 'Bevel'];
+        if (own === false || (own === undefined && !options.bevel)) return null;
+        const settings = Object.assign({}, typeof options.bevel === 'object' ? options.bevel : {}, typeof own === 'object' ? own : {});
+        const bevelSize = settings.size !== undefined ? settings.size : size / 40;
+        const thickness = settings.thickness !== undefined ? settings.thickness : bevelSize;
+        const segments = Math.max(1, settings.segments || 3);
+        const join = settings.join || 'round';
+        if (join !== 'round' && join !== 'miter') throw new Error(`Unknown bevel join "${join}"`);
+
+        // A custom profile is a function like the built-in ones or its [inset, rise] points
+        const profile = settings.profile || 'round';
+        let points = profile;
+        if (!Array.isArray(profile)) {
+            const curve = typeof profile === 'function' ? profile : BEVEL_PROFILES[profile];
+            if (!curve) throw new Error(`Unknown bevel profile "${profile}"`);
+            points = [];
+            for (let k = 0; k <= segments; k++) points.push(curve(k / segments));
+        }
+        if (points.length < 2) throw new Error('A bevel profile needs at least two points');
+
+        return { size: bevelSize, thickness, profile: points, join, miterLimit: settings.miterLimit || 2 };
+    }
+
+    // Inward offset of a contour (the solid on its left) by inset, moving its edges in as a wavefront.
+    // A convex corner follows its miter, which is the exact inset; a reflex corner becomes an arc
+    // (round join), the miter, or a flat cut when the miter is longer than miterLimit. An edge that
+    // shrinks to nothing is dropped and its neighbours meet, as in an edge event of the straight
+    // skeleton. Where the wavefront runs into another part of the outline the offset overlaps itself,
+    // which resolveLoops() cleans up. Returns the offset points and for each the contour vertex it comes from.
+    function offsetContour(contour, bevel, inset) {
+        const n = contour.length;
+        const normals = contour.map((p, i) => {
+            const q = contour[(i + 1) % n];
+            const length = Math.hypot(q.x - p.x, q.y - p.y);
+            return { x: (p.y - q.y) / length, y: (q.x - p.x) / length };
+        });
+
+        const offsets = [];
+        for (let i = 0; i < n; i++) {
+            const n1 = normals[(i + n - 1) % n], n2 = normals[i];
+            const cross = n1.x * n2.y - n1.y * n2.x, dot = n1.x * n2.x + n1.y * n2.y;
+            const miter = dot > -0.999999 ? { x: (n1.x + n2.x) / (1 + dot), y: (n1.y + n2.y) / (1 + dot) } : n1;
+            // Reflex corners sharper than 15° need a join
+            if (cross >= 0 || dot > Math.cos(Math.PI / 12)) {
+                offsets.push({ vertex: i, x: miter.x, y: miter.y });
+            } else if (bevel.join === 'miter') {
+                if (Math.hypot(miter.x, miter.y) <= bevel.miterLimit) {
+                    offsets.push({ vertex: i, x: miter.x, y: miter.y });
+                } else {
+                    offsets.push({ vertex: i, x: n1.x, y: n1.y }, { vertex: i, x: n2.x, y: n2.y });
+                }
+            } else {
+                const from = Math.atan2(n1.y, n1.x), turn = Math.atan2(cross, dot);
+                const steps = Math.ceil(Math.abs(turn) / (Math.PI / 12));
+                for (let s = 0; s <= steps; s++) {
+                    const angle = from + turn * s / steps;
+                    offsets.push({ vertex: i, x: Math.cos(angle), y: Math.sin(angle) });
+                }
+            }
+        }
+
+        // Wavefront: one node per offset point; the edge from a node to the next keeps its normal and
+        // speed (1 for a contour edge, less for the chords of a join). Nodes move in straight lines between
+        // events, which wait in a binary heap ordered by time.
+        const m = offsets.length;
+        const bx = new Float64Array(m), by = new Float64Array(m), bt = new Float64Array(m), vx = new Float64Array(m), vy = new Float64Array(m);
+        const ex = new Float64Array(m), ey = new Float64Array(m), speed = new Float64Array(m);
+        const prev = new Int32Array(m), next = new Int32Array(m), mergedInto = new Int32Array(m), stamp = new Int32Array(m);
+        for (let j = 0; j < m; j++) {
+            const o = offsets[j], following = offsets[(j + 1) % m];
+            bx[j] = contour[o.vertex].x;
+            by[j] = contour[o.vertex].y;
+            prev[j] = (j + m - 1) % m;
+            next[j] = (j + 1) % m;
+            mergedInto[j] = j;
+            if (o.vertex === following.vertex) {
+                const length = Math.hypot(o.x + following.x, o.y + following.y);
+                ex[j] = (o.x + following.x) / length;
+                ey[j] = (o.y + following.y) / length;
+                speed[j] = o.x * ex[j] + o.y * ey[j];
+            } else {
+                ex[j] = normals[o.vertex].x;
+                ey[j] = normals[o.vertex].y;
+                speed[j] = 1;
+            }
+        }
+
+        let t = 0, alive = m, stopTime = Infinity;
+        const xAt = (j, time) => bx[j] + vx[j] * (Math.min(time, stopTime) - bt[j]);
+        const yAt = (j, time) => by[j] + vy[j] * (Math.min(time, stopTime) - bt[j]);
+
+        const heap = [];
+
+        // A node moves so that both of its edges keep their speed; a new velocity voids its queued events
+        const update = j => {
+            bx[j] = xAt(j, t);
+            by[j] = yAt(j, t);
+            bt[j] = t;
+            const a = prev[j];
+            const det = ex[a] * ey[j] - ey[a] * ex[j];
+            if (Math.abs(det) < 1e-9) {
+                vx[j] = ex[j] * speed[j];
+                vy[j] = ey[j] * speed[j];
+            } else {
+                vx[j] = (speed[a] * ey[j] - speed[j] * ey[a]) / det;
+                vy[j] = (ex[a] * speed[j] - ex[j] * speed[a]) / det;
+            }
+            stamp[j]++;
+        };
+        // Edge event: the edge from j to the next node shrinks to nothing
+        const scheduleCollapse = j => {
+            const k = next[j];
+            const rate = (vx[k] - vx[j]) * ey[j] - (vy[k] - vy[j]) * ex[j];
+            if (rate >= -1e-12) return;
+            const length = Math.max(0, (xAt(k, t) - xAt(j, t)) * ey[j] - (yAt(k, t) - yAt(j, t)) * ex[j]);
+            heapPush(heap, { key: t + length / -rate, node: j, stamp: stamp[j], other: k, otherStamp: stamp[k] });
+        };
+        for (let j = 0; j < m; j++) update(j);
+        for (let j = 0; j < m; j++) scheduleCollapse(j);
+
+        while (heap.length > 0 && heap[0].key <= inset && alive > 2) {
+            const event = heapPop(heap);
+            const j = event.node, o = event.other;
+            if (mergedInto[j] !== j || event.stamp !== stamp[j]) continue;
+            if (next[j] !== o || mergedInto[o] !== o || event.otherStamp !== stamp[o]) continue;
+
+            // The collapsed edge's end node joins its start node, which takes over the following edge
+            t = event.key;
+            ex[j] = ex[o];
+            ey[j] = ey[o];
+            speed[j] = speed[o];
+            next[j] = next[o];
+            prev[next[o]] = j;
+            mergedInto[o] = j;
+            if (--alive <= 2) {
+                stopTime = t;
+                break;
+            }
+            update(j);
+            scheduleCollapse(prev[j]);
+            scheduleCollapse(j);
+        }
+
+        const find = j => { while (mergedInto[j] !== j) j = mergedInto[j]; return j; };
+        return {
+            points: offsets.map((o, j) => {
+                const node = find(j);
+                return { x: xAt(node, inset), y: yAt(node, inset) };
+            }),
+            corners: offsets.map(o => o.vertex)
+        };
+    }
+
+    // Loops around the region where keep(windings) holds, windings being the winding numbers of each set
+    // of loops at a point. The edges are cut where they cross or touch, and a piece stays when keep differs
+    // on its two sides, as counted by a ray from its midpoint; coincident pieces count together. The loops
+    // wind counter-clockwise around the region and clockwise around its holes, and turn left first where
+    // several meet, so regions touching at a point get a loop each.
+    function resolveLoops(sets, keep) {
+        const edges = [];
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        sets.forEach((loops, set) => {
+            for (const loop of loops) {
+                loop.forEach((a, i) => {
+                    const b = loop[(i + 1) % loop.length];
+                    if (a.x === b.x && a.y === b.y) return;
+                    edges.push({ a, b, set, cuts: [] });
+                    minX = Math.min(minX, a.x);
+                    minY = Math.min(minY, a.y);
+                    maxX = Math.max(maxX, a.x);
+                    maxY = Math.max(maxY, a.y);
+                });
+            }
+        });
+        if (edges.length === 0) return [];
+
+        cutCrossings(edges);
+
+        // Pieces between cuts, merged by their end points; net counts the pieces running from u to v
+        // minus those running back, per set
+        const ids = new Map(), idsOfPoints = new Map(), points = [];
+        const idOf = p => {
+            let id = idsOfPoints.get(p);
+            if (id !== undefined) return id;
+            const key = p.x + ',' + p.y;
+            id = ids.get(key);
+            if (id === undefined) {
+                id = points.length;
+                ids.set(key, id);
+                points.push(p);
+            }
+            idsOfPoints.set(p, id);
+            return id;
+        };
+        const pieces = new Map();
+        for (const e of edges) {
+            e.cuts.sort((a, b) => a.t - b.t);
+            let from = idOf(e.a);
+            for (const p of e.cuts.map(cut => cut.p).concat([e.b])) {
+                const to = idOf(p);
+                if (to === from) continue;
+                const u = Math.min(from, to), v = Math.max(from, to), key = u * 67108864 + v;
+                let piece = pieces.get(key);
+                if (!piece) {
+                    piece = { u, v, net: sets.map(() => 0) };
+                    pieces.set(key, piece);
+                }
+                piece.net[e.set] += from < to ? 1 : -1;
+                from = to;
+            }
+        }
+        const list = [...pieces.values()].filter(piece => piece.net.some(count => count !== 0));
+        // Flat copies of the pieces' ends and counts for the ray casts below
+        const setCount = sets.length, coords = new Float64Array(list.length * 4), nets = new Int32Array(list.length * setCount);
+        list.forEach((piece, i) => {
+            const a = points[piece.u], b = points[piece.v];
+            coords[i * 4] = a.x; coords[i * 4 + 1] = a.y; coords[i * 4 + 2] = b.x; coords[i * 4 + 3] = b.y;
+            for (let s = 0; s < setCount; s++) nets[i * setCount + s] = piece.net[s];
+        });
+
+        // Rays run along +x from steep pieces and along +y from flat ones, so the pieces are bucketed by rows and columns
+        const bands = Math.max(1, Math.ceil(Math.sqrt(list.length)));
+        const rowHeight = (maxY - minY) / bands || 1, columnWidth = (maxX - minX) / bands || 1;
+        const bandOf = (v, lo, size) => Math.max(0, Math.min(bands - 1, Math.floor((v - lo) / size)));
+        const rows = [], columns = [];
+        for (let b = 0; b < bands; b++) { rows.push([]); columns.push([]); }
+        for (let i = 0; i < list.length; i++) {
+            const ax = coords[i * 4], ay = coords[i * 4 + 1], bx = coords[i * 4 + 2], by = coords[i * 4 + 3];
+            for (let r = bandOf(Math.min(ay, by), minY, rowHeight); r <= bandOf(Math.max(ay, by), minY, rowHeight); r++) rows[r].push(i);
+            for (let c = bandOf(Math.min(ax, bx), minX, columnWidth); c <= bandOf(Math.max(ax, bx), minX, columnWidth); c++) columns[c].push(i);
+        }
+
+        const outgoing = points.map(() => []);
+        const windings = new Int32Array(setCount), left = new Int32Array(setCount), right = new Int32Array(setCount);
+        for (let i = 0; i < list.length; i++) {
+            const ax = coords[i * 4], ay = coords[i * 4 + 1], bx = coords[i * 4 + 2], by = coords[i * 4 + 3];
+            const mx = (ax + bx) / 2, my = (ay + by) / 2, dx = bx - ax, dy = by - ay;
+            const steep = Math.abs(dy) >= Math.abs(dx);
+            const bucket = steep ? rows[bandOf(my, minY, rowHeight)] : columns[bandOf(mx, minX, columnWidth)];
+            windings.fill(0);
+            for (let k = 0; k < bucket.length; k++) {
+                const j = bucket[k];
+                if (j === i) continue;
+                const px = coords[j * 4], py = coords[j * 4 + 1], qx = coords[j * 4 + 2], qy = coords[j * 4 + 3];
+                let crossing;
+                if (steep) {
+                    if ((py > my) === (qy > my) || px + (my - py) * (qx - px) / (qy - py) <= mx) continue;
+                    crossing = qy > py ? 1 : -1;
+                } else {
+                    if ((px > mx) === (qx > mx) || py + (mx - px) * (qy - py) / (qx - px) <= my) continue;
+                    crossing = qx > px ? -1 : 1;
+                }
+                for (let s = 0; s < setCount; s++) windings[s] += crossing * nets[j * setCount + s];
+            }
+            // The ray from a point just beside the piece crosses it when the point lies behind it
+            const own = steep ? Math.sign(dy) : -Math.sign(dx), leftCrosses = steep ? dy > 0 : dx < 0;
+            for (let s = 0; s < setCount; s++) {
+                left[s] = leftCrosses ? windings[s] + own * nets[i * setCount + s] : windings[s];
+                right[s] = leftCrosses ? windings[s] : windings[s] + own * nets[i * setCount + s];
+            }
+            const keepLeft = keep(left);
+            if (keepLeft === keep(right)) continue;
+            const piece = list[i], from = keepLeft ? piece.u : piece.v;
+            outgoing[from].push({ from, to: keepLeft ? piece.v : piece.u, used: false });
+        }
+
+        const loops = [];
+        for (const edges of outgoing) {
+            for (const start of edges) {
+                if (start.used) continue;
+                const loop = [];
+                let edge = start;
+                while (edge && !edge.used) {
+                    edge.used = true;
+                    loop.push(points[edge.from]);
+                    const a = points[edge.from], b = points[edge.to];
+                    let best = null, bestTurn = -Infinity;
+                    for (const candidate of outgoing[edge.to]) {
+                        if (candidate.used && candidate !== start) continue;
+                        const c = points[candidate.to];
+                        const ux = b.x - a.x, uy = b.y - a.y, wx = c.x - b.x, wy = c.y - b.y;
+                        let turn = Math.atan2(ux * wy - uy * wx, ux * wx + uy * wy);
+                        if (turn === Math.PI) turn = -Math.PI;
+                        if (turn > bestTurn) {
+                            bestTurn = turn;
+                            best = candidate;
+                        }
+                    }
+                    edge = best;
+                }
+                if (edge === start && loop.length >= 3) loops.push(loop);
+            }
+        }
+        return loops;
+    }
+
+    // Cuts the edges ({ a, b, cuts }) where they cross or touch, testing only those sharing a cell of a coarse grid
+    function cutCrossings(edges) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const e of edges) {
+            minX = Math.min(minX, e.a.x, e.b.x);
+            minY = Math.min(minY, e.a.y, e.b.y);
+            maxX = Math.max(maxX, e.a.x, e.b.x);
+            maxY = Math.max(maxY, e.a.y, e.b.y);
+        }
+        const cells = Math.max(1, Math.ceil(Math.sqrt(edges.length / 4)));
+        const cellWidth = (maxX - minX) / cells || 1, cellHeight = (maxY - minY) / cells || 1;
+        const cellOf = (v, lo, size) => Math.max(0, Math.min(cells - 1, Math.floor((v - lo) / size)));
+        const grid = [];
+        for (let c = 0; c < cells * cells; c++) grid.push([]);
+        const tested = new Int32Array(edges.length).fill(-1);
+        edges.forEach((e, i) => {
+            const x0 = cellOf(Math.min(e.a.x, e.b.x), minX, cellWidth), x1 = cellOf(Math.max(e.a.x, e.b.x), minX, cellWidth);
+            const y0 = cellOf(Math.min(e.a.y, e.b.y), minY, cellHeight), y1 = cellOf(Math.max(e.a.y, e.b.y), minY, cellHeight);
+            for (let cy = y0; cy <= y1; cy++) {
+                for (let cx = x0; cx <= x1; cx++) {
+                    const cell = grid[cy * cells + cx];
+                    for (const j of cell) {
+                        if (tested[j] === i) continue;
+                        tested[j] = i;
+                        cutEdges(e, edges[j]);
+                    }
+                    cell.push(i);
+                }
+            }
+        });
+    }
+
+    // Cuts two edges where they cross; an end touching the other edge or a collinear overlap cuts at that end.
+    // The sides each end lies on decide, so edges that are nearly parallel never meet beyond their ends.
+    function cutEdges(e, f) {
+        if (Math.max(e.a.x, e.b.x) < Math.min(f.a.x, f.b.x) || Math.max(f.a.x, f.b.x) < Math.min(e.a.x, e.b.x) ||
+            Math.max(e.a.y, e.b.y) < Math.min(f.a.y, f.b.y) || Math.max(f.a.y, f.b.y) < Math.min(e.a.y, e.b.y)) return;
+        const fa = triangleArea(e.a, e.b, f.a), fb = triangleArea(e.a, e.b, f.b);
+        const ea = triangleArea(f.a, f.b, e.a), eb = triangleArea(f.a, f.b, e.b);
+        if ((fa > 0 && fb > 0) || (fa < 0 && fb < 0) || (ea > 0 && eb > 0) || (ea < 0 && eb < 0)) return;
+        if (fa === 0 || fb === 0 || ea === 0 || eb === 0) {
+            const collinear = (fa === 0 && fb === 0) || (ea === 0 && eb === 0);
+            if (collinear || fa === 0) cutAt(e, f.a);
+            if (collinear || fb === 0) cutAt(e, f.b);
+            if (collinear || ea === 0) cutAt(f, e.a);
+            if (collinear || eb === 0) cutAt(f, e.b);
+            return;
+        }
+        const t = ea / (ea - eb);
+        const p = { x: e.a.x + (e.b.x - e.a.x) * t, y: e.a.y + (e.b.y - e.a.y) * t };
+        e.cuts.push({ t, p });
+        f.cuts.push({ t: fa / (fa - fb), p });
+    }
+
+    function cutAt(e, p) {
+        const rx = e.b.x - e.a.x, ry = e.b.y - e.a.y;
+        const t = ((p.x - e.a.x) * rx + (p.y - e.a.y) * ry) / (rx * rx + ry * ry);
+        if (t > 0 && t < 1) e.cuts.push({ t, p });
+    }
+
+    // Loops deduplicated within tolerance, without those left with no area
+    function tidyLoops(loops, tolerance) {
+        return loops.map(loop => dedupeContour(loop, tolerance)).filter(loop => loop.length >= 3 && signedArea(loop) !== 0);
+    }
+
+    // Loops sorted into polygons [{ outer, holes }]: each clockwise loop becomes a hole of the smallest
+    // counter-clockwise loop around it
+    function polygonsFromLoops(loops) {
+        const polygons = [], holes = [];
+        for (const loop of loops) {
+            const area = signedArea(loop);
+            if (area > 0) polygons.push({ outer: loop, holes: [], area });
+            else if (area < 0) holes.push(loop);
+        }
+        for (const hole of holes) {
+            const probe = { x: (hole[0].x + hole[1].x) / 2, y: (hole[0].y + hole[1].y) / 2 };
+            let best = null;
+            for (const polygon of polygons) {
+                if ((!best || polygon.area < best.area) && isPointInPolygon(probe, polygon.outer)) best = polygon;
+            }
+            if (best) best.holes.push(hole);
+        }
+        return polygons.map(({ outer, holes }) => ({ outer, holes }));
+    }
+
+    // Inset of each profile point of a bevel; insets never decrease, so each region lies within the one before
+    function bevelInsets(bevel) {
+        const insets = [0];
+        for (let k = 1; k < bevel.profile.length; k++) insets.push(Math.max(insets[k - 1], bevel.size * bevel.profile[k][0]));
+        return insets;
+    }
+
+    // Bevel from the contours towards the face, as steps laid out at any height by emitBevel(). Each profile
+    // step insets the region left by the one before and keeps only what the offset still encloses, so the
+    // regions nest and no ring crosses another. Where the offset loops keep clear of each other, the band
+    // between two regions is zipped from each loop and its offset; elsewhere it is triangulated like a face,
+    // its outline on the lower region and its holes on the upper, and covers flat the strokes too thin for
+    // the step. Returns the steps, each { k, walls } for a vertical one or { k, pieces, upper } with pieces
+    // { loops, triangles } and the set of upper points, and the loops of the innermost region.
+    function planBevel(contours, bevel) {
+        const insets = bevelInsets(bevel), tolerance = bevel.size * 1e-3, steps = [];
+        let region = contours;
+        for (let k = 0; k < insets.length - 1 && region.length > 0; k++) {
+            const step = insets[k + 1] - insets[k];
+            if (step === 0) {
+                steps.push({ k, walls: region });
+                continue;
+            }
+            const offsets = region.map(loop => offsetContour(loop, bevel, step));
+            const merged = offsets.map(offset => mergeNearPoints(offset.points, tolerance));
+            let next = merged.map(offset => offset.loop), pieces = null;
+            if (nestsLike(region, next)) {
+                pieces = region.map((loop, i) => zipBand(loop, offsets[i].corners, merged[i], tolerance));
+                if (pieces.includes(null)) pieces = null;
+            }
+            if (!pieces) {
+                next = tidyLoops(resolveLoops([offsets.map(offset => offset.points)], windings => windings[0] > 0), tolerance);
+                const band = resolveLoops([region, next], windings => windings[0] > 0 && windings[1] <= 0);
+                pieces = polygonsFromLoops(band).map(({ outer, holes }) => ({
+                    loops: [outer].concat(holes),
+                    triangles: flipToDelaunay(outer.concat(...holes), triangulatePolygon(outer, holes))
+                }));
+            }
+            const upper = new Set();
+            for (const loop of next) for (const p of loop) upper.add(p);
+            steps.push({ k, pieces, upper });
+            region = next;
+        }
+        return { steps, region };
+    }
+
+    // Points within tolerance of the one kept before them merged into it, as in dedupeContour(): the loop
+    // kept and for each point the position in it of the one standing for it
+    function mergeNearPoints(points, tolerance) {
+        const near = (p, q) => Math.abs(p.x - q.x) <= tolerance && Math.abs(p.y - q.y) <= tolerance;
+        const loop = [], kept = new Int32Array(points.length);
+        points.forEach((p, j) => {
+            if (loop.length === 0 || !near(loop[loop.length - 1], p)) loop.push(p);
+            kept[j] = loop.length - 1;
+        });
+        while (loop.length > 1 && near(loop[0], loop[loop.length - 1])) loop.pop();
+        for (let j = 0; j < kept.length; j++) if (kept[j] >= loop.length) kept[j] = 0;
+        return { loop, kept };
+    }
+
+    // Whether offset loops make a region shaped like the loops they come from: each wound the same way, none
+    // crossing or touching another or itself, and each inside the same loops as before
+    function nestsLike(region, loops) {
+        const edges = [];
+        for (let i = 0; i < loops.length; i++) {
+            const loop = loops[i];
+            if (loop.length < 3 || Math.sign(signedArea(loop)) !== Math.sign(signedArea(region[i]))) return false;
+            for (let j = 0; j < loop.length; j++) edges.push({ a: loop[j], b: loop[(j + 1) % loop.length], cuts: [] });
+        }
+        const points = edges.map(e => e.a).sort((p, q) => p.x - q.x || p.y - q.y);
+        for (let j = 1; j < points.length; j++) if (points[j].x === points[j - 1].x && points[j].y === points[j - 1].y) return false;
+        cutCrossings(edges);
+        if (edges.some(e => e.cuts.length > 0)) return false;
+        for (let i = 0; i < loops.length; i++) {
+            for (let j = 0; j < loops.length; j++) {
+                if (i !== j && isPointInPolygon(loops[i][0], loops[j]) !== isPointInPolygon(region[i][0], region[j])) return false;
+            }
+        }
+        return true;
+    }
+
+    // Band between a loop and its offset (corners from offsetContour(), merged by mergeNearPoints()): a quad
+    // from each edge to the offsets of its ends, and a fan round each corner whose join took several points.
+    // Its loops are the loop and the offset reversed, and the triangles index into both; null where a
+    // triangle would turn over, as when collapsed edges leave an offset point far along the loop.
+    function zipBand(loop, corners, offset, tolerance) {
+        const n = loop.length, m = offset.loop.length, triangles = [];
+        const points = loop.concat(offset.loop.slice().reverse());
+        const above = j => n + m - 1 - offset.kept[j];
+        let turned = false;
+        const triangle = (a, b, c) => {
+            if (a === b || b === c || c === a) return;
+            if (triangleArea(points[a], points[b], points[c]) < -tolerance * tolerance) turned = true;
+            triangles.push(a, b, c);
+        };
+        let j = 0;
+        for (let i = 0; i < n; i++) {
+            const first = j;
+            while (j < corners.length && corners[j] === i) j++;
+            for (let q = first; q < j - 1; q++) triangle(i, above(q + 1), above(q));
+            const following = j % corners.length;
+            triangle(i, (i + 1) % n, above(following));
+            triangle(i, above(following), above(j - 1));
+        }
+        return turned ? null : { loops: [loop, points.slice(n)], triangles };
+    }
+
+    // Lays out a bevel planned by planBevel() from z0 towards the face, dir +1 (front) or -1 (back), and
+    // returns the height of the face
+    function emitBevel(plan, bevel, z0, dir, out) {
+        const profile = bevel.profile, steps = profile.length - 1, insets = bevelInsets(bevel);
+        const heights = profile.map(point => z0 + dir * bevel.thickness * point[1]);
+
+        // Profile normal of each band as (outward, up), smoothed at its lower edge with the band below or
+        // the side wall and at its upper edge with the band above or the face
+        const bandNormals = [];
+        for (let k = 0; k < steps; k++) {
+            const rise = Math.abs(heights[k + 1] - heights[k]), run = insets[k + 1] - insets[k];
+            const length = Math.hypot(rise, run);
+            bandNormals.push(length > 0 ? { x: rise / length, y: run / length } : { x: 1, y: 0 });
+        }
+        const wall = { x: 1, y: 0 }, face = { x: 0, y: 1 };
+
+        for (const step of plan.steps) {
+            const k = step.k;
+            if (step.walls) {
+                extrudeWalls(step.walls, Math.min(heights[k], heights[k + 1]), Math.max(heights[k], heights[k + 1]), out);
+                continue;
+            }
+            const lower = smoothNormal(bandNormals[k], k > 0 ? bandNormals[k - 1] : wall);
+            const upper = smoothNormal(bandNormals[k], k < steps - 1 ? bandNormals[k + 1] : face);
+            for (const piece of step.pieces) extrudeBand(piece, step.upper, heights[k], heights[k + 1], lower, upper, dir, out);
+        }
+        return heights[steps];
+    }
+
+    // One piece of a bevel band, its points in upperPoints at nextZ and the others at z. Normals lean out
+    // across the band's outline by the profile normal and stay sharp at corners like the side walls; u runs
+    // along each loop.
+    function extrudeBand(piece, upperPoints, z, nextZ, lower, upper, dir, out) {
+        const loops = piece.loops;
+        // Two vertices per loop point, for the triangles on the side of the edge before it and after it
+        const before = [], after = [];
+        for (const loop of loops) {
+            const n = loop.length;
+            const normals = loop.map((p, i) => {
+                const q = loop[(i + 1) % n];
+                const length = Math.hypot(q.x - p.x, q.y - p.y);
+                return { x: (q.y - p.y) / length, y: (p.x - q.x) / length };
+            });
+            let perimeter = 0;
+            for (let i = 0; i < n; i++) perimeter += Math.hypot(loop[(i + 1) % n].x - loop[i].x, loop[(i + 1) % n].y - loop[i].y);
+            let u = 0;
+            for (let i = 0; i < n; i++) {
+                const p = loop[i], high = upperPoints.has(p);
+                const height = high ? nextZ : z, profileNormal = high ? upper : lower;
+                // The band's outline faces out of the lower region, its holes into the upper one
+                const sign = high ? -1 : 1;
+                const n1 = normals[(i + n - 1) % n], n2 = normals[i];
+                const from = loop[(i + n - 1) % n], to = loop[(i + 1) % n];
+                let ends = [smoothNormal(n1, n2), smoothNormal(n2, n1)];
+                // Where the band wraps around the corner, as round the tip of the region above, its
+                // triangles fan out between the two edges and take the bisector
+                if (triangleArea(from, p, to) < 0) {
+                    const length = Math.hypot(n1.x + n2.x, n1.y + n2.y);
+                    const bisector = length > 1e-9 ? { x: (n1.x + n2.x) / length, y: (n1.y + n2.y) / length } : n1;
+                    ends = [bisector, bisector];
+                }
+                const indices = [];
+                ends.forEach((normal, side) => {
+                    // Shared where the loop runs smoothly, except at its start where u wraps around
+                    if (side === 1 && i > 0 && normal.x === ends[0].x && normal.y === ends[0].y) {
+                        indices.push(indices[0]);
+                        return;
+                    }
+                    indices.push(out.positions.length / 3);
+                    out.positions.push(p.x, p.y, height);
+                    out.normals.push(sign * normal.x * profileNormal.x, sign * normal.y * profileNormal.x, dir * profileNormal.y);
+                    out.uvs.push(side === 0 && i === 0 ? perimeter : u, height);
+                });
+                before.push(indices[0]);
+                after.push(indices[1]);
+                u += Math.hypot(loop[(i + 1) % n].x - p.x, loop[(i + 1) % n].y - p.y);
+            }
+        }
+
+        const points = [].concat(...loops), neighbours = [];
+        for (const loop of loops) loop.forEach((p, i) => neighbours.push([loop[(i + loop.length - 1) % loop.length], loop[(i + 1) % loop.length]]));
+        // A corner takes the vertex of the edge its triangle lies closer to
+        const corner = (i, a, b) => {
+            const p = points[i], [from, to] = neighbours[i];
+            const cx = (points[a].x + points[b].x) / 2 - p.x, cy = (points[a].y + points[b].y) / 2 - p.y;
+            const cosine = q => (cx * (q.x - p.x) + cy * (q.y - p.y)) / Math.hypot(q.x - p.x, q.y - p.y);
+            return cosine(from) >= cosine(to) ? before[i] : after[i];
+        };
+        const triangles = piece.triangles;
+        for (let t = 0; t < triangles.length; t += 3) {
+            const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]];
+            if (samePoint(points[a], points[b]) || samePoint(points[b], points[c]) || samePoint(points[c], points[a])) continue;
+            const ia = corner(a, b, c), ib = corner(b, c, a), ic = corner(c, a, b);
+            if (dir > 0) out.sideIndices.push(ia, ib, ic);
+            else out.sideIndices.push(ia, ic, ib);
+        }
+    }
+
+    function samePoint(p, q) {
+        return p.x === q.x && p.y === q.y;
+    }
+
+    // Side walls of the contours from z0 up to z1: one quad per edge facing out of the solid (holes wind
+    // clockwise); u runs along the contour
+    function extrudeWalls(contours, z0, z1, out) {
+        for (const contour of contours) {
+            const n = contour.length;
+            const edgeNormals = contour.map((p, i) => {
+                const q = contour[(i + 1) % n];
+                const length = Math.hypot(q.x - p.x, q.y - p.y);
+                return { x: (q.y - p.y) / length, y: (p.x - q.x) / length };
+            });
+            let u = 0;
+            for (let i = 0; i < n; i++) {
+                const p = contour[i], q = contour[(i + 1) % n];
+                const length = Math.hypot(q.x - p.x, q.y - p.y);
+                const np = smoothNormal(edgeNormals[i], edgeNormals[(i + n - 1) % n]);
+                const nq = smoothNormal(edgeNormals[i], edgeNormals[(i + 1) % n]);
+                const base = out.positions.length / 3;
+                out.positions.push(p.x, p.y, z0, q.x, q.y, z0, q.x, q.y, z1, p.x, p.y, z1);
+                out.normals.push(np.x, np.y, 0, nq.x, nq.y, 0, nq.x, nq.y, 0, np.x, np.y, 0);
+                out.uvs.push(u, z0, u + length, z0, u + length, z1, u, z1);
+                out.sideIndices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+                u += length;
+            }
+        }
+    }
+
+    // Face of the contours, bevelled when bevel is set: the bevel's plan and the face polygons with their
+    // triangles, laid out at any height by emitFace()
+    function shapeFace(contours, bevel) {
+        const plan = bevel ? planBevel(contours, bevel) : null;
+        const polygons = plan ? polygonsFromLoops(plan.region) : [{ outer: contours[0], holes: contours.slice(1) }];
+        for (const polygon of polygons) polygon.triangles = triangulatePolygon(polygon.outer, polygon.holes);
+        return { bevel, plan, polygons };
+    }
+
+    // Face from shapeFace() with its bevel starting at z, facing dir (+1 front, -1 back)
+    function emitFace(face, z, dir, out) {
+        if (face.plan) z = emitBevel(face.plan, face.bevel, z, dir, out);
+        for (const { outer, holes, triangles } of face.polygons) {
+            const points = outer.concat(...holes);
+            const base = out.positions.length / 3;
+            for (const p of points) {
+                out.positions.push(p.x, p.y, z);
+                out.normals.push(0, 0, dir);
+                out.uvs.push(p.x, p.y);
+            }
+            for (let t = 0; t < triangles.length; t += 3) {
+                const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]];
+                if (samePoint(points[a], points[b]) || samePoint(points[b], points[c]) || samePoint(points[c], points[a])) continue;
+                if (dir > 0) out.faceIndices.push(base + a, base + b, base + c);
+                else out.faceIndices.push(base + a, base + c, base + b);
+            }
+        }
+    }
+
+    // Appends the faces, bevels and side walls of one polygon, extruded from z = 0 to z = depth; points
+    // within tolerance of the one before are merged
+    function extrudePolygon(polygon, depth, front, back, tolerance, out) {
+        const outer = cleanContour(polygon.outer, true, tolerance);
+        if (outer.length === 0) return;
+        const holes = polygon.holes.map(hole => cleanContour(hole, false, tolerance)).filter(hole => hole.length > 0);
+        const contours = [outer].concat(holes);
+
+        // Front face, then back face unless flat; faces with the same bevel are shaped once
+        const frontFace = shapeFace(contours, front);
+        emitFace(frontFace, depth, 1, out);
+        if (depth === 0 && !front && !back) return;
+        emitFace(back === front ? frontFace : shapeFace(contours, back), 0, -1, out);
+        if (depth > 0) extrudeWalls(contours, 0, depth, out);
+    }
+
+    function createTextGeometry(typefaceJSON, text, options) {
+        options = options || {};
+        const size = options.size || 80;
+        const depth = options.depth !== undefined ? options.depth : 20;
+        const divisions = options.curveSegments || 48;
+        const reverseWinding = !!options.reverseWinding;
+        const front = resolveBevel(options, 'front', size);
+        let back = resolveBevel(options, 'back', size);
+        if (JSON.stringify(back) === JSON.stringify(front)) back = front;
+        const scale = size / (typefaceJSON.resolution || 1000);
+        const layout = layoutText(typefaceJSON, text, scaleLayoutOptions(options, scale));
+        const out = { positions: [], normals: [], uvs: [], faceIndices: [], sideIndices: [] };
+
+        for (const { glyph, x, y, sideways } of layout.glyphs) {
+            for (const o of monochromeOutlines(glyph)) {
+                for (const polygon of _buildPolygonsFromGlyph(o, scale, x * scale, y * scale, divisions, reverseWinding, sideways)) {
+                    extrudePolygon(polygon, depth, front, back, size * 1e-5, out);
+                }
+            }
+        }
+
+        const faceCount = out.faceIndices.length, sideCount = out.sideIndices.length;
+        return {
+            positions: new Float32Array(out.positions),
+            normals: new Float32Array(out.normals),
+            uvs: new Float32Array(out.uvs),
+            indices: new Uint32Array(out.faceIndices.concat(out.sideIndices)),
+            groups: [
+                { start: 0, count: faceCount, materialIndex: 0 },
+                { start: faceCount, count: sideCount, materialIndex: 1 }
+            ]
+        };
+    }
+
+    // =========================================================================
+    // Static data
+    // =========================================================================
+
+    // Brotli static dictionary (RFC 7932 Appendix A), raw-deflate compressed, base64
+    const BROTLI_DICTIONARY_DATA = [
+        'PLx5UxtJuj769xDR30HDnDPdnNNgCbcXjM1ErzNz7ix92p5z7pmJiY5UVUqVkFVZnZmFkKc7gsXsZnEbG2PAGBsMXtgM2CCxRFx/',
+        'Afk/8V/H76qqpIj7IW48qZ4T08FgIZVyedfnfd5XM5faIudxlqGcZnSaWF2WsKlNNFGOyAmP5xXT1GI6L3zqdQZKc9ZFM5LSnJBd',
+        'mvboPCVSdFOZFnaei26aEdJNC9Hlc5LnrJty5lGHct8RLlXMpq6Q+KzNhZfVDnW7Gc1lmGf7JEttkleZgHOHEltT6VJiOURSkpHC',
+        '1TKgLpFdJM1p4AvPYVnHJppy4tkezSnaTT2P9miLKJoW2vGF0oGitkts6hDPdqikOYdoj7j0D8zrSnORVewmTROF9dku6aIuYV6g',
+        'qPywKfHvjuA29WyVY9r5E80pSYmdo5IqlvU06aIO6aZZ4lJFqWcRzn2inRzl3OeBcqkXZBh3fSJ1p2CedpjiTOmsELZHqZ0jeZWj',
+        'SneKtHKZZxOuBBdZIZnlBIoqTpTWlLhEuvmMEHYX87I5xjklSueItNNU6QyT9GuSpV2eyJEcybf4XtYV3VQ7xOOC2FnWTRXlGU9o',
+        '6gaWk6E4Cy8vhdXFLOEJz6JciC6H2dRm1P6dcKkMOHWE0qST9DAvIywepDnJKU6VcgjPKNxhYDk3hUdTyeS/Co8qi0h6g7lUEoum',
+        'eUAzIpA5SrsyxKKO8GmWdFOH4L6VzjnU84ns6qK+9olSymG+FML93Y0//sHnxLuR96mNh5Ju2kWpn+Eky5nXpQS3M6ybaiG6JNFU',
+        'i5zXGbi+dgJlE9llEWlnGKcZSqTSJN/FONcO0RnCOQm0oN1UtljC1YR3KUf43UJTm1LfFTZuVOtAemkhvTTx7AzlXApFA8k/Ul3M',
+        'k4JTS0AUtSJZqlxKdVZwu6XTzzJN3W4i8xnKtXaop6hn21L4/8VozhJ+PtWSbLx6jnQoLXzKFeWMKi0C6ROrqyXLMj5R2lLqN1lJ',
+        '8i4l3q+zul0ymypHaE40VYTZUhC7m8hEhlLeKRxPMqvLF1JniNIf/uXTZpsS++q5dIcvhExj33mf/qXlektOCNsNlG71e9p/72WE',
+        'JF5Xjtk0RzydIxzCZP8t+fd2nwQ8R7qpCiT9l48+/FWOMO0SpYh0VVZQlSXM48TL+oTZv2xuTnBhdQUe01IIPKcrw6SbYxna4/JG',
+        'BZ2mSrcm/Z4u5tlS5JQWgmeEp13CuCIZqjSRLvGVJSSVhHkZLnJpks4rn3iK5NUnfk/7Rb+nnUitMkJoSQnPsS7mUKKVpr6WzBcy',
+        'e46TLpqjpEsLbn8lpGsRpTPEU2nidXVTmZeBpzoDntdEdaX8nvasIDwraU5xkaN2ljL7WqOiWl3we9pbOtVvPkn6PSyT+EgJ4SlK',
+        'tCc8qoM0vUkhDZ6WlNoZYmnmaZFlGe0Q6aYu+z0WcanDOE8Lbt8Uwu0WzKZE5SXzshnGuU9JF/OYtoTS5/2e9k5idWmSVWmmlRSc',
+        'U5vpLo/mPErk1V82N2elyP3H9T//yQ50/k+wL4TTvAgSXGjlE+Z1kps3LdimPFUZppxcLtcimerSJK18SbtTSb9HMkVbL/g9n/GA',
+        '2szLnk8mP04TzjNC2pRIL8e4nRY9LRnCJCcWzgvPlp2BRzW1HJb56Jc+s7poN+P/8lHjr3JEulxI2xZU+QHnHyeTSezSliTnBFmq',
+        'fKEzgWenA+k5kmYsynkXzSvNrC5HBJILpTIB5alWv0cFTNuU8G+uX2+Eyc9Kmv/tlzcaKVGUMFdlsSRmq8t+T7tHuvNZyWzNfPWr',
+        'tra2HJGKEztvEama2hM/+I7/G4dyrgnnOUe4N50r4b+d+6AhkUomHcJ5S0PDp5f8nnY/UI7lEJ30e9otSXP/du7qOYco59IFvyfD',
+        'iZZE0sSvf53QlHOLuL7wtMAiXKaU6mK+pp7OMI+6hNMs1crnQn+STH78QcMHDRbkm1Ld4jv+1bTsoJJZrlA6GzA7TTm3qbIcwqRL',
+        'YJGEe4652V//6nIrD6wui3o6mUy2a+bls8KjjnZhJbgtg+xX33z5pSds6jGr6zfMvsYhhQHn3fABzLO/uX49kaNESsrzaUo9RVxq',
+        'B13UI4pYxKc5ppxswDM3Ws9fcZhWigudJZp2MasrzQOpHZpPXfB7Pvywqb2pvbHDVYzmmKfSTNpKSJ2mmihKu26kLl8R0lZQAJdw',
+        'fjHp92SIdP9P75xKi7z6W/LvLR82tTd+/efrN9KUyC5mq6b2H35wicxr6tkf/eX/avouIPZN50rUrNjN5ubmZl8K/8Om9g84y+gb',
+        'qbYr3cyixLPzNk3rjm+uX/eF4B7FOkXuRuriFVsISbsJv5G6dIVTrTKEcSEJ9wXnnugmluAqSz2a+D+9M0pktBQu1czYcXXVOd/h',
+        'i0BmiE195nVd1bLDZR5r+v6XH7nMozedK9U0kcqhRCaTTe0u412J5uYOJoWXkdS2merKUU8rwbgfaHWuU51zBM/faG298vvrn/3p',
+        'RmvyCrGJqyhVV53Wjk4lvA8/TnxoCU/faE1dSXxz/ToXwieKEVcI7+o5v0OJgP/h93/6MiOktojUN1KfXLnqpDouJ/2eXzY3X23z',
+        'e9pvJD+54rIueuWTi3/1mEWZZzn/I2SXZBbWXPmwqandDyR1SZb6RBItPJoWnn3l/KW/fisy337496b2ZDL58U3nSqyJ15VH3CBy',
+        'PB0o58qFi3/9D9JNzif9nobvf2j418/P/+uV85/8tZNmMl/+31//3iLK6WaKZAXPKE/kbjpXat8F8KFKKWZ1uZRol3ktaebZNuXc',
+        'YZL6zFKSevrK+Yt//d2NG183tyZTGaFFTvDMl3/6ItGTFj1XLnzy18/+/MX/2Mzqam/4oYH2MH3l/IW/dhOp0pToD39oarcZ1W1t',
+        'be3E8+gPP1w99zf295Y/EC/b5f4/r3NMUi3yiti2UpRwwmlPe8MvfqCWIzzm0RYhs8nkhSYtvHwnzSlFPJvTrJJCZJLJZFOiNZnM',
+        'MY9mKZG2yKq0gE7IvBVopfOcaur6mgmvpcfllrC6ssTL/stHH7ZcSPo9XzstX7hMWYSb+MqzqepyGacyT7zAYz02U1ZT+w8NdqC0',
+        'xZnf1NLQcCnp9zS3JpNf/NcX6tLfO65q4lNEwOzf/70pR7KUBlL4DuPC18oRnH716X8qopjX3HrxBoc9p1r95Zs/JNIB77KE6Gr/',
+        '4YOG33356Rd/S/69iaTTsjMg3keptsucKgdG4eo51qGEl88GiKOtLp/59Pvmhl8mk61Nni1yf0v9vf1vf29v+IPIJhTh+oOGX/wi',
+        'TbyslsxNE+00/eODhiRk4oem9i5x5f/LUKqI3fGBunLuXOJvf2/XwsS32Y+a/tHwjw8aEi2d6sPWZNK3A8LTguiW//j6t03tDT98',
+        'Fwjd1N7Q8GFTe8MHDT980JpMfdKaTF1oTaYutiZTl1qTqcutyVRba9L8L9WabG1tTbaeb022ftKabL3Qmmy92JpsvdSabL3cmmxt',
+        'a02eT7Ymz6dak+dbW5Pnz7cmz3/Smjx/oTV5/mJr8jyed741mWptTaZSrclUsjWZbGtNJi+3JpOXWpPJi63J5IXWZPKT1mTyfGsy',
+        '2dqaTKZak8lkqq2tLdXWdjnV1nYp1dZ2MdXWdiHV1vZJqq3tfKqtrTXV1pZKtbUlU22X21Jtly+n2i5fSrVdvphqu3wh1Xb5k1Tb',
+        '5fOptsutqbbLqVTb5WSq7VJbqu3S5VTbpUuptksXU22XLqTaLn2Sart0PtV2qTXVdimVaruUTLVdbEu1Xbycart4KdV28WKq7eKF',
+        'VNvFT1JtF8+n2i62ptouplJtF5OptgttqbYLl1NtFy6l2i5cTLVduJBqu/BJqu3C+VTbhdZU24VUqu1CMoW9JFs/SZ1v+ySZTCbb',
+        '2traLOEK992yokpTBF0+lUILWzjEohaxCXm3I9KMeva7DULUu41uZhOLKERcIiOkQEYitCRWQLjNOoVitshK4mnmI6MgNk1TwrPi',
+        'u+Ddc0S1HrGJlggFLGERRdKkE98HcRYkGxA/oCrwhCKepjazKA8YXB1xSV7cFB4hrpA+U0KkJbE43sCFzYRyhMS6WOltabt0XNou',
+        'nZSO3veWtt/3vh94329e2y+dlk5KJ+/7Swelt6Xj0klpz/zrpPSmtF86KR2XDt4PlhZL26X90n5p5/146ej9eOnH9+Pv+0onpdfv',
+        'x0uvSyelRTyjtFNaKp2UiqUDfKr0uLRSWiztlxbej7/vfz9eemRePSrtlbZLs6Xt0kxpu7T4fqD0qLTzvr+0X3pQelvaLx2Wjt8P',
+        'lI5KR6Un78ffD5TenPWdjZWfng2dDZbXzgbLh2cDZ7fKT89GyjvlrbOx8tpZ39no2fDZyNmts8GzW2cD5TXz+3B5vbxbXju7VV49',
+        'GzobNs8YO+svb50Nn90qvzwbLK/jN/PesfL62a3ymvn/gfKeeepg+enZ4NlQ+UV5/Wzs7NbZUHnDfGLwbLC8dzZS3sswqXQ3s6ng',
+        'LOvonJDcdqnNSM5B1o+QI434UOKvCt4fmb3yObGoGyhmZRjlNoJK6SPN7SY8oJx2U66RpqcFkbYjAkWzUgQ+EAMFuEApbZI4m+Rz',
+        'RFOkbLJugG1KkLnnqPQd4VEP30ulFJJ5fqBJWgQauIDSTHNkg9yk/ZoLi3DNXGTOMmvgBWVyc0gPwmaLZoQVKItTIpH08TTSGIRo',
+        'VBIjZQSohEs9gnzHFR7NM3hWoAUqLwIPeSger6m0BBcyKyn1MlJ4+tfE9dtzRFtORkiL+nDQSKRVmmaZRzKaym6mmGZKBRRohkpT',
+        'LhDC0R4tNOGIkBUnacp9yTztS6pUOmBcm9RX+ZTaSgd2XktiI732bIVUM/BsKoHSILlzlSRelhLbxpsZ54ACbOAUHkkDleFEORnW',
+        'Q22R0dQT2sGqaE5ZDrW6OM0SLlk3lcho1XcBs7qUQ3zqBC7xaI+BLpjBFxjVDpN2mihm+ZRYMC1ZmmO2drjIMs8kPzkpNAWgo4Cm',
+        'KBuPVlpImpaUdCkRaKdbMIsCW1Ku8LSTAzyDTds5h1mIxTSOM3C1IymMitQAU/Kfc2Z1IYOTwJaUxYlSnOQpIg+Zx3fkA5Om45gs',
+        'EUidF4FMpJmEXPmBj/RYEd/n+d/jftOUednA96kETgJpknmcqUI6rmiPlsTF1cIQdgFqQZqGgDtLPBX4VPrEfFZqB7LlAXXxIDTA',
+        'jqh9A8KKhavfQgPSknh2oIDmCJd4GcIVBa6UJ4HNBG5L5RzGKbCKc9igDTRL2YTxvOUwjmSJ6M7AzlLtAKPwmFYeFp0GTGAJ4AkA',
+        '47BBCkREWXkLP6lHAbAoWNauHK75u4BSz2fUQljPeEYSlyKthOZpwZnLtEUgHaybcYQ9lHqaIm1wKaSHahFYThrnLEWecKK6qJ1D',
+        'FKOYB7EQVlcCJ5EhTDvmRhFd5UUmQ6WyhE9xmLYLFSc8jZuuo3LCJhJ4COkUUktEU8QTCLGEZ4nAGBlmw+HQ6zAZf4DUOcT388Ky',
+        'AgkY80pGUuV8FzCNM3BVFooD3E0FMk28DL4SAqwcc1aBFu1SBJq2IP9yoSQZ5hH+P5AcxZlNtfCZlZYi5xEuPIq011M+ZwAnLOcb',
+        'PA9QpHKJtBwEPxRInwLMqGwRpDVRec/STuAiCxc5y2E0k4caeKKbcqTs7YrKbhp4mnGglepz6OV1WC4E3vlOgzR+FxCuc8yiSWTg',
+        '12E2feJRDtxFSVwFNZbaYRkY8zoIqoD0KEByigCc0A5VFJEr7LhnFq0J9x2Cf2pArAoYG/6ah4IxFxCEAtYLwy2h3V726jnnfAeu',
+        'LIug+5wbcA2IRtpfQzmVJp6tRRf1lODM/ggAaBqICBA/PCWT0ZJBvDk3iG8+8zO+5ukbDlOJc+eamzuIjQQtm/f1l7DyyFbbv4Sw',
+        'AgtutJDdKZ962kC5adHT2AEltjkl3QAxPAJ8V2UDqvTVc84nHVIAGKakO48HfGx8B0Ia25LwHSzrKZIjktrEs6jvEEU7gMhQ79u/',
+        'XP/1r863tSPW7fkWQs2JZh71OkUeWGkLQdagXKYdQG8JYMcI3qlkns2IR7obOwACeAb1ApqobNhTXzIhr8P3IMpUEkYBOLHqJL4x',
+        'D1xpyQiHpkgCl3P1nNPaQdIBsh8qAStK0th87tx/AwJVwKEUgGP1NZRYy0A78HkewInfKMI87VKAJSJgxsJpwK+ZtGQ0I0WusSNL',
+        'PUm1DGBjRZf6L/jzr2AZWjyqcSUNV7XMJ/7RAEQSiLkCrAVRYR6xA66/w2FraTDDtJAA/pVFAoU0FbiIhlRSJluRUhk8G5ie+hyK',
+        'bYmA21lYdNQJFAAlAKGU41JsF+oCrwZ7ypSBt+0Appn2EJWRAdOARz7+/nuTqPiNHQ24PMASjQLwwtW0PNeR4UJIBUzOpr52EvUK',
+        'gNelLFh5VBsMeNlOOMt6gKlUDqvCatsDya81Ar5WLmKaPwqlEy0tLVfPEVd42TQ2jSJIAshhO8oKtkWkzNuSZLSkGfiKLP0WdZAW',
+        'F7JhU07ytqTE9VFBMYWCq+e07AD8o7D4BPElgwFCqsupR3uIpQEaOKjSKDhcC1hzQlHqqjQnnoGGVeKj1mQSILr9LWIIQJ/KxO4Q',
+        'oS5TiTHKCD23AQK05+BOfCIV/aipvTHxGcIjzrygpxNwvM96KAfI09HUzjIfNcPI2qSb2Y6Qin6F0EoShrpLD1U34CqpS7EZ6nak',
+        'iWzsaFHSuqZhGQjX1xotRIcO9WS+9RNj+nTgM014HnGY7zL4U6K0waoVbEeLpIqifEA58EF1zlLqHCoQ7ShRKKWDTCbN0pwC2VeA',
+        '/5JdQlLyQ1P7Bw1A9dV3AQ3otcQ/fmi/bFBAlFT+gfyXoNhkYb9MMuWgvJWQ0GcEqQrIcmOeOEI0ASz/FBEoqlXq6jkn1WHTdJAF',
+        'wGyy9GvIWdQPTR81tQPobPdhVQApKtQXVLLnYjKJqkGjwXHTcB2a9FDlMksKRG+8ubnj6jmAy0pp2k2bcXkQqZYfmtobfuFCSRIf',
+        'pdravvr0P6+ekyJLZQaw/ufQmVYApijyKCBJV5UltAYWr1qxFlsyr6sp8f33CQ5kENUc/qvk+bb2REbIBOp2dg4nDgPX3kmu/L/9',
+        'irnCuwrkXlKf51H2UAEiAERnvoaf+Qy2synxy2sJGzErUA9ALa4SXhfNuyLNOCpqLYCxEz5i50zgeXkgiQoRTmMKx5FDQA4Ey71+',
+        '49NvbkC2Esy2qfdxojWZApzQgAC3pZvJoA6lakk8lRNSaRTAEFoLz4f+QmcaRLNFLFQlTKlFwVMmAL55QF3+QWyRph/iMpl9LZWE',
+        'Q2hHuS7R0triMhTRGgF7e5YglvM5Yq60DCzaipX+5Zs/NP07fvkeIDZVyFIdqHiqNdmYgIvVWnZ80AAHcc1mNCug8QmFA4ftbPhV',
+        'JpNpb+z4g8giwmtE+KCVQ6luAvqcMrrAKfW9OuDMqY2rGECpwsIhNmLTpjqkmtOip9lGotXwa67bgbyqK59c/utV1G6bZSAJR+Up',
+        'AQdpp0mXSRV8dS3R2NjuO35jh4VTS6EikZaMeIDRBazhNXHtX1u/SsAauSSfpleZm00wN9vY8XEi06nwW6IR5/fHG8L/DBW7Ro/m',
+        'eP4L4qku6yY1sTLjiJWhJBc6MuS7xo6bTrPlpZJN7Q3NqcamdkTh11AtVFoGPA9bogAmtXd80HD1l0AseAJFD6e14wNz+4lO5BLQ',
+        '+ARuq+WDhl980JBDXILahwpgbmyUOtLNnHVp6FaWZRoTqNEqG0sDCMKU8x3zVSBcpkRaUpsqm5raDpAR5QdIQN/tCIAm75Y1ox51',
+        'iNIEmIgJ41GdtKkX0G6Do0gsjbhMucKlnUK6gWcL8l3wbgOoilLvdrkg+cAmGYryA9AQTTyNPFMom2ihgLAoI8Go0QoCtIMHWZTI',
+        '8gKlyToAojRFBOBpqoCpYn1E+eTdhsJaiCI8sA1og+xdfBcw6iFeVD4KnMgcqKLy3XI3tbBji8lOoQxsQyQiK5KVgS8cwKhGDDT1',
+        'soK4LCssoYjyUMZHaEaxVUKYpCitMYMDKYdYjGRIt0D5iAnO0pL6gadFOqCeQHQtSVoyjn8SRJHCJfKmUCSNJE5pxBhZYb3bdQU2',
+        'KTrxT5/KdwUHb8EZ5L3As4gbdFLZTbiQmQCOhKWlyAZKE5YNCO/GuQDAUtng3QbgJlso4QoF2RKB0tQGZOV5wnJoOlAWyRCuCSBY',
+        'pSiCUWY5wgqkEhZHAEkUUZy+2/V8Tm4KAAsGm1LdWDPxRV50YpdaEo2v0MKSlEhTPnKoK5QFI2LhY4C1FFASD0LjvVtGzsdMDmRL',
+        'YVFpmeUS5JIcsiHfFTTjFidSdAqZpQiTqS88KjXBY4jNwIUALJYNKFA0pViWA3nDV2uhXGJLiuy4foAee7cjvqt/hyJIgizhANTr',
+        'ZqST+iTNxbvn8DkQeUkZCk+dRGaEZwuLeITDI1NOkQaTQBFzhy7xhOIByvWBxqM4zs2zBTJsCZzQCBJoDBYKnd3Ex6oCj9mim7hC',
+        'AfZTxE0LFG1tvI8RxLZGF4gK0kxKJjpJN+tmEkmcsBxmEcL5u41Oga9ilkOo0SmYAkU4kyqgHCsQKmMQGyCMuG6zQZxjlnjAo3Cr',
+        'xAmAOpIsgexq+AZOGegXacEBYb7bEQ5Jc8KxoHd95t4s8GCyBIABUd14Iha0jJsmNqAhA33CgjyHdELZoSeSCTglgoBZZLBweETi',
+        'iCyRsCyKo6JLvgsodwNFBQJIA6YirSC2xSg32xcuo7bIEo9IYKmCahwrTdcTNmKMmmIo4+LKkG8QO7CJsqmigG86ETlSAkhW/Rq5',
+        'arst4KUt4brCQ9AT1EE15cLsSJVXWL5xF2kUZaSkJgy3UL0OfCS+WS7ShMP2BG6GcU2lF7hpWB6ENZKqgGs/SHNmKQu4meUIVDNh',
+        'PLmWBCQhgGNKiUBaVAPD0wpgWNYVdsCpCSUoqDiWY+AJlTago6RZJoCBUHBTLEY41tlNLcED10OmJe2MQMZtAMMOyoBccArmUYa4',
+        'jOczEhA4J0jGSaAdIaHFmkpq0LHAdak0mbnE6VLbr4NNPT7xbF9wZuWNC9DI8qGizNN1a6J8KpXwOOtmXtY2yaUBupQBCVXgse8C',
+        'mjPpuk+FD3SFymzeIzpArAsgIcOygQTPiHlZy0iSyGQUBfKpqQSAKHIqSLuAIYAFGpBVBT7YPw4lXDtAaoRtAF6lcOg8E5jnO8QW',
+        'OZumiaYGs1V/TndSSxtYUNXRXk5JNqCWIw1vy/U5UENgdo6RMQ/OVlGihCcpkg7s1aPqu4AAyNOwOQDYFABI3CB2YTgtKFRpKr+S',
+        'JsumkgkUl4WXldSnRP8BNsezqQYoJaQLs+0igqdWIClYQ9TWIpvl1MDQyqaoHkNumWUxzahCqZq4eXiyHNGaWF2meK0zBuR2TGwJ',
+        'dlNjBzht1A4UzQTcaHLe5KoGMcG9W5JqRS3h2bBO2ToOqWiPBRoKEIAs7pXaBgdRNJOhljaQeB3hViKTYRbtZioghuchZDckk35j',
+        'TgxqHrgGU0VwAT9sWVQpsAd43jWX0ZhA8AdQhuqsQXigUxAg2U3zabDtqMq7acFdY2iAFluOK6CtzDN8OwJp+dyAd8LcssFzlcts',
+        'm9MvUYGEOcwBwMwSK+8aHaeeCLIOuF3UBNsUGHyWeVg34RZn+C7KqYVY3BauqRXYBidDaA/uC8H6hamnGvnJmxQRdAjiI9JQsAOB',
+        'tBybwlJLI0uWkIgBAu0H2gVXMM8MMml0jRroXv3J2BY7gH2oo4mmdqDA+qI2Qoo6sERtxXg3lS6RWaDtqO+mje4AygMby2Va/dbY',
+        'LmCyyIyArFrmrNIGZfVEThLfkri9OhZGvSzknGSozluOQbF9Jpluri/Ch711QfnJAnGktgyUYsQH1kFpDwL765Zkvk5LwGMGDkRW',
+        'I7PUZtBUAGEQe+yx2aAI2qFC5i0B4JIYGUAlhdoAV6j9uTlD5voA0ByAFYSDXwg+YWMiLbQWLs6ksaPpH0BtfEkzrEeYcsHvjJy3',
+        'gB7zkSUCHxKA+CItcRCcBJ7lfGMsoTY7Qh0Deq41B0eUednPjKanKQl03kDDsG9Zoa8bC0Zg6SXhRqIFsbHaukcwGbHGDUqKv/zR',
+        'WHjjhagKAM9fN77AmHmFFVD7115a+e0A9RU1iXgCrtqzrwK2TaA+zky95lojcclN4Rl2n0fsbsOeQDZ0JXHDoQkbiFrW1KXUZ1/+',
+        '9vd/SvyR9jD4ZQD1lskHHGOZiUkpfm++BYZHqy9dn0l63dhSmgEUYzNJLV0vC7jECwi/bvSipaHhz54BdaiNlKWx42uHceYbMEs5',
+        'hpnAXOjTn42VkObsjRArz+CJ1421sSlAG8C3PJ/4iLZkW9LUAe9CQE64yGapjToANSzAq+dM1clAu1ohLDS7YqpefrLPI8H/HiGd',
+        'TYC2WnlUgFwqDff1M0lugqUHa2/kpyNN88Kzmw3+D+vka+MNbcQzHv1KCAACBOxPA4g0fAuT3WgQWGOHlWpMnOv4oKHFZGPCMFON',
+        'JMg/94CNhvVRCWvGuo3mehnDsvqiDsciH20kvg9vRnt0Y4cpLipwXLsUGMAmBbOA2DIXzIy88OinGYkoEceGIJh6+mvjYa+mZeJc',
+        'Rw7ORZoqncFlqP3994CFsP/GDlb3YoGH2qQkfmMHuEbUtqinAnB1A9gQYgnPwPwqBWTwe+N+cIZC16spjUBuqG08aTt2QowvIzxl',
+        'agx4JfAR4Fg0wwXRVwzwkDAVr5ZPjRcwhSWl6uU+2A37d3VwH3ig/MuNr5ovN5rSY+Iz4wVaEv/NtINCIRMGL1Yu8cANkiLDdOd/',
+        'BoapAvk0WItKw8DrDAGWmRUiixuHagIlSfyDKUkoVyRvoheL2RSoYWOHYywGDgPFPOi3KSEpU09tN8dgG/D1qiSW0W7cYXMzmK0+',
+        'AY9c0R6wRQJJSWDQsETKVDNEWgOfRpymiIG6Pk783rMAlFA7bzQowfOSWcoUjltg0altKkL5byGsLV+ZiA7ANbX/aDwmVzTBMl+b',
+        'mE0Hsovmm9oNl9ak1lkTm5nysvrCxMA/gKT7D+YpKvVnXGSvnssYCTeVzZaMiYdNjUJdNUgvCjeJpC9J1iUZyWySNymwtAXnRJr4',
+        'xDb1OAXWDPMuGDAKoFBjRxp5gNeCgOgj0k20yQE0tb81WzKSoIxuElMp/jhjvJuJvgwXHRkwlfojox3yuokDIbt4sp1v7Gj4Nxi7',
+        'Gw6uWVGUOTsR0uTBZb96DqXeTJ72+FRq5nUGMm9KuNc+N1bUAHEJYios35owDmVYYsMudVNfWF1Um3pLw3WTHSS+ABhsITCRpvKv',
+        'DKJtfwr4OgEGL8/b/1tfbuxADwDWCYNnqukKaXOgDB8BIOXf/t5ueAgt2YBpIjPMA9MVK7yC6iy1/4zgIoGyRmOCKOA/5pJVjqEY',
+        'ZmrNSoJvnVE5RKuf1zMxohjPJ0xJ+LrxPg0N/+0wrkmeC2nYAVckBfsxIxGdaHN6jU2Jf080mhvvSAfQCFPHVX80PhoeB5Gkb0JA',
+        '2GSUqRo7ug3twOTA0tQyExaCFWSCGtCaNrG971Pv6jmPdHd0gf6sYDcaO0xpWl0z9WFTEE445mnJusI3NPzeSyQMTeJrwVUXazaH',
+        '2CmkTbzPjMc3tcFEs5GlVmNz0CPR2JE0kOufjZVrNubJhVxJRSG34DMmkkYdE4YcoUx20ERN9ofom0lw4xoTiXqSYJ7cbJRf0uyX',
+        'Pf4VU1JFzwTzkLQzzxA5lKlrfGBK34mGX0AHO0AO+8XVc9ruaDB/bUgTB7whiUvKgmkrXJLNE+mbPSrpqy5mGDMjlYON6P5wvNlb',
+        'Ob4bH/bVXs5UTpejvq3KwUY4fxyN3KkUX1UOeisHL8LBV+HUQby5HE8PVTcL4eJ8OLVVKa5GCxPh2HI0+6Y2u1c5eFEpFCqFtfBu',
+        'X3X4Rfh2p3LUVzl4GC2txgvj4dvVyvFCtW8m3i1Gr5ejhdH4+E78ci4a7Y0WRqtbt6qbBXzv6QCW9PJxPLMejbytPbtfW97HB3sH',
+        'o7HeaGGrNrtZe/Ignj8IB3crB+PV4+NoeiHee1I5Po1n1qvHW5Xim3BhPS6cVg6KtScPqvu3ovtz1bWh2pM74fyjcGUi2l0Ph27j',
+        '24sL0cyb6uxUODQYbh5Gk+vVienwoD9cKERvRqK+rfh5oTa7F07dCQ8GKsXeyuFIuHocTo3HM0vRXjGcP4lHh/HXnXvhs/7o0UI0',
+        'Oh4tFKL727XZYrTQG93fju4fhkdT4e3ZSuFVNDVdOZnHsguT0fxeuPKwejpXOXgR7xbj4lK8tFrruxsdHEQjU+HhaXhnLBx8Uyne',
+        'D6fuVJfXw83RcHA9fmWu4+hheOdB9XS+unw77j8Mh4vx6Ei0OBDP7Icb05WD+/G929XNk+rmcjg4Ud07jO7NVftfh2OPw8FVLHts',
+        'vVK8Xym+Cu8NhXf7womH4eaTeHI7XFivHIxF+2/DZ/2V43vh29dxcSq+N1dd761uPYuLQ/HKSXi7EM8Vw+N70cKr+OVcbaG3+qyv',
+        'UnwbPT6KZrai233h/HFtbrB29ySaXA3nj8PNN2GxUN08iRbGw6nx2oPB6lYx2r0XnoxXjifi4824OBXtT9Z6R6Px59XTuejx2/D4',
+        'bjg6EY4MxTvFaPLH6vLtcP5x5aBQKaxED+5GC73h9GRtabdyOF05mKgOHNd6H1ZPh6vLtysHD+O1O9FYbzi1VR04rm6ehCvD4fRI',
+        '5XghXFkLN9/EKyeVo4fx45n4+ZvKwd3KwcNwcL02sF5bPoznN6unc7Xh29XTB9GDrfCoN1wbjwYGw6H9eGa/eutOdH8YcnW3Lx69',
+        'HR5shmPPo/vD4e37kK7CNJ6/8SzceFY5fBwubIeLvdH+VHVtJBq7V92/Fb5djdfHq8/6op3+qHeycjgSzb4Je+fCsaXqwHHloFh9',
+        '1hfPb4ajE9X9W9XNrXBpMjzoj+4fRrv3cKfHO9H4fLXvQfh0O3owWSkWcTt9q2HhbXRvO5rYjE8moa07x9XjZ5XieFycqBwPRQ+2',
+        'cGL7ffHMUqWwFo32Voqr2MvWYvTgJF4pQJAK8+HEvcrxRKVQCO88CEeGokfTWP/8STQ7GB0chG9Xw8G34cazeGYp3i2GI7Px8Z1w',
+        'ajw8uB9uTIdbQ/HjvtqTO5DbybVw5A0+e7sQLhWihVfh4Ho4fxwf36kcjNWGJ7DHV68qhdvh/YXo1ZPq6Xw4uBpO4ZChBYX5au9A',
+        'deteOHUHorh0WN3cqBRXIZAzp2FhIRqZrhwU4smt8MlA7dlcdLAVTt/GMa7vVA6nw6k7td6+ykFvuPkQdzd1B5d+ty96PBwOD5mv',
+        'm6yuPQ2HdsMFqKSxaeOV4mo4NVbde1opFqOR+9XewXDzSTTytlJ8Wl1ej9e2wpGhcHW3UihE97ax05necGYzHC7Ek9vxs2JcOA0L',
+        'M/HMejgyW11erxxMhNO346P71ZM7cXGpurkcLa1Wt55ASp/1RQuj4eAujMOjW+HJSLjyMPpxI5o5iYu34uJwNHMab9yP5/eiydXq',
+        'wHE4Nh8trkaF6Wiuv3b/LoznyHY8sFGbXQ8Hd2szm5WDu+HtQm3xUXhwUB3fqW5txHMnYeFZeHA7WpiHPKzuRlsz1ZOBGGsYqq7d',
+        'wslAEzch8LPr0a2p6lpf/PokPH4eza5GC7BOtZcPYG3We6P7h7XFJ+FSoTZ8J1y5FU8PRYsDtbnp8HgnHh2u3X1TXTaasjAajgxV',
+        'Ci/j0edQjeJUdXo1elsMxx5jhZtvqqdz8dpEdWvR2OG30eIqlG5sGd7kzlh1czs8vgfvUxyv7q3XhqfimbcQxeOd8O5EeHQPLmBs',
+        'NbwzVhtYx12cvqz1LoU/rle3nuDqtx9Gu9hIPLNb3YKURo+Xw8JMdWs1nBwKp16HUy+iB1vV05lw/lF1b6NyuB1OT8Rr28aYDEUj',
+        '01DArT3o1Ml8WJgJN54b+3kX/mV9PCxMVQ56qyOvooWB8O4ynoZLfBNuDlROF6OxlWrv7crBTKU4Fq48j1/MhlNPw7H1qLcvHnuD',
+        'n6OH4cjL6uZK5aAQng7WlovR/F50fzvcnsKXjtwJeyGl+OuLHyvHd8Pbg9H4q1r/08rhSOWgF5Zw/jgcGoQ5mn4WPT6Eps/sV9eG',
+        'wo1ntbkn4eBb+M3T4Xh9PJ7ZqRQmIaijE+FwwZzzRPV0ONp4Gi6sRw8mowdL0b3BSmE8HNyF/308XHvyAPZ/bLl6cjccXK0c9Mbz',
+        'e+FSIV7uje7NwZQVhqAyxUK8cScu3o0eLcABTQ/Ueh9CqDaXw5Efw63DSmGyOlqIFrbgkYduQ39nluKFpfjhLXz25Xi8MRoX1uKd',
+        'YvhoPC5O1V7cDjcfQcdH3lSOF6LF1erwi+jxcLxxYvR9PJxcCkfmo9nHcBODbxAS9I4jrjjoDUeGo9vD4cQstGB2ozY/FM4/MT7R',
+        'KNfuejj/ONpYiQfX4tHh6O1OuLAb3huCyB2ehm8fGTlfqr18EBfWooXe6umduHgUTo9A2WEP71ZP7hg/Al8Dt7J1q1J8W10bDU9m',
+        'oSkTk3BnhY1w83Y0Mh3dWsKfNkerTwfDk9lwZLvWvwkfMfImLDyrPV1CFDR3HN96Uz1+hShlbBVP29xGJHP/MFoeqS7fjmZOcWvb',
+        'd2BG7vZVDhaqq6fR1HQ4XKgN/hgWZuNbb8LpyUrxQfTqJB7YiPsPYbVGJ8LN2zCwiEzuVzdP4uPN2pOhcOsIUdbBw/B2sTb3JF4Y',
+        'x3/FqXDwAKc6/zg83A2ntsPpW/HaRPjkUTj2OFqcju7PQSyfPKocjofTk9U+eNLo3kj0aAGyfbhX3SxE94chsfPHUNut0Xh0pHJQ',
+        'rJxuRjOH4VR/5WAyGr0bTmyHpy8rh9Owck+2q2v9CE42HiAYe30Srz6qTr41B/U8nlmPi2txcaNy/LhSfAX7fzgSrS+HR1PVrQ3E',
+        'GwPH4cpSbX6wOjcZ3Z2oHC/Unk5Gj4+gj/tv47U7kM/ju9X+1/HSBkLWxeVK8U30uhjfn62eTiPCKaxVDh5Wjh5WNzfDraPqyItw',
+        'cCSeWUL8Ob8UTm1Bre5N1ZZvG9m+VTleQPS4PQCjvTuMiHH4RTi2Xt1bqu49DYcWKgcPq5untdnNcPNRdP8Y4c3UbHVzvbpZgM4e',
+        'vAinJmrPRhBlHRVgfnvXqrcHwvk9RMjjc5WjO7XZ15XiWDS7Ci+zMFFd64Vhn+oPxx7HD29Vtxahg/2HldPF6lZfOH9SOXwWLYzi',
+        'IvbHq1v34jVEbtEoYh44ss2H1f7leBV+J7q/UVvojXb64YNOZsOxR9HuvcrheG12rzY8jH1Nr9ZmehGNbI3G85tQt5GdaGAwunML',
+        '0cXCKPzvynD16TGimo1n0UKhcvQwurcdbsxWnw5WTjerexsw8kML0eIdRE2LT6ARd/uMPXxUKcCPR9t74eFuNDVttGksPOivbj+p',
+        'bj+J5jZrvQ9hVQ5GKgdjlaPHsAYjL6ON29H862h81fiReYTNgxPQoKkX8Jizb+CId4er62PVk5NwZLtSKOAGN58gjOztCw9Gwp17',
+        '8UohPB1AVrK3F25Mx29exy/nEPkv364Ov4hvvYkLa+HIy3izN5y4F80c1haf474K8LCww6N3w6PeSvFp/LgvHHlcm1vB4Y8cVMf6',
+        '4/nN2vBE3H8YvVqO7h2EKw/D7TvwpCM/Vvdv1YbvRKNmVcXVcHoSEeDguvne/Wiht3K8G84/ijdmwpXniDROF2sPF+LJ7UrxafS0',
+        'N1pajcbuxavr4fZUNPsmev0jLnrjaXhwEM88rA7vYj3TQ4gJj+/BVx71hisT4cib2vCd6qOJ8PAgfjaFmH/hVXj8BI5seChcQQyM',
+        'kHX+UTiyHfUuRgO7Ue8k/MjEVHVzs7qJrSF+Xj2uFNaQwtwejQfXIIpPB8PD08rBAgTs6GVteLi6t4HkZXQ8Lt4K509qi0+ixdNw',
+        'qr/aOxDNnEavi0iXHtwNV54j5Bt7EY7Nw0QXX4UTw3FhDW668Az3NfocOnVvL9rvqy7frvU+huWEjM3Wlp6H88fVvQM856gXVzl/',
+        'UJtdgDWe3A6Pd+DpnvXDnp9MhpuHOOHtqWjMZEmLy9GrE6SKA4PVTVxNtHvPBDlvwp3ByuGzsDBbPX0UTa7GL8fDid3KwUk0torU',
+        '4O1auLpaPZ1GFjO4igR2cbWe0lYK45XiG8jMzA6czsRkOPYIh/9sJHw2Ei8sRRtPKwcTtZm5cHAdW5geCadvV4pvw96jcOQlNjt/',
+        'J158Gg6+rRzfRRZWeBHOP6k9gDuDRR09jcYHwyePavdOjcYVEEXc7oMX3nwTF/cqp5vh1HZ0eBK+fRZO7Vb7lyvF43hjJloeCTcf',
+        '1eYG45n9yukykrLpoXhmKbxzHG4+rRw9rhSLyME3noZHU/HoYXX0deVgPFpcDSemkCpOvYDFOL4b33pTG56AqR9cw/XdHoZhPJ2G',
+        '2Myuhqez1d2niNneDFZPh8OFJYTK+3PRzlI0swUHNLmO0PflHNa/uAF/OrqG7GzkTa33ceVwHEHL5Hp4eGpyyUI0NVU93Q6nHoS3',
+        '70Pli0vQ91GjC3PPq1snCLFuw2IjbjwdxpdOFuGDRieimTfIDg73wsKzaLE/PJ2NTyYrB8fRQi/c91yxNjcULbzAHscemyRlorr3',
+        'NLo3h1hodCRcnK0WXlaO79aGJ8LCUDhcCGc2IXhGX5CPLyxVd8zrA4eVgwWEu/2b8eZOOGHy9J3+at/tcOp+eDILb3g8Ec8fVE6X',
+        'a8v7iIpHhmo/LsXHd2rL+/HyJuLq+ZPKyTgyo8XeeG0retRXm5mrbm3F85uIgjYXq3uL0UIBQcvTydrc82jSZOuzg9HWj+Hm43j0',
+        'eW1uBeHW83vVl/fj+yfx7GA4NQbLsNMPw/tyDp701mn8cjXamjImZSNcqWv0ULQ1Be+z8jzaWw03ZhFJTm3HfU/j4l40thItvAJ+',
+        'cvAi6l0LNx8Ajjg4QOQ/fwA3PfIgvreK0Pf4bngyHh6MIDk6OUUgPb9R7V9GHjpyGu6MR4+nYI7uPMBpbx1Vh/fiF32QqL67JhB9',
+        'ZeCUu+H0SLT8FBI7thuOrYdTz8KV+9DfwYHw6B5SAAQMD+JXr8L5eeOdl6svXkQPJmsPp+O1vnBzEce1dqt6eyB6M1LdOwwHd8Lp',
+        '2+Hpg+rmNkCq3WJ48Az3Pj0RbszGc0fARo56o5kTuFF49lnjKSBp4cpabXgKmaPJ4GrDU+HgTqXw0qSoS+HqLgJ+RJvAoBClFO9G',
+        'i0u13oeV0+Xqm0HYsUFgFOHxXTijowfxWm/UuxbdWopGTiuFtVrfWDTyGlI09RTYTmEl3N5B1HG6GPatmgziWTjVH93bhm1BTAWI',
+        'LNzZgcgNDEa3luLRw2hzDBK1/CiaXgi3x8OdR5XCJBK0kbfVvSfIlZ5u15Z2wynAQdW9JwjnFh/Cbhy+rg2sRyPTMHEjz+P5MWTQ',
+        'c3eikenawHF4e7D6dNBgaG+QCe7PI4R7MBmNzxuDczu6tweb9mArXjiKF+crR3OVo71wvS9amEckubQUTrwEdHD0IBp4XH15P3w6',
+        'DGM4uFMd3QIINjgIiObVs3B6pDZ3q1J8E48eIno5mAD8Mr4T3R+u7t8C8vD4ENklcpATIAZPjsLBV5Wj2Wj7TjQ7BRxs7DEuZWoW',
+        'F73xLJzeCsfWa739MLCTS9Hiam12E2Zw4RWAwZPJ2tOluHhaHX0dryMKiosjlcIkko7R55WTeWAs0wvx+HQ4Nl8bnqocrMLobR9U',
+        'TxfCoTlseWG0Njcdv3xUKYyGW4fVneXq3mE8Y/L31eO4uBhuHYYTfUhsTweqp/Nx/2F1C2ESQKejB+HYKd65fSd69bS6PxUevqkc',
+        'zADM7D+Eck3fMd5hG4Z6Zh3A1/3j8PgJvmX/VvT4CFrzeK/2cCpe7IV1WlkDGPhgK9q6BwmZK8BW374PLdu8DcW5NxQuTcbFJaQ/',
+        'wwU4/dG7td7H8cwT4BvP+g1CtY7s73QxvjcXzj+O9x7DPiyMI/buX0dcNH8CNPLWvHE9S+HU00rxrQmZkOPDg2+ORpM/RhvPop3R',
+        '2vBtY+Xmw2IBie3zQu3Z/XBwBBnH/Vu15zuIrg/Ga4tANsKhieoW9CW6NVU5HK092A0HR6vjO8Cjjvorhc1waL5SGI8nn8PHnaxU',
+        'jmYRQ27fCSd2w6kt5OPrO/Dag2/DsfV4phgN7CJ62UXSGm5PIRbtXQOa1zsA4G75FXz0Wn+8MB4dDEarD6PpR/GrO0CJH/fViojK',
+        'ar39EPudper4VLywhOj0oBhvLtcevIk296vrxXBoLD4tVrfuRIsD4cjzsO8hIqKjo8rhJJK+zS1c2dvVeLw3GhyvHC5VNw/iyS0o',
+        '9dJhOFjEmZ/uIxp5BLA3Xl3HSa49DW+fhtMTVgAaB/W6GXh9tmS2oUhK5jGLCc2o6wtfyO8CagUgqqDiaQtDmPUMYVNh3oEkhjjr',
+        'ecJNS2r4s55PJZqwCPirhlKqLBbYxDZ1dkEC77uAmuco27xiWPPSl9RiQtHsu4JneKSqW4DLYYilCu0kHnFIGr3LWVNIAyVXGWoh',
+        'lg02yncB8+vER2W4tYrwbOARS0hJRb25E5ReJomULA324bsN4piVUxTAUcjAOombZj8zEsE7BdVcgej3bsOjBLwdi9ZJuIY7aqi5',
+        'aQIKrjRcWKFwtloYbo9wQdjk3WAD4nUthTklZQi4ypB0PTMVgBgmr0IdCmxmVNltin5ukUGNzTA9leHDCHROMGLImdjjuwJYFH69',
+        'c5sqw/bBrUlfKGbomajf1pmQ0vA/lQ3+jXADaTHiC1u+W0a3thY2w0L9gKa5IRWDJeAF6FMVPhOWZIopi6EPSdFsgCdQCZI/1mxR',
+        'KYk07VWUghglDIHaMJRtYp5ARAanpxneSptROMfJEGVq5cpw1QQ4S/Xngw1KVVYY3qAyrGv1ruAxsGzRM2Jo1EqSm+92PZumGXYa',
+        'gOMmOLWFpt67DWz2XUEZdh7Ysswj4DVRD7dgEwu0JmG9W7bZTcP7BPfv3QYx3V4Et38TEs64yAZmzRB5+e55D9OCv9v16U1IlU26',
+        '323YVNBu1C59gi5gl4JCDior2oDQLpF5t2wxbpE0vUkMI9jQV21Cve53G6KT+O92PUOGVWkjIYY5rQyNVhq2sJcxp20JFzcOqq8y',
+        '7brYKbPBp0kTAY0gttFKBQ4TMfxGW5T2SsX3U++HTZd8obRdKpQO0PX+fsK88vp9n+mV3y2dlE7f95YOTKd9obT/frS0j4720n7p',
+        'oXllp7Rfemt66ov1TvvSj+azp6YLfwNPM088ej9c2i8doVv/fX+piJ/o4i+9NZ/aLu2W9v7599IM1lZawvfib+/76h38psP+qFQw',
+        'z9s1z3+Np5u1HZWWS+ul6dJRafv9VGmtvgvz2dfmr/ulo/cDpSdmzXvmNXzrkdmv2fX7gdKP5pX+0v77QbNrPBszBvDOvdJe6fj9',
+        'VOnH+jf+vDb0+v/4zxWWjt73/fwEvKf3/UBp538nBhy87zXv3y89Mv/DWQ+Zb98276nPMcBkgRMzOeCkdGjWWZ9fcPK+7/1Aae+n',
+        'lXs/rQ7/tHL40+qI+b33p5UD88q9n1ZOzCvjP63M/LSy/dPKC/Nz3fx1yrzh3k8rpz+tbJhPDeODeGX7p5UV86lD83PIfPDQvGcL',
+        'v+DnCd6DN6/+tHLSSaDT5p0L+A+fGvxp5dVPK8/M77M/rYyYP52Y36fMQzbNN67/tLL/8zOxqtV//uz9aeWBWcnCP5/Ta77OPAe/',
+        '75t3rptX1v/5zO2fVkbNLjb/eQKb5p3jP628Nq8cmKdtmk89M6/cNZ8aMi++Mm/YMK+8Mo99iA/iT+vmPbPmbHvN03rLh2e3zkbL',
+        'q/h5NlzeLq+Vn5Q3yzvlw/JWeQszGuqvnw2X981ch8LZWHnHTHIYwnyG8pqZwTBUPizvlN+UtzHl4Wz4bAgTG85GzgbP+s2ch0Mz',
+        'yWHNvI53YGLDi7PRs35MdzgbKW+Un5fX8L1nfWf95bflw/J6eQvfczZUXsWqzgYwY6K8Vt4ob2G1ZrbEmJkkcVh+czZwNnbWV14v',
+        'b5Rfmm/F2obPRjCborxWfvXzTobLa+VdzKIoH54NlbfMmnbNd+2U981OMVViG7MkymtmrsXw2WD55c8rfmF2slbeOBszMyr2yzvl',
+        'vfJOeaO8YSZVjJhpGGtmtfgEvmcH+/rnZ8/6yk/L62cj5c3yWnnfrO2FOcdh89cxs5ORsxFMwjDnOlTexGmb316YZw6W98pr5WWz',
+        'uzHzHrx7H3djzmfnrB/TMXBKOGNzL1tmHU/N+zfKz88GMDcDbIOzobOx8qvyujmv4fIL3En51dlw+Xl592yo/PxsrPzibPBswOyi',
+        'UH5dfn42dNZX3sWNm/XcMlM6cML11fWf3TL3iZUcmmc+NTKCqR3LuBOzjsGf724AEz3ObhmZe1HeMata/99T3zUnM2C+69BIxVZ5',
+        'A+sy34pzODRPGzbPH8bOy2/LO+W3WIPhhpneIHAkwT0NuHZAcuWZOgPbhHUgPAW+YSMampKNyRpmuoNhqmWIcpjwrtY59oZyIvPE',
+        'Mr/U2fRo14fvrncCKBl4nul+Fvg4phGAyWu4yeiuQR9njnIzdFFqZnEaeGb0gkfR1d6F6IZ4eTvvEbfelq8Moa+bWHlfooXDvV7f',
+        'EcbRUEvbzPRGSGq6k6XZL83RNMZPOMwMjaj3Aaif6cr4FtBdqQTfFQwZDB9wwIzmdd59C7FNz6OZ7EHtHDVsZxNbWmiqtgMLY27w',
+        'r4yQoHyinc0iXr15wlaB2a4JmtFbZDloWwikmWOBLhMMHElLIvOGpWxGdxL0e5rBbRKNCUTmXYI2d1qnJSpzBAgIPMQKvsS4Hhdt',
+        'EVTn6/0Y5qzRSmY4+baWLJtFmwKYtgq0TPDhuOndRbDmIXQHRTmPIJ5aGi3joDkZ0hda6nzTmsDBZar3knzcKQLpEUSI5joxd82i',
+        'Pzea0B6QZ9XPvRVp8DUt+iV2qpzP63KmHQnK1deGLp0QPquPfQA1XpNuw75DgkBk3rQbZel1n4AblkU8K/M2tcBsQrMqmkeYwv1h',
+        '7gcnEsMTmMacTZAXs6ahjkM+0DJAzTtVnehk5mNgRoXpd8XwRkZ4vctB1ZsyVJ2fjaFdODMIWKApOMDMdIdANGyWRWTuMwvH82l9',
+        '5oqLZAMnT0D65fWbrrfJ1DMiwrsZSGT18TPqXJ0Wrwyvk6oMNbwxMGWxv0DpRJrWOzvUf9WlNUCzAc9TNJ3Z6JEAYQ0Ef6Nj3UwE',
+        'CpkNJ3ms0jQdGJm/ei7gHR80gPSKoQLczCUxfD7mgcEH6iZa+bKU1LeCAWha+IaBT23ftBl4Qf37v6jv3SKmrfu/66oGJm2AphzP',
+        'Q98AtQOL2p9ifAhaMpDfKEmzuKpEnedWJ/WCxwdp+DRA15nOUm32blpbFJbCvOzX9Su2iNHfeoMM+gxMswuieouifwAXbM5aQeqI',
+        'Z19LmW/6Xd0IJK4lPJpLfF6/h3prk30dEkL4n+q2BzaEmREOUJIckdCHz9HdljXziNIYyAjKpkpT00tiuODU/oIGWqGlx4PMG/6+',
+        'rM/ZwTAZnaM/N/fzvKrvz2ZorqHX6+qbo8SHePY4LM00Gn5/2dz8ed14mBk4aKjuxj2IwLBAf+57+bk55qO60fID5IDU2OlrjXXK',
+        'fQKEczOYw0jI700uiTvxfXQYkG7G8/XGFtWcwkzBBtOIIN3P68YKw2m9elcQBMxHa00WA1JAk6wbTsPhp/ZvIf1eXmJ2BsjqSPI6',
+        'mGfxwKY5h9ZFCp0g9vX6jVlEg6j/ad0H1HuK6gOelA48hs8ba0Pz6HNJE/k5ugOzwsHIEZL/bV3D0TFEsvTjugkyIqUphukyLwtl',
+        '7IbsKhATTe8V4cYA8XxLQwOaBdKBTnhC29RTTOc/kwz68DmsrqIYjZXAuEmWDjT9vTSzqBsTpgO73sahkN8yM5QZ3Qp/qJt0JzAN',
+        'j8xL4F0kgzGs6nOHSLQzo8OQ8LSs07OZ6bPi5t3ZK5jDe62x3j2R+LlJCUx/j9q+pC4L0AXSRbL0UxdjSMmXtumN/3t973+se220',
+        'pSS0MMzOa41wppz2gDUNKdCm8yAN5mw3NRO/qGyut9/V2+kUZjIkNN5tJ0TmKyZpRvTAuYGYzFyGpNkYK9slPcwNXKdu5CTxmc3z',
+        'FjcXgC+zhYvOA4z9NnxvZWZbUdtnwqP13uoA0149onTeEbmEFonr9ThEokMxoLAlws1/Uw8r0rLevwabDAMns5Tn0QiEITX1I/i0',
+        'HpV8acMjJxTNQou/EWkqdaLezqG+Jharm2b0BgR+ImfGF4HueiVHExj7/anxkj93aahv6916GLnEqE0sYyAwQZl1UzN0g9pXEobK',
+        'q+vBUBpeV+k09WiGafCimZe9XjfwmEzqBq5PpUN85QpjXzAnj3lZphIYaI69S0UNUuLpBOZTX2s0rs7LIh6g3eD8oxUB92Aml7oU',
+        'J9qjpen0qE/iMjThK9TAajbhPIG5QKBnE5/WXXKO5HHkiU8D9LHWu8zU5/Xgq95VpswQOMLN0DRlWkOYlzUTMD5o8DHT2tNamtZI',
+        'C/PGfW1iNxCJpWlWq5O2622cGASGFrnEhx9C8XLMBIm0x+emh5X4mtq/rbv5eoBFSZrBLaGt2pgLNKupphbT5GM6jq2f+5ASxDPQ',
+        'Th0Ls+uk/kS9B0eaoWvg6WNWEf3SkPw92mO8/c9Nlp/XQz9mMDPu0QD+QQXmGr+tt0SgpQNyBkJ0YweMOEdYaB4GR8C8bHOOprt+',
+        'biOj9n8EGI8Mf+SbCXGWZq664QiXqIQrbiK6wTUyM5YFbY20rswi0DB3V4xEfexg/Ba1/8zzrs+sb+tGst7IqsxwKmqjhdNj1s9d',
+        'lPV2RvDzNbUMhquN8TA3Uu+PNUPGeD5bb4Q1I7I4Z/UhNXB8eEzdKdYlvwVTKRzmY2APQ2utMV2mOwdhCgYS2YE2V4XuUHQj1kNG',
+        'bf6eNbrG0YyAHsLP6vE8Z2l87w8JM5jn63o4SXtMaxJG1n/U1P4VF+i5qLcnKtNJR+0voTvwOBl4e7TiigAoKrWFe52avTTXT+mr',
+        'eiiNPjKRwRATjA8yo4vgrj30XGJc1kfJpnMYJd1ppmvDXNTTiOua+g710EBAvYRIm6TCjGf6oOGPpvMsgRNjNm1MmKE39ZZl1dLQ',
+        '8JWQiYaGPxIvn6j3ZinD5ae2X7d6GWZCMgzJSIgMAFMz3hBdF+r/5+pNv+S4zjNPeTeyG73v61V6xii4awHpmTluVFb5gAVSBM0F',
+        'h4DE6XH30bmZcTPzEpERqbiRVUhIPocERYmiqcVu2Wq75bZpUxJJE1xEcRVFfSj7O/DJhTNf9EGk6Dkzf4PnPM/z3shyS6II1JIR',
+        'ceMu7/K8v7eec5QATBrF8iC2VUjpUc2lTwTAAtxdgOQsZkIT7bYHkZZZjcKMJejuwM/5ZgzmtcoowJCBPzZtEETEosVyZE0WjcvS',
+        'N6AWn+y5PTl3cVLVTQDSP7l6jKs7n3j16FPL0sIBlsXuAOT7eShoOZzsqV4v6V6CBuQsjFlXj0eyjO9Q+QHxYj2X9MaGYmap4NQd',
+        'BJblnTkjXltdYRLW4zF2MJI/QoPJVy7dMKKtwhLtLRygpg4vEHB0V49/ufGfWdTbaNcA8jbIa9VkTZP3fL0AhwrFe5ifEaUhQAHh',
+        'Cue0lXwqBrSS2A9TnBVoiuB8GgFB6EserW7nEW0epISFwjsepypWKQaehb0oRIqTyp0rS9dEnnHTcD67q21sQoFyl308EcqWt4ce',
+        'G0sCmBt35ocRTrFPsFFwhjsPnxLe5yS0+LD7UJLYLFVpwoI3HBMq01AZiLuHtS4O1gyW73KO6Ub04Qi+4iySi1i5OJbT1KogrMAE',
+        'qup2S7vAUNU2G/RbzoLISb8fZdmbrJ/q747qaj807X6sy0BvD3OeNT/9XQzyIrb3sNlAgbonrAucAz6Rj9ff9clhnFUmWwy20DFg',
+        'F20x3JBdRlw99o671gwOarPcYuXU5lgmQLEIOM4Apznwy5FsdiIP6MvA+4otT/tqwS3pPjLUHbfK1ML0i2k6JnwSe0ER4cSQvakN',
+        'xR1Ma9wuJukCEA2CKdIiYrQ4dEBmst5dBd3pEpkFDhh/vM16htcJS2kaRzj/QpNUtDgYLvEy3YMyUS8q2KGSV+A0sTxQuFTuh0sH',
+        'oYhpSqZbubyIk8lXqXbIYMGzWcBLhlOaRElAzTBOp8Sq5IQWKq6twROCl+VZ1wSPPYVCRYRrGyrEohvR34XX08b5JbnOIh2ky4vm',
+        'SkxTglNDs0mE5hrtgl5vqDlIdB3acKBO08gPOw+Di9EUrCYvl3P0QYl0i2MuIeqx1OnsLy1KLiAmzRIbKXAHW6Y4Ih6epkMYLSwe',
+        'kghTdW19XkEuDWvvrCMJkNw3pLEWTUwzOlRxxPBUKGCAeJQPT+/YPdkT5WDz16/OSrfPvjb01UCAA0cALwk9FWIVQlUAI39607dt',
+        's6aKvYTmKrGagAM1Ho/pVl8Ln0IZaNWqTDQ5oNL6WxcVQypQXY5IEm2+VobgRaI0HLrWuFjdB3LblFeGgSlfbcBq9F3vaAajb0N1',
+        'ii1FmnV3tyI8Y7+PPjCM0NXNvQu4Q8tzsRHjgI+SagfP5QFiVkrV+qWLFlhad74qnFPdoIV/gKhlJf247e/2hMBIn2AnHXdOfg5+',
+        'd+Z5zomM0Tb1Eog7ngHcmvHzCbtXTC4msOPcjgMnv0YR2iSmttkTreSBRSrjLD0i9ypWbkbblNE7nNa+TBdYJ7pOdma53IKf+2lf',
+        'L1r2FCCLYO3cgphFLNE2jhTdWr9QccWlSHf83uDQpEel4Okck7HL3okTII6d91UMpRvKV2MxXH8Xpd0pyO65Fs4NGz/1szWhIz6r',
+        'BTRf8KNP8xhbU9Vj7/y5y+d+0/0K7MRpqOgXwaloF75k4TqicKArLt2nyfs7xW2mLFXKmeJ4DWbDhZa3+8toQrPt+rvk0KLDjYvV',
+        'Q4pxBhm6aInDvQe1m9WE1o+rK+J+aVaMlyPsfFhViku1yQGEmhLWEar8gNz0nNd4YfUBW4Ds9Lf6rgnlTr9AyXY91xXaIiJ/NFOF',
+        'bBqVADM1oFPGYseXIzjvp7e5U6hY0O8OuM/v8/hn7HDfl+cUfQWbNywarxgSU9qhiGUJm+jAHozHTGLwb7zkRkT6yjhiabexGrXn',
+        'ZSvCZXWx6vGdOgFXWI8Zq8n9RB64u3DC1mOchgwvVmgcg2OwnYYrCFJeaVmcfEqFkX0nlM3OgXZTnPIPx8l2j88HHAae8FyZ6nU3',
+        'ahbk14Br0N9FHNM3gcDNBJgdnGw4BovsaCZVBbu0zhAFbcUd1ztJ6GVbEzLwsDz2i4oL3yNb4yICBUDzEF3xqdhgahmQYU9hrYuy',
+        'RlULvz2HqQDWhUfI8356q04ck3Suaqd1tdT57h5WaOdueeVyP9JIs3zS+P3YyhRDAIVez4ZANA/KHmQt6Mmey3QID5yQkBwJXZZg',
+        'nBAWlLjzDZc4b8ntbq64WI09ItFLXzGEiO9NfeG1n6FhlKvHvd6lehbcKVKQT4m6ka6EJYDhPPvLEiXqrh6TWHt6G9HJcOBE63Fk',
+        'ZYeibhwKmIlS2La73WbsdaevOu+kAliHaEQox5cUVbknsGh7n4dwIA8pTRGBdS1y9vgAPyIzAce5AyUKp2c6v7iCXVGYoHU6xLE9',
+        '0JaHLkR1tfSOJcb9s/1p285x5ZicqBM9YofKpVg0zUiOAxY6Pp12XXVJ6QTEO109LoFzbpdj+RbY5A98CvKr0gKBpnCJXqSbal4/',
+        'TMRJRX5Aas+VCKd4HjaMesC9ou3b392kGVoUNe2ssQYE/FVXjxEP8e30vE68PYWOxbxJp3XYzENjZho6wsFK0NaFmNwFOZrjOG4D',
+        'muA4NGPbJLpzk20JqmIsnHw9hFQnNGFcsl574qs42nEP+Ha6SSe7muiYd3MBQLwj1xr8taZuQLDHJsD4lxvSbWnQ2czBe8Yx78BK',
+        'cBC30NZvSCUxyBEICi1Pp5Y84LJeFOMGoZZ67B5gsOIOJLsQ76kcXP+7FB6G1V/zFyAx2te6JSG+v8tC/VCgzcrGxq6YDo6gkVDc',
+        'r7j3vQRCOXZ8WqJxUNlOl4w2+VLADKqGYGKARN/fTbyDCVr9hCbdxars06DWLVJqxF76RBMmyJ3VVetG9XwB9lohHkECHNgt5oJS',
+        'F8Bs4hXjbAxF8vRzNCMJAFg0OLmKerTgQE7B1idMH2Sa8UIRKCfoxe49wL2lJU57mlOPLppQfFJpD9wuQwo1kjzKKToGA0ZhQePC',
+        'PSB/WvX8vQBnomqHgbG1K2G5Bz5avIpJhNN+Fke/dIb/wcRrEJcqQrl0Ao05nrb1uK6C4wiWdeN2yBdGHgjUjnRRRin6GMCObHnd',
+        '8YLB6X32XJqIxeRGDX18aKOmQRTvYJyXhDUWEKXjicIw2gjrAxQOoc820CUG8QJfYbGost5Ng4M1dnpz35drpxk0Or1NcLAWHk5t',
+        '7TbIpuI4aiK4fEIeJeBXT2/3FJltYuWw2e3R2k6iT7m7FnQ0jWF0WV7Bnp9zfs8DqBWTugCV7rKfYH6e46I6i2PrwOOQwhY495Bg',
+        'sQOli5XQB798P4BAZXUQHJbEnvJx9y0KH9NM/gpCKzirmJlwbuoT7mVR0YEjNfzUOidfrKoaP132eEICRws+CbwNeIVmJtQNQxHC',
+        'W4kalu4C46Eh/wcJcKz7th5rDqJ5pgN+vhnWi+YehZkeRfa6WW7xLN/clHsM06QC7sahdYrQRODhLB1aMZaItNJz7jumbxoHRjB2',
+        '0KqAk40OZZx1TV0tZ0Uo6RCgu0VozggLAfPAV8bx6G/9iht8/Df36KS5nZrBEQffNbWOrd0KJ+sXbkvqjpfk5Fw84NHQ8IDJwVES',
+        '/QxtK4FOQUdIbIA+MT5sMVLubs4JFfdbjNqtCSQ4BWxtWF890FGnByvAarsWqguuqKtTILDCD9l0PKAPDjb7p7d7QzrEExLf67MY',
+        'NxerTcfAmcJF6XOf++xvbR9EmgD1OC0rDQ/ypIlM0oAIJyY7qCuXG7/gRuqSAHZyVAajenZpVDfnFAWXm7spb7DdkzfICdl3j8Ry',
+        'GspZWgwXzRA9xxaxCsNItu4mWwKsCYboxB1M5MTU4wpMNF/uKZMNll3p2avAtTW7AZTLDYV4NgRZHGyVcbfX23QML8YKJK9pESF7',
+        'THdbTJycL7cfPX21OWiV5UEoEdlrFiWt54bBuJFWI4wC8PoWJTbCKRZ9fUX0xPUdTaI1A6cxzprampB3sJrnfvIAySXuN9BntVga',
+        'DQrwfnwYY+nFXWzxmkjvH2zBqINtI54jDPhqFKZxhlkDN2K4dKJOboLzDzR47dAEg4/V1mlTfR4LBh/mgKW1S82vs5ETenm/Mr3e',
+        'cSncG5oh12gTr4TkxEPcNNwj4X+W+p6jCWS5dIykNU77p0OMs3fiRGwdejwiKBoKoMAxWMyNO4esxwy9S2PDnfZKcLH9DVn+5yow',
+        'D2vxGp3hAe2cEJIQoVFEQ/un0UhtjcGAEslt7CiiqtlNr1+UamBjYxc9Bh1i4jt9p/MsVgwGDJTGENnmU7uD/7yVRkh+4fJ7MtYT',
+        'gKzN8kCHMHus+PTxHXdqUQEX7Ni2tmnLpRML5uy5xg+jr7ALh4Kb4qJZgi6Gp2UWcEPEwPWYaOWAvuzqMY7MJhR7JUauAkoNwbgJ',
+        'z1sFb0nFxzZjuUideMEXYHHvycMUvCrtym3lSCDql8JsWAqp56isCIW8gs15Ott3v+7UOaYdLh1SXUC2h8aJt5gI2Q/FHnqIIIxR',
+        'YN7ArKCV4FPa6eMgUk4KOo+7/HBZ1pXyY7bNMNyAHGzLFNy5RPNVJLqE1RcbLF3ECeF2u1jdC+JwXd1pkcvRCNaFIKEOOH6kTmWm',
+        'nWYXvbU5drM2OcVkY+XuW5TL1II8BAsXCU6EXWce+898vCjpCSPU59jt9NR/OBXnrSxiJ4YaDhvcjjh7Cc2V8VaQ8/YGAnUDTSkY',
+        'W0xC4ifXgGzrnTiB6eIiFi1aQm865tXYwISIzuCGyy2t3+GElk/pD/DCL6jnBZuNhGIo8+DO+VX3q/Orj7KbySa7IjkvgurmLNBi',
+        '0Xze2GFMbhvzE0cTgbGb+kzHI9LtiN26Dl8HnekEBhRgCkEyCJDQDtP5JGZpQYBgIzZ/z+EQrklZhUU91nzB+Vgh4usQ9sCQ47hS',
+        '/vBAZsXBlFFY5LrmoRg2u+j3qViOU4Z4h4dUPR4t4NuHmBg/83xF7lwxiw3DvVdDsS36rXtAGqWLmNfrDjtJE2vYUkghNjxgY7UP',
+        'dOJOn21PAIJSMhjWr+eTcJOl9cvNmF0PnItw5iH3mOHcpCO2aJNvYxov29qNCRE8qLD31HTSBEpLnHwVAmZVu5jBbEJiJdJILCKD',
+        '2vcgOZumisytCZ6JeOTc1WPpPBwmAw4FeBNIuSLvnEYmMwDMKsPkNuCoOZ8utb4qw1LsybSlY3SvqX0bvRPvES0Y8GAt3UFuEKFg',
+        'CyfnT38W2rGDaaCBVcrVQ7OqkS/v4X/6WtN9tnjwDkUe9TLBknLoFYMmGpWSwc1MO9hiyBYMTaCWDabYIgWZabsUP4YCHRdiNXlQ',
+        'KYNYCQdcczAeAZL1VHpQaVVCJn3FdAL8AJ6OwyWNNuF6l7Cs2B6XJ564nJ+F2Q8SIBmq7rIEcpuK/TuSwtbYt6m/uwBDv7/rLiGg',
+        'jKDFPo+AZhIaB2WOa2uYvgAex5BcrJSVc07pCIRMYnJr/fMPPbBXS3DIdQ5dBN0c9xuSbYgpiCQy9UQ1jt8DmdDbMtPawjZq7iHV',
+        'LF5lzANVPbCHGfnS7DnFU9Q78X2LuyDhSu1+3QoVRlaY/OI7J4zFzPckIdk0DrWwrxQrTJGARd4RokPsdSN+Cs82ZCqcJFzQDiS4',
+        'ClPCDKHPwgOsnd6WFm5nqDgfHKkm+J0dh7DKQNO1R9wocllM1XIxGnx0kzZ6XeFgD4XbVAwROSx4NosWAylArBOr0HnHPmO19khB',
+        '/zaxD3KKUaG1p2h9EgkYNx0nU0zSKsE8gDOj7R7vDlMY8ySGIin/5x2hjJi705iIMIT0hGaa0lafHso86O+y1cMFGetCgK97xxwO',
+        'ft034UHy/xw7gIQGXd+BzcZH+8zFPagZN18TxFhWBbca592GFuBFci85tDQrGrwqeUmfFv96nToLyk5jXawj5q78reJqFA4yuW4a',
+        'T7ArYbguz0mI0jJvuLwiW4NH8MkeVlMonIf0qq6qBaCl5Z4Ejgz2o6CIs7VuaEggauMilv26i9WoYb8yIfI2pGtOD42QKkOzBjhp',
+        'WgEOkS8Xq/OKOgQE9WCxpCnyaujTViJzVyrMVPtiJ7bUrEBgtY99QtJSHigGN0yadD05aZsRrmNwO3K9dG5+2js0HXNNuALkvaRQ',
+        '67CopzF9WhOUzcLQfwQjsC61XRo1HJghF96MPeR8KQ68U47PYZ3xmEiwjcVQdppnidZEsxQkPTkliS5KvxQSw3bSkBdjdj1EYh2r',
+        'g2n4WEGllyIJv4iYKSSOdkYYLCB+KzdUYpqaoLJkhz3nBe90In5v4qNxgt3vaVcgJbxo740TaJjoXQ+XSK/J60E2rIgERw8pY1rS',
+        '9Sm9zrFE1mWbsMYmmB6IvlZNGC9S5kq7nU9ewu9cUppMWMzEHG1Myh9tYrdw9ViZ9nW0g0QedkFeJJdTWcp42tK+8ulPi8t6r2/2',
+        'fVNsseeS9jjalIiuQusFwQUw8+UyXVmmUeM/iQq4IjChebJ3rgX51zOFvVBfreU6+kSXcLYWVdvfNQomuy06X1eMhnvHgSXBPjRT',
+        'E2xzE3CgorrP9qQ/Qj9oPPQ6FyNOL0RH4ak9gv7TAW985Dkn7gVrGTsRRQvGlfysJi10dIh5jKlNxYCgR3ld4j5nujoESQfQ4rQN',
+        'ahzRZCu1OktxAzMErjH2dfPJBKXLAKcTDGtwaWPakEpsqsgecJi+KuB9sgdjQAIB7dgQ323py+DUhr/ELEaKEpeNdSTctRiPfVkL',
+        'zzlg8H0aICtybb2nlAG9nFiJAWricR6fhV9WodmvF0l0fPdbaKKFDJvDB7Gjji+ROqsg/8U+uNUu0PYRMFskwi/VZT2j/hdpwA03',
+        '8G7aqN1C//xD7sGHLjvh9Nf5Trw78I0TMx9h+lYnLF3Jkz0d9ptTrQ7eIbJgEemZPhZnf7celnECfDEy2nUfx8M48mBva3c3xFpu',
+        'Lpp7rOjJY2+exuQBkW/DfejmFZr/hNj7xx3MqVA4SBAo/8U+7ZJUet6xEeavS4yqegk7rt0wsnclD9idfuGXfKKWfvXDLLdYFwHa',
+        'CaDtpEc5YB/YdcdAsndzxaxqbfAbeoHbkh4Jpu5ERZa+IhzMdRazQZMj9ty1tXfUU6xFHm4WWNhW7jtU15YQJzEwgf0K0+ezSgvh',
+        'Lv186R3XFSI7jKojZt9jozWcgYyl/+fFmTO/uucZM3SeSocTJ6RW5cpMzg8u7T184eLlhyVgEW19i6Lz+updywvFWv8qC0DT+oHS',
+        'nLHiOebi2K0dRGH5nQzU5D6JgC5zh1NPHHkoaDm74RJ4bSTUlOiQY1tsCcSv9lzVfl3CRomVQ5bPa8EOlb6/oDQ8I8aTGgn7WUha',
+        'Rk46soFiFn4bWOjBljDoifoq38pyUAlAE5wY4FzfW1Pv6LPPpa69F+fRDiJkGGfURccyfMpT8rfzm/9le228EJs8be0yHI7Qm/Pp',
+        'gsaF62HwcSWAkpMk5K4QH6WyqvXl4Z8Uku2zIjsswiJd8Y2f+BDLSUj7oUpXvAJvHq6WfzSg+qGJiNeiCcwMpcGjen747ITdKMMM',
+        '8YvIhir1qF2gBdWCEmF8BKY/f8CrlwOK2lNXEe+R+zx8AfqJUfRJ3/OqoapVjg9KO8p9pbvw1eG7s9DUHrXfBaqEodWdxTAboukj',
+        'TjaVxNfqJBVSeJQ+EW3iaW315qwqKmrg1CfQiLLpBkrJ0cIP3Rlh5+9Lror7rA/fRSvmmmdHnVTaVKtISC2cWHXSAECPtk6xDrMh',
+        'uiTNWONeq2I8BQWD2FYLdS/DJjTwPsPha3VLmQ5aRhVxUrMlRcH3MIo1QwPRewXj5qFB9dRkgQB+IwBAMrYA/hYD3Xw0JEIhl0/t',
+        '4Y12gUZKFfoyoeocHZCw9T5aj3mueFZbId+G73kq5OqkCvc0O3wWYugUUjx8vaJsqmW9rC+8ivLV8iCh688I9ILRCD8ZRgtfAK/A',
+        'Um8WRaB6ZwgeAHydJhqZIM3svaNK/4afYd5UXkNOKMOsTuguFNHbaobKcew4h+9WbBFWsyHYDG3CHq0bTyIA9f7QWrBb9kxtm+GL',
+        'IVuPZDr+DiMfuiw/m/s4qawMCU0zmQFEpgtBF/YobtBDVF0CciebcFVlN4zIxzYgiIpdEq+qZWa/gARnaYWIyR65tEK6dG2Daoez',
+        'VnaTUj1G7U1Q8UKL/lgouwdxveX+ppKRZNU6BexX/CKFu3zeyLotxJ8QeISKDPMZlVWQoktH5ks497A+JToKjdVypSImFtDBl69H',
+        'dYn2zbD1rXaHmx2OU6ulSywmgKFRLVmu5IeJ6krW6CGvu69u3DM/8degHaOCAvpCpekZ9Vw01PwjZjiwXDIccGgzkH6AEK2tJ9wK',
+        'rSinGLJ7EHj0B/Q07L0x0oZAXrLqpPvtPSu6g7pJ1bex6zWu7xNqIotZXVA4kwsLdGCXSybWUUHD7q4NloXHYTDGcO+jmiUwfEtV',
+        'KDvTUGPfoswI9wZYBeJ0SsaO0CaSxwWr5Tw7SLH8yao7UxUmItGbFA0dypYp5kqxQimU/u4crVF8UvcY1p/i7fqS3lvcD76ZsHMg',
+        '/H2YRezS2rDF5QzvH1JTROdg9WMeUIvv25CrGxEEKOOoRRYR85HPFVJr+bkl5Vs+VuptEIod1YEgtrmGuIZyKPAq1BsB83mBqV9Q',
+        '5bD0sRmhe6xCVZxvVJWhcgbKSKueSiY0L6Z1omoCgh3cP0SucMP8fI5zYGpFneoNszvwhV8wTKaCgb6zXbrUJhrSlhUhWgx+SZn6',
+        'eFFSZQ1xALn8kGMjxjxqpRTz5WgSN4ax2rKCs7wONd1YXyRjxO47eerp4ihcDQ0DRNS7oelogYfEclCTt9GIQ/OArRMIBrjA2OOk',
+        'mliAb9fU+MVZlwtPW7Zjh4IfC+hS3j/UFaBBZJ31n+ikNWmnqn0ORWIYkUJU7qOoq0XYQoW6oyXbxQNvj4U6mbZsTDoOtq9yfjJW',
+        'MUXjA4wkIsda/3WJF63qsALzdt8zRtTWVd9JIY2mxUsmbaxUKKkjT+5qUi4hAMF6Va4xFOzCPUetXFmiAtbmR8HO6FR0aZ/+XyRv',
+        '2jQV0mh30Da7gxY1MNyPVOoV0NCZoTbeLUq8TXXL5oX7obm3ngVYZlZLnaxAOyGYiSilJBN4j7Ma+3muG0dAIFaLoORYfxfWGFwh',
+        'lb5G/4jqZpyzUsX7bd8QY2jU8rBm1w7ta/B6YDdboK9nNb6J9rnbcayVQmu/SuVO6kwQvWLwpanjobOkwZ143qkikPvFw3n/V51M',
+        'YWXbCXkd7AfD2LRT5FfQFSxMpLWKUC9Ryg2pAtO/ds4smdCZheaiDLWSghEUnNN+0+oK+6FQf5StXavzTiwv6TlnkrVk3euWufLN',
+        'FOSFenVh/UuFCnEo9nlfIKrfhrm/wp1e86bv4H5Jgcdw/S5d4Lgf2LKd/8OOmcIEL72qG1O5bd2v0g2nPlL93b5T/yW3pnWHno24',
+        'nkVlezy/mxHClX6Zotf5gZcQuU9uW50dTG70/aPVgHUNVQhUGr5FcefIio3VO+Ss+yWVKiVSChiTCmXU8yxKZLIGVjlimgOIqHgO',
+        '00+K1WRQRs5rljWN44h9u1l4h8DVKAwU2dvV/EN8UbJQqRzCaQRwce6ZUNrN1PqwHcHDTKE0HdlZrr9YN6YU6JfxGmeYhRHdaXMb',
+        'rdiqUN+cXo+LzU8Cux/P0M694rwwikAy2TzDCdiTcE6i2sciikucxTjvH10UrHi0EuxNpKHxOc4WsGrc0XGPIvk+3Ca/e7KnRm9s',
+        '7dayPIPnJ3ogeZ5Tm05h0SJSrOJU+jAKGzL/NvpOlasmjGIRIbY/k+6Zk6DqRwqlgtxF7jOLqrWqZBCnaBjK/CmXZ90p5gBPSQx0',
+        'ik+bu8Jhn6UWDTVlrN1wOlfHy3v8KODMZxC4XqRcxWMq6GTlsxVVDRT473N+PIKCZj/LhV3Np42OoX1gtDR+AAIVXNnjMlyFXbln',
+        'dnLpDxrOJ93vrvpOssMV37c7VjKL9TTYYpZo13AWaYpzGQl21V479vHCCaD6xLRlQYEtM4CFs8C+07SLiRUm7fT7nIf7vjzA7kxd',
+        'Bjfagh3BYkjKevad7aMFdteksj/ui7+MbtFxvo1q+fO+DX3z0uE7oE+19Gx9h7mFGSRlC8oiP7MI6vrIfQ+vC6Fb4zwklqLXMZms',
+        'sXfCmCIG4kgJ5mvhlwgpYX9DuSptYOYe2LGRIUpVoXAdzOHo7fQl37nbRDJmJyZ1z+y70Fh1eGExzuVsDvU3oCWI4sFhQ32KnS8D',
+        'dvPDASNhbzKIyCb6niHG4hRf2snwFG0f/d1NEyBr3wMFJKoSblFOcERtWhrK7r+wEnZnxbPpbtU/ossR5mF6yPb5vonktdzY17JB',
+        'XNSIJ8mbHcQayVhNzpvdRAc11tWmU7H7koqGcmwyJTeLo2mc+MoYHY4VQ8MITx9+3JLZUtb7az9ENgxBU+1iqFLk8zvTHicTCjur',
+        'Iwsbv/Zr//t/3Lijj8oJ+JLmvDcuszrYufHsGcsgtPCRMJcNCJI2rAaJIYBhGUzr4+jGrc775BkUR7UL8y1929827bworFQ5TVDR',
+        '6Jtlr3eOAgX0QMI+xuDRABCAUV10es3+LqJLOJcMMAPhdouN5tG68giiUZQd26WJ2DcBJ2Et59RH7KNWrZhULNk7oeIdzAvRdiwa',
+        'v93WUmYMtqij3q2vlIgHeCt+QzyOVd1nrNTUCAjpYZu3xr4o3NrBNI6mbtPp+WCHYB+jPbUqtm4MseJsPjkrsOgbsMIZXwVBGtqH',
+        '24Yk2LbirKyG0L7my3Wbf1lBv6nSif7MT1hys2vhPagERj61UL2BTdFOFw3C4AUdmhR+GaZ3G7anPlGWx+a1vlWXSN6/wCgmJs1q',
+        'Gsfb8kVtpS99xDGGoSwHlg63WsLBwJIonwYyZp4+Z+iQZPCIPC2dVXY6tt2uYN8rzzkYKj5ZWjmUsw3XWdW81S+ngWKpLnMWjMSC',
+        'ssA0NVEW7Cr59+XytMEoWn+VpRUoA8H37b57xpxI2OUXhy8m9Wa+XDtzVDW/TvZ826K/6jLM5lOfYqJXXTdp7KvREgrNuimLU1A3',
+        'lQUqNex17WQ8jvnbs/nVbYi+N5zVZRv0J9nzFPte9no7rWdzdkFWfABpHhZVqXw8b5NneB3Ob6mjB1ZQuZfjOwigjOPVni0UO97c',
+        'wDZ8w2Qk5scgmxcOxjkzrMy8cSwxXzSB6R+gDYwGk2sRmQnDPBL3Z5Kr3SXrCIUzjJJzg60i7u/KDkIeV/33sGhoH6m4VHEJ3Kqm',
+        'ZbJ9a1NdOy+wN2mqmyWcgvz9ULV94yWdZpYkJmdUj8RxGtZXDT2AeTOpfAWnt26gEZQ2aAc7HWzERz0yvsgCgY+SjKHS3534mS6o',
+        'smWHbAnWm80nh6Q61a/YhRhXmp+9Y37VbdoPWLVKMq3xnaW/tsTOWiHONgwNx5f1L9wG+rR2+rs9CbUGW+Zu2vfP3rllgT5jhznz',
+        'W50y231nwBtLR+8OtkxGZhCZ3ppawZ1eUzO409Nm37fpSoxmNzb17PBPq794oj18r7ly+J0AAhzIbgyRHr5QUSUWfbIgvvXuRs90',
+        'RsJThcgyJjjtsFjbe6wt2p/XhZ/UwwgHycL4yQLc6KIHw8pjH8L5iZDN4vCFVMjexu8vSUjVMNTzw3fhltdVnWpwQ2Vf4NzlPoG4',
+        'aYmwA3skVohHIRjdIupN/wKRDbBoLV6GG2mjn+SEQqK9dfg6/Yw4i80sMiKf/OzwBRi++4yW1A3hYQVxpXM6aixY9Y0VYdZzFKyh',
+        'MgTXPXwhMWmBMKgtcEs2JP4eWLqHrzdFPfTXkEWpr/mcGJEAl11EP7MIIvzg/nz5mQXIM5Yy0XYcfbK4Lztr4ufs796SBsnGz5Md',
+        'G/drj79UbSDTuKgb/IVcVOUh4MeDOZOTFSktqDyBrqNGmN1jEKvoEZfE9SzFkaYkxha1/8wC3cYTw1WHr1djRFnwdUbgYddkf4Oh',
+        'oqQCA753ZG/S0DO8FTKRS36YbyweUytKg7/Ds9T8g4H36OHr+0gYKP7W1u3hCyMYGKO6ehSgZPaUP7zhlY7ycF0XcJ+QAMENqDoV',
+        'xQtlaA9vIEmwz/ERx85+D/OImR3EXWvMZ8I50B05sPQUewL+4OfN4etX46xGpIfjxvIiNIXHKoN/JTpvCkp78H1URV3PNf7MI0Rc',
+        'n/ZujWLK/cMbHt0g8XkQq8RhbCwu6GnXcF1RIOu9pmkaNYc3EIgsDl9HGaXxMbDumFEBk/rwRo3U9wjMGz/D4MNfgL18+BqskDhE',
+        'JAZkJ8jOWbw/Dijx4XzzFTnFbGbeTLzKs2saZ5hdjHdCfaj3YZmcG34/7pMzTAzYNWCkgYxqGe9m9Z8STVCnHN4AHZik7MDlO1n4',
+        '5Pfxa4VvD1+AA9TRfdPhs4gLXmN+5vA1j/wI5M6WgFK8LfAkYGdUyy8mlUz6YtQcvgC5tJ4DkiPxn1XyGyzXVScbH2/03VdvvnHr',
+        'cZBs8e9b128903GAX7v12/i70YTfu/l7+rmO3AseL2i65AzfetJ+7h1+JtjC+py3dR2Qb/nz9nm3rtv3XyVp+LVbX+XdvH3zB/o7',
+        'fpbE3vfJ433n1vVbnzcK8Q/ENCYV+P2bb9u/38GVbj2Ge775Pq8v/vF7+v6tr/Den7Lrvw06sFGTv2cMYFF7XzXO76u899d4TXKH',
+        'bz1JIvBXQfTF3/jU10FcvvUV3jme7/v8DPz+G/y912591e7vjZvf1c+QoYz7533g/vAVEpBxnd++9QWO02/jbfAuwA/+3q1njJz8',
+        'Bj/te3xOjdN3b/32radsvN7j+3n75g9vvmrE5idIQX715ndFK775KsdZtGZ+zs23yGf+CnnFr+M9kXr8uo3fO3bX10mX/sHN9+33',
+        '37fnfdX+jdnzGEf07Vtf0bzg157BvOE8EimazOZbT918mxzYz4sHe/Qi6Ky3nyQXVsTYF/j1V0lE/Tzpty8dvXL7adFtj/5UdF1Y',
+        'AGC5khb7xu3Hjfm6otDiN5++/QT4r0ffA4P16AVj6Yo5+x3+9lPgzB792e0njv786LWjl0nc1T83SI/Fp3yejN6nwGo9evPo3aO3',
+        'jl7U5xoB+Al+B9fHp75CAvDnj94Cs5e//8TR90iXBSv4STB2jUT7HXB1cV9Hrx19G4xe3Ontp4/eIlkWvFjSdHX/uOujF43i+9rR',
+        'jdtP2vM+DoLt7etk8z7Jz/uuUXlfACH39pNHrxix9mmOKGi4Yhy/AJIsfpe0XfzmSxiP258/+jMyir9kBOHv8No3jv4cLNrbTx29',
+        'efQ8nojXeP3oJX72FzjyL/O3XyF79zvi3t5++uiFzOElnfdNMZP5Th/X9Y3V++LRn91+/OhNfi5G72WOLd7L83Z/39H3SScGx5ic',
+        'XvJ3MeZPyio8ekV0Xb0L3T/f6RfwPOQ3v8g38yT5wy/jT3ovH7P//JT996ftvz9r//3YT/30z/zsz/38L/zCz//cz/7MT//Ux37x',
+        'RO/v/N2Tf+/v//2/d/Lv/p3eiV/8B//wH/3jf/JP/9k//+f/7J/+k3/8j/7hP/gX//Jf/et/82//3b//9//u3/6bf/2v/uW/+Ju/',
+        '+Zu/ydfAn3/qYx/72E/bPz9l//wMv5f/an/6Rfvvx3hTP/Oxn/3Yz33s5z/2CzmupSgrKlByhlztExQrns1QAbT0+whaQPUBuBIM',
+        '9/OXz29dJYOJkrJYTVCmiXpPdDoI7XRVnR0axbwIlhryGA8+u/UIXkMk2/SzwzzYUsR+l2gOGPF9Z9U6KbYLpWWYtIREr7awlsIW',
+        'sVzKnxOzt0RMKBiEAth8VAiCCWY5Zpf/kMQVBg22bRZM9EP0wgx+P2ei5qjUR5kQROS6DcshG1nNN0tULzFS2MknwlUIOkD4RUyb',
+        'mTR5Lid7VGfj95HSIHjrrlgzb7T8rSy8zOm3RE0bHOhz5limrKRIBRxZxLKTJyWmXSVHjTQQGumsfNVStwBJf6zGJSOyRsMabIn1',
+        'CXShYo/lUknNupkNg1+0EelffAUfJenUtVDkSxRE1lWoG6vaSE1dO13MhpWP5YOWTHOb43q0SGunt2G/83FmcaL35SsYNaOM6Ovv',
+        '9kRMIdQ1sZoGaD64n/tBSja4/wimIPGI1AESg0vFE2MXKQd30qeE2LRy1DHNyKrBzwR2WQ9NOFeGqwzd+7kib0UWoiTqthGaMjpa',
+        'KADwLSOTWwqz77KCFd+XuDhU7VYONKK8h8kHU9vu9If5LTNzdwDMH+tmQtVCynn4HR/TvXVZLg/qGvk7L4/bhDhpsCXAT4/VDLj8',
+        '+TCi740SOaoYij0/UzENmHH44HSX6XwQ+Bsv8IG7PQuxZ9cy844gMgjEijlGhVD2TjdvrK72pgUOiDnMUa6qTEUvSx4Sq2zwci2/',
+        '4EvBb4kNNB2AlVv0t0yUH4q787KaowLqQtWuoZ0Kg8qLyupJB1u65Z7SlHWVHqzbQO1gYOIV+GqR9ELRHtQOxIakophWWkFWrhvq',
+        'uL/LGvLKoyxHec7iLiqWWRXdKEXfMiGIMnn4DAgSk0OK2sL8NOluOFPD0E4HJpbczYnyZYT0m6Bci1FvqyDcN8tPBJsJcIWY/h3V',
+        'gJYw7z5j4VXKwqjNWFFLQPyZNEB7eX828dIiZZUNcS6A/4Wsd0osjMDrrCQoR8HsRKBNzhphd1kqP4S8memapSHhyiWqO/lOc4J4',
+        'W0oBkygpvSZcdrlsw2hKbgp+gbM8MmPlhkEcTiAZsNoQoiXrCY8KQeF8WgNFGWZpVM9DFgclqpogozid481A8vGTlZAjT2pWj5CK',
+        'Y9E/p9/VVttFWlhW0KLrSOMrDZm6M8CuhfLBWHBGxdahumOYOeWDLaBHFMW0LHWR5VUp5897aZGUcbcMhjuT5rHByVXmXHhvFoHt',
+        'qMetsuRluTS6BuLJqJr1syCEWdwPFvB6lLS2AOy4YZix90rkVGDT545tUC3Sa/XCKIDAAwpOjZQ+6DG5aGWBo/8+CxY6Ku2JdLDw',
+        'a+HLCU7a6SwLnBI0KYQ7SxteBeZGFo3EWlgGOfuiNLr0MFaSRmGfMk9rWSoiaZoMBsHzTzMqOZq6rBYpNnJe9J4wbEA1dDmB63Im',
+        '8SwlD9jsxo1nrhuHLyroYMmUiFTs9DUzRyC5eh1A50ww52QPgW5w1UqN78Vg/Ab+L2eNs8rGzShQiGlG+Q7hrOOxJluOTJ6wEDs5',
+        'HjyON+vGsiHciKBab6d1CqiiyDpFCwwl1alEOOlKVTIXKRUkJsA+9rRCtN8ISYAFZDcN0LJmKDsoQZC5iDUZAEQudpon/ATDTzkL',
+        'VwAKTINjI2+RocI7ghC+tLlhEjdoFHYFncpJc2ds2VA8aOFgl0+rwRjiBlhWF0wB6FxdDctFs9PnkkHYEcGXuVggiSwy90DdsBvX',
+        'uh/WMjOM7mv1hZCtBwwBzAshpavRsgL8gCq/Yp80yjS/asL/kW2MRRGbnX7ZNn1T2LFFhaC2LosjrctF3WS1WLJ0XyguQb2HJ/RF',
+        'wYTUWp4jzkL0gaUtZCGZUQp2tB9ye7+Ut3ewi2K7YNOslnS3THUrTNrVpPsQVsfjgXvAQhVtX2BrWTrVauJGIUHwjMBS8M0wAh5C',
+        'KcgEttoBidTgcFzdNpDjNAB+DwIT5aKLJmffQk7wFcMw8ZW4DbY1IXcXoQNlFwLcjyqRp746b7Kepe29bKwA4FGzNMZ6uZQkjZon',
+        'abOSCrtQnW8q3s28nQ7GVOMBlYHVDSAU8OOJYCkC8iMK71EfFIvgsmqGqhwAT3hiwSCHxeclLNUQukVlDMA0r68QtNF3hq/Lya4g',
+        'PAuZ0rNA8lTWLS2H2DmR6vDO2Od8O5iV2AGqdnew9WDdHIQJir+kLuJrKhYj09XCO2nWspIC9jyU2UtjAAPO1MpKpnSL6gY7bjat',
+        'WwI2fHk3jR+yUm8KHuoVveVpqFjLqFpK4OoF7EQF81AyHa/OCnGk+Kmrx+dWRwCVQmjPZ1LAc7HBuTsKqnNDXaaoFPsBBecY4GCw',
+        'htiS9WKZLZxggsYCe1FyiyvQiaOpD0iH4u6OsiwhJnzlsv42zeoSyJSQqMGfxkRblJY48JqssKT4fFrXBcvlyFsItqERjT7HLkza',
+        'KPQILCBi1ZYkvKogAwGESX28Ze4t+Jwqm5fSa8Zqcnc+lwlQw8Rne7+kKTqjE3FR4nJfEpKO9489cwQLbd5EQIcbmDTSRwhtBbnM',
+        'x39zjwzI/q6pMC6ZuMwZZWGnD6o1mT2b7gIZSsi1adBU8NAiBSsp4aY0UBJFUZSYDIpdLjeygyqbjcZ/a2CcuppsSGYzNiMbuUIM',
+        'wiS0e6wmpdeP9zXYUmJxlyVQMyt2jkJyyqJOIg3QdIQWmKYa9/uqJeUQ6T3JkmI4eCSa8Taq53pS8RjSIuFpSfv4VKjCtUUo/ZoA',
+        'DuWSNhncaaXv4NdJjwl6z369wOuGUoLT5pF4Jc4xW2VdUFwipNpSVscBCkViNcJJn/PQJiCDfShWs2+ZQOMpQzpSg5LOUngfq3an',
+        'XUc0b6GaK9hjwXiBuzkleoH2GB7hsrCnLHblJmUFSrPEYi4cGPdg12miwBQ8zWljY59CyJ43hlERIhezFu/0cjZ7VN6AnCI2Ycye',
+        'yu/HCRRDllDv78JSkiaSNHcigUtVfooMDtB/PtdxxwXgfZqK2De8lVgaVQV4dyXBnbiewGn4pKJT74wBXmIfS8QlMTRTjx+ySesM',
+        'fRQKJgGBCMBJPcPBUSzmJdc55SuJZol1QyEPg0x7Ng6IIX02azFVSk1K30TXspZOSNwyIdkG1MNTUEPWHJBdsL/BngzqP8Nfz0ly',
+        'nOStn83RYIN7L17KJxpieSeeXhIKm9V9A0CSwnlUDeKN1RURuHhx+K1H4KNZBThtUemRL09pnze5UxQUSChMhlTeJLRJHDZXj/ey',
+        '7ZefqzBodcBaDET2D7Ky0ZRtJ3vmxo2gkNNRkkUJu56F+m2onMstHkxnCh3ImDbSRpawG3IRKKmlKChk79RuKNMUh6aYw9gZVW0O',
+        'CkDDUsf0yewpmAdUV37CCrQ2kAOAJYoKRR2S2NTx4cZKX88CkP6uXYvScYX1gqCPvlRDC+4JUBuIyQivsq2ZB4YNuzcFAiyC2qHK',
+        'AVeq7hyMthSxmJG017P3skxBMTQCJCxMR4CMvxIqxpkYhSBiYh8OOLjpLlagMF5BNwOsaRSH5IYDoSDeDCJ3n6Uzg3EMJRgPusMZ',
+        'OHoI4O6HotczdLGx9NpaZTkIXlndRNrNFUTZEjZpt1pFLeZ8F0j94TWxoy3sbm/CvZIlv7btgIR1YD22aO4apWrPN3E4DBgC2zdy',
+        'lUg6QFSkSrHKkYpcSnuWLL0h4htCo8fUGsDe3QGDCkHBXbO0yqUYtpiT2PlxbGcBt8sVbawy5q3muIsTqwosm+BLjmrKoaFFCs25',
+        'iQTSCvuIID+fzn3KtSTVBAwiNMVSEcb6OBwoxESDAdZH1ikNAKHiNoi1wx52AhbAYqTBcCWgGKAIM0QUYbdgw8/RnnVxjlw9vsQW',
+        'XzoHETQPhUAZsIDzIZ7F02mwpTew2xrBCWXQWhBZgJuyT1RczvYqoHrcKvNL2RHNApJiHP0wcgyZCtpKotS/qzRw3lmUKMeol50o',
+        'd8QtExBDCxGlg1BUrG/HiyM9y+VSv/y672SNPT7Hu1UXMsXZzDuuG2GkoI4B3NCn1uV0A2gmlGj1ZNe1xa7sDUf0NVWyvXlELE+l',
+        '+3PmLx7OQbAWkDu0WZAxgIMtn9lZJDUYGLlhV/XZ7TRknU6Vhda7+bQ5Q8AFt3er0Vtn4BsVzDzE6dUshsLlqnsXdi0rqFxnPFqY',
+        'RkmnXY7BnjXsdbnc4/HpK74d4XdR3Y4xwvTjUYtv0fyWRFAEdpExwOFJ3etGuD179OhZIjfEYNPT8MAihcWMsGCgrnzl13JcbIbG',
+        'Balu/TyXYXpnb+w8kgP4ROGjeXpaSwo1bIn7AVTlz+E4YjG6DKpFov/fdzQ3dvq08jAapmeNXUVRMvjDqM4xT5eLgzzZCCo1Aglo',
+        'URae1fDsG2GSS2OaxpaLFdo4l8X3eV040WjaUEkeb7pGmruMhWPf5QTAHZ7MAfYdA2VuFkF2dciqc6dgAnaJqnDshTPYsooTG1TN',
+        'cIBJAmvwcA/12HYkNoq49/ID9xMLAd91edbY3XtTBAdth+RhQhIZMnjZHXAbWb1qB/1OfyvX76HkhqU1Pp9N1MahuHqckxQlyrbC',
+        'Xz67KGNoF/vxL1//i2fCXz6Lhtl/8WX7w4/e+fyP3v7Gj97+0w+/8a0Pv/nSRy/+Dwn2PrjxDSn2Prjxjf/v9775/7xx4//9/e/9',
+        '+O13f/z9x378zlMfvfzsT17+BnrVv/T1j15+Fb/4/Fc++vPf/+DLj334zS9/8PSzH/zB8z9+93c/evzrP/nB73z41A8/+OarP373',
+        'Oz/+4Ws/fudrf/3E8x988d2ffOmpnzz3/odf+d2Pnn3mw29/86+feP6jr/3gwz9576Mf/vcfv/3Yhze+9eHXX/nx9//bBy//0V+/',
+        '+MxHrzz+kz95/IPvfP2D3/lvP37vDz/8vVc//PLLH7z7Xz9886mPvvfOR489+cHT/+ODJ1/64OXnPnr5+Y9efveDZ9798K3XPvjm',
+        '6x+8ff3D373x4dff/+APnv/gmW/8+N2XPnj7+gfPfeeDG9/+ydf/+KM3n/7wj7710ZtP/+TlZ3/ytS/gw3/47IePv/KTH/xOlhMm',
+        '37SHN0aLsobphonshx6ybWRIFhTBhcY0YEUnEkxz9KCHNwJbC3lbf5CdmhRZ296G4eG7yOmy+lxqIXZqJyVA3g2CsVIPmvw0FnU2',
+        '3pr97GR1SkIIryDqIyaFYqgKxixr03Uur+SMnS4yRQtw1aqMpvRutKD8TrXOhzd8nB0+C/siq2R9k+VVDXMuUFqi3J4XbUN5+MIY',
+        'VfpokWWaLInIVEyrS1Anh5n6bIle9VZ/XqcsoEoWMYs+tExV+GQ123UyUVbuWuuLeuSbw2dHrepKKIy0MYymJCt8gVHmqGLh8Fbz',
+        'U5jKm3I1yvh8aXUvJC80I0wFUSvhpXtQnCr0M6yuHT5bhms5gFzPQ8nZ4rOML5lZhinQQFlZQYn3LDMZkORSI4Z75iSZe/utrBZM',
+        'WSaZR75Ouan2dbbE/qG13EbT8etsjK2m4G/z/7/F777Bb73KH/ti7kSuJuWP/+i5/27fws+/xP//Njt2v5M/R13J3+EPfzV/zmO8',
+        'DV3027yN5/OvP1dEkCrqUbIW4LilV3/0revsX/48f+Zl/vk5/vnP+euvsjn62/zic/mWvpvbluvqX8iXeDV3DX8zf+upHz33+/zK',
+        'd3k53dLv5WupSflL7Kf+mN0q/vCHfIpneEWN2Hdzh/LfZ4PzL+U+5d/m/55Tn3V+ggbhzdzv/En+7jd40Rv5Kt/I7d41kq8e69eu',
+        'F/el3CSeL87G+fqPnnvc2pzjW39so40H/G02Yv+9PAhP5mt9Izduf46j0XVb/+M8UNf5w7qfr+WLvpxHTHf+fn7p3/3Rc0/nLvV/',
+        'mK/1tTxE+kC1hP8hv6jR/i7HSvPhpfyi9Tiaq+/nUX2Mg/ASb+953q1+/Yv5xr6Ar1tfec1nzVW9nS/xbm/kNvav5qf4pk0VG+eX',
+        '7bnw3Rf5/9/MD/itfK3HeP/v5K72usk/yX/VDz/OR9YKeo5f7GbLc/n2vs171p9ftBvGPT/DR3gz38+389R6JV9Ut/oKXy4vZPf8',
+        'mPE70OAL7WNY7JKz6yd7e1nH4h71+14li52AhZ3ZRLMYzLM2h4k1tlyDDaTeDQOfvyuiJLYw60tz55k78MmX9MlZBJRAiyhGzWI2',
+        'hDWZAiq4oPS5ht2plKOKT9lDSxd0yPTG24hUQlvo50GFtCKPgEq2skWzY50DXggeMD7qjz35YJbrLPquS2Lnjon6DS9RiXWZcD4t',
+        'AJp3pz55bqPpquU7FVJC0EGRbN4LHeVHPBnEbb0Kvm26zkiMrCDAbyCoMGyQ0VB+lxxNeduxI+/u9H8pa+7JeTNDzkwFPG84SGqL',
+        'bMwQjBUSt1HaGnWnivPL3Ru8iGbW3hRgc8+I9aLM73KTjvFD47U+XOWSWhJLX3OcLQmb1IEPfuHDXVbx050mjOn/1NZ1UdVWEjtg',
+        'BJufguI4uaSEQs3pzQK7OVqknf7gWICTzgVbT8a0SdPbUmKxrvbqynw6ulfwf1u8tA1a+F1iHD0tFirnzCkTPVGcw5IGMUNV12v5',
+        'HF4nN9Pb6mlyB3EIR/Dtu7oVYB0mkcKp+AJiCmts1AJ8dZeB6mfKSt+ZiqGNo86k3+rUKr3ce5x3NlkgQDWaX902V3M+jSUqPKbL',
+        'nNgd5by7cHYQ07BG3hKCxbyTfgAUJtJrDicGxgmGMDaW0+W8ZpPYtKls9NrpbVK6GMKmasS6B4PRiee9hyPEMc0atD6BlnOjwBgf',
+        'A/UGC9Xm5eguxhTZkla5UMEUizizfKKrqz0JqXINI9I9cOJoIo1Gi7leaw2HbcxyLtRIsrV9U5vKzOrBowgJKHIAWyTvUhMT5sRR',
+        'v6tkYhc5trXqcuxbRchvf9TNtfkCZBR8SijJflAVsb0PdrOVYGCe/XhuJJyTrErlHXSuYjG9I688EMWlKjH5wUi0Tk6DhLjtkLng',
+        'T3T7ZK93nl6qa7s8ITyOKP8P6RjWJ7UWy2lRtzuzNchIBJ9j0GUEFFZCzOhBNPBhR7RhWNZ655mVFAqrCoypNSWRiCW2FkQECFW/',
+        'Uwec7GUuyrYzjQ5rOtm2GFWnZLsCpN+Jn3JcC6wlZvB5p6ZFO9lzneQj6zGcUwSNzzY07i6pdAoXEfrJ8cvMglBdZPX8AmVNyJgy',
+        'UQ+txH6EbIeN3kiPoi6EGVBfMrCDSs6rLqEY1/0SwyGMZxi1AfTLypmsyFSJ1zATIXhEYALVx2xsmXKUDUQHZN3weIx5UlA6vTPP',
+        'jYHPOtW1LqhNqijmEU4wto8Hh6hv7PTC0szNkkq3uTRCeacer9bv1Y7NITnEeFFmHVWTUI8G0thiRnkJc6u4P8UnqnqjCfPg223j',
+        'fyCwK+JXZGGcdEPWBRzTY1Hl6EQW9I2WXWgOEHEkU/CSYlI35QbrV4aJzXHSOcqRgtJkM3Kdl2ESLZGNd0nc/ZlOW5wFT+UyluVC',
+        '2cMxiMcM73L2ceu/qN0sVpM7ut+dJ8SjcXJSmcUcispF8UR+yOYXyDzX7AXg6goY18A10wmOU84zlMvdTkRYk5YMsjGCbw1HN86o',
+        'mUVz77FTI4J1r+YRrh7f31kKn6yyDhNxUCUbe530OSr42E7DXp0ToxQDsNXDRTU+peaOWCBkObMawV3KUfh1UR5YDytZTqyrk91F',
+        'YPdIwNkKxerqMeYX1ClNsuy9Ccn0yeLvgsfzK102PEuXR0BOmruroC9smry6B1udXXIquh13ZttFN8hy3BGVTRK/dOLfpGgw1lum',
+        'HZXLthanl6ps1IC1CDdvGPz3t3p5x7L6c9gqqqi+RoZQ0H4AETsfbdfWDPUctYUkHwi+YtXtel4LQRoE1qAj4KzGGdJkIJR4ubMi',
+        'IWWUznXo05VAlhsFj8R6WyyUcUlnMdhBl8qU5ABzjT3iaF8h0DANIhxZyjspeovN1ah7vlkqsZUIBWULYNBhu1xSd8an+7Tz88Q2',
+        '/Vq2PEg3wkZDzQ9GkRCaE6s5iYASx3S3c0A6zX9i2JZJkpzhCel8t4d1YvqkPOWCfWNUPooxcZZdIIqRqOlOS3yCAQWqYMw8xd4Z',
+        'cp/SlZLJWN98O6xSxPLuZN1K4yOT06mdnalh2mm4f3E1zNApapJJIx5RHKeJpcwSMm59GcP909smpDjwUqOxkztLKGax3elLNnE3',
+        'osZG6PFl3jnLpUnQ4HXUczt1F91+0FVWVA8dO13yHtszmSoSwrQTyfqlsjdeo0mjdWSS+SZ6tavG4J/rZtgYogvunb0uOWqKEIb8',
+        'UQ9KUeKv5l1UJ12iqqg0D00yJ/pvTGljH1/L82WtUwUnNYLArtDlYdKATFqY0DqCkCchPYVabnk2RDkyC4Lvq1MTTz+7BE4rCsto',
+        '3eyb6Nz6/2H3Jv4Y17WSlGuw9cYGGSB8mZYidtaqRjaD8w+ByzDPIiFHmgxhsJCs65M7neudmTxRj9OBCa42zXvyVVExaQB746BB',
+        'Nrdyw2UnpkmdLPQO7DtF4w98OS5r354FzDeipQ11L53+fCXrT+qkjRPpfGddD9FDjJbqvPMRYQtIZED7qmJBuVEkIbO0gggn0RhW',
+        'GXY4ifrgkXrkULxx1UrMNStMSaRR1pVooDrti4udL17GPHMuyXMAvUtfqOoN7PI0mFKnTWT/PjVhuB9VzIoQIBkvqYAaMTJdToW8',
+        'JBrSaxXnulXbZXhn90vMWTfLTu56Z1e0gu7DZufA0wx8gxp7tOXLdjmuBsYGRpKyxGEIFRQ1pToNXerseyP5VaMAtJmdukbH6CPh',
+        '65QnAIDZktJSMwVJaCkfWrc+aZyJJu7ozdmtEmoO2XDIPHf58M1FlRlynWHpVsVV3iGY3rBIw+TgfciF0ABLK6Ci5RurTOTospdO',
+        'SnvoQroCBqdOqTwORLWodvpUN3k3Dgfg50vjpPmD8ZMKGWqWThmxew5d6dmazXVTQnsEgfDGxAwkHEfyOrooRE8xf+Tppf7HNe5m',
+        'x2QXJpNO+A2yAdKxwzJc7GIye50VlCXE/d3uk09urSQF6sTk6vHGoykVV06dPr1tXVfoG6zotlif8NntK7hGFqakToPsPCX64Ol0',
+        '2so0Y/wOc+piFwuKrbMmnRe7WIFIgowpBLbwdm1tLRYoVjlgn8Rp6ITFnZ6dYmxAf86cOQMoWu0mqLLqPEjTDMAeJ2zFZrsEVkXy',
+        'VdqAIHFcV1fCknvIdu67evbekO1TFYqwBXAuRnHqCUs/qBlZU/Nsae2HTtThOs2WMz4lLCORHhE/UVdQeKTMrGKTgLpPoqVM2Dlx',
+        'gmOPqEi2r+pFMv4d1Me0gZDXQYMJYfCKRbBOd2rZjLcKi0wsvzBGW51kMjG147L2cq6tL+cipXWks2Q/P2y0Tl9JMYDij7s7q+BK',
+        'LGv5ed26zJV/jIwF/UYDz3UCPX9aVWTCF4pFpGVUoVLFj5ZioLJjWFWYqs/jngtablk7bCsAHz7qfAjU7iCOtNPPHj2skTlZlPJh',
+        '6fn4bP3vBzV2JpPGGLvlUp4SQj2Wk/PNkiM5wh3QN+U7ohWZpiG0M18ttM54LOpg7tzPta6cau+YH+pM5cAZxq0KTRpaum2+coZs',
+        'yrILTEFbvr/eyV571pfYTwLORkUWMxvI+b7LZQb3x7BoA4g9vU55J8E41Qh6zZRiFGieKyFk0FNyl1c7sWayCKYlcb6iBZ+FIqeS',
+        'MXfpaTYz+b+qpFjMQWSCAneiMtxHpVLrVOjkYMtP2exUZHdJEcG334aGjcW7qko2JGVdZkir8zdXpG2O1MQZ0s3KqS+YDPqNA5uT',
+        'sgcuUcSPJzd7KMIUsdl5ln1D0cChtm4oWK8PhgP3nyCL89ksSbGr+iy6c3WR60azNmfkSwgRecD6HAHfD1T/AeKtOlxS3/YkgBrX',
+        'Ta5qhS3ii+Ulyk9MW8w2Snl9pKwjodxQJR0wWXRadZYC7c4WPiIqG6TjWneZxqRaC5z7nVQW+4hBJ43hjfcLbQiP960uCjEJOd7O',
+        'BI18sFDK0gldAbBDBZl2OOAcO1hZnFQ7bT2ncJWvCx3jIlvagf0ikTjsA4gOwFvkWsWKh1K465Unf0Z7zqKBP5+JobV1b5GiUrvF',
+        'Qa42cV1R9XrO1HCnXmg/oLyO2m9cQ22/ugrt1InU3Hntu1AYS1R4x5kzlE7z4tbCLGtiSCi2jtnYkGtnl+6qGii9uQc219Q0w+hV',
+        'aCT1/i66bsmEyVEcX5ofVSxm1kgOi97lnQ1yd61+18mbuxrbTSQkNlj3Qmuu9FVoTV904FPRlciXaqXnfCs6ND7Gs30VRVjYhGs1',
+        'G1Cxo/TxUjHbIehqiTN5MnXK1M4D3w/SzsHGTNhtiYPXW0aTTWuF7GBToWsK5gBYnOrCA3+miaIO13NTQUqJrLXPieorCalxzjAX',
+        'wwBgZ92ocSJb2CkuRSrxkvpYJoZgUGAdsPk425SqYArfHTZZum5xVrgYrP/gLjqyOBwb9yR9is1JEV8lNsNsR3cb0PAx0wqwA9To',
+        'Wet8JN3sGXdHmOGf7bu6mMxWF+DASQJniQ6kZSS2OqoAms3ILmy7WME8tm0aLprJtLPRT2Zu7NpYfE00dLR+s4zw0VY52XP1aOQV',
+        'bRpKiQ8jBIx0KwlSdwPGGKmRdCbzwjvay3v7+qrgBCXYuDuSv2nqLFKHIHCmW03O73anWlefPrCgGVrfIY5C6dqmWv/1t7ZAOrcc',
+        'KUF3kDlm2nu5jPDBRt6qHqWgL1wWGlZd9kF8W5AP/+pP/+p3/ur5v/qDv3rx9uOkvL3+fz8DgFIDtxL+flCHTe40lOckeGqmaCLV',
+        'zBc1zx5+dzGM9nOyvaLR0KikWSmDUrezBvW+wNc6VReqOOn+Yu6bMAv5RqOUMbrFa2QJb6zZdYVXy7VmsSbvQPdSD0181ZVdh068',
+        'lRiBxC8k5eOxQ2f7pevZQZqWMsbMms/rCueRyPt6SsWCInp5lb5AFmMITiFcby/1l+RW6r0R606PljKHDmU/JlpKVvkXrvkMVQh5',
+        'XCC/GtXV4etoutDBJdDvpTm8MVmEa4pFRqbdTTZm2WY2T+k23jHSFSKwoUZCjLWMVQhskkqXhbyiN0kiek10qVvX7Wv403fBYLr5',
+        '3q2vkqL0Lr/6RTKRwJ167eb7YBbdfOPm++QxdVwqUpHe5b/BsfohOVPf72hSr694VCI58SpvZXbSrevdd8HAeptspbdJbXqTDCze',
+        'KX7u5h8bu+rdm2/x3kFKMkKU2Fa3vnrzLfKwntBTdhypd4w4hT/h/h7jGLzH/xfTS+ypdzpC1pMdA+pVGw3wst4T8Qs/wTvEb9k9',
+        '33qmozzhak/c+iIJUz+05/3erS+C20WOlv3J+E7iZeH3QKVaXRd3/z5HXfcsohgJYrzyFzkW3+ff+bs337j1BL5CEpXeyPfJ/hJD',
+        '6nvdc7xhby2/rS+Sf/XH+b3Zz7197JPfyU9N5ha/C5qX+FS3nrj5LBlV7xpxDCys927+YXeNd/lGX7f7fR9jakQrvI8f2NvPVLK3',
+        'xR/Du7z1DN8bx6Abv/d53TfID/tD8rMwJs/l64JnhnuxNyUm2Q/zzLl1nZSwr976or3Lr976gtHDrt96jP9gXbzKOQmy2JPd5716',
+        '84+60eC98EnyjHj11ufJNXuG7+hVfJa95cf4tPnnNM/e5Z+N6nXrSTDIMGtFN+O4v60/3fqKzY33OI9e59wFg4z3R1rZlztqGd7t',
+        'D/A03bx/j/etufu1W4/devLm2ze/C4rW0YtHr9z+0tG3cFIYFUz/FkPsHVChRJcS94sUriePXiJZ6+nbT4G0dfvzxsPKlLH8u2/e',
+        'furoW+RVPa6v3b5+9Lr9xjvG47oBchkJUp/nifUi/nT04u3rt79EWtcr5IfhN75H9hTIWqRZHb149Nbtp24/ffRapoTdfhLPgU+5',
+        'ff3oLVC1yCgjy+zo3aMXjl7Eb91+Gl+//XlyrfSsYIa93I3G03Z/r9nPXT964+gNPAPv48mOqUb+GX/+zzOPLT8bn8bGjXQxUcue',
+        'ENcMnwSSGp8NI/QKn+cFMr9ew71oTEFEO3qRhDAbg9tP3b5O9tYXjl7htZ40Qhd+7g2O5JNHf3b0Gp6I40AK3O0v6GlEEiOx7Xmw',
+        'zbq3gJ97nSyxJ0EyA3WMY48rfkk8M9DR7OdwtZc0Evam3zi6YVfj3RjZzMbemHTf6d7xn2FmgBqXKWf2KS/zXXL+HX3bnve63iKJ',
+        'aq8cPX/7ydvXj75z9BZGGDPx6HV+6heO3rp93WaYxlwz+SWSzr6H966xv30d40ZS3luYMemu5WU/ARVpTa1GmCG8YyVa2JzEsX1V',
+        '5zKFb7nLtbRwpTnd/VUWrKsYg/EvyFesJtJP8cNCtR+bmuoUy7FRFoOQ7ByCrEBd0azwabrdVZWjLMJSjYMtpcHpSSJmZuluS/5n',
+        '1VpoGWRmZH/KJtmrbPTZDtPV3z2zEvgEQQjgOZjAR0Ic1K5adFdwHmuHY373OYtoUtaUpSHkCM/Niwyt9UteWzTlmskvZngKpkOS',
+        'ND0bQC3TCWFKBsVqNPljXZ1eRbJWefa0ed/FT3yOjK3PdVZSG5S8GwCmvcr0bA9W2ZLpoiqaQLer17s3l02qX4ykkgg3nUVSeXtU',
+        'd0pG9V92yrwPQwmzfqcvqAZvHWGZ/yt4WOUdqCQU82ndGuQoE2QQdijb7bSYQ9qoxA90OcsHWR1Fsz5zmeJ+mPmrqt/b6aeD2F7T',
+        'T5xfve6OMlWC3m9QGTfYyi2bdtspI3zD2BRN6GhX0q9xnuFN5TyjRbBiSBCMJMv4dbHW1DvReTorpUiRK97YKUokMoSGjVMXM6cX',
+        'coLi/1hNuVUMfJvBXlYlo+A5ty/hmClOmr3+MT5RYUM3DOfGE+YjWoWGzZl7wLdTdEaum7W0aChFpCqmksc2DGqTZUAMAhU8G1ar',
+        'd20TisFKWsTIikoeI1uGMoQWq306mq4en96caIqvnaYZTk+rPB/QkYxxhf7KO4wKMnNQr/qcb1V3JfsqAh9aZKvggsIRdHJzRxCW',
+        '72ZZThp2sUqHzvK2yM6v1lDmVpVLt7kSAEloKoVmpwNMloJkyttUYRyoaukUByq6OJNT4yXFHmvKA5ByeYBtIhzyRoOVwHW177i5',
+        '2mTjI3KFDDcQl2FuKOeopEZkJEmBquzMoWOcxdVQiYekvHzpjjdYLtlbMMRJ1S43Vsk+wNftxapNK2cHRr8sQ4na2BpyggozkWLK',
+        'yNiA1IgUOT0cKh8R1xgF7zqdk0nCMD3VS8IS+JQQ2Dsugoo3KUlJzWinvzVYyRstxZEhLTZTzVNFZn2w1SX4cvtE7A+RNCrVLbM4',
+        'kDg4HFQjyx1YviA4NalmMHBTB9qDqAWeNFH978K51b7TdbCETJmxb1Y/KqrHQFtXN+vWVhJsjK8l3Q2yc8eZM/8rYijGvBisJA8s',
+        '88Rb3umf3uxAQt2ar6uHqpyhcrlhH3ITRiVCALqRfkflhscSC4qckfVU+uZ/ElOkC6tjPMvSOX/lsbMtp+POTpVPl/FebVx3rKL/',
+        'Tq1y+AmntwdbNtk7IAh6HIL8htbulQlIETGC0rnS9tmpwvu7K50+g6/Wvgm/YPqGj3fxlu351W1nZ2dug4dIo+VSGM+dGR+iWOUF',
+        'nAnolM1PtYWsB9P/Lb+WgriKkcbMMALD5ar6YFUPii3I5eT/gQCDisfNIUlDhM2PPrOIdrAqHsbgLjsWLaRalP4k1tVn2VoDWrKz',
+        '+QBwUCMhEg1FTFjVahTcFKDogaqlwLZG7k0nxM81Z5xAnXJ9s2PilcsLxzbz1mXmoxXOLRk7ZUU+pIbWloxPD62jpwhdzexM0a1Q',
+        'DKWjTc6dYb3VDWPzeFmW3OW2qVgjQuNGtPFE7tD2yc08EAvtVJEOjV4UnE65W6gIGTYk6gkHNB9pHF32LEjwTF6n7+KeOUG/00dJ',
+        'LIh+NbpDqduoBEJj6y3EKLZeN+twpa7Q5s+uFbFyWa+Tal6Ut66UAUqOc5dOEHOoymUJfe75Q8kOm6VzHEQgxVBfuPRQ7pNE+E3d',
+        'QCS3Smc50UVIE7GGXYSUJtcB1FixzGl5tkMdrmHCcUiqNqvG804ghNDWoyk32ojJ5YJo0sKCNEuruDDQjmaMrI66nsWmMblO9nIT',
+        'moHJgi/r3JxH7TuQbVliLrfNBD4mKxTYLM4IHjSIKskPBStUDpRqLomuapf8ki/h7pVR5l0nRMqMVBx1nTw0GYuDXJ/OZE25a1ys',
+        'Jveq0RdWU87GMzUmJGgslyKiSO6acTvlMvcFQ5oU/oCnrnJs+zvmr8n3YrucqtRBYrMsCUu5c+s0znPzHldXXP4yytIUS0cl7l6o',
+        'UkCAmCTjl3NPMSxpihSZleqvZMbUFGADTWeJ0NOvtdNG6L9pWKm3neFxkX+oeeIz30vGQb51dnwVDVeiVWR3DakWq8lU1iQYGym0',
+        'F6whXT/bd4Mt7KmW412JJTlhrNii1ztmT3bI1NXZM1Dtwt37lKypVdc0uL5DAj20O/1Po81j1FOwLZvJ+dT0CYuGmdfI7+ytTqdc',
+        'GxOriRJVnJ4PLDojEocUUhWuHq8Oyzuxo9sPmPWKv83i1QzyGIb2IAiekRu9YWp0oOmyc2n3YcRkEWhOEFBta2fWftg6f/m8+z9B',
+        'BTBYKyU9XDbVaCnVHVmBrh6bRAzrt1jZ66uEvstO0KIJmx1twBE8IVPi3Mp4wh5l/X+yxIqnCKnU0JJx3xSfYn3l+uRSl1hNLv6t',
+        'iIAV56VMA40Gy9CF/XCIs0Fp6UmOCKQuR+RW3rjL3VCznSp9JvPzMhez2JvHVz6D78hNvF09vne16SJbZW1XtdFzoqBNMLlFjVkK',
+        '3MT4AiRVW2nMjwmdkxYkuRwwkyh1G4ZVfV5q6088cFk94M6trG0Y0Gat3N2FDNbpAdKg7Pr+4lqYhkNmhDVLUDg2JaxlSlssV2OZ',
+        '8xqkWnyA5q0EkZCd2EB1qplKYD+awytlJeWGlqFPo4Zai6pwF1b2ZFYTEsOD/ogFdjlsYZbw6/zu/WO1fMmt6kq59+l01YxiTrVD',
+        '3tC+J+giHK8/IlHGyUfjA5mEaKosOIFuSO1GttWadmqK4bJ7x7ngDCt8WjftBkCoXQu5Lb9rli4WgdLXETWB9cqKxzkHkYAvFA6Z',
+        'N0E0YsIDUHMidQGm3MrgXB9sdSdrkH9Ot7rbYX71wsq/WFWIJvoAG8zTbbouMpJbdBHl2lltKmXi8ZV7aoMgBUGyDLhjlY5pMcx1',
+        'OLyElp61wsT77sDoKCU2yJ4vcz0c2u+CcCctfYY8y5geNzV1AGzalksnYdhk1ZMiHM5TY5gSump3ZP4SPVVzB+cha155ZwQKcWYc',
+        'qJ6AAzALrbeuxZdzTYgvV9L5dHnlGmURHQk9VpGKlHA3S1b1nSkXHyHn7TtvsQkzTCyCfNRDGS1TV5LQX++0cbHquPuhMB0kHBX9',
+        'm3Onq/qjjI1sC1ePH2AOmTZKxgkf04LBSE/GYAzFYFXOmKmDLIfrik5zed012FzqnY193biY1DMWzpRGFK1pnQBzlyQNkXPC93aR',
+        'hAr23SY7yuoy287u45LGMoAi29FEA3eQRXq8O1IgBd7MoNRYLi90FUHrKwliaokzouOWFsNshHRxOV92QU1fdjnicil2UjMJnEYo',
+        'Rb+iOUmHzae26zbhvLs6K6t0tp7s9HdXZe5dLfzVdq+rNTSIOIcNKkVgGiH4ZDkVRckrFXcvN+HAnuqTMx+Fw0kErc+qDvJvZ8G2',
+        'QUXVeOKsivQA5oIFg52eMTyNL83mxIMLB47JkFahiu1VKf+6HHVqeNraXQlhrnecK50TNkDHHuhJMxk9Qfp75sSPFm3uk+namgFX',
+        'ijC3TYOLJSXlGaNiFk5Du0xfHgAeiKmRO8rSlOBEZI21jQOp/pCPkHGbu5B/ps8+Byqyq72TWoNCI9G53BbUW5I8lMu7VzmJk6vy',
+        'F3uFoVyu764MzjOrmgpc1jCIJt3HO8qVDOboGj4n9x//W0JHKGhBkjcBoZVypLNVXYVtIgIHdEAdMObEukokKrsPa6uGJ4CZVR8Y',
+        'YJAGBQ93ycasZBwTJjdNwJBQqlmz43xXl+Yu5Ph+yxpTK1Dt2LWoMtBWUdWtno2x9DjW2Ypge1W4sSqKvJuxQo+hqRNyu0/2ML52',
+        'ko0lqj/eLRfbK9cFDT6r0eGar11neysUwTE7kPeLQ6LphJD0aZSYaNgb13IzLrMCyWZM8oNIMSQlcFWR4UarMytj87BQsvt8+lic',
+        'xhHQWFemwjLvd8DeCqrgWBE0zmZpKDgEmfwWCuzIZRw2cTFjhbyOumiEVDdcgipqe+qqAJbxB+jm0J+7CVl9SgNSz5pbYmMTAwjQ',
+        'tlc48Yq4ZGJGXHFP2d9k0vlDbaOuypi0imG5WNlb3yj8sqP6o3BSByTUdwv1gQfLY5Uyk0+mdZzsZqAIh4Zccu2OjW+9Ikh35xak',
+        '7h/yAvD+KLw1rX1dPYAV8BBOIsjIVIGZ+7q6ISS3zJs09UyTlh2Os2epEzKfZDp5GR/wruNmY3ztHjrOaGytuID8c3LzaAphqts0',
+        'yOpHhrGI3lgtXt5Z13FHh4+pFrOg29XjiyuvWT07bLV0WvcD0EInrI4fLjU0Jts3+amRuUxFPEchkm+Wud7fune0Kr7hpQgDL1dR',
+        'tU0uPRUOGnIaxkj2xZyKVeCbUubH9fPJzUuZkfC31JiAA5c50zZeAQHwO3aOd204ILd3UwBMqShl1/aC7E2LyjDTqEOwHkvTaoaW',
+        'xVba+o7Uurt9Q3qmXFQYpx39DFllqwF12sE070hPVXrHPh4+X+4gTEhsyNB3Mwq5GxXFPaKMhbzbT+Oc69JimRYQVCY1273SHRNh',
+        'qNR3rBZpW/2zOUs4pNyiXKfZnWqnVfFh3pjwNsscAepYNJi05iac6bM1L/xXNLPoCuO8RX/4hkwOqtirIsixyqzqttitzHKKQk8T',
+        'XgyMYkfxoQfI7EuXaRq2FZqS20BlBTU2iakMKqbBlB5mxFvWGzZoYHlXs8RCZPfXTY6UdWWUOIQTliWgtHevQie5EzkWwyrUsyLM',
+        'rFvvg8YWjllYBGgqVdTF4pXP4pETK+gwr2jLgoVnjYu7Njun0N/UIXjM6oUxzmAUbVjja7yLlYMH9k9l4yBbRS7aSh+/YgaRHmol',
+        'HIga2uTazSfsiRNWd6XyLZdrySwQRpirL6J4fKEJj+bdqKNlVssVy2E9N2JZoO/MPEcEUNxkPUNAmLVXYGZd+ltVEADbXLGQIur1',
+        'EYIv464WlUOvcRoj7L9WqD3uIzCwTJHN4ulVRKAL4+LEEU6V5OCUd3CsCXtvsMPzlNNRyzcvW4dz1+JVmKwKmwgFLAGG+lGMaEA3',
+        'ahOmirTdlZtE619/XBGr1nNnG4dJ63Pro3blZDLB0RWbZvuUNS5hD9t/F7IdLg9C50NeWln8K77TulVpSBedWU/JIOz08gng536m',
+        'Anx+h6a7Fa+o+AwTNFd9YMysCVQMqZOJ4PS33hggOGB+c8VykV1lfKt7+Egjx+wSLCezVoSn4Xpj5bQwBWbkA1q9GtMtFmoQE7k0',
+        'DxXnmti5zHpJB9Ehby2tDj/cnthA97CIxZkw0zLDzDa5YklAqKwdiplfORdBg0TGqZYkqMBwdCsbPv4Apcllh55FJZfiZ9MI+8zb',
+        'G7KngOkz+59Tyd0u94hu5/IqoqXuDDSeLq18/8y4udN9jvEoxwBMNoGYDJnnAIUwM9wGc10IXaOu4CJ3BZJ9hpYjpWLFcF8IoVD1',
+        'T0UEPhdMEROZ7PYkVe1yYs6ILEkJDgVRY6XdEp3tA8seZqjd3zKzDk67OUxwYBUOSepokpkm6zRk5dLwZxWk4DSq1P0t3y+6j3S7',
+        'vWqnOO0hjMpLz3X87tkqhG87OHz/FWZunXh65NmcX23bm8aBSMcjLrE6cUwi1K6qdgzWjcWQOoepS3ghdtOlDq0Tn9Dp+zlnaauQ',
+        'Q6JzBX88cQwUhrYKLNItzNZQsyBaF+xvwX0SMdmE1WLRaVYGakeCjVhr57CIJcoaV4fl5p5VaMQqmzPqiuNLw4MwfKOIC67WBAZ8',
+        '/Kq9lkLz6hTnFxVdAm4r+7bvmLAGa7KrTJJnaTZXly05qI24wcSJvFVYeKvVvc4RNYxGRWPP2jPYXr1phbyYE53McbTssPI+tbUD',
+        'rkdpMKZ7lR/qgmZcF6Utp45Dojw64iw18OQXBKfJObUpmLQu7/KMLwcw7ZL2HSaLDTvIfX3SnZuXV8lz3qTipFaUy/aknem+bub4',
+        'I2qEtLRy6FTW+6H6iy8DRN9VxaQMiiu8hk8lHito74oTiZTLiAGiwxte89fKZKpczeIpu1DDdI0Deoev6k9SLrhBHSGbKPBYhBjE',
+        'zyKBZGFyeEPqkNxBilcz0z1DGXmJVQVOV4wzih4eK+LZhS/MtMRPjEDO1SU6cG9IaWHt5RPcUXB6ie/tamOScD8jqzlZFNGrkIdy',
+        'AbiGYj/yByYLX/jSP+rBXs91Ram2XCnH15KpwKQw1Tw+vOFR5dbodhA5riL7xmd+JEcSfhZfAL1bvSEJbsHkYSmSaW4U2eIfK78f',
+        'Jt27INSm8AXgYhn/zWiGsA9n++5sRwg7pvBNCBfn/li51QJ2lK2tDtTUe0g9YaUlynrHWFfg1lmq4mzXuHMa50UAXX2D4TTumJll',
+        'dkxgmkdQnXNX+oKtY+FGA2eiAHHNHdMHHbv/rZUAaxS2tg4ODjYndT0prcPOtdxWuM7W8rEstmLPjdVF0uFTlFGZzaChlg4JYtuz',
+        'd/xaO3VqrrgEOC/f0DGh3yp7SZ3jKptnHX+kRQWcwu7tjv947DNzj5JFE47lv4s7z6x+ZuOYporHM7Jew3K5tbsSwaDVztgG6FSH',
+        '7zh1+p4Fk2nwFNapi9i3kFSX/91BFKVu7AQqAPo2H0zqitwvVXXDfN3BF1Zdn9jWyqHpCWrvVwHri6Gq0rLc91X051Zm8foAb9mY',
+        'fFAOb5l0GJSUjPmHWsQXoZxPo18JZMrlMUVaz+RHElp3ak9fTkJ7LsO+jumYUhcIj2Ji5STezrFIoLW0Vp/izaIt0ElnMD1GkPTl',
+        'Xr168afWj8lwcjdSqNa6NDrMutVNHBNFpmNRxzu8W1FlBquS1f7d1Wg5Yrvr6KXukNDymNqukL8lkX7HB40hnQ+zfNPp2LgNumZq',
+        'rq27Nt84dGCIjhVtWTHDEFVZGS35VF775KXT8KOrgv7NmomNlE/cdMccjKwWGIX+MZWRtOxME2zvMXZ4QE8DItkc3eusc7o05pug',
+        '2doxbykcG5/tY6n+RxdNTBmJ2JohFmfheHrnArgBMizWj6nz/4NxJU0/To66gjzJda20m/6KzduJ0E0Jj1IAzGf7qqrluzrecsn9',
+        'wZIOK3oxtJIz9MPO7c5nc9tXWTSx0/dl2XddlS3tflM7MSKhhkfNImxfYrX21tbdD/Yd34s1WxFHSkk1hInzXnFMPeo6ylsMae/Y',
+        'PXTsErDtPv6baC03/i8bG7u/tYr/9zrXg53cO9HgurWUkqdsteRKOzM1y5cj21JRwbWMT1CaFT40hbSLakUGZavX3NQkMxddPT52',
+        'jriulbljdrbK7/2Yk7+VtRKi3SIoazwx4amkOMR5Yd12BseyzJ9Y0MKVW7pPwWiJ0K4FcHPqQa5kG4r13maFfCh9k5Vgn6xAU5f2',
+        'jms7FVo661DFcyxFcUfXndzV42P1LnfMIIDr3unqfKRsxnzxCcOBijv70RRngVrr5jqfWE3u60jefVdhGdNBSWklMxyFu3IX9VhN',
+        'do9FE48dU71jr9F1FLCuRYt2F2xmWd1/bC24qS/HeX8+Zgy7fClKcTMv7ljuY6nETi5acLPQwgUqKXuFoy5Kb+gj43tWZ9CKqgGq',
+        'LdKXatnSwVPpSIXuhR0Xz3ZNt12s7gtpkcwBv3hsn0f9R4ZbIIa1wYucbY4dHafNFeL6gku7O9jCHEZWs0O0oN0fmpJTJpBcx8AR',
+        'n4fe99axyINjF+VpLIpQbft9H0vmPGKlvU4krK5/N94LAvjmkOL3c2ffE8eqo6ybrReJXEIkduqEuEFR4sRG9rHrOqpuPq6tH6zR',
+        'HZxTaf1YpVfqnVj5vKOy7kI9YSWdI4oxQ37XUoAfW9YHpzf7bsUrmR/bZ/Dz+ZH53i0vfmKVzun1jjn2CKSVmSG3Ekq6ey2rcQ+8',
+        '3tUZkY7J7LWvdlsxXsYpvOYtyTkzcdZ1oWROUwt1fHYlgzp7LKDojoW2Xde5VWqrsrbikNwfORyPz8a6OudW4tZj0mB3TK1QSLWl',
+        '+989XtKiTB3jq8NVTp7Kcul7Qn7vzK/mIDNDNkURVlGMVYXaqqzHl5fQYqZ1n0SzFD/qrI/CwtK8esW2rcqFkOGTk9yrsKY7Vh6Y',
+        'LlTslbnOnO3qsj7OVv4OkCKc/pTPdMEhYKXr7C/Mj+WiuMmV/39d39Yb13Wl+ewC9B92ym2IRHiR2z2DabFYDZmyY007tmDLnQy6',
+        'Z4LDqkPyWMU67DpVoqqTALpElmxZURod2Rm3OrYjWWLTkkxRpkRKlghMY14N8o16s4G0M/kXg/WttfZe+1T5RSKLp85ln31Ze63v',
+        '8mJvlr5jFkiT5HO848dQanZCVpela/IOjLeytvOybkdMLIQgTuY9s50KndaRka9/X52F3mLSZutj7N10/ZLjgfNCsqfDHcjkfZ0q',
+        'mkExCecBTKVAO8s9J53UFwDpZwWcF4uw2+T1wjFdiSDwMLIU5Cuh7xSm3M6XPb5c4AeAQWCMCPsTwP+U1T/ehFQlzfxJO+xk9lUU',
+        'miewFu9eTSd8TSpBfvAu0fRKWwueh4NiHZkYJiT43yukzKd4KdJc1DUXtVp5Xq0YUaqI1xr+N+T9qo51kZYwjtq583W3TqoU0VZf',
+        '5z3qq3WDmEcxTWpy+KL6MJoYTGsYXEXzQEA05hGaNjMGEMOXgVN09Cd4Q0rZCh/MmH2HKSoI15BHM10Gczr0mCU4RPqTAUZLrfSk',
+        'clTpucx05cxaxnU6UZ+lOMNJ7YjBPJwChgab0FV83Z3XGuRO2VhQ6lcoXQJXU1BBVvg+mCa8V6mChaTkMGL2cUe6QSyQKqK6/iaN',
+        'BoY4xeFce2KE8SGzBxekIbqxoe0VJoZps7YY36e3EiblKOyFpZSZgFGFxeTkYstrBC3zWJ/NW80pry3HrppU7wVcyBOVaE4L9LqM',
+        'vSY44wFrWfeTpOOOHOlihEBctdBxbND7mJYTUdlDDT8g1NGfNXWJcVcg8+t0DFJbh1h6ts+YIs5+z/hcChuzUjTR1L2JrAWm/u5I',
+        'IdrJhuZoSDibeS9vS6UcABkD3wRnRucW3i0z7kWBiYKqA2qzaSiMvH6JyzynfZeUSyFrK9pG4m2gtQyXXbmomDRRmZIZwoAfRKWa',
+        'GWHeHJPGUZq0dW6sm8XJM56EXykU2cLQ6Yuqye3w+gi8QHHE7FnUBwI5B9TQHDpsTpO8BNGiBlft5ktVrwoO5KtHQltE8j7VcaVi',
+        'g8QtgCtw9Rp1g0IcRLpsQu2ZPQV7Gmo7i/EI1QO4PYUcFTh9mA+FCog9muQ9mCrM+yy6AQVSer7QXN7huUJ4e7TWp6qDx167GscC',
+        'QZx0YKapcwfWUBkE3vYXFUFP1ixQQ5axeaRNOWL3eiMN+0iqA6j+GvUl3cfQ2GQgO/ccFBSWdT+rPF/BGMv5Dd1L5km2ysCi4+Fb',
+        'IWlltt0VOh4SpKw1C5d2U3jBlFSQVxxtdg5U60FznpXk2G8eBAB2pMX+N006InMgwCwtPhWKwFet7DbN6qqqThXCBkcbNKh89Ri0',
+        'g9QXYWm8ad0+Myr4ipGT5+3q2KF4lYpAtF8wAP0Kn51zCLmaJRcZuae0JD84jZ2RRxOJSynayq+5Y6roh3FUEH6ObSkKk+dR+n8f',
+        'tdFOd0HKzGpPS+FI1Ucw8CeBqJjVIehLxcyjbsw65VUfaOqQMUsJaMCpEDKQmU7L9/mitwRyM+UYQ5QAWPgiL+SwTfeInGV4uvPY',
+        'UIwGoYsEbwsiepiHSY2152ur0rYY/N7Im3g0iCffQFyqjEerC8x+TOLMQHMwZYdTpk76Kq7Cn4TpI8a0iAmo3RLU+YUOLufn8UV2',
+        'HPMyxvlezVa1YLQHz2BceeTFzkzDc8wy4eCD51ie21V+m5Y8YUpIBiXkJE2c2UF6RhZ2Rab3QWdVt4Fq/Q2K6N1LiwTt1no8zy1O',
+        'q4tjPi5CNd55iWRqH0wj2Vw6YmjOdfPABn7oUg/x7+aE4df53DOveG4U8nY7x5xDg4ZjI51xUr/BcbOEzleQ29isyf+wTz2PZ+8r',
+        'TVElg5ownyzCMUJqrTwvMfOwoTuTVp+EVUDooxwavRWBc5/IGtyaJ9LOiElkB/VmqlNInEMTruZtEtRrfLNgzMqTKQcNuF3hqKCf',
+        'd7iPLxPzI1/0LBEiNuj+V1hMspb5OWQCfmfdrmp+UxxeMFrB71XHlO5D70Ug1+BDa+yEPI86jDNH10ElAfMG9wgaAzxPckvyIt5t',
+        'SR6gqzgLjeuLQHtAEwS1iwx20iH28+BetrmXWDHwnYoU+wK1IPdjOWt7uQjO23tYFxOwujLeBQQ1l3fyZeHACpZIQC59XavZeYHZ',
+        '28fSk12eu3jtV7apzDM9zdMmAHRJ7A1UcAbwtF8UQjsUKXmHK7yNpLApL52Ld7PWGrrLOcfGpLlA7RP2TW9KEbvPDO+UIbmzqdH+',
+        'eX7yf/1D8cNf/EPxw7+YnE9Hf047gWWX/nJKYhKs5UTI8jrZiigh4++F3JNpPL0FCsCJ78Mdcr1nCmHxjCEAeXa6j394LjI6SqQS',
+        'LXWcvx1NTU1n5yr09e5Bae/T3VM721An3IRC3eDPT1RfjBS5vrt97c+f//aPm7e/++A8u0LLz1un/c/fXX33z//7N2S+fHnzjw8f',
+        'frf2z9/9dvs/H1798++2/3z+/f988OV/PvjyT9ef/PGrj/64+eiPW+9+9y+X/vj46p/uPfrTo4+/++32n25/8N29K//v5q9k3KEM',
+        'vpB2OgwzUG8VAhE0csnXcam8lRTIgzXhjZsraEDqcThGlTCTJnEo6fz/8SmbMuvnecHOdMguk/PQbPJ2ApNlRoEnXKzvkwczn5+Q',
+        'AUkzfzWb7SAehutwOy9YiUF0N3sUvCpOQoniouVZZFrqL6CDSQqb4RkTRWbQedgwiG6jmXOeVp+L9Fb451438z/TybR2lpLd3WIq',
+        'cAXN1+UWJaLWzwwO8Rl8QlvMqv1oAuU+0gwkhb5PoGx4mpT/gi6k6m7uvs9qkqT+J1qMQbeT1CVPQfURqoysPrmzBh3ADa9WqGqc',
+        'pMjor7V7mfoweue6PY/odkJrkNUo9dr4/fHOY2hVfomef59+88qFpFboz7l7EWe8C53KLXMto40IfcVNaIryNVUTc8OffwPqiKpt',
+        'uYm/QVlz9/2d30N1k1UOvU7m7lnThmdJ5xKakY92L+NZSNH0XVINFcXOe0Yr9J608BopdJK6qLQJaVAGdcuN3XPcPrsXfNuQeuM6',
+        'tevuxZ1Hory4BhXTiztbO+s7j1QBdOcezrK9s7170WhIbphnX0M7sXLnI1ERhfYkVEwfyd19yTqseGN8zCae6a7oqFIPoCeDjif0',
+        'IFkt8/HumZ2HuINNOY+8R1KuhLLkw5213XP4/TzugPqnv7edP4R+yzqY6Ftf7axDn/MU9CbDd+lZtqG/+YSUL/EW75OmLHognnzn',
+        'K9z/eaitbsr9sjbrNvf13XdxBtYKpb9uiw7tV3gOOSZ6lifmXWzy9dDnnoQ+jCtzD9jU8QV9zjM7n5qx8xVrxJKWqFdRvYd+9Jie',
+        'D08bxssGtfXuKR5fRgN0I2iE7l5ED6XneLx7mXVUZUyxwi2/38cYA9Rvf717eecxxs2p3cvyDnlO8PeP8bgmI3AL738NKrFncB66',
+        '7oPdy6YP03sM48jroXKvQ3vT/POvomW7ubNhvLnPwIV5Tb2kz4n/OHugk+W0WkuLhTR7ZK9889kl/OmK/vBE3bHPf3P902BBHs7D',
+        'RtI3zDlX1b4cNtP0+Rl8clvdtK+b+zkFi/Yn4Xj6dyPcG5l6e7duvu4W3L1X9PxX9Jhb6ofuLaphIC7H81NcFQdzPqdYt38crhWu',
+        'yxbe7+KHKzj+C2OKvYnL8d3ycz3Av+/gua6oK/e2WpPfx42xEbzeNn3+OzTOx/EzngrPxd7Z4jnuW+mKGqDfVKv3c8Zfnn3n+WHv',
+        '4Lr/pt/i9r+mbeKf99Nvrn+F6/pnPKPHfIwHuQ/X+Etq0u3f9VV9gyvatnrOzy4YQ/NVvbp/16fUEHxFPcrP6LOv6js6JR7x0lb6',
+        'HunzWzj/Jzitb3O+kzXc5wN942fwoT/molq3r0f9QdptC013XX6QceH7wCl9ajZ2v6HXuoonPUN+8XL/m+oFvxke2fdbOQPan46/',
+        'atpqQ0fQJk67ou25Igb34Z65rX6nFurr4bmkVU/hfs7r8bg9OvN13PMaWvIMWmk9vDsZR0/USv4dM29s6OcroQ9zu1Efu6Vf2dLj',
+        '+ZhNHadbuL3rOJL7G/f/j7VNrutLua99gO/5vtwwv/fQV30bntfxfgFnu69tcsPMD6fMM5o5R55Im5Su6+9nDW71fp7Bdelsd0z/',
+        '8f3zlPbSDfwJRvbyvj4wfeyc9pnPcFE/1ngsfBDPn6fwLR5rd/Ds23oe7v88yV+J5/wtPeaG6TPcsdfNPPC5tsktncmvyxxFX7mj',
+        'N/Yhnsiff01H0FehHehP7+ifVvWNr+hbwJ1ws4Tx/kE0V4SXq2NN+vmGPKyfH+RXfhfc997H+dFtZJZeC2ucPK9v53P4dRPH3NKb',
+        'vCzPKMds6gtaN894Xv/9AGfYwOcPzFq5Jt+leYPXu8/8e4daNOlivweF5C+hJ33Wqz7f23ugis1PT5O69NNz+Pw+FJGDVjMrKZ/b',
+        'W4eat9cB9wrLN43G8hdPL5Ay895d0tNWZXD6NNIQ/xUrY9P1np6Ra+kOGKrS0L3mz2/RPYna9JqojtPPt+lYOeftp2dwJr6fu9C9',
+        '1nPefHrm6TlSpH56YW9TjieF7ndwFOlbn1eNcqhIX/Pa5Hf3/oCnIK3xFXPdC9Dnxr2JwjkrUt+DajcrfpM29zl6frSpKmPfhb75',
+        'O6w3ztrV0BG/B/1p/vwsVMxXpd3ewVOusGL13io9P50Hn96HXvp7+JxUzFepDfx3odEtet0r+MYXcn7WLef7oXM/kGe8s7fx9L29',
+        'ezjjXa/X/bn5dwMK2tLmQet8b920yR3SQ5f3fkvUtYN2/Hn93L9T0vfeor6n70Kfce8G3Q23w94dVRx/ehptEtS99b1Qz7sr/eeL',
+        'vbtPL+DM1P8f7t2FTvoG7kD7xgoU31fl3jbpc+QVKfNH2/ZgJ0qZ/2kDM2NtcMGeQlJjvteR7GU7/AVy05pWhvgwsfHyxZFRFENY',
+        'r6VPKB7K7LGJViPrNHqLknGcsNhgi8kvaiUkZqhtGzErwnmQDoLUbIOekspZV73Ju2ppgoF+gix1J7JGXlUh0Q6X2lU+kdJhP6b6',
+        'TmOhR7InTLaQyu80in9amUGSXdOwSx2ytZaChsFAPDunIHQwBV42qFe3yFWopJ3mvQI4dw8MVoNxEfwxyRSqk1QZRFZF6plNlaar',
+        'lNn0Smdv9paoPOhmyJPLQotd8DVt9cdeQ8JbYLJLJ6fCjQepvywtXrJ9Z6Kbv0pV2ZmkSEcCAgnKAgFeJzLJkvR/2YBIxiSTzaRJ',
+        'eg9e7lswynOkwkE64QVUSMj5+cfEL6QsXjtNqJrYSVgWo2NqcWx054uPjh37pKmQ21YxNRGxBRZFZAYXGHUSeNuQ9zAYIF/DRilC',
+        '9GAnqJyBqrGWgt5M2u5lUrEjuKnFmwRBGdAc6UTgdBLMxyvDJy2nYjQYYQJu4Ey7V+sVKIXAhr3UNeOwYVrtjWVHLMz6mIHCUNUL',
+        '5YtGUjDZofDCw16LzuVzP6KyIlR5iZ5oi6ZUTzmBGjWxRoPs/nR1yhniwtu9IpBOhFwiQmw9lAC4rCfQPUZ1ENkxgAQYZ8xTgGlR',
+        '93OUgLQcWbEJbmdRw6ozkLJ2hWKYkpYThwI2tU8C1oqVBUSPWrSqpKThGgQroLIDBNY76JcinwlcgmBEjH55bZKtFXTqtCwNUftR',
+        'GCRIWrOtvHEcikkdcWd1nvlO1zHU61Y/2DInnT5qL6wF0onAQlMGOUrCpV72rtVn9NovLJRN7htvW2EBNYu3yC25Iej5s28zZE+m',
+        'q/n8wcmT48VC3ji+nJxIxwMfBeOUNepRTXnNIMjHBAXBeBKDL0qDnJ2gMsViEd3e1F0CxpGKvRYxolO1GsV2YGpJ6kMW4zYWCppJ',
+        'IaORB6PzMnks6KHe5i0R7EgajDIIkswE72FdeKl5t41GpSdSQKqFSp10FOmqLuSLlFdnG3Am8CcM4vU9iqYki/4seDrzuBrW2gFQ',
+        '0DMkgYJPg+d5YaF6z7ZU+IcLkqzQySudMxjhqgt6FvWokOqBQ6I/pC8vbXKJTGBIR9rNfFwBJSd6rba8XvYGB2JRxaE9fh2YbwWL',
+        'eTfQGQJLcIdk+IBqejI+Je91vN1vmGGzpC0CK2zqLhAn/sU+nAtksEbSmrA0E9ZgV10RxWnRqze8l32VIyqIAXg6II8O/SW1ONAJ',
+        'MTZmC2AZP5k2oihkUu8UvDeq0l4ogOYoRZIyhM+rqNLBxvLCI5ELQV7xyBIa5EKu063Bk7b6NMcvLamqsAiGY3XB/OYx+Xl7DphU',
+        'OqwWoY8F+M0seC6DcoX1GBWLVUSFZa1h30pVSLFwxil58LKQgPqcolN4UhUQIcSIqAglwkN+aPoO6pgsaiWalxnc4sTJ10vsq2hG',
+        '2wV75kAlc/kca2SLVDaVZn0dm7lBSkxQsswi9KdpdVQIZ6AIVJ0OM9Y288CaubxzyM7+AbTn8rlnLHHWqPy1+pZJWug6iTkEeGTh',
+        'uTad8dtxwUdGNC+9qE8SuG+Q1AGcBi3qJzqFXnN4EXMJWn0RqqOVYbpqmAIkeNdvkyckuGhev4H6jheTpC7G/sWi4+csHh7U5Szh',
+        '5TAYGRvJNkfxQTfPjzvF+Kh2FPqOIQy1+jWZU/GfimXz1ElattoVALByREF1+ZwRECQFUSW0tvruRNYRP5+k1bIE3TEbHheqI95n',
+        'roL0A1Evg2EwAJDB09NlxWFhK4rgZ+ByFcegVipILgoAFV17cMbA8caOxNsXWU/RKvQ61WJG5IxkDaaels1lWA9n8243V/mrEUsB',
+        'NWi0qjPingQIL7LCK1d5OWeBoihlvFD5UQDgmF4VpIdAGELvsbTNIkRCOKF0uF53ukqLxDEahazM0AqYOIMNhPA45MuwTZ3LWotO',
+        'FbbHmYXIBF91TUCnUCIlzxQhKMkKMb1XMT7xZKa5XQBrDCTrEY+kkcLJkyBcQbEtmIq4rC1YMQcUeKZGy7K8L/W6ig8UVSaMyGDE',
+        '67r5M5aKSOupx4rRfN3KhLT6igHau0N2OHuRfTpMZDN4ZTKOXC4Bsyj1lC/t18Dfqu4MhfsqIsDiw6IgReFqFHt6zmrBsh2sykFo',
+        'vh8F9ax8LghFA3t1IvXgK214AACBwGMqZDd/xvLUTmSk+jSEbD/GEDagI8n0Iek6pUTQHOJXW3jleFeQwgmb3iUFNmapUZchJx/c',
+        'dd0yt80GiuiJso4Q/0X180Bos0IDDs7ISr3XdY5AjoVVtU8rdpHgyF1+8bQB4SsH6JYXnweyUJkMrGmu3c0lRSXqVV5VFGoNjHLF',
+        'f9BGVC2oEAkRCBmI43HpzpYKCzoQenqRshLtkpgPeLItrT+mw2bF4VQ94WVfzzJCJKgBVJ/kdOxUxXO4Yosr9pUkLUxdLEZLQ8ZT',
+        'K4MYNoURmgvoi5ikZ/hYBYdC0kmkZNZuqv0IdGGIxiZLW9Y2xKHJOsOxlK5sxRuMPHvBq4LKfcm+nWcxmz1bFLIemXljqgnq9EJh',
+        '4tdP87OXTW9lJ5glJb1XHUBa/ZdzgxV+w8b+RtgOskZhQWMcpwx25VILIFAh3SIMr2FRPUhbZYSqVaMw0VEifC02w7yfw96tWzD8',
+        'j0WG+rr1xU6aomQ/q4keKGvKWCpLIsZV/4QRPGkZtonlFwOkpd4k6t8B3DGROngL6bq5OG0lTdIeP+YhxN1l0ls4kenkLeBK3m8C',
+        'vah79CA/RRO+GPkhLSIEZWY8GiZzqx+glIKX9oDspNXKcGfU61mJFmqNgJP5rcgY4yz9y3KK2cznRPqJO4WNarB98dmvVp40ZxaS',
+        'Tnc2hXZ7yDOzhBe3lOWwJC0WuhQmCgsu0SIDlKenXJG7udlR+iiV3hfyveoqohB8aLe8nDbDIgEpLAWk+k0XNIydIfBTmx1Vgg5S',
+        'QLJHaZITvCMezzJh2jjmU8ylcmwERO/Bosly0vew9SnDyahZ3kPfuFnRYgEE7XLameu1rDhk8pZqd9BE4KdBYnSrODPu2v+FIjsg',
+        'uXU/1Gt3s5ZueDHDttt5j6Z56olet8Y+dlGX1A/yqKp8x8HZ4dfda68fc4dePfbSGyISz5En+CrF5N8Ueac7zUuoQFUD1HYu7yzY',
+        'xIACb3twnglK0K1+yMjQ3Oc1A/LCbBGy9jzpcy2qFp5ID3L3t/ozbQQLGlgE6DdTcZVlXKRTlr0YZuSk3ZwyzhQHeeeqCqxe34WF',
+        '/0KFQNYXXsu5ZeU7s8lCUiTux2mLUKF5pzjuZvPji//xWYt/affxP2t4/d9PoeIlZYgGO8WQZl0Q3+I6iIeE0o3jF7FkDI5nyeJs',
+        'Nt/D6Dic05pJ3rD7x9z+pMne9JJcyxaJooIaRavvHdtFQ8LsJ7SgwnuEg4LNln2MVQSp1CbrNojwIlYi2z1HPAdpb7/J5/Qxm4/K',
+        'FWo2OVefpr3hcy8ceu4vX37uL1+uRaUR/X8pL7pVNxmVgX45aoflRGGkgUYORS0x7drpsjvU6SR9IhlEuZ5oxZl6i7DB3R7sMvpj',
+        '1brVpIiuXp/ej55RLKRpd78T9ymJkcecTd7XWplRJYGxp3cuNJKiNFd3Ya0kT8TlDzYQqrpKlED3tq2J2LgtOma2kRCnWlJ4W8fA',
+        'FZ7ATU/IQ7soWcFyEqrLb7TmoUvqhUua/Ykoj+1mbAmv4DelN6McSc4CjY/btj9Kok6OnTAgUikLAxVXKHhyXs6HTWK8qVeUnwCD',
+        'ygcx3MieSZsE5jIrKoY4RnfHDWml0FtPgM0WlqxoBFQ4x1ZIdBrN6zTTGy1BF5VWZJKkCUq5iH78WYWHpFXYcsS48YIbdT9/MXhK',
+        'dBfSaKtbqUUlCaPUS7wHcXHg79W4i0llBjQzzyBny0ONGbKQSyIG9OiUe7uYyJpu2mXN4K5w4MBz1Wg6dcyHmkm6CzmB2JE91+Tk',
+        'nA1GXVRheb5r0yHkrtvoZD6bTX3Eu7gsofcsSu+ZeLswQ8cYvcK9C9ObVsbBtnuJ562R5QnjPzbCIXu3Sf906j5vRV0pOWJruWMu',
+        'yprM/FPaWPBec1I6/1syccoXQ9WJYhQq/iEkwcaaNfGUOz4SpcBIeTA4ZBl9PF8cUS5cKM2h6IXn2s8tsV/0h1pZvVIjFeFOP+Q9',
+        '69FpxDdRNjQjUYn8mWgKq0cVpcCupHs1jn201Ft6cp2FnTU3JLk5mXsaSWcWElX5yayZVqJdsD4nKgXjk1HC2PjasRGkmYlqUUFW',
+        'N4rsnnIs+/bhdnve/V327aPzXU7/FBIky8CDReXBZw9EpYWojFNDwCjqRGlTa/sUfVRdtDhVos2uSxuNVlpkCUsDczSrmaqgdkHt',
+        'WYv2M1Bqga6sBmQcglNmNMO+VC0xo2yDk/29FLI5p6yzm+TS5a1Uo41rlH5zYgEmb7oIf/Bi1eM0iRP2gjqi09qCbCBkflFQBaM3',
+        'jNaOzorks8UfoLt55rVYtuYdyheFjRl11MD0pIg6cVA2EdAAO2pqmTyEmdTrvOY98AahYkM3aoTuZE8WDN8P2dKTMz4/WTcUN7D/',
+        'q0VLs4vCGfaT0/vB3sHLHWDGFLp3xoGvL2qHGQXKJ7oPYJ4cjzd2rq5DMcpvzJDuoE+QXyPployUbTDITbZ6OSmiOGRfNIqdcZpF',
+        'CkXnajrpvmjcituzrCZRsZm10zqqow+PN1+YMCkJ2ko6q4VnTD987mFWlxIZ4Txw7S6NdD/0SSk005iKZzCKkjM/vQarBcqwGFNs',
+        '2EsSUKjl026ZGQHO2cg4wt24aC/ppiL8klFqwAgwoKciqEMBPUDwAG9kbbTbXWa0yhCxRTO7se4rrx2ZizpMFJcTNEqEoukOodsP',
+        'K0rqg1oGZrWnTop1WOYRtKCvkf8d+cX5bTm7O2q7kYoKOi6ypvie38kaUbznl04aHQ3JFoqeN6UHWGJCxu0z8QPaPClNkOnibEsy',
+        'PZLk4+1goeYJzLGNNno+QcxJO6PzKSoghk8r2kyS7fNZGNZ6senc6Da7IxESj2EroNsSzzZk2NjiVFS9aVRBY8MncezoK1It/XG7',
+        'PG/UBKXO49tamOOSNhDZfNn2G99BaflQl61EJU1jSygGHqjYofQSeLQ0l0kKxtetvWA+UCBcGpZajAxpShQdnDWOVKS3FHyZYERC',
+        'aSTytqUR8DMKTwPQJVnKuomO230VgzcqRJnSW5QAzdHjMunJH7/6Sre79EYKiRLUIT1MraAZrane7YisfHtGBZOi6HXm2CHFR3Je',
+        'S42QA9l8G7m7Rv9nRdoNO3pfilbJeRPoHYnict1led8C49zHbkKqTo5MsjRx2jwcHOd13Kaa2p2J9ke8itJiRm8NQ8lbvUU9uWHU',
+        'dVw+F21a92VzbHIN46s50otm3wGVyc98Gd7j4vA2JaJ+TdqT+4TIquWhnkX5uKXUvPdDQanC5XOVaHrT1Z5nAbSLX1dGouEfAfaK',
+        '2K6Wja3V7IKrajpDT9ZtR3MRRBLjqNch0Kd6a3jdnCmJPOfm5n5ZmajEE0UwlEH20nvPUokq6tgovPh5CRGET9jJTlF3RMFX3OVz',
+        'UakAJe6A3Y1uZdZ4N7pMHDtY/2QxbedaPGTDG7uFjjJq4+I+FuYCrTNIBU4ExrA2Km6LFbW8IbjL2l5EjhVlQjW2u5ByrK4YTng1',
+        '+khOlh4a8JRgWEidOS+q66pSY6EGtckIL+FMsFTZV4ly5Ozm5e1xPLwTs6K5z7m8E1Lu0iOphCJIh2UxV+CAX5xJZO4J5yQTtmqE',
+        'tzDOtY4WW8xZmrEX68PpajuvOjZ6U+vlI0fG3Ct5q88bebqXYAWsadisQ/ZNoXiKN2bRigxm9fvNBEkGRWh0c2fcYr2Imyp3iXW3',
+        'aguFIpdV08vbWvLOiuDHJDWwxPswAA3sZWHyXAxoQuvzvo13AWaPh/+itZEmDxPlhV0UG6Z5o3I32w8y2RyfoWgnVVXs1bzBo+JT',
+        'jUONX6+QwRJ901ZfV+bC7/+CGqhJKlJkrI3OXnq5M4JpAk2WsaKmqTLMnF3RORujuA+zz1mAy2uDrbPZgD51Xp+8H9Ds/oloSobF',
+        'UzSHLPFeWZ1An3mmfPVgb26WLTfbj2CBWqCV+EyqFjIoouR5Q2cBLshF+PyxoJFFkL9o/16LMOSu6CwVx/MF0sYrjmfdKJew8wlx',
+        '/1lNY2eLuMvhNx/dG52FbIl/AzsdfHTwvJ9AhUAZ+PZvW+CRPxKO/EPLSt+9uPNvzEUf/B4pAIRz7r6/sw6NAVZBMEfurBELnJUF',
+        'SG8Avz1kdrywvO0Vru08BB98E/x0o7ywe9Gck9QITkdaAIYDv/trqI6QngOdcx16B8wxJ22E0/4cj8FDP+9bBWoSaI3H4MP/C9jt',
+        '62CSX5ZWeQKVgc2Iu0+qARtgoz+GpsSn0fMRU/+S12U4DS2IL3fP0tWCygEdKcz+NWHGPwS/nu7nMa7qr0BvybTEBv6/B+67fM//',
+        '7audT3D0I6garAkb7Z291b0vnr7rf3pPGUJgcd0Hk0v4VIHdxqw5z2O7C97RDbDJlHGnPKNre1t79/du7n0asbiYT7W6t2HYSTft',
+        'kbibm3s3hFV1jdlUwnsijt+tp+8Jm+ra0zPgTPFZ7u89JHaXPMNp4oA9fU/4dKtgo70nZ1Emm94LMdj0Xq7t3QH/7a5wtk4bBtm1',
+        '6LdVPO97xBuk356eCVwt5YDJ9e6AMfaAz4mWXH16TlqQ7vEssbmYH4ZWur3373tbeyvCYfuVcMRWVTVH2vOC4bNdIx5iuLp9hqfn',
+        'iDnnn/bm3kPmA5IpWt45yICazpQ3wuSVSJ1eZMGvxlldYykMOVC2X1ESDE13NKFJrZRqLr8Ihnm1HzTzBjSpkHwUZc+i0UmpSlSL',
+        'E8ZRZW6yXomn8ri4U4RE2HxKZb0opVsBiKRBxrQNQG219ET7fIIucv7QFytt4abQzI7clWQ3uO5ddSba84sL6XQyKLESL356Ks2P',
+        'hzQCNs9Raht7UbNfG52KtqpR6F+tj8ZVuNmophOet5Hnx7NSBnHyl9RWP+fY+eCBKeshQnKg4mMup5qIix20zJrdUYT6qlRs8fhE',
+        '6mrxWzHlNzpzNcIWVANvQ1SpnTVhkSKq9ivesfm0ZLUeZQ3j6Kt2pM2bKZJXbxZjWq11XK4VA2+v2m3UU8kwIo7WksItp61WsC1w',
+        'VsV9X5zMkFYRM+yKcW3XkEayv94JvZvNimOsBHuetRJteA7Gpaqai0vxWgyQ6OVH8Lz3krxxivNZqbwWXXc06XT7QWiObyOULYgP',
+        'JGUwTQKhIwcv76qLxkqAm3GPp01tiClf79DozU+6mYVep7FgjIvp4HjfC3yXGTwMZFkA1CzpLvxydMRGWvyu9XELj2PlU0s3KwxA',
+        '8zVUBQDT80OT8csG6tHrtEaQYw5b0qK0+9GyHIfDEbuy7Xe1JmEVyhS4rtn3GElAOj7sXDgR5qKiCvJGof2UXSU7nwDoBWIyns3q',
+        'y97TGl0FUqg/I/FyOvW08fA2Qb/uZlX7VyyRs7bXlJS9pxVyN9kk1rQ0o4xlzdT2hbIpUZ1N7cF7YTvgVCUXKSebhnR2b5e0mxZB',
+        'hTxMq5Us+YkSnMiQffXelfxXNp0RxOxs3/jIi3ziUiYpD6Cd59mdnqcG3FWgBvhxzCCGJOadvhJPjCwC7/eFJk2mW1mTZ3qrzVaL',
+        'TYeXV4+nIAtyRCo0XzrayZeS+UTVksWD2XBQNPtqaB/UQVhWLl9M5tsECU3blP95k/KljbQIdWe+0BHUpfxbCVMVpkJDjD2RdGQf',
+        'e0JVJ2M8i2iB+nx/xKHO2nE5jPU6A5zOkl0UjR2q4NEkuq/Sa9WtlZXvqzzJoCYieEkaZdxDJZI4mBXOgox1iWFO55SLYTg0NIzn',
+        'DisfuhHWRBz1LoNsZhiWVDY/tOAvmtw8H5VGNOQ+ViHTwQJNXgXokipy3DF6U+uq/3NRlGFIrmRFZYXWjSbVikp8XAm6LnTwuihW',
+        'Xf9AZExE4ecj1UjZhhjIbZHNkb/eFxUmUX2xd+VVZT5UYSUvKqJaW3RdPV40lNa/+exdfOWOqtBsq7DMltGWWf3ms7OkMUJf+QRn',
+        '/gNkT64b1amrKpVzRc4sp/pYNXNYieUDc9rPoQzzvqqprOhteH0YVkC6oX+9FYkOifKJKv94oTD/UqQlr4usk0hyncafbqnkyxf6',
+        '9TOq8XLDaOCoJBRd6F/1rvi6rPHyQG/+qsqUvau6RtfxJ5a9OoMrXsCZWTHsogo6raqI1jX8/AfVI7LyL6xW9LkqwFxCy/CZP9Dr',
+        'nkM/vIT7fEL/fgY5L1EZ2hQJHfr5urbhZVWm4ie6rf3nd3QzdCpWA7uBU23qS7whHVseYUufV1tSOtslfMUrX91UsaNtlVHa0Ka7',
+        'rs97A1JCH+t3V/Q89/Udcd/wOnI3tNNeV0miq6oCtGpUzh5oZ+ZLnNIR5OWnvIrOdR1Np3U2OG/ewhNVBGJ9oU9FeogOvqJv/AtV',
+        'JVrRsXBWTiXj6KKe8GO0s59PzoQpQhqTb+kj7e2q6yVnZm2fdT1Ye6y0pBcN06ajw67IV+hPLNmkWl706xd6oas6NZGKVKcofmg9',
+        'Nsa7cZUHH1st964HCaOsHgfclVoJhuEiXlkrq5d2xV3hjE4sZm2caqLRyhrHQ2XLxevJeCmkrej5/b46ibfso1Ol2hChl5tpQzjy',
+        'B10pVg34JIRDB1WPXVKx7kXGJRNdu00oI/V11Ki6hkwseaSRREA6zQi8sFso7fwqBMewfmNe1kW9Z5tNwOdexd4j7Xj8MBNiXVF6',
+        'AZOlXIFoILfnXdEvuuliNQ4hn+9COHy6+jOq3B+v1qFJ4wLy0qC9CY43VSllDMZcXM1PEGIHz67SZr3mry8VxqlSAzBOIYSqwOpY',
+        'eqaLEU9m88O8TOPDRVGQbjV1r+n3uNB/qNarpR1VxbmorEonfv6/GGKH1JsOp3NJr9UdYUKXl1BxL/b/iV3BRa+ehIN+0V3oLc7+',
+        'gtrvFycIvmq2huZHBrqU9iEGA0s4j8LqgtMX3uSqk7e0sX7DzMHh4SNx4kFBavgAMqKM0DnRCu2cY8VqnbcqAStpKY543y7Gg8a9',
+        '68ABGR/jxVKakOEHkzSJ8sL5IbOPhugINv/GW4+8WBvUgxu8Da/GG/7xl0GgRYU5KfL2WGk4PFO82D+WzFPFf6QY/fsD/7MU2tYm',
+        'Sh+EnsAJsv24rf37Zd+w39TH0ICSFPJJwIDvE1z7EvYeztX4h9IepCvpDN9/Z0vzi9cYZ1Pr0a+vfP3o60dfP/j68ddbXz/8+tbu',
+        'OVIDRs6c6yAPkeneRgZ8Exn4dWgdI8O+e3nnt6hUUCYfer9xvUM0fx/wX/Ht30EhmPSEH6Mm8HtUETbwV65YsKIyNJ/xf3y8zcCL',
+        'nrJo4G7uvoM6BlUHNqQ6sSFVgSe4g8u750SHl1WjqQazDb3hs6xmu/u+Pt/ur+X5HqNeAqXsnQ2uDoT2wNGPca/cPhul6shayO4b',
+        'TTzRJTN57Xco0y15ZZPxp399/vquqSScJaW2vRX5/r29LdLM4/Pt3SaVMlwhaJPxt97zWn0XoPemf8f1obe3qnWESOfss717nKFn',
+        'bbRIB1A17+R6nXw271qzFl/L51putR44lCJYViuvUZjjAHKTma48qGpeGIrQMnkjb0Hrx4z9gudhk1AsD6SadQoB+ZszBgC98I8M',
+        'ggdWpy2ZNcnk6m60WpreAnbOI/SXqSSahgkfrvN5G0MYg1ndPd1LZCnZSTvJRKTcsK8SZVqIq1yLK6O06mjOWZowClsIEu+/Ii+m',
+        'qvY4/n+bROKpR9+LonpjraSF1FXK0YfMpQEOKNwFjWamq4fING/MvZK2ToDvOob3YqsgIYUhXw4kduz800Ix/7VJQGPqtShCI9en',
+        'EjaZbNAou+k5QAOFiv01QUNPV3vdufH/Vq1XAkrTAxJPpEnLpCUpjcVv0xUpsuPl1c6VwyEAfTSvB4yJpVPRrROCY44tl3gZiJk3',
+        'ACQY0rjhrQJ3N5edrNZLr3Zfhag26XiTfNlZGINzwfRktKASknHOcR51JunkraydFOQqn7rjWYuQNR2SEiyFjow1anR9j/F6SJqE',
+        'O7qQI4XlDoljrjp4+MeXmkDLP8uLafvthJxLSN3teCtrd/JWOk4hFrXafLKYyvwRmDxZ2/2EDaDEQUs9lJwGB0c7OUBYP+p10/Ys',
+        'MYatEI4CZoHKgToSEC9GCoxhUUCnWDdVUXbT2ohuOUJ+XHNqCsFUcEiI7v3Uh5xiManUNN8eYitFMRayj0VMhSJkEEeoIY0JCYke',
+        '0fKIKpE1ikj5CzlTAXuzeVMyn8s43qcDeV85LKgQfsxZo+ek3RxzdkaIZKHoKj/OGp2ciLzuJ6hkFoEDIXNhgKFJPzDBDE9tkX4Y',
+        '2iNnOByZJCF5TrZO/BJFqFKFKQyUKd5CTHRSctxuzzs1Q8qKvOVZMUAGW/K3JjRfbzWD2ImwXIP3eUb+i4pHYfUA5tr4k1oLbPCh',
+        'F4HJy7qeVmCNeMVJZ76nDpsMWvSklUlycCTftTQuSh0qT9LRF2hVbJApEuGetWt3l/Px7kLW8caMh3tih0dILXIlbOoHdLpOljdj',
+        'IoPjBoo3VqKPJ3W7Vj8SJVRxLK88ScsujAk7Zv6I9OuAwEXv4Xw5mjrS3KS6hd+YJLMFCSekU9XyJOyT3Ac1Hz5ldqW8UZp6Ozk5',
+        '2cpmC8knTD4/EUpUyjbil2Hy3JMyrG34gxCEZvlxCJFMV492shNJo++OAkVMy186Un3uhRlD89s/cM/1143vG0w0x8xOkGOlv6wF',
+        '8KSupUZ0Y66VJ92D7ayddoFH00E4MPYrAwFZMdhANnpi7Rw30PMCOlMdHquuHKhVB3aURtdMLk+39VeTrTwvUmFPNk0H5Q4ZmIAa',
+        'FUDNrtU3Yhzqkxh4WFMDQaAtlDPeLRI3xPHEoUiafYgsMBstLgXROuzjCx+quqigwntdSI6xhSp27LUfHH595tj/OPqS01dhRXv4',
+        '32q9nJOKXjCyKjHejy42PRBoEJ5OxTZ7LWKVliYXN1mPWU/0Xl9JOieSTtNmdEJQJaxpDpWJX6vJgNdPkrWXXbYlKj+e9oEVqLqG',
+        'PIXpaWanIPzMOShNtAyH2PZwDs/dQNgeczLA7hhYaCYGVu+YS4EZvUX9pGWK64RcRa/3qh8UE8bMRlWOCrwTXdTYOmyuK0KFqkjl',
+        'rBdoCC8sw40JdNEQpYCxEaNFmSNoj6L3nrhyjunYwD0P7Gu6AV9Miai0k3dExCc92Wj1CghIRORLZF+sOxvv9hq9FlOEvfbNzJFD',
+        'km56OWl0Z/P8uMcGBKWMNvecxNdulXcdJmXQXtNFw96H0la3RfmzBjvGcvG71XeaPhrTdyHewgarzrNAIYj/17td4xpZH5giD7Vd',
+        'qdRuxE683CdtYHqdEBLM5G3u0t1UNsPUW+bTNmlqMBWvOEpgX9LtmA8FcYuq9vpBJOcSAAYMElgM7BxbCXXYECTNtxNganwfQ94r',
+        'Sgg3s6IQASKvemo0YVnpJmvyROsL8wssTKoK5eAzClLCp1sPU+YRMZRysb0ssGOGqsoaWaaSskiDIjEHkVY3gfKRecdm1UAd47Mz',
+        'AasB2RDuwO1u1oHELwkcKuws2hT4YeWzjRTdUHPmjPnJGgEG45LvWwfDTikKa5eTTrMoaSEsL08I3skgVF7MaeYlQRhRzytKHLJO',
+        'Y8FAAqVnlrjwFJgzh5Leb94l8kehbpsqwUT6PEb3HfuEmP3Lwt3lfaa/NikInJxYWlgqYe1c1h6YaCtBHVOljxIS58oxRcheN87S',
+        'kq1jjDEHF1WEoEIcf8wyHPDsCq+r8sWro1NBxidjfdk0gtqhibGoOisRJzQtpGRYW+3AlCsVo2J9EvRDrLDY602eHKeMsLmIvEc3',
+        'sJ23f+Usmi8/+B94zsT9LGXQdNn55933dh4Rdhl+YexTVv7kOruAAUn+DuV3xdntYcmFTV3tJMcZf7J7WbKq98ThjfKqlNfdxu+S',
+        'Gd65i29uM6oceOqv8BNnedd2Hkk29gFQ5ZJjBsJbcN1ydc4oP4KvH/ua8dUJ9/1QnqJ0P5RTRgb3sWSM39/9NZDn54Cb35RcLznb',
+        '3ZVs8mOgvx/Do20D1+cnpWMYh6+fPOSnEJc2uvpvcPxDeMo9Jpc/1FsvKWBgTQuyF1BRPY3a9DqqvVxf9gAG4zsmFk7n9Cs3tFy7',
+        'peX1S1qt5pLup8br6oZBAnC92zpwKTqCPtdvUd35I/z8saA4xEuIERcfmeLvGVN2X8E9nDbuP0/Mc3m0jH+KTT3PP+Mr6+p9tqLg',
+        'kDXFFZzC+dekbi5YAsbVsC3ObYWIfKWPeQFfsd/iljHtLG24ql8xLjwBY3BJ6+kWXLFtkBur2sjv6ovYMvgc04YBQOKxBBYK8kRf',
+        'vaIRAhrnaoAQRJ53pw0K5b5BzlzTFtvWt/NAQREGXBQhPS6pB9YqftgGwuSJ+DeFuz2jbnqMHvkohqas68E38cUz4UnDtVb1jVzB',
+        't+4IQEXM+LiD3dQ2uaMOXNx019VmSz3d5Op3ot4rfnYX0JKnAFxhGMNFBQWxyR3fzwem/d/R2zuv/dm38y3BpQRY0Vfae1d0+Kyo',
+        'BZXvY4q6CZ/wa1ox7bwRzsPgEBkXKzrivPHWCu7wC2MGB8dA+vWOP89gHSnipgRGytmn54jfQNUgz2pQNyM6ZmvvC3EmUnee8In6',
+        'NJXrQ/8uPJELqFB9iSoVn5k4LStwLJL7UY8j88k9VLt+5StTt3Bfp4nNIT4+N8vXwrEb+pPZUGoKZvmFibwzP/n8X//1X0+ehIgP',
+        '7RHKSSFse+mvU86XAgayMKraZPw5qqTeoqrf09V8bq5qJe1Exm+K7DaoVK+g/9m+G0gouWdL/BAKA23JSmo4Psp6tjrMwEe+bA09',
+        '5KNKbaAeMzn50mtVZy+4TKIlzfStN47MEMW0jWhJLvh2ciLhUxwsF57hMV6qqRQNn9VxPh9n5azksm4wuhvcj0cBmVx48NU6ikJL',
+        'GS0tVKDdORE1OeTdDiae0BJ4yVwU+pt6ZXmgDPI3pdIbciuo9UfncgM71oOD+ZYKsoWRu0e3NpiScsNzJSUwu0nM6Jfj/o2Hiiwk',
+        'WNUhIpxDL8zFEgYhZR8l/C0dWxu6fE+Uro4hy/RlI76kXdQN1BKf9zwTZOSy5vT8LPl5S1JgJm/PE6JlYCBkiwqqMluYQ42kmS5y',
+        'XoKRI4XJJCmqx+4q5fYn5tOubCJe7B9pjmTNUVaSe1uB2bQl1m2GSnuNToniTPRuB0P0SvSeOUdWH8wYK1Y5DSwXgYnD+EI0MKyn',
+        'g5Suowo4/zs4c2SRGwSnFUtaYSw3QLTnyPiBSnG0+2/Pd0lY8fDEzMRgvx9nHQbVgqDExpi1JlN1j7ArbBq6dYk2ZApmmuoUhhjV',
+        '/zT/6AYTkItZEduz5XNep2rMLcimsBjMbs7krd7ibJaYk6UnlxIVRRFySq9gdwLTbpIIjKq/lK6Jk3bJ3ByZLnTNAwF7Lm0swyok',
+        '74xC3EAKXBMrdNwROkW7aaGOMtJCFc7vtq1lgAzu17V2uZzOFhncVihzSlXibiAt8mpHOSBfdCOckeYVfbVVRRC8ysXLktk1tyxQ',
+        'JusAJKrwtpu8lnfN+2L1B0txSjDvNJKlRA1JggqaTdxGXY6oKdzl5nod9FMzj4X2YhcD4neonUWYSikF1s977XkSgGNhs8EXVItL',
+        'Qz8df+vQ+NJCv2C0gzepIRxgJ+vSFKa9z+emGvSHBqHtRvQxQnEU0wAaHrgRfsZCVDl8nks4Zz6iIVcem/7hRCRZXXWgMUXDBOUM',
+        'vMcGeQt2SCiC2uW5F1567oUZ6WPPvfBSdXR0qpyRohUyEinUHHbWTX9W4j2W8bUEsyxN0oBeDtbZfjpOOrKHk246MkqT9rFsMR0Z',
+        'dYMpmGq0rEhkESKkEPOUCLlwpfPPYEIjSNXq6JL5XI/bb9ogps4K3tjDcUwVb0jIJBl6Oz91NUCyVxZp1jgUIWe95WPQGE5oue5L',
+        '15vx1Ei8Aet3pxNPBL6VC8XaHULqKeGcRbZivpMsAv/iERDW4EjBS/58AW0REWv1uCEr9uDy+Y/V2pCAxixHPkaN6hdyNLdy6U39',
+        '13qNHtR2YVWUsz0QQV2JiV3GW4Of6wYrydUh6+aQ6K3K77IbvctiSOS3rzJ4f/VhHV8mAzWkI/+xqSGLRlAMC4Yp3rlK3UkyMjMQ',
+        '2waLwWbMfwSwKlU+a/Rv5CYhdTF+nlj92Ay9E3nWHDkwOlWNFMc91XlwqxZqDmHqrg8JuWP8If9UYqgDXMIYKHiOsuYdPa9RttLB',
+        'UBtMMjekqk0rRyubQ/OORT6ICkYZnMJc0KCk4zg8aGZLLRYW9Qo2RdD1Cc+LjlHCv7khbSDF60JjHNQXh4SPkduVCd0iuy7W+BrY',
+        '0bGVGqrd/idr3aSuFP/YoxgkrqwsJp3j3BND32qqWYTMXx50poZI0qbeq8ccJ3WtaHtUIkgDSoB3eoJwRCSDnJI6UsGR3RLVO73S',
+        '1YjfIIc9hGkrXxENKtghPhryiupuyAYSGBwGJQA4RPfG9mUxHAI9ErZAAV9p3KkQryxnBWHpUE3HMFR6Ms0vpYvHxEsel+wflqKm',
+        'mDX5+eSB6BdfdfRVNbNA0AvJF7OGDbwiu0R5A3ND5hfgMcUWSvBBENPvzff+Y7VwI1xb742qHs7uhzuPd0+j2rGGGkLps51PUDU4',
+        'DY0gro1slWsXjDDfebz7K1QBvtJ6yu5ZXwUJNYTHrBmk1QfS1hn8rmDly599wlWU3bPAsG96jD7XQza8Ks/g+X7N90t3HLR2dr4U',
+        'daA1fAY9HNU3Qc7vFpzX35H82peSKTxrsONn+LO92/RZvEa9dexlmksKjr7yXtdwYWLqrtixRrOO9ibImky7/ehrOtkPTDsUUZUy',
+        'WZwdKobFWdVhi4HBiIcpyUcjFROOYLiVh19tWJCif4winMAKUSWwtOoGYkY6sSMN8qxxPFrlRjSyNYHtL41gqEY6VXcUofv+wu6r',
+        'nBsWkJcDbUTzA8s0U1KipYv/K8/t5sjSv8+S7icNx58vZu1xoW1VhsW4LFpTj8VrePEqpSP00Io9thRSVGo/GB//+1jA41DWoTup',
+        'V4a0yLDIdPmbzU++2Vz/ZvPf6d+tX32z+eE3m3/49uxn3579zbdnP/n27Iffnr327dmPvj37u+9uX/vz57/1lPOt03/+/LejWhdb',
+        '0+IFVxk+Rd7+XSmBSaFHqzbCuLyk5TbPKi1VcHx5whcFPAt1VUmgm1KFpG9dCUTRwB32zGJPnv3QlG9KBcGLSoLe1hrW7/X2zimf',
+        'dM0UGT1r2NcrV5Twaws3pweo2VeEYSpFMVvPKtG0ryuZ95KQ1qVNVsCf3dY/rWqB7Ioeua0lv4/N17l9zuCe7Yeryt6NWfByt2um',
+        'CnndVIj8e+dvXdMv3tFWPf/N9U8j41K/Cx5EExL+wIQRhpY20O3pP9mdlCMIElsxl1H+DSas8v5y2KpfrZfnQB4uQ/LyJxdb5tgw',
+        'mZXkpXT2NJo0Zjfjpt2QGGpYPDxZL6c0eFczMXzmNjvOMOjtRBpm10H8JU2fpW2osEHN7G62eOOTkz95YWZy8vCxw+6nrxz78avu',
+        '+YkDLt50aUamtOERqazJRM1usHUjjsR0tahEq6d+JWQy/ntyInlTGn1YOxYvzg/b/7lSY8mOFlfZX3qb+wdzUAAQxWeQ9+qGLlnT',
+        '+384pAJVG7pkVqjQM+a6pNxJjz6G0pthfRk6Wswj1342dOofPgDi5cwHCMMyRdV60smScX4F01XicVXr/+dBjdu+PA5a0wemmIdu',
+        'wqOfm40/uvZBR8pIQzvqwjPPDMunJV1ykC/fSX3o8j/0KYavq+nQZpjuDL1cOj0sWLHReDN3L3aSImuNGq3FTeg2MpZnHZggipHv',
+        'B/xOpDu5rmxMcC/vsXqkwTQNOcPOJs5wmfUhCeHD3NN49nRH33rx1SMzrtrujh8rCRnQ6xvMqczQ3ykbI7AzW1/lmfjkYqtd2LYf',
+        'Ph0cO3zsMM+dz493oxOa0PbYG3LI5JAIeam7f8oyIM3SglRR97W8mU4wb+VFwF+Hzh/t5O1isM82Opnfzo5OAA8vnXcwhsUX0IcH',
+        '15rBrCP+PCzTNVk3bOooqK8NXy0Gs1a4KbOGWMm9IZgAjJLhM+VgdgSNnEwM3awMbdbFdGH4Y4pDVLm32H6CbvJXEweed8fi1d8X',
+        'HL/nmrXveT1VN3wFG/LwKHtOD23D7sh+N3xd+J72qjaHBzEFIYNbQ+AQg8/PY6M2PDyhevLQP2AsTQy29MBYlpFfCiP84vg9r7Dy',
+        'Pc1ZGzZP03N9T7PVgc68bGYomb0Yg6ncedn1B+TjpqAoPQ+d0JeYK7eBaPTnUazZpoarPlq/omivDw2sbDPGuF00qjAc3d80wCWP',
+        'yNs2Aj/bcs4h4TxvXK5AYopxW2uK1fp42D5jNd4JXVKRpydAfm3G0b1gx/4/'
+    ];
+
+    // Unicode Joining_Type (ArabicShaping.txt; marks and format characters are Transparent),
+    // as runs of "<gap>.<length><type>" in base 36 — see decodeRangeTable()
+    const JOINING_TYPE_DATA = [
+        '4t.1Tgi.34T7n.7T7b.19T1.1T1.2T1.2T1.1T20.bT1.1T3.1D1.4R.1D.1R.1D.1R.5D.4R.dD.1C.7D.1R.2D.lTe.2D.1T.3',
+        'R1.3R.gD.iR.12D.1R.2D.9R.1D.1R.1D.1R.2D.2R1.1R.7T2.6T2.2T1.4T.2Ra.3D2.1Df.1T.1R.1T.3D.5R.4D.1R.9D.1R',
+        '.1D.1R.1D.1R.2D.1R.rT2.1R.bD.3R.fD.2R.4D.1R.1D.2R.3D.2R.6D12.bTp.xD.9T6.1C2.1To.4T1.9T1.3T1.5Ti.1R.5',
+        'D.2R.1D.1R.aD.1R.1D.3R.3T4.1D1.4D1.1R.1D.2R5.jR.3C.1D2.5D.1R9.8T.aD.3R1.1R.2D.2R.6D.1R.fD1.oT1.wT1j.',
+        '1T1.1T4.8T4.1T3.7Ta.2Tt.1T1m.1T4.4T8.1Tk.2Tq.1T2.2T1l.1T4.2T4.2T2.3T3.1Tu.2T3.1Tb.2T1l.1T4.5T1.2T4.1',
+        'Tk.2Tm.6T1.1T1m.1T2.1T1.4T8.1T7.2Tb.2Tu.1T1p.1Tc.1T1e.1T3.1T1j.1T1.3T5.3T1.4T7.2Tb.2Tt.1T1m.1T2.1T6.',
+        '1T5.2Tk.2Ts.2T1l.2T4.4T8.1Tk.2Tt.1T20.1T7.3T1.1T2i.1T2.7Tc.8T2q.1T2.9Tb.7T21.2Tr.1T1.1T1.1T1j.eT1.5T',
+        '1.2T5.bT1.10T9.1T2u.4T1.6T1.2T2.2Tp.2T4.3Tg.4Td.1T2.2T6.1Tf.1Tjj.3Tqa.3Tt.2Tu.2Tu.2T1s.2T1.7T8.1T2.b',
+        'T9.1T15.1D2.1C.3T1.1Tg.2hDc.2T.yD.1T.1D39.3T4.2T9.1T6.3T63.2T2.1T1m.1T1.7T1.1T1.1T2.8T6.aT2.1T1c.vT1',
+        'd.4T1c.1T1.5T1.1T5.1T14.9Tc.2Tw.4T2.2T1.3T1k.1T1.2T3.1T1.3T1m.8T2.2T48.3T1.dT1.7T4.1T6.1T3.2T5i.1sTe',
+        'j.1T1.1C.2Tq.5T1d.5T5.6T2o.xT2da.3T3x.1T2o.wTfe.4T2z.2Tn9w.4T1.aTw.2T28.2T7k.1T3.1T4.1Tp.2T5.1Tj.1eD',
+        '.1L29.2Tq.iTd.1T12.8Tp.bT1a.3T1c.1T2.4T2.2T13.1T1v.6T2.2T2.2Tc.1T8.1T1b.1T1f.1T1.3T2.2T5.2T1.1T16.2T',
+        '8.1T6m.1T2.1T4.1Tfn4.1Tkh.gTg.gT5r.1T6x.3Te9.1T6a.1T45.5T1ae.3T1.2T5.4T14.3T4.1T3k.5D.1R1.1R1.2R2.1L',
+        '.5R.4D.1L.5D.1R.3D.1R2.1R.2T4.4D.1R40.1D.1R.1D.3R.3D.1R.2D.1R.1D.2R.1D.1Rn.4R.2D9d.1L.xD.1R.1D.4Tar.',
+        '2T28.3T1c.3D.1R.hD1.bT.3D.1Rr.4D.2R.cD.4T16.1D1.2D.3R1.1D.2R.2D.1R.2D1.1D.2R.1D4.1R.1D.1L1h.1T1i.fT1',
+        '5.1T2.2Ta.3T1d.4T2.2T7.1T1p.3T10.5T1.8T1q.1Tc.2T1g.9Ta.4T2.1T2n.3T2.1T1.2T6.1T2.1T4d.1T3.8Tl.2T1l.2T',
+        '3.1T11.7T3.5T5f.8T2.3T1.1Tn.1T2c.6T1.1T4.2T1.2T6m.4T6.2T1.2Tr.2T2d.8T2.1T1.2T2y.1T1.1T2.6T1.1T2t.3T2',
+        '.4T1.5T77.9T1.2T74.2T1.1T4.1T40.4T2.2T4.1Tw.aT14.6T2.4T8.1T9.6T2.3T1a.dT1.2Tba.7T1.6T1.1T2a.mT2.7T1.',
+        '2T1.2T3e.6T3.1T1.2T1.7T1.1T20.2T3.1T1.1T9n.2Tb.2T1g.5T5.1T1.1T44t.hT6.fTasa.5T1n.7Tt4.1T1r.4T29.1Tf5',
+        'k.2T1.4T3mk.1aT2.nTf4.3T9.gT2.7Tu.4T44.3T1iz.1jT4.1eT8.1Te.1Tm.5T1.fT11s.7T1.hT2.7T1.2T1.5T2s.1T4g.7',
+        'Taf.1T1p.4Te4.4Trk.7T15.1wD.8Tgzat.1Tu.2oT3k.6oT'
+    ];
+
+    // Unicode Bidi_Class (DerivedBidiClass.txt; unlisted code points are L), as runs in the same
+    // format as JOINING_TYPE_DATA. Class codes are expanded by BIDI_CLASS_CODES.
+    const BIDI_CLASS_DATA = [
+        '.9Z.1G.1B.1G.1W.1B.eZ.3B.1G.1W.2O.3T.5O.1S.1C.1S.2C.aE.1C.6Oq.6Oq.4O.6Z.1B.qZ.1C.1O.4T.4O1.2O.1Z.2O.',
+        '2T.2E.1O1.3O.1E1.5On.1Ov.1Och.2O7.eO2.eO5.9O1.hO.34M4.2O8.1O5.2O1.1O32.1O3w.7M74.1O2.2O.1T1.19M.1R.1',
+        'M.1R.2M.1R.2M.1R.1M8.rR4.6Rb.6N.2O.1A.2T.1A.1C.1A.2O.bM.1cA.lM.aN.1T.2N.3A.1M.2tA.7M.1N.1O.6M.2A.2M.',
+        '1O.4M.2A.aE.kA1.2A.1M.uA.rM2.2hA.bM.1Ae.17R.9M.2R.4O.1R2.1M.oR.4M.1R.9M.1R.3M.1R.5M2.fR1.pR.3M2.1R1.',
+        'bA5.vA1.2N6.8M.16A.oM.1N.wM1j.1M1.1M4.8M4.1M3.7Ma.2Mt.1M1m.1M4.4M8.1Mk.2Me.2T7.1T2.1M2.2M1l.1M4.2M4.',
+        '2M2.3M3.1Mu.2M3.1Mb.2M1l.1M4.5M1.2M4.1Mk.2Md.1T8.6M1.1M1m.1M2.1M1.4M8.1M7.2Mb.2Mu.1M1p.1Mc.1M11.6O.1',
+        'T.1O5.1M3.1M1j.1M1.3M5.3M1.4M7.2Mb.2Mk.7O2.1M1m.1Mf.2Mk.2Ms.2M1l.2M4.4M8.1Mk.2Mt.1M20.1M7.3M1.1M2i.1',
+        'M2.7M4.1T7.8M2q.1M2.9Mb.7M21.2Mr.1M1.1M1.1M.4O1f.eM1.5M1.2M5.bM1.10M9.1M2u.4M1.6M1.2M2.2Mp.2M4.3Mg.4',
+        'Md.1M2.2M6.1Mf.1Mjj.3M1c.aO2u.1Ohr.1Wq.2O39.3Mt.2Mu.2Mu.2M1s.2M1.7M8.1M2.bM7.1T1.1Mi.aO6.bO.3M.1Z.1M',
+        '39.2My.1M3a.3M4.2M9.1M6.3M4.1O3.2O48.yOn.2M2.1M1m.1M1.7M1.1M1.1M2.8M6.aM2.1M1c.vM1d.4M1c.1M1.5M1.1M5',
+        '.1M14.9Mc.2Mw.4M2.2M1.3M1k.1M1.2M3.1M1.3M1m.8M2.2M48.3M1.dM1.7M4.1M6.1M3.2M5i.1sMcd.1O1.3Ob.3Od.3Od.',
+        '3Od.2O1.bW.3Z1.1R.oO.1W.1B.1H.1I.1P.1J.1K.1C.5T.fO.1C.qO.1W.5Z1.1U.1V.1X.1Y.6Z.1E3.6E.2S.3O1.aE.2S.3',
+        'Oh.xTf.xMf.2O1.4O1.2Oa.1O1.3O5.6O1.1O1.1O1.1O4.1Tb.2O4.5O5.4O2.gO15.3O4.3mO.1S.1T.82O1x.qO1.41Op.bOl',
+        '.14O.kE26.ciO1.9fO74.hgO2.wO1.2xO6d.6O4.3M7.7O3j.1M2o.wM.2mOy.qO1.2hOc.5yOq.gO.1W.4O3.pO9.4M2.1O5.2O',
+        '5.3O2h.2M.2O3.1O2i.1O5g.10Ob.1O19.2O1d.gOs.3O1e.fOc.4O4n.4O2r.2Ov.1O534.1sOh3k.1jO92.3O2n.4M.1O.aM.2',
+        'Ou.2M28.2Me.yO2u.1O3d.1M3.1M4.1Mp.2M1.4O.1Mb.2T1m.4O24.2Mq.iMd.1M12.8Mp.bM1a.3M1c.1M2.4M2.2M13.1M1v.',
+        '6M2.2M2.2Mc.1M8.1M1b.1M1f.1M1.3M2.2M5.2M1.1M16.2M8.1M37.2O3d.1M2.1M4.1Mfn3.1R.1M.aR.1S.dR1.5R1.1R1.2',
+        'R1.2R1.aR.37Ag.a3A.iO.1sA2.1iA7.1Ow.dA.3O.gM.aO6.gM.wO.1C.1O.1C1.1O.1C.9O.1T.2O.2S.3O1.1O.2T.1O4.5A1',
+        '.3rA2.1Z1.2O.3T.5O.1S.1C.1S.2C.aE.1C.6Oq.6Oq.bO3e.2T.3O.2T1.7Oa.5O77.1O1q.25O3.dO3.1O2k.1M6a.1M.rE3e',
+        '.5Mw5.6R2.1R1.18R1.2R3.1R2.nR1.20R8.9R1c.jR1.2R5.xR3.1O.qR5.1R1s.1kR4.kR2.1bR.3M1.2M5.4M.4R1.3R1.tR2',
+        '.3M4.1M.9R7.9R7.1sRw.11R.2M4.cR9.1iR3.7O.mR2.rR5.qR7.4Rc.7R28.21R1j.1fRd.1fR7.6R.10A.4M8.aN86.vN1.16',
+        'R1.2M.1R2.2R23.3M.14R8.mA.bM.9Am.iR.4M.4R12.sRk.nRa.1M1i.fMb.kOa.1M2.2Ma.3M1d.4M2.2M7.1M1p.3M10.5M1.',
+        '8M1q.1Mc.2M1g.9Ma.4M2.1M2n.3M2.1M1.2M6.1M2.1M4d.1M3.8Ml.2M1l.2M3.1M11.7M3.5M5f.8M2.3M1.1Mn.1M2c.6M1.',
+        '1M4.2M1.2M6m.4M6.2M1.2Mr.2M2d.8M2.1M1.2Mv.dO1q.1M1.1M2.6M1.1M2t.3M2.4M1.5M77.9M1.2M74.2M1.1M4.1M40.4',
+        'M2.2M4.1Mw.6M2.2M14.6M2.4M8.1M9.6M2.3M1a.dM1.2Mba.7M1.6M2c.mM2.7M1.2M1.2M3e.6M3.1M1.2M1.7M1.1M20.2M3',
+        '.1M1.1M9n.2Mb.2M1g.5M5.1M1.1M42.8O.4T.hO40e.1M6.fMasa.5M1n.7Mt4.1M1r.4M27.1O1.1Mf5k.2M1.4Z3mk.1aM2.n',
+        'Mf4.3M9.8Z.8M2.7Mu.4M1n.2Ol.1uO.3M.1O56.2fOp0.1O1l.1O1l.1O1l.1O1l.1Oa.1eEe8.1jM4.1eM8.1Me.1Mm.5M1.fM',
+        '11s.7M1.hM2.7M1.2M1.5M2s.1M4g.7Maf.1M1p.4Mf.1Tdo.4Mls.5hR2.9R.7M15.1wR.7M.1R4.aR4.2Rlt.1wA24.1pA5e.4',
+        'A1.rA1.2A1.1A2.1A1.aA1.4A1.1A1.1A6.1A4.1A1.1A1.1A1.3A1.2A1.1A2.1A1.1A1.1A1.1A1.1A1.2A1.1A2.4A1.7A1.4',
+        'A1.4A1.1A1.aA1.hA5.3A1.5A1.hA1g.2O7i.18O4.2sOc.fO2.fO1.fO1.11Oa.bE.5Ov.1O1m.6O1p.1O4y.6O4a.rcO4.hO3.',
+        'dO3.3bO4.2nO6.cO4.1Of.cO4.1kO8.aO6.14O8.uO2.2O26.9gOc.eO2.dO3.9O7.1aO1.7O8.eO4.9O7.9O7.43O1.1jO11.aE',
+        'gvlz.1Zu.2oZ3k.6oM'
+    ];
+
+    // Bidi_Paired_Bracket_Type (BidiBrackets.txt): O = opening, C = closing
+    const BIDI_BRACKET_DATA = [
+        '14.1O.1C1d.1O1.1Ct.1O1.1C2ws.1O.1C.1O.1C1gd.1O.1C1wo.1O.1C1i.1O.1Ce.1O.1Chl.1O.1C.1O.1Ct.1O.1Cu5.1O.',
+        '1C.1O.1C.1O.1C.1O.1C.1O.1C.1O.1C.1O.1C27.1O.1Cv.1O.1C.1O.1C.1O.1C.1O.1C.1O.1Cb7.1O.1C.1O.1C.1O.1C.1O',
+        '.1C.1O.1C.1O.1C.1O.1C.1O.1C.1O.1C.1O.1C.1O.1C1r.1O.1C.1O.1Cw.1O.1Ctg.1O.1C.1O.1C.1O.1C.1O.1C17.1O.1C',
+        '.1O.1C.1O.1C.1O.1Cbv.1O.1C.1O.1C.1O.1C.1O.1C.1O.1C2.1O.1C.1O.1C.1O.1C.1O.1C14ql.1O.1C.1O.1C.1O.1C4p.',
+        '1O.1C1d.1O1.1Ct.1O1.1C1.1O.1C1.1O.1C'
+    ];
+
+    // Bidi_Mirroring_Glyph (BidiMirroring.txt) as comma-separated "<gap>.<delta>" pairs in base 36:
+    // gap from the previous pair's first code point, delta to its mirror
+    const BIDI_MIRROR_DATA = [
+        '14.1,k.2,v.2,w.2,1c.g,2vj.1,2.1,1gf.1,1we.1,c.1,1k.1,g.1,aj.3,1.3,1.3,b.1k0,a.1y7,1.1hf,1.1h6,1.1ha,',
+        '2.1qi,o.1,7.3u,2.7,d.1,2.1,g.1,2.1,2.1,2.1,4.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2',
+        '.1,5.1,2.1,7.1eo,a.1,4.1mg,2.1mk,1.1mi,2.1mi,5.1,2.1,2.1,2.1,2.10k,h.1,2.1,5.1,6.1,2.1,2.1,2.1,2.1,2',
+        '.1,2.1,2.1,2.1,2.1,2.1,2.1,4.1,2.8,1.8,1.8,2.7,1.7,h.1,2.1,v.1,u7.1,2.1,2.1,2.1,2.1,2.1,2.1,27.1,2.1',
+        ',3.1,3.2,a.1,8.1,5.1,2.1,2.1,2.1,2.1,2.1,2.1,b9.1,2.1,2.1,2.1,2.1,2.3,1.1,3.1,2.1,2.1,2.1,d.1,4.1,2.',
+        '1,2.1,2.1,i.1,4.1,b.1,2.1,3.1,4.1,2.1,e.1,g.1,4.1,1b.1,2.1,7.1,8.1,14.1,l.1,2.1,2.1,2.1,2.1,2.1,2.1,',
+        '2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,5.1,2.1,2.1,2.1,3.1,2.1,2.1,2.1,2.1,2.1,2.1,',
+        '2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,2.1,n.1,b.1,2.1,ll.1,2.1,5.1,3.1,g.1,4.1,2.1,2.1,2.1',
+        ',2.1,19.1,2.1,2.1,2.1,bx.1,2.1,2.1,2.1,2.1,4.1,2.1,2.1,2.1,14qn.1,2.1,2.1,7.1,4k.1,k.2,v.2,w.2,4.1,3',
+        '.1'
+    ];
+
+    // Unicode Line_Break (LineBreak.txt, including its default ranges), as runs in the same format as
+    // JOINING_TYPE_DATA with the class names as values (see LINE_BREAK_CODES). AI, SG and XX are left out
+    // (AL), SA is resolved to CM or AL (rule LB1), NL is BK, and Hangul syllables are computed.
+    const LINE_BREAK_DATA = [
+        '.9CM.1BA.1LF.2BK.1CR.iCM.1SP.1EX.1QU1.1PR.1PO1.1QU.1OP.1CP1.1PR.1IS.1HY.1IS.1SY.aNU.2IS3.1EXr.1OP.1P',
+        'R.1CPt.1OP.1BA.1CL1.6CM.1BK.qCM.1GL.1OP.1PO.3PR5.1QU1.1BA2.1PO.1PR2.1BB6.1QU3.1OPeg.1BB3.1BBi.1BBw.2',
+        '7CM.1GL.cCM.7GL.dCMe.1IS78.7CM73.1IS.1BA4.1PR1.19CM.1BA.1CM1.2CM1.2CM.1EX.1CM8.rHL4.4HLd.6NU3.3PO.2I',
+        'S2.bCM.1EX.1CM.3EX17.lCM.aNU.1PO.2NU3.1CM2r.1EX1.7CM.1NU1.6CM2.2CM1.4CM2.aNUn.1CMu.rCM2j.bCMf.aNUx.9',
+        'CM4.1IS.1EX3.1CM.2PRm.4CM1.9CM1.3CM1.5CM17.3CM1g.2NU6.8CM16.oCM.1NU.xCM1i.3CM1.iCM1.7CMa.2CM.2BA.aNU',
+        'h.3CM1k.1CM1.7CM2.2CM2.3CM9.1CMa.2CM2.aNU2.2PO5.1PO1.1PR2.1CM2.3CM1k.1CM1.5CM4.2CM2.3CM3.1CMk.aNU.2C',
+        'M3.1CMb.3CM1k.1CM1.8CM1.3CM1.3CMk.2CM2.aNU1.1PR8.6CM1.3CM1k.1CM1.7CM2.2CM2.3CM7.3CMa.2CM2.aNUi.1CM1n',
+        '.5CM3.3CM1.4CM9.1CMe.aNU9.1PR6.5CM1j.1CM1.7CM1.3CM1.4CM7.2CMb.2CM2.aNU7.1BB9.3CM.1BB1j.1CM1.7CM1.3CM',
+        '1.4CM7.2CMb.2CM2.aNU3.1CMc.4CM1j.2CM1.7CM1.3CM1.4CM9.1CMa.2CM2.aNU9.1PO7.3CM1y.1CM4.6CM1.1CM1.8CM6.a',
+        'NU2.2CM1p.1CM2.7CM4.1PR7.8CM1.aNU.2BA2d.1CM2.9CMb.7CM1.aNU13.4BB1.2BB.1GL.2BB.1BA.1GL.5EX.1GL1.1EX3.',
+        '2CM6.aNUa.1BA.1CM1.1CM1.1CM.1OP.1CL.1OP.1CL.2CM1d.eCM.1BA.5CM.1BA.2CM5.bCM1.10CM1.2BA6.1CM9.2BB.1BA.',
+        '1BB5.2GL28.kCM1.aNU.2BAa.4CM4.3CM1.3CM2.7CM3.4CMd.cCM1.1CM.aNU.4CM2q.2oJL.20JV.2gJT9p.3CM1.1BA4e.1BA',
+        'hr.1BAq.1OP.1CL26.3BA10.4CMs.3CM.2BAr.2CMu.2CM1s.wCM.2BA.1NS1.1BA1.1BA.1PR1.1CM2.aNUo.2EX.2BA.1BB1.2',
+        'EX1.3CM.1GL.1CM.aNU2z.2CMy.1CM3a.cCM4.cCM8.2EX.aNU3k.aNU1p.5CM1l.aCM1.tCM2.1CM.aNU6.aNUm.vCM1d.5CM.1',
+        'bAK.gCM.1VI.8AK3.aID.2BA.1ID.4BA.aID.9CM.9ID.2BA1.3CMu.dCM2.aNU6.12AS.cCM.2VF1c.kCM3.5BA.aNU6.aNU10.',
+        '2BA28.3CM1.lCM4.1CM6.1CM2.3CM5i.dCM.1GL.1aCM.1GL.3CMe5.1BB2.7BA.1GL.3BA.1ZW.1CM.1Z.2CM.1BA.1GL.2BA.1',
+        'B3.2QU.1OP.3QU.1OP.1QU4.3IN.1BA.2BK.5CM.1GL.8PO1.2QU1.2NS6.1IS.1OP.1CL.3NSc.1BA.1PO.4BA1.3BA.1WJ5.aC',
+        'Md.1OP.1CLe.1OP.1CLh.7PR.1PO.ePR.1PO.4PR.1PO.2PR.1PO.1PR.1PO.fPR.xCMi.1PO5.1POc.1PR6z.2PR63.1INo.1OP',
+        '.1CL.1OP.1CLe.2IDd.1OP.1CL5h.4IDek.4IDg.2ID2.1ID1.3ID.1EB.2IDp.3ID18.1IDm.1ID1p.cID4.1ID1.3ID1.2ID3.',
+        '2ID2.1ID2.3ID8.1ID6.5ID1.2ID.1EB.1ID2.8ID3.2ID.4EB25.6QU1.2EX.1ID3.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1',
+        'OP.1CL.1OP.1CL.1OP.1CL27.1OP.1CLv.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CLb7.1OP.1CL.1OP.1CL.1OP.1CL.',
+        '1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL1r.1OP.1CL.1OP.1CLw.1OP.1CLkx.3CM7.1E',
+        'X.3BA1.1EX.1BA34.1BAe.1CM2o.wCM.eQU.8BA1.1BA.1OP.1BA2.2QU2.2QU.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.4BA.1',
+        'EX1.2BA1.2BA5.2B.3BA1.2BA.1OP.8BA1.1BA1.2BA3.2EX.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1BAy.qID1.2hIDc.5yI',
+        'Dq.gID.1BA.2CL.2ID.1NS.2ID.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.2ID.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1',
+        'CL.1NS.1OP.2CL.aID.6CM.5ID.1CM.5ID.2NS.3ID1.1CJ.1ID.1CJ.1ID.1CJ.1ID.1CJ.1ID.1CJ.pID.1CJ.vID.1CJ.1ID.',
+        '1CJ.1ID.1CJ.6ID.1CJ.6ID.2CJ2.2CM.4NS.1ID.1NS.1CJ.1ID.1CJ.1ID.1CJ.1ID.1CJ.1ID.1CJ.pID.1CJ.vID.1CJ.1ID',
+        '.1CJ.1ID.1CJ.6ID.1CJ.6ID.2CJ.4ID.1NS.1CJ.2NS.1ID5.17ID1.2mID1.2cIDb.1ID.gCJ.vID1.14ID8.5f4ID1s.g7pID',
+        '.1NS.vrID3.1jID1j.2BA7h.1BA.1EX.1BAg.aNU1x.4CM1.aCMw.2CM28.2CM1.5BA7e.1CM3.1CM4.1CMn.5CM4.1CMb.1PO1n',
+        '.2BB.2EX8.2CM1e.iCM8.2BA.aNU6.iCMa.1BB2.1CM.aNUs.8CM.2BAn.dCMc.tJL3.4CM.1bAK.dCM.1VI.6ID.3BA.4ID1.1B',
+        'A.aID4.2ID5.1CMa.aNU6.15AS.eCM9.3BA.1CM.8BA.2CM2.aID2.1ID.3BAr.3CM1e.1CM1.3CM2.2CM5.2CM1.1CM15.5CM.2',
+        'BA3.2CM6k.8CM.1BA.2CM2.aNU8mu.nJV4.1dJT6is.e8IDt.1HL.1CM.aHL1.dHL1.5HL1.1HL1.2HL1.2HL1.aHLdq.1CL.1OP',
+        '58.1PO3.gCM.1IS.2CL.2IS.2EX.1OP.1CL.1IN6.gCM.5ID.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP.1CL.1OP',
+        '.1CL.1OP.1CL.2ID.1OP.1CL.7ID.1CL.1ID.1CL1.2NS.2EX.1ID.1OP.1CL.1OP.1CL.1OP.1CL.8ID1.1ID.1PR.1PO.1ID43',
+        '.1WJ1.1EX.2ID.1PR.1PO.2ID.1OP.1CL.2ID.1CL.1ID.1CL.bID.2NS.3ID.1EX.rID.1OP.1ID.1CL.tID.1OP.1ID.1CL.1I',
+        'D.1OP.2CL.1OP.2CL.1NS.1ID.aCJ.19ID.2NS.vID3.6ID2.6ID2.6ID2.3ID3.1PO.1PR.3ID.2PRi.3CM.1CB77.3BA6y.1CM',
+        '6a.1CM45.5CM10.1BA1c.1BA5r.aNUq5.1BA5j.1BA69.3CM1.2CM5.4CM14.3CM4.1CMg.8BA3x.2CM9.6BA.1IN1u.7BAdg.4C',
+        'M8.aNUa9.2CM.1BA27.3CM1y.bCM1d.4CM3e.3CM.2AP.1fAK.eCM.1VI.2BA.5ID4.kID.aAS.1CM.2AK.2CM.1AK9.1GL.3CM1',
+        '9.bCM2.1NU.4BA.1CMa.1NUy.aNU6.3CM10.eCM1.aNU.4BA1.2CM18.1CM1.1BBa.3CM1c.eCM4.2BA1.1BA.4CM1.2CM.aNU1.',
+        '1BB1.3BA24.cCM.2BA1.2BA1.1CM2.1CM2v.1BA1h.cCM5.aNU6.4CM1.8AK2.2AK2.mAK1.7AK1.2AK1.5AK1.2CM.1BA.7CM2.',
+        '2CM2.2CM.1VI2.1AS6.1CM5.1BA.2AS.2AK.2CM2.7CM3.5CM5c.iCM4.4BA1.aNU.2BA2.1CM29.kCMc.aNU5x.7CM2.9CM.1BB',
+        '.2BA.2EX3.fBA4.2CM2a.hCM.2BAd.aNU6.dBB1q.dCM8.aNU2b.fCM4.aNU2.3BA6l.fCM4l.aNUm.7AK2.1AK2.8AK1.2AK1.o',
+        'AK.6CM1.2CM2.3CM.1VI.1AP.1CM.1AP.2CM.3BA9.aID3b.7CM2.7CM1.1BB1.1CMs.aCM14.7CM1.4CM.1BB1.4BA.1BB1.1CM',
+        '9.bCM1a.gCM.3BA1.3BB.2BA2l.aBB85.8CM1.8CM1.5BAa.aNUm.1BB.1EXw.mCM1.eCM3e.6CM3.1CM1.2CM1.7CM1.1CM8.aN',
+        'U1c.5CM1.2CM1.5CM8.aNU8m.iAS.1BA.4CM.2BA7.2CM.1AP.1CM.dAK1.yAK.7CM3.4CM.1VI.2BA.bID.aAS3n.4POu.1BAvk',
+        '.5BA2qr.3OP.3CL10.1CL3.1OP.1CL.1OP.1CL6n.1OP.2CL4z.1OP.7GL.1OP.1CL.3GL.1OP.1CL.1OP.1CL.1CM6.fCM3g8.1',
+        'OP.1CL780.aNU4.2BA28.aNU12.5CM.1BA1m.7CM.3BAa.1BAb.aNUn1.2BA52.1CM1.1jCM7.4CM25.4NS.1GLb.2CMe.4qgID8',
+        '.lcIDe8.9ID6wn.83IDf.1CJt.3CJ2.1CJe.4CJ8.b0ID1wh.2CM.1BA.4CM3mk.1aCM2.nCMf2.5CM3.mCM2.7CMu.4CM44.3CM',
+        '13d.1eNUe8.1jCM4.1eCM8.1CMe.1CM2.4BAg.5CM1.fCM11s.7CM1.hCM2.7CM1.2CM1.5CM2s.1CM4g.7CM9.aNU9w.1CM1p.4',
+        'CM.aNU5.1PRdo.4CM.aNUra.7CM31.7CM5.aNU4.2OPng.1PO3.1POnj.18ID.4P.2sID.cP.fID.2P.fID.1P.fID.1P.11ID.a',
+        'Pd.3ID2l.3ID1p.1ID.1kP.qRI.3ID.dP.18ID.4P.9ID.7P.2ID.eP.6ID.4aP.3pID.1EB.mID2.nID2.5ID1.5ID.3EB.2ID.',
+        '1EB.2ID.3EB.1aID.5EM.1uID.2EB.2ID.bEB.lID.jEB.3ID.1EB.4ID.3EB.1ID.3EB.7ID.1EB.1ID.1EB.eID1.1ID1.1ID1',
+        '.5ID.1EB.4ID1.1ID2.25ID7.gIDe.dIDo.16ID.2EB.4ID.1EB.lID.1EB.4ID.2EB.1pID8.oID6.23ID.3EB.3ID.5EB12.3Q',
+        'U.3NS4.zID.1EB.gID.3EB.9ID.1EB.bID.1EB.bID.4P.hID.3P.dID.3P38.3ID.4P.5ID2d.5ID.6P.cID.4P.1ID.fPc.4P1',
+        'k.8Pa.6P14.8Pu.2P.2ID.26Pc.1EB.2ID.1EB.8ID.8EB.6ID.1EB.9ID.aEB.2ID.3EB.1kID.1EB.1pID.2EB.1ID.2EB.1ID',
+        '.1EB.hID.3EB.1ID.dEB.yID2c.cP.eID.2P.dID.3P.9ID.7P.1aID.1P.4ID.3EB.8P.eID.4P.9ID.7P.9EB.7P6o.aNU6.se',
+        'P2.1ekeID2.1ekeIDe1oj.1CMu.2oCM3k.6oCM'
+    ];
+
+    // Unicode Vertical_Orientation (VerticalOrientation.txt) as runs in the same format as JOINING_TYPE_DATA:
+    // U = upright, TU / TR = transformed upright / rotated; unlisted code points are R (rotated)
+    const VERTICAL_ORIENTATION_DATA = [
+        '4n.1U1.1U4.1U2.1Ua.3Uo.1Uv.1Udu.2U2s4.74Ue9.hrUfk.28U1ee.1U9.2Ue.2U9.2U5.1U4.3U7.1Uj.1U3b.4U1.3Ur.2U',
+        '1.7U5.1U3.2U1.2U6.6U1.1U1.1U1.1U4.1U6.bU5.6U1.2U1.1nU2.4U3y.1Ul.2U5m.8U4.kU4.5U.2TR.1U29.uUz.gU1.1U1',
+        '.bU6.1tU1.64U4g.3eU6.94Ue.uUou.uUw.aU1p.1Uw.qU1.pU4.gUgg.2U1a.apU.2TU.5U.aTR.2U.cTR.gU.1TR.gU.1TU.1U',
+        '.1TU.1U.1TU.1U.1TU.1U.1TU.pU.1TU.vU.1TU.1U.1TU.1U.1TU.6U.1TU.6U.2TU.4U.2TU.3U.1TR.1TU.1U.1TU.1U.1TU.',
+        '1U.1TU.1U.1TU.pU.1TU.vU.1TU.1U.1TU.1U.1TU.6U.1TU.6U.2TU.5U.1TR.16U.1TU.5kU.gTU.73U.2hTU.zU.5TU.mdsUw',
+        'g.wUhs.8owU1kw.5c0Uls.gUg.pU7.3TU.5U1.6TR.4U4.9U41.1TU.6U.2TR.2U.1TU1.1TU.bU.2TR3.1TU.rU.1TR.1U.1TR.',
+        '1U.1TR.rU.6TR3j.3U.1TR.4U8.9U3.2U1vm.wU2cg.3kUsg.5cU474.v4U334.hsU868.5uoU6sw.lsU5j4.5sU1c.e8U68.4gU',
+        'w0.j4U47k.e8U.2TU.16mU74.e8Uzk.1ekeU2.1ekeUfg8y.1ekeU2.1ekeU'
+    ];
+
     // Public API
-    return { parse, createTextShapes, glyphToSVGPath, generateSVG };
+    return { parse, load, listFaces, createTextShapes, createTextGeometry, glyphToSVGPath, generateSVG };
 
 })();
 
@@ -0,0 +1,69 @@
+// Joining scripts: positional forms, rlig and calt in their own stages, mark order and right-to-left runs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs, u16 } = require('./helpers/build-font.js');
+const { offset, coverage, layoutTable, gdefTable } = require('./helpers/layout-tables.js');
+
+// beh, alef, lam, fatha, shadda; then unmapped glyphs for the forms and ligatures
+const CHARS = '\u0628\u0627\u0644\u064E\u0651';
+const beh = 1, alef = 2, lam = 3, fatha = 4, shadda = 5;
+const behInit = 6, behMedi = 7, behFina = 8, lamAlef = 9, behFinaAlt = 10, alefFina = 11;
+
+const single = (from, to) => [...u16(2), offset(coverage([from])), ...u16(1), ...u16(to)];
+const ligature = (first, second, glyph) =>
+    [...u16(1), offset(coverage([first])), ...u16(1), offset([...u16(1), offset([...u16(glyph), ...u16(2), ...u16(second)])])];
+
+// calt comes first in the LookupList, but only sees final forms if it runs after them
+const GSUB = layoutTable([['calt', [0]], ['init', [1]], ['medi', [2]], ['fina', [3, 4]], ['rlig', [5]]], [
+    { type: 1, subtables: [single(behFina, behFinaAlt)] },
+    { type: 1, subtables: [single(beh, behInit)] },
+    { type: 1, subtables: [single(beh, behMedi)] },
+    { type: 1, subtables: [single(beh, behFina)] },
+    { type: 1, subtables: [single(alef, alefFina)] },
+    { type: 4, flag: 0x0008, subtables: [ligature(lam, alefFina, lamAlef)] }
+], ['DFLT', 'arab']);
+const GDEF = gdefTable({ [beh]: 1, [alef]: 1, [lam]: 1, [fatha]: 3, [shadda]: 3 });
+
+const json = FontEngine3D.parse(buildFont(CHARS, { GSUB, GDEF }, { extraGlyphs: 6 }), { layout: true });
+
+// Glyph IDs from right to left, marks after their base (the nearest base at or left of them)
+function shaped(text, features) {
+    const glyphs = placedGlyphs(FontEngine3D, json, text, { features });
+    const isMark = glyph => glyph.gid === fatha || glyph.gid === shadda;
+    const bases = glyphs.filter(glyph => !isMark(glyph)).sort((p, q) => q.x - p.x);
+    const order = [];
+    for (const base of bases) {
+        order.push(base.gid);
+        for (const glyph of glyphs) {
+            if (isMark(glyph) && bases.find(b => b.x <= glyph.x) === base) order.push(glyph.gid);
+        }
+    }
+    return order;
+}
+
+test('letters take their positional forms from their neighbours', () => {
+    assert.deepStrictEqual(shaped('\u0628\u0628\u0628\u0628'), [behInit, behMedi, behMedi, behFinaAlt]);
+    assert.deepStrictEqual(shaped('\u0628'), [beh]);
+    // Alef joins only to the letter before it
+    assert.deepStrictEqual(shaped('\u0627\u0628'), [alef, beh]);
+});
+
+test('marks are transparent to joining and sorted by combining class', () => {
+    assert.deepStrictEqual(shaped('\u0628\u064E\u0651\u0628'), [behInit, shadda, fatha, behFinaAlt]);
+});
+
+test('rlig ligates the final form of alef after lam, passing over marks', () => {
+    assert.deepStrictEqual(shaped('\u0644\u0627'), [lamAlef]);
+    assert.deepStrictEqual(shaped('\u0644\u064E\u0627'), [lamAlef, fatha]);
+});
+
+test('calt can be turned off like any other feature', () => {
+    assert.deepStrictEqual(shaped('\u0628\u0628', { calt: false }), [behInit, behFina]);
+});
+
+test('Arabic runs are laid out from right to left', () => {
+    const glyphs = placedGlyphs(FontEngine3D, json, '\u0628\u0627');
+    assert.deepStrictEqual(glyphs.map(glyph => [glyph.gid, glyph.x]), [[behInit, 600], [alefFina, 0]]);
+});
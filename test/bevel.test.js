@@ -0,0 +1,73 @@
+// Bevels on strokes thinner than the bevel: closed meshes, no flipped triangles, no face beyond the glyph
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { openEdges, flippedTriangles, frontArea } = require('./helpers/mesh.js');
+
+// Circle of radius r around (cx, cy) from four cubic curves, counter-clockwise or clockwise
+function circle(cx, cy, r, clockwise) {
+    const k = 0.5523 * r, s = clockwise ? -1 : 1;
+    const at = (x, y) => `${cx + x} ${cy + s * y}`;
+    return `m ${at(r, 0)} ` +
+        `b ${at(r, k)} ${at(k, r)} ${at(0, r)} ` +
+        `b ${at(-k, r)} ${at(-r, k)} ${at(-r, 0)} ` +
+        `b ${at(-r, -k)} ${at(-k, -r)} ${at(0, -r)} ` +
+        `b ${at(k, -r)} ${at(r, -k)} ${at(r, 0)} z `;
+}
+
+// Units of 1000 per em at size 100, so 10 units are 1 in the geometry
+const typeface = {
+    resolution: 1000, ascender: 800, descender: -200,
+    glyphs: {
+        i: { ha: 1100, o: 'm 0 0 l 1000 0 l 1000 30 l 0 30 z' }, // a bar 3 wide
+        o: { ha: 900, o: circle(400, 400, 400, false) + circle(400, 400, 370, true) }, // a ring 3 wide
+        v: { ha: 1100, o: 'm 0 0 l 1000 -60 l 1000 60 z' }, // tapering to a point
+        s: { ha: 600, o: 'm 0 0 l 500 0 l 500 700 l 0 700 z' }
+    }
+};
+
+const BEVELS = {
+    default: true,
+    ogee: { size: 3, thickness: 2, profile: 'ogee', segments: 5 }
+};
+
+function geometry(text, bevel) {
+    return FontEngine3D.createTextGeometry(typeface, text, { size: 100, depth: 10, bevel });
+}
+
+for (const [name, bevel] of Object.entries(BEVELS)) {
+    for (const text of ['i', 'o', 'v']) {
+        test(`${name} bevel on "${text}": closed, nothing flipped, face within the glyph`, () => {
+            const g = geometry(text, bevel);
+            assert.ok(g.indices.length > 0);
+            assert.strictEqual(openEdges(g), 0);
+            assert.strictEqual(flippedTriangles(g), 0);
+            assert.ok(frontArea(g) <= frontArea(geometry(text, false)) + 1e-6);
+        });
+    }
+}
+
+test('a bevel on a thick stroke insets its face by the bevel size', () => {
+    // 50 × 70 less 2.5 (size / 40) all round
+    const g = geometry('s', true);
+    assert.strictEqual(openEdges(g), 0);
+    assert.strictEqual(flippedTriangles(g), 0);
+    assert.ok(Math.abs(frontArea(g) - 45 * 65) < 1e-3);
+});
+
+// Lato Regular 'A' (2000 units per em): at 4 and 3.5 the bevel closes the crossbar and meets the counter
+const lato = {
+    resolution: 2000, ascender: 1610, descender: -390,
+    glyphs: {
+        A: { ha: 1360, o: 'm 1353 0 l 1203 0 q 1177 0 1161 13 q 1145 26 1137 46 l 1003 392 l 360 392 l 226 46 q 219 28 202 14 q 185 0 160 0 l 10 0 l 583 1433 l 780 1433 l 1353 0 m 414 532 l 949 532 l 724 1115 q 702 1169 681 1250 q 670 1209 660 1175 q 649 1140 639 1114 l 414 532' }
+    }
+};
+
+for (const size of [3, 3.5, 4]) {
+    test(`bevel of size ${size} on Lato 'A': closed, nothing flipped`, () => {
+        const g = FontEngine3D.createTextGeometry(lato, 'A', { size: 100, depth: 10, bevel: { size, thickness: 3, segments: 4 } });
+        assert.strictEqual(openEdges(g), 0);
+        assert.strictEqual(flippedTriangles(g), 0);
+    });
+}
@@ -0,0 +1,43 @@
+// Bidirectional text: visual order of mixed runs, numbers, mirrored brackets, base direction and controls
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs } = require('./helpers/build-font.js');
+
+const ALEF = '\u05D0', BET = '\u05D1', GIMEL = '\u05D2';
+const CHARS = [...'ab12() ', ALEF, BET, GIMEL];
+const json = FontEngine3D.parse(buildFont(CHARS.join('')));
+
+// The characters of the drawn glyphs from left to right
+function visual(text, options) {
+    return placedGlyphs(FontEngine3D, json, text, options)
+        .sort((p, q) => p.x - q.x)
+        .map(glyph => CHARS[glyph.gid - 1])
+        .join('');
+}
+
+test('right-to-left runs are reversed inside left-to-right text', () => {
+    assert.strictEqual(visual(`ab ${ALEF}${BET}${GIMEL}`), `ab ${GIMEL}${BET}${ALEF}`);
+});
+
+test('the first strong character sets the base direction unless options.direction does', () => {
+    const text = `${ALEF}${BET} ab`;
+    assert.strictEqual(visual(text), `ab ${BET}${ALEF}`);
+    assert.strictEqual(visual(text, { direction: 'ltr' }), `${BET}${ALEF} ab`);
+    assert.strictEqual(visual('ab', { direction: 'rtl' }), 'ab');
+});
+
+test('numbers keep their order in right-to-left text', () => {
+    assert.strictEqual(visual(`${ALEF} 12`), `12 ${ALEF}`);
+});
+
+test('brackets pair up and are mirrored in right-to-left runs', () => {
+    assert.strictEqual(visual(`${ALEF}(${BET})`), `(${BET})${ALEF}`);
+    assert.strictEqual(visual(`ab(${ALEF})`), `ab(${ALEF})`);
+});
+
+test('explicit overrides and isolates reorder their text and are not drawn', () => {
+    assert.strictEqual(visual('\u202Eab\u202C'), 'ba');
+    assert.strictEqual(visual(`\u2066${ALEF}${BET}\u2069a`), `${BET}${ALEF}a`);
+});
@@ -0,0 +1,62 @@
+// cmap format 14: json.variationSequences, and variation selectors picking glyphs in layout
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, fontTables, placedGlyphs, u16, u32 } = require('./helpers/build-font.js');
+
+const u24 = v => [(v >> 16) & 0xFF, ...u16(v & 0xFFFF)];
+
+// cmap of the format 4 subtable of fontTables() plus a format 14 subtable of records
+// [selector, defaultRanges [[start, additionalCount]], mappings [[base, gid]]] sorted by selector
+function cmapWithVariations(chars, records) {
+    const format4 = fontTables(chars).cmap.slice(12);
+    let at = 10 + records.length * 11;
+    const headers = [], data = [];
+    for (const [selector, ranges, mappings] of records) {
+        const defaults = ranges.length ? [...u32(ranges.length), ...ranges.flatMap(([start, count]) => [...u24(start), count])] : [];
+        const nonDefaults = mappings.length ? [...u32(mappings.length), ...mappings.flatMap(([base, gid]) => [...u24(base), ...u16(gid)])] : [];
+        headers.push(...u24(selector), ...u32(defaults.length ? at : 0), ...u32(nonDefaults.length ? at + defaults.length : 0));
+        data.push(...defaults, ...nonDefaults);
+        at += defaults.length + nonDefaults.length;
+    }
+    const format14 = [...u16(14), ...u32(at), ...u32(records.length), ...headers, ...data];
+    return [
+        ...u16(0), ...u16(2), ...u16(0), ...u16(3), ...u32(20), ...u16(0), ...u16(5), ...u32(20 + format4.length),
+        ...format4, ...format14
+    ];
+}
+
+// U+845B (glyph 1) has an IVS variant (glyph 4, unmapped); a and b are the default glyphs of VS16 sequences
+const CHARS = '\u845Bab';
+const KUZU = '\u845B', VS16 = '\uFE0F', VS17 = '\u{E0100}';
+const cmap = cmapWithVariations(CHARS, [
+    [0xFE0F, [[0x61, 1]], []],
+    [0xE0100, [], [[0x845B, 4], [0x63, 4]]]
+]);
+const font = buildFont(CHARS, { cmap }, { extraGlyphs: 1 });
+
+test('default and non-default sequences of mapped characters are kept', () => {
+    const json = FontEngine3D.parse(font);
+    assert.deepStrictEqual(json.variationSequences, {
+        [VS16]: { defaults: [[0x61, 0x62]], glyphs: {} },
+        [VS17]: { defaults: [], glyphs: { [KUZU]: 4 } }
+    });
+    assert.deepStrictEqual(FontEngine3D.parse(font, { characters: 'a' }).variationSequences, {
+        [VS16]: { defaults: [[0x61, 0x62]], glyphs: {} }
+    });
+});
+
+test('a variation selector picks the glyph of its sequence and is not drawn', () => {
+    const json = FontEngine3D.parse(font, { layout: true });
+    assert.ok(json.glyphsById[4]);
+    const placed = placedGlyphs(FontEngine3D, json, `${KUZU}${VS17}a${VS16}b`);
+    assert.deepStrictEqual(placed.map(({ gid, x }) => [gid, x]), [[4, 0], [2, 600], [3, 1200]]);
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, json, KUZU).map(glyph => glyph.gid), [1]);
+});
+
+test('an unknown sequence keeps the glyph of its base character', () => {
+    const json = FontEngine3D.parse(font, { layout: true });
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, json, `b${VS17}${KUZU}${VS16}`).map(({ gid, x }) => [gid, x]),
+        [[3, 0], [1, 600]]);
+});
@@ -0,0 +1,81 @@
+// cmap lookups over segments and groups: format 4 glyph arrays and wrapping deltas, format 12 groups
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, fontTables, u16, i16, u32 } = require('./helpers/build-font.js');
+
+// Glyph ID of a glyph from the height of its rectangle
+const gidOf = glyph => (Number(glyph.o.split(' ')[8]) - 100) / 10;
+
+// cmap of one subtable (platform 3) and its encoding ID
+function cmapOf(encodingID, subtable) {
+    return [...u16(0), ...u16(1), ...u16(3), ...u16(encodingID), ...u32(12), ...subtable];
+}
+
+// Format 4 of segments [start, end, idDelta, glyphIds or null], closed by the 0xFFFF segment
+function format4(segments) {
+    const all = segments.concat([[0xFFFF, 0xFFFF, 1, null]]);
+    const segCount = all.length;
+    const arrays = [];
+    const rangeOffsets = all.map(([, , , glyphIds], i) => {
+        if (!glyphIds) return 0;
+        const at = (segCount - i) * 2 + arrays.length * 2;
+        arrays.push(...glyphIds);
+        return at;
+    });
+    return [
+        ...u16(4), ...u16(16 + segCount * 8 + arrays.length * 2), ...u16(0), ...u16(segCount * 2), ...u16(0), ...u16(0), ...u16(0),
+        ...all.flatMap(([, end]) => u16(end)), ...u16(0),
+        ...all.flatMap(([start]) => u16(start)),
+        ...all.flatMap(([, , delta]) => i16(delta)),
+        ...rangeOffsets.flatMap(u16),
+        ...arrays.flatMap(u16)
+    ];
+}
+
+// Format 12 of groups [start, end, startGlyphID]
+function format12(groups) {
+    return [
+        ...u16(12), ...u16(0), ...u32(16 + groups.length * 12), ...u32(0), ...u32(groups.length),
+        ...groups.flatMap(group => group.flatMap(u32))
+    ];
+}
+
+test('format 4 glyph arrays and wrapping deltas map characters', () => {
+    // a–c through a glyph array (b unmapped), U+F000–U+F001 through a delta that wraps to glyphs 2 and 3
+    const cmap = cmapOf(1, format4([[0x61, 0x63, 0, [3, 0, 1]], [0xF000, 0xF001, 2 - 0xF000, null]]));
+    const font = buildFont('abc', { cmap });
+    const loaded = FontEngine3D.load(font);
+    assert.deepStrictEqual(['a', 'b', 'c', '\uF000', '\uF001'].map(loaded.charToGlyph), [3, undefined, 1, 2, 3]);
+    assert.deepStrictEqual(loaded.glyphToChars(3), ['a', '\uF001']);
+    assert.deepStrictEqual(loaded.glyphToChars(0), []);
+    const glyphs = FontEngine3D.parse(font).glyphs;
+    assert.deepStrictEqual(Object.keys(glyphs), ['a', 'c', '\uF000', '\uF001']);
+    assert.deepStrictEqual(Object.values(glyphs).map(gidOf), [3, 1, 2, 3]);
+});
+
+test('format 12 groups answer lookups without expanding them', () => {
+    // Groups out of order, the second spanning all of plane 2
+    const tables = fontTables('ABC');
+    tables.cmap = cmapOf(10, format12([[0x20000, 0x2FFFF, 1], [0x41, 0x43, 1]]));
+    const font = buildFont('', tables);
+    const loaded = FontEngine3D.load(font);
+    assert.deepStrictEqual(['A', 'C', '\u{20002}', '\u{2FFFF}', '\u{30000}', 'D'].map(loaded.charToGlyph), [1, 3, 3, 0x10000, undefined, undefined]);
+    assert.deepStrictEqual(loaded.glyphToChars(2), ['B', '\u{20001}']);
+    const glyphs = FontEngine3D.parse(font, { characters: 'C\u{20000}' }).glyphs;
+    assert.deepStrictEqual(Object.keys(glyphs), ['C', '\u{20000}']);
+    assert.deepStrictEqual([gidOf(glyphs.C), gidOf(glyphs['\u{20000}'])], [3, 1]);
+});
+
+test('the format 12 subtable is preferred over the format 4 one', () => {
+    const tables = fontTables('ab');
+    const bmp = tables.cmap.slice(12);
+    const full = format12([[0x61, 0x62, 2]]);
+    tables.cmap = [
+        ...u16(0), ...u16(2), ...u16(3), ...u16(1), ...u32(20), ...u16(3), ...u16(10), ...u32(20 + bmp.length),
+        ...bmp, ...full
+    ];
+    const loaded = FontEngine3D.load(buildFont('', tables));
+    assert.deepStrictEqual([loaded.charToGlyph('a'), loaded.charToGlyph('b')], [2, 3]);
+});
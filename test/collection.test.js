@@ -0,0 +1,75 @@
+// Font collections: listing faces and selecting one by index or PostScript name
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { fontTables, sfnt, nameTable, u16, u32 } = require('./helpers/build-font.js');
+
+function names(family, subfamily, postScriptName) {
+    return nameTable([[3, 0x409, 1, family], [3, 0x409, 2, subfamily], [3, 0x409, 4, `${family} ${subfamily}`], [3, 0x409, 6, postScriptName]]);
+}
+
+// 'ttcf' file of faces [{ tag: byte array }]; a table shared between faces (the same array) is stored once
+function collection(faces) {
+    const header = [...u32(0x74746366), ...u32(0x00010000), ...u32(faces.length)];
+    let size = header.length + faces.length * 4;
+    const directories = faces.map(tables => {
+        const start = size;
+        size += 12 + Object.keys(tables).length * 16;
+        return start;
+    });
+    const stored = new Map();
+    let data = [];
+    for (const tables of faces) {
+        for (const tag of Object.keys(tables)) {
+            if (stored.has(tables[tag])) continue;
+            stored.set(tables[tag], size + data.length);
+            data = data.concat(tables[tag]);
+            while (data.length % 4) data.push(0);
+        }
+    }
+    let out = header.concat(directories.flatMap(u32));
+    for (const tables of faces) {
+        const tags = Object.keys(tables).sort();
+        out = out.concat(u32(0x00010000), u16(tags.length), u16(0), u16(0), u16(0));
+        for (const tag of tags) {
+            out = out.concat([...tag].map(c => c.charCodeAt(0)), u32(0), u32(stored.get(tables[tag])), u32(tables[tag].length));
+        }
+    }
+    return new Uint8Array(out.concat(data)).buffer;
+}
+
+// Regular maps 'ab', Bold 'xyz'; both share the glyf and loca tables of the first
+const regular = fontTables('ab', { name: names('Pair', 'Regular', 'Pair-Regular') }, { extraGlyphs: 1 });
+const bold = Object.assign(fontTables('xyz', { name: names('Pair', 'Bold', 'Pair-Bold') }), { glyf: regular.glyf, loca: regular.loca });
+const ttc = collection([regular, bold]);
+
+test('listFaces lists every face of a collection and the single face of a font', () => {
+    assert.deepStrictEqual(FontEngine3D.listFaces(ttc), [
+        { index: 0, familyName: 'Pair', subfamilyName: 'Regular', fullName: 'Pair Regular', postScriptName: 'Pair-Regular' },
+        { index: 1, familyName: 'Pair', subfamilyName: 'Bold', fullName: 'Pair Bold', postScriptName: 'Pair-Bold' }
+    ]);
+    assert.deepStrictEqual(FontEngine3D.listFaces(sfnt(regular).buffer), [
+        { index: 0, familyName: 'Pair', subfamilyName: 'Regular', fullName: 'Pair Regular', postScriptName: 'Pair-Regular' }
+    ]);
+});
+
+test('the first face is converted by default', () => {
+    const json = FontEngine3D.parse(ttc);
+    assert.deepStrictEqual(Object.keys(json.glyphs), ['a', 'b']);
+    assert.strictEqual(json.original_font_information.faceIndex, 0);
+    assert.strictEqual(json.original_font_information.numFaces, 2);
+});
+
+test('faces are selected by index or PostScript name', () => {
+    const byIndex = FontEngine3D.parse(ttc, { faceIndex: 1 });
+    const byName = FontEngine3D.parse(ttc, { postScriptName: 'Pair-Bold' });
+    assert.deepStrictEqual(Object.keys(byIndex.glyphs), ['x', 'y', 'z']);
+    assert.strictEqual(byIndex.original_font_information.faceIndex, 1);
+    assert.deepStrictEqual(byName, byIndex);
+});
+
+test('an unknown face is an error', () => {
+    assert.throws(() => FontEngine3D.parse(ttc, { faceIndex: 2 }), /Face index 2 is out of range: the font collection has 2 faces/);
+    assert.throws(() => FontEngine3D.parse(ttc, { postScriptName: 'Pair-Italic' }), /No face with PostScript name "Pair-Italic"/);
+});
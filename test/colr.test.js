@@ -0,0 +1,72 @@
+// Color glyphs from COLR v0 layers and v1 paint graphs, filled from CPAL palettes
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, u16, i16, u32 } = require('./helpers/build-font.js');
+const { offset24, offset32, serialize } = require('./helpers/layout-tables.js');
+
+// a has v0 layers, b a v1 paint graph; both paint glyphs 3 and 4 (unmapped)
+const a = 1, b = 2, top = 3, bottom = 4;
+const f2 = v => i16(Math.round(v * 16384));
+
+// CPAL of palettes of '#rrggbbaa' colors, stored BGRA
+function cpalTable(palettes) {
+    const colors = palettes.flat();
+    const records = colors.flatMap(color => [5, 3, 1, 7].map(i => parseInt(color.slice(i, i + 2), 16)));
+    return [
+        ...u16(0), ...u16(palettes[0].length), ...u16(palettes.length), ...u16(colors.length), ...u32(12 + palettes.length * 2),
+        ...palettes.flatMap((palette, i) => u16(i * palette.length)), ...records
+    ];
+}
+// Palette 0: red, green; palette 1: blue, half-transparent white
+const PALETTES = [['#ff0000ff', '#00ff00ff'], ['#0000ffff', '#ffffff80']];
+
+// b: PaintColrLayers of a half-transparent palette color 1 on glyph 3, and glyph 4 moved right by
+// 100 under a linear gradient from color 0 to color 1
+const solid = [2, ...u16(1), ...f2(0.5)];
+const colorLine = [0, ...u16(2), ...f2(0), ...u16(0), ...f2(1), ...f2(1), ...u16(1), ...f2(1)];
+const linear = [4, offset24(colorLine), ...[0, 0, 500, 0, 0, 500].flatMap(i16)];
+const layerList = [...u32(2), offset32([10, offset24(solid), ...u16(top)]),
+    offset32([14, offset24([10, offset24(linear), ...u16(bottom)]), ...i16(100), ...i16(0)])];
+const COLR = serialize([
+    ...u16(1), ...u16(1), ...u32(34), ...u32(40), ...u16(2),
+    offset32([...u32(1), ...u16(b), offset32([1, 2, ...u32(0)])]), offset32(layerList), ...u32(0), ...u32(0), ...u32(0),
+    ...u16(a), ...u16(0), ...u16(2),
+    ...u16(top), ...u16(0), ...u16(bottom), ...u16(0xFFFF)
+]);
+
+const font = buildFont('ab', { COLR, CPAL: cpalTable(PALETTES) }, { extraGlyphs: 2 });
+const rectangle = (gid, dx = 0) => `m ${dx} 0 l ${500 + dx} 0 l ${500 + dx} ${100 + 10 * gid} l ${dx} ${100 + 10 * gid} l ${dx} 0`;
+
+test('palettes are read as #rrggbbaa colors', () => {
+    assert.deepStrictEqual(FontEngine3D.parse(font).palettes, PALETTES);
+});
+
+test('COLR v0 layers take palette colors, 0xFFFF the text color', () => {
+    const glyph = FontEngine3D.parse(font).glyphs.a;
+    assert.strictEqual(glyph.o, rectangle(a));
+    assert.deepStrictEqual(glyph.layers, [{ o: rectangle(top), color: '#ff0000' }, { o: rectangle(bottom), color: null }]);
+    assert.deepStrictEqual(FontEngine3D.parse(font, { palette: 1 }).glyphs.a.layers[0].color, '#0000ff');
+});
+
+test('COLR v1 paints flatten to layers with transformed outlines and gradient data', () => {
+    const stops = [{ offset: 0, color: '#ff0000' }, { offset: 1, color: '#00ff00' }];
+    assert.deepStrictEqual(FontEngine3D.parse(font).glyphs.b.layers, [
+        { o: rectangle(top), color: '#00ff00', alpha: 0.5 },
+        {
+            o: rectangle(bottom, 100), color: '#808000',
+            gradient: { type: 'linear', x0: 0, y0: 0, x1: 500, y1: 0, extend: 'pad', stops, transform: [1, 0, 0, 1, 100, 0] }
+        }
+    ]);
+    // Palette alpha multiplies paint alpha
+    assert.deepStrictEqual(FontEngine3D.parse(font, { palette: 1 }).glyphs.b.layers[0], { o: rectangle(top), color: '#ffffff', alpha: 0.251 });
+});
+
+test('generateSVG fills one path per layer unless colorLayers is false', () => {
+    const json = FontEngine3D.parse(font);
+    const fills = svg => [...svg.matchAll(/<path [^>]* fill="([^"]*)"/g)].map(match => match[1]);
+    assert.deepStrictEqual(fills(FontEngine3D.generateSVG(json, 'ab', 1000)), ['#ff0000', 'black', '#00ff00', 'url(#gradient0)']);
+    assert.match(FontEngine3D.generateSVG(json, 'b', 1000), /<linearGradient id="gradient0"[^>]*><stop offset="0" stop-color="#ff0000"\/>/);
+    assert.deepStrictEqual(fills(FontEngine3D.generateSVG(json, 'ab', 1000, { colorLayers: false })), ['black', 'black']);
+});
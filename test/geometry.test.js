@@ -0,0 +1,71 @@
+// createTextGeometry on real outlines with holes: closed meshes, consistent winding, faces covering
+// exactly the glyph
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { openEdges, flippedTriangles, frontArea } = require('./helpers/mesh.js');
+
+// Lato Regular (2000 units per em): 'A' with a counter, 'B' and '8' with two each
+const lato = {
+    resolution: 2000, ascender: 1610, descender: -390,
+    glyphs: {
+        A: { ha: 1360, o: 'm 1353 0 l 1203 0 q 1177 0 1161 13 q 1145 26 1137 46 l 1003 392 l 360 392 l 226 46 q 219 28 202 14 q 185 0 160 0 l 10 0 l 583 1433 l 780 1433 l 1353 0 m 414 532 l 949 532 l 724 1115 q 702 1169 681 1250 q 670 1209 660 1175 q 649 1140 639 1114 l 414 532' },
+        B: { ha: 1294, o: 'm 174 0 l 174 1433 l 631 1433 q 763 1433 859 1407 q 954 1381 1016 1333 q 1077 1285 1107 1216 q 1136 1146 1136 1059 q 1136 1006 1120 957 q 1103 908 1070 866 q 1036 824 986 791 q 935 758 867 737 q 1024 706 1104 624 q 1184 542 1184 408 q 1184 317 1151 242 q 1117 167 1053 113 q 988 59 895 30 q 801 0 681 0 l 174 0 m 368 653 l 368 154 l 678 154 q 761 154 821 173 q 880 192 919 227 q 957 261 975 309 q 993 356 993 413 q 993 524 915 589 q 836 653 677 653 l 368 653 m 368 791 l 624 791 q 706 791 766 809 q 826 827 866 859 q 905 891 924 937 q 943 982 943 1036 q 943 1162 867 1221 q 791 1280 631 1280 l 368 1280 l 368 791' },
+        8: { ha: 1160, o: 'm 579 -16 q 472 -16 383 13 q 294 41 230 94 q 166 147 131 223 q 96 298 96 392 q 96 530 168 620 q 240 709 374 747 q 261 789 204 873 q 146 956 146 1072 q 146 1151 177 1220 q 208 1289 265 1340 q 322 1391 402 1420 q 481 1449 579 1449 q 676 1449 756 1420 q 836 1391 893 1340 q 950 1289 981 1220 q 1012 1151 1012 1072 q 1012 956 954 873 q 896 789 784 747 q 918 709 990 620 q 1062 530 1062 392 q 1062 298 1027 223 q 991 147 928 94 q 864 41 775 13 q 686 -16 579 -16 m 579 126 q 649 126 705 146 q 760 165 799 201 q 837 236 858 286 q 878 335 878 395 q 878 469 854 522 q 829 574 788 607 q 746 640 692 656 q 638 671 579 671 q 520 671 466 656 q 412 640 371 607 q 329 574 305 522 q 280 469 280 395 q 280 335 301 286 q 321 236 360 201 q 398 165 454 146 q 509 126 579 126 m 579 814 q 649 814 699 836 q 748 857 779 893 q 810 928 824 974 q 838 1020 838 1069 q 838 1119 822 1163 q 805 1207 773 1240 q 740 1273 692 1292 q 643 1311 579 1311 q 515 1311 467 1292 q 418 1273 386 1240 q 353 1207 337 1163 q 320 1119 320 1069 q 320 1020 334 974 q 348 928 379 893 q 410 857 460 836 q 509 814 579 814' }
+    }
+};
+const SCALE = 100 / 2000;
+
+// Area the outline encloses at the given curve divisions, holes taken away (their winding is opposite)
+function outlineArea(o, divisions) {
+    const tokens = o.split(' ');
+    let area = 0, start = null, x = 0, y = 0;
+    const to = (nx, ny) => {
+        area += (x * ny - nx * y) / 2;
+        x = nx;
+        y = ny;
+    };
+    for (let i = 0; i < tokens.length;) {
+        const v = k => +tokens[i + k] * SCALE;
+        if (tokens[i] === 'm') {
+            if (start) to(start[0], start[1]);
+            start = [v(1), v(2)];
+            x = start[0];
+            y = start[1];
+            i += 3;
+        } else if (tokens[i] === 'l') {
+            to(v(1), v(2));
+            i += 3;
+        } else if (tokens[i] === 'q') {
+            const x0 = x, y0 = y;
+            for (let d = 1; d <= divisions; d++) {
+                const u = d / divisions, w = 1 - u;
+                to(w * w * x0 + 2 * w * u * v(1) + u * u * v(3), w * w * y0 + 2 * w * u * v(2) + u * u * v(4));
+            }
+            i += 5;
+        } else {
+            i++;
+        }
+    }
+    if (start) to(start[0], start[1]);
+    return Math.abs(area);
+}
+
+for (const char of 'AB8') {
+    test(`"${char}": closed, wound outwards, faces cover the glyph less its counters`, () => {
+        const g = FontEngine3D.createTextGeometry(lato, char, { size: 100, depth: 10 });
+        assert.strictEqual(openEdges(g), 0);
+        assert.strictEqual(flippedTriangles(g), 0);
+        assert.ok(Math.abs(frontArea(g) - outlineArea(lato.glyphs[char].o, 48)) < 1e-2);
+    });
+}
+
+test('curveSegments sets the points per curve', () => {
+    const coarse = FontEngine3D.createTextGeometry(lato, '8', { size: 100, depth: 10, curveSegments: 4 });
+    const fine = FontEngine3D.createTextGeometry(lato, '8', { size: 100, depth: 10 });
+    assert.ok(coarse.positions.length < fine.positions.length / 4);
+    assert.strictEqual(openEdges(coarse), 0);
+    assert.strictEqual(flippedTriangles(coarse), 0);
+    assert.ok(Math.abs(frontArea(coarse) - outlineArea(lato.glyphs['8'].o, 4)) < 1e-2);
+});
@@ -0,0 +1,111 @@
+// Glyph images of glyphs without outlines: sbix and CBDT/CBLC bitmaps, SVG documents
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const FontEngine3D = require('../3dfont-engine.js');
+const { fontTables, sfnt, u16, i16, u32 } = require('./helpers/build-font.js');
+const { tag } = require('./helpers/layout-tables.js');
+
+// PNG signature and IHDR chunk of a width × height image
+function png(width, height) {
+    return [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, ...u32(13), ...tag('IHDR'), ...u32(width), ...u32(height), 8, 6, 0, 0, 0];
+}
+
+const base64 = bytes => Buffer.from(bytes).toString('base64');
+
+// Font of the characters a and b (glyphs 1 and 2) without outlines, plus the given tables
+function imageFont(tables) {
+    const all = fontTables('ab');
+    // Only .notdef keeps its outline
+    all.glyf = all.glyf.slice(0, ((all.loca[2] << 8) | all.loca[3]) * 2);
+    all.loca = [...u16(0), ...[1, 2, 3].flatMap(() => u16(all.glyf.length / 2))];
+    return sfnt(Object.assign(all, tables)).buffer;
+}
+
+// sbix of strikes { ppem: [glyph data per glyph ID, [originX, originY, graphicType, bytes] or null] }
+function sbixTable(strikes) {
+    const ppems = Object.keys(strikes).map(Number);
+    const data = [];
+    const offsets = [];
+    for (const ppem of ppems) {
+        const glyphs = strikes[ppem];
+        offsets.push(8 + ppems.length * 4 + data.length);
+        const records = glyphs.map(glyph => glyph ? [...i16(glyph[0]), ...i16(glyph[1]), ...tag(glyph[2]), ...glyph[3]] : []);
+        let at = 4 + (glyphs.length + 1) * 4;
+        const glyphOffsets = [];
+        for (const record of records) {
+            glyphOffsets.push(...u32(at));
+            at += record.length;
+        }
+        data.push(...u16(ppem), ...u16(72), ...glyphOffsets, ...u32(at), ...records.flat());
+    }
+    return [...u16(1), ...u16(1), ...u32(ppems.length), ...offsets.flatMap(u32), ...data];
+}
+
+test('sbix bitmaps come from the strike nearest bitmapSize, placed in font units', () => {
+    const image = png(10, 20);
+    const font = imageFont({ sbix: sbixTable({
+        20: [null, [2, -4, 'png ', image], [0, 0, 'dupe', u16(1)]],
+        40: [null, [4, -8, 'png ', image], null]
+    }) });
+    // 20 ppem: 50 units per pixel
+    const small = FontEngine3D.parse(font, { bitmapSize: 16 }).glyphs;
+    const expected = { format: 'png', data: base64(image), x: 100, y: -200, width: 500, height: 1000 };
+    assert.deepStrictEqual(small.a.image, expected);
+    assert.strictEqual(small.a.o, '');
+    assert.deepStrictEqual(small.b.image, expected);
+    // The largest strike by default: 25 units per pixel
+    const large = FontEngine3D.parse(font).glyphs;
+    assert.deepStrictEqual(large.a.image, { format: 'png', data: base64(image), x: 100, y: -200, width: 250, height: 500 });
+    assert.strictEqual(large.b.image, undefined);
+});
+
+test('CBDT bitmaps are placed by their glyph metrics', () => {
+    const image = png(10, 20);
+    // One 50 ppem size, index format 1 over glyphs 1 and 2; glyph 2 has no data
+    const record = [20, 10, 1, 15, 12, ...u32(image.length), ...image];
+    const CBDT = [...u16(3), ...u16(0), ...record];
+    const CBLC = [
+        ...u16(3), ...u16(0), ...u32(1),
+        ...u32(56), ...u32(28), ...u32(1), ...u32(0), ...new Array(24).fill(0), ...u16(1), ...u16(2), 50, 50, 32, 1,
+        ...u16(1), ...u16(2), ...u32(8),
+        ...u16(1), ...u16(17), ...u32(4), ...u32(0), ...u32(record.length), ...u32(record.length)
+    ];
+    const glyphs = FontEngine3D.parse(imageFont({ CBDT, CBLC })).glyphs;
+    assert.deepStrictEqual(glyphs.a.image, { format: 'png', data: base64(image), x: 20, y: -100, width: 200, height: 400 });
+    assert.strictEqual(glyphs.b.image, undefined);
+});
+
+test('SVG glyphs cover the em box and keep their documents, inflating gzipped ones', () => {
+    const documents = [
+        '<svg xmlns="http://www.w3.org/2000/svg"><rect id="glyph1" width="500" height="500"/></svg>',
+        '<svg xmlns="http://www.w3.org/2000/svg"><circle id="glyph2" r="250"/></svg>'
+    ];
+    const stored = [tag(documents[0]), [...zlib.gzipSync(documents[1])]];
+    const list = [...u16(2)];
+    let at = 2 + 2 * 12;
+    stored.forEach((bytes, i) => {
+        list.push(...u16(i + 1), ...u16(i + 1), ...u32(at), ...u32(bytes.length));
+        at += bytes.length;
+    });
+    const json = FontEngine3D.parse(imageFont({ 'SVG ': [...u16(0), ...u32(10), ...u32(0), ...list, ...stored.flat()] }));
+    assert.deepStrictEqual(json.glyphs.b.image, { format: 'svg', document: 1, glyphId: 2, x: 0, y: -200, width: 600, height: 1000 });
+    assert.deepStrictEqual(json.svgDocuments, { 0: documents[0], 1: documents[1] });
+});
+
+test('generateSVG embeds glyph images as <image> elements', () => {
+    const image = png(10, 20);
+    const json = FontEngine3D.parse(imageFont({ sbix: sbixTable({ 20: [null, [0, 0, 'png ', image], null] }) }));
+    const svg = FontEngine3D.generateSVG(json, 'a', 1000);
+    assert.match(svg, new RegExp(`<image href="data:image/png;base64,${base64(image).replace(/[+/]/g, '\\$&')}" transform="translate\\(10,1100\\)" x="0" y="-1000" width="500" height="1000"`));
+    assert.doesNotMatch(FontEngine3D.generateSVG(json, 'a', 1000, { colorLayers: false }), /<image/);
+});
+
+test('glyphs with outlines keep them and have no image', () => {
+    const all = fontTables('ab');
+    all.sbix = sbixTable({ 20: [null, [0, 0, 'png ', png(10, 20)], null] });
+    const glyph = FontEngine3D.parse(sfnt(all).buffer).glyphs.a;
+    assert.strictEqual(glyph.image, undefined);
+    assert.notStrictEqual(glyph.o, '');
+});
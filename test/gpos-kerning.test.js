@@ -0,0 +1,56 @@
+// json.kerning from GPOS: only the lookups of the requested script and features, and lookup flags
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, u16, i16 } = require('./helpers/build-font.js');
+const { offset, coverage, layoutTable, gdefTable } = require('./helpers/layout-tables.js');
+
+const CHARS = 'ab\u0301\u0323';
+const a = 1, b = 2, acute = 3, dot = 4;
+const ACUTE = '\u0301', DOT = '\u0323';
+
+// Pair adjustment (format 1) of the first glyph's x-advance: pairs [first, second, value]
+function pairs(list) {
+    const firsts = [...new Set(list.map(([first]) => first))].sort((x, y) => x - y);
+    return [
+        ...u16(1), offset(coverage(firsts)), ...u16(0x0004), ...u16(0), ...u16(firsts.length),
+        ...firsts.map(first => {
+            const set = list.filter(([left]) => left === first);
+            return offset([...u16(set.length), ...set.flatMap(([, second, value]) => [...u16(second), ...i16(value)])]);
+        })
+    ];
+}
+
+// Marks: acute in attachment class 1, dot in class 2 and in mark glyph set 0
+const GDEF = gdefTable({ [a]: 1, [b]: 1, [acute]: 3, [dot]: 3 }, { [acute]: 1, [dot]: 2 }, [[dot]]);
+const GPOS = layoutTable([['kern', [0, 2, 3, 4]], ['dist', [1]], ['kern', [5]]], [
+    { type: 2, subtables: [pairs([[a, b, -100]])] },
+    { type: 2, subtables: [pairs([[a, a, -30]])] },
+    { type: 2, flag: 0x0008, subtables: [pairs([[b, acute, -7], [b, b, -3]])] },  // IgnoreMarks
+    { type: 2, flag: 0x0010, markFilteringSet: 0, subtables: [pairs([[a, acute, -9], [a, dot, -5]])] },
+    { type: 2, flag: 0x0100, subtables: [pairs([[b, acute, -4], [b, dot, -6]])] }, // mark attachment class 1
+    { type: 2, subtables: [pairs([[b, a, -20]])] }
+], { DFLT: [0, 1], latn: [0, 1], arab: [2] });
+
+function kerning(options) {
+    return FontEngine3D.parse(buildFont(CHARS, { GPOS, GDEF }), options).kerning;
+}
+
+test('only the kern lookups of the script are collected, passing over the marks their flags ignore', () => {
+    assert.deepStrictEqual(kerning(), { a: { b: -100, [DOT]: -5 }, b: { b: -3, [ACUTE]: -4 } });
+});
+
+test('features and script options select other lookups', () => {
+    assert.deepStrictEqual(kerning({ features: { kern: false, dist: true } }), { a: { a: -30 } });
+    assert.deepStrictEqual(kerning({ script: 'arab' }), { b: { a: -20 } });
+});
+
+test('broken subtables are reported and the rest of the lookup still applies', () => {
+    const broken = [...u16(2), ...u16(0xFFF0), ...u16(0)];
+    const gpos = layoutTable([['kern', [0]]], [{ type: 2, subtables: [broken, pairs([[a, b, -100]])] }]);
+    const json = FontEngine3D.parse(buildFont(CHARS, { GPOS: gpos }));
+    assert.strictEqual(json._meta.layoutErrors.length, 1);
+    assert.match(json._meta.layoutErrors[0], /^GPOS lookup 0 subtable 0: /);
+    assert.deepStrictEqual(json.kerning, { a: { b: -100 } });
+});
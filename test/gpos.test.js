@@ -0,0 +1,126 @@
+// GPOS in text layout: mark attachment, single and pair adjustments, cursive attachment
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs, u16, i16 } = require('./helpers/build-font.js');
+const { offset, coverage, classDef, layoutTable, gdefTable } = require('./helpers/layout-tables.js');
+
+// Bases a, b, f, i and the 'fi' ligature (glyph 7, unmapped); marks acute and dot below
+const CHARS = 'ab\u0301\u0323fi';
+const a = 1, b = 2, acute = 3, dot = 4, f = 5, i = 6, fi = 7;
+const GDEF = gdefTable({ [a]: 1, [b]: 1, [f]: 1, [i]: 1, [fi]: 2, [acute]: 3, [dot]: 3 });
+const LIGA = layoutTable([['liga', [0]]], [{ type: 4, flag: 0x0008, subtables: [
+    [...u16(1), offset(coverage([f])), ...u16(1), offset([...u16(1), offset([...u16(fi), ...u16(2), ...u16(i)])])]
+] }]);
+
+const anchor = (x, y) => [...u16(1), ...i16(x), ...i16(y)];
+// Mark array of [class, x, y] per mark glyph
+const markArray = marks => [...u16(marks.length), ...marks.flatMap(([markClass, x, y]) => [...u16(markClass), offset(anchor(x, y))])];
+
+// Mark-to-base (type 4) or mark-to-mark (type 6) with one mark class: marks { gid: [x, y] }, bases { gid: [x, y] }
+function markToBase(marks, bases) {
+    const markGids = Object.keys(marks).map(Number), baseGids = Object.keys(bases).map(Number);
+    return [
+        ...u16(1), offset(coverage(markGids)), offset(coverage(baseGids)), ...u16(1),
+        offset(markArray(markGids.map(gid => [0, ...marks[gid]]))),
+        offset([...u16(baseGids.length), ...baseGids.map(gid => offset(anchor(...bases[gid])))])
+    ];
+}
+
+// Mark-to-ligature (type 5) with one mark class: ligatures { gid: [[x, y] per component] }
+function markToLigature(marks, ligatures) {
+    const markGids = Object.keys(marks).map(Number), ligGids = Object.keys(ligatures).map(Number);
+    return [
+        ...u16(1), offset(coverage(markGids)), offset(coverage(ligGids)), ...u16(1),
+        offset(markArray(markGids.map(gid => [0, ...marks[gid]]))),
+        offset([...u16(ligGids.length), ...ligGids.map(gid =>
+            offset([...u16(ligatures[gid].length), ...ligatures[gid].map(([x, y]) => offset(anchor(x, y)))]))])
+    ];
+}
+
+function layout(gpos, text, gsub) {
+    const tables = { GPOS: gpos, GDEF };
+    if (gsub) tables.GSUB = gsub;
+    const json = FontEngine3D.parse(buildFont(CHARS, tables, { extraGlyphs: 1 }), { layout: true });
+    return placedGlyphs(FontEngine3D, json, text).map(({ gid, x, y }) => [gid, x, y]);
+}
+
+const MARKS = layoutTable([['mark', [0, 1]], ['mkmk', [2]]], [
+    { type: 4, subtables: [markToBase({ [acute]: [50, 0], [dot]: [0, 0] }, { [a]: [250, 700], [b]: [300, -50] })] },
+    { type: 5, subtables: [markToLigature({ [acute]: [50, 0] }, { [fi]: [[100, 800], [400, 800]] })] },
+    { type: 6, subtables: [markToBase({ [dot]: [0, 0] }, { [acute]: [50, 300] })] }
+]);
+
+test('marks attach to the anchor of their base and take no advance', () => {
+    assert.deepStrictEqual(layout(MARKS, 'a\u0301b'), [[a, 0, 0], [acute, 200, 700], [b, 600, 0]]);
+    assert.deepStrictEqual(layout(MARKS, 'b\u0323'), [[b, 0, 0], [dot, 300, -50]]);
+});
+
+test('a mark attaches to the mark before it through mark-to-mark', () => {
+    assert.deepStrictEqual(layout(MARKS, 'a\u0301\u0323'), [[a, 0, 0], [acute, 200, 700], [dot, 250, 1000]]);
+});
+
+test('marks attach to the ligature component they followed', () => {
+    assert.deepStrictEqual(layout(MARKS, 'f\u0301i', LIGA), [[fi, 0, 0], [acute, 50, 800]]);
+    assert.deepStrictEqual(layout(MARKS, 'fi\u0301', LIGA), [[fi, 0, 0], [acute, 350, 800]]);
+});
+
+test('a mark no anchor attaches keeps its place over the preceding glyph', () => {
+    assert.deepStrictEqual(layout(MARKS, 'i\u0301'), [[i, 0, 0], [acute, 0, 0]]);
+});
+
+// Value records in the order of their valueFormat bits
+const valueRecord = values => values.flatMap(i16);
+
+test('pair adjustments apply full value records to both glyphs', () => {
+    // XAdvance of the first glyph, XPlacement and YPlacement of the second
+    const gpos = layoutTable([['kern', [0]]], [{ type: 2, subtables: [[
+        ...u16(1), offset(coverage([a])), ...u16(0x0004), ...u16(0x0003), ...u16(1),
+        offset([...u16(1), ...u16(b), ...valueRecord([-100]), ...valueRecord([30, 20])])
+    ]] }]);
+    assert.deepStrictEqual(layout(gpos, 'abb'), [[a, 0, 0], [b, 530, 20], [b, 1100, 0]]);
+});
+
+test('class pair adjustments skip device table offsets in their value records', () => {
+    // XAdvance with an XAdvDevice offset (none) for the first glyph
+    const gpos = layoutTable([['kern', [0]]], [{ type: 2, subtables: [[
+        ...u16(2), offset(coverage([a, b])), ...u16(0x0044), ...u16(0),
+        offset(classDef({ [a]: 1 })), offset(classDef({ [b]: 1 })), ...u16(2), ...u16(2),
+        ...valueRecord([0, 0]), ...valueRecord([0, 0]), ...valueRecord([0, 0]), ...valueRecord([-50, 0])
+    ]] }]);
+    assert.deepStrictEqual(layout(gpos, 'aba'), [[a, 0, 0], [b, 550, 0], [a, 1150, 0]]);
+});
+
+test('single adjustments move and widen glyphs when their feature is on', () => {
+    const gpos = layoutTable([['sups', [0]], ['kern', [1]]], [
+        { type: 1, subtables: [[...u16(1), offset(coverage([a, b])), ...u16(0x0006), ...valueRecord([300, 100])]] },
+        { type: 1, subtables: [[...u16(2), offset(coverage([a, b])), ...u16(0x0001), ...u16(2), ...valueRecord([10]), ...valueRecord([-10])]] }
+    ]);
+    assert.deepStrictEqual(layout(gpos, 'ab'), [[a, 10, 0], [b, 590, 0]]);
+    const json = FontEngine3D.parse(buildFont(CHARS, { GPOS: gpos, GDEF }), { layout: true });
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, json, 'ab', { features: { sups: true } }).map(({ gid, x, y }) => [gid, x, y]),
+        [[a, 10, 300], [b, 690, 300]]);
+});
+
+// Cursive attachment of glyphs { gid: [entry, exit] }, anchors [x, y] or null
+function cursive(glyphs, flag) {
+    const gids = Object.keys(glyphs).map(Number);
+    const anchorOffset = point => point ? [offset(anchor(...point))] : u16(0);
+    return layoutTable([['curs', [0]]], [{ type: 3, flag, subtables: [[
+        ...u16(1), offset(coverage(gids)), ...u16(gids.length),
+        ...gids.flatMap(gid => [...anchorOffset(glyphs[gid][0]), ...anchorOffset(glyphs[gid][1])])
+    ]] }]);
+}
+
+test('cursive attachment joins exit anchors to entry anchors', () => {
+    const gpos = cursive({ [a]: [null, [400, 100]], [b]: [[0, 0], [450, 100]] });
+    assert.deepStrictEqual(layout(gpos, 'abb'), [[a, 0, 0], [b, 400, 100], [b, 850, 200]]);
+    // Glyphs without a matching anchor are left alone
+    assert.deepStrictEqual(layout(gpos, 'ba'), [[b, 0, 0], [a, 600, 0]]);
+});
+
+test('with RIGHT_TO_LEFT the last glyph of a chain stays on the baseline', () => {
+    const gpos = cursive({ [a]: [null, [400, 100]], [b]: [[0, 0], [450, 100]] }, 0x0001);
+    assert.deepStrictEqual(layout(gpos, 'abb'), [[a, 0, -200], [b, 400, -100], [b, 850, 0]]);
+});
@@ -0,0 +1,103 @@
+// GSUB in text layout: lookup types, lookup flags, the features option, broken subtables and the
+// unmapped glyphs of layout: true
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs, u16, i16 } = require('./helpers/build-font.js');
+const { offset, offset32, coverage, layoutTable, gdefTable } = require('./helpers/layout-tables.js');
+
+// Glyph IDs of the test font's characters; v to z (7 to 11) stand for the substituted glyphs
+const CHARS = 'fiabc\u0301vwxyz';
+const f = 1, i = 2, a = 3, b = 4, c = 5, acute = 6;
+const GDEF = gdefTable({ [f]: 1, [i]: 1, [a]: 1, [b]: 1, [c]: 1, [acute]: 3, 7: 2 });
+
+const ligature = (first, components, glyph) =>
+    [...u16(1), offset(coverage([first])), ...u16(1), offset([...u16(1), offset([...u16(glyph), ...u16(components.length + 1), ...components.flatMap(u16)])])];
+const single = (map) => {
+    const gids = Object.keys(map).map(Number).sort((x, y) => x - y);
+    return [...u16(2), offset(coverage(gids)), ...u16(gids.length), ...gids.flatMap(gid => u16(map[gid]))];
+};
+const sequences = (glyph, glyphs) => [...u16(1), offset(coverage([glyph])), ...u16(1), offset([...u16(glyphs.length), ...glyphs.flatMap(u16)])];
+
+function shaped(gsub, text, features) {
+    const json = FontEngine3D.parse(buildFont(CHARS, { GSUB: gsub, GDEF }), { layout: true });
+    return placedGlyphs(FontEngine3D, json, text, { features }).map(glyph => glyph.gid);
+}
+
+test('ligatures pass over the marks their lookup flags ignore', () => {
+    const gsub = ignoreMarks => layoutTable([['liga', [0]]], [{ type: 4, flag: ignoreMarks ? 0x0008 : 0, subtables: [ligature(f, [i], 7)] }]);
+    assert.deepStrictEqual(shaped(gsub(true), 'fi'), [7]);
+    assert.deepStrictEqual(shaped(gsub(true), 'f\u0301i'), [7, acute]);
+    assert.deepStrictEqual(shaped(gsub(false), 'f\u0301i'), [f, acute, i]);
+    assert.deepStrictEqual(shaped(gsub(true), 'fi', { liga: false }), [f, i]);
+});
+
+test('single substitutions apply only to features that are on', () => {
+    const gsub = layoutTable([['smcp', [0]], ['ccmp', [1]]], [
+        { type: 1, subtables: [single({ [a]: 8 })] },
+        { type: 1, subtables: [[...u16(1), offset(coverage([b])), ...i16(5)]] } // delta format
+    ]);
+    assert.deepStrictEqual(shaped(gsub, 'ab'), [a, 9]);
+    assert.deepStrictEqual(shaped(gsub, 'ab', { smcp: true }), [8, 9]);
+    assert.deepStrictEqual(shaped(gsub, 'ab', { ccmp: false }), [a, b]);
+});
+
+test('multiple substitutions split a glyph and alternates follow the feature value', () => {
+    const gsub = layoutTable([['ccmp', [0]], ['salt', [1]]], [
+        { type: 2, subtables: [sequences(b, [9, 10])] },
+        { type: 3, subtables: [sequences(c, [11, 8])] }
+    ]);
+    assert.deepStrictEqual(shaped(gsub, 'bc'), [9, 10, c]);
+    assert.deepStrictEqual(shaped(gsub, 'bc', { salt: true }), [9, 10, 11]);
+    assert.deepStrictEqual(shaped(gsub, 'bc', { salt: 2 }), [9, 10, 8]);
+});
+
+test('contextual and chained contextual lookups apply their nested lookups in context', () => {
+    const gsub = layoutTable([['calt', [0, 1]]], [
+        // Chained, format 3: c between two a's
+        { type: 6, subtables: [[...u16(3), ...u16(1), offset(coverage([a])), ...u16(1), offset(coverage([c])),
+            ...u16(1), offset(coverage([a])), ...u16(1), ...u16(0), ...u16(2)]] },
+        // Contextual, format 1: b followed by c
+        { type: 5, subtables: [[...u16(1), offset(coverage([b])), ...u16(1),
+            offset([...u16(1), offset([...u16(2), ...u16(1), ...u16(c), ...u16(1), ...u16(3)])])]] },
+        { type: 1, subtables: [single({ [c]: 10 })] },
+        { type: 1, subtables: [single({ [c]: 11 })] }
+    ]);
+    assert.deepStrictEqual(shaped(gsub, 'aca'), [a, 10, a]);
+    assert.deepStrictEqual(shaped(gsub, 'ac'), [a, c]);
+    assert.deepStrictEqual(shaped(gsub, 'bc'), [b, 11]);
+    assert.deepStrictEqual(shaped(gsub, 'cb'), [c, b]);
+});
+
+test('extension lookups resolve to the lookup type they wrap', () => {
+    const gsub = layoutTable([['liga', [0]]], [{ type: 7, subtables: [[...u16(1), ...u16(4), offset32(ligature(f, [i], 7))]] }]);
+    assert.deepStrictEqual(shaped(gsub, 'fi'), [7]);
+});
+
+test('broken subtables are reported and the rest of the lookup still applies', () => {
+    const broken = [...u16(2), ...u16(0xFFF0), ...u16(0)];
+    const gsub = layoutTable([['liga', [0]]], [{ type: 4, subtables: [broken, ligature(f, [i], 7)] }]);
+    const json = FontEngine3D.parse(buildFont(CHARS, { GSUB: gsub }), { layout: true });
+    assert.strictEqual(json._meta.layoutErrors.length, 1);
+    assert.match(json._meta.layoutErrors[0], /^GSUB lookup 0 subtable 0: /);
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, json, 'fi').map(glyph => glyph.gid), [7]);
+});
+
+test('layout: true adds the unmapped glyphs and layout tables, which shaping then uses', () => {
+    const gsub = layoutTable([['liga', [0]]], [{ type: 4, subtables: [ligature(f, [i], 12)] }]);
+    const font = buildFont(CHARS, { GSUB: gsub, GDEF }, { extraGlyphs: 2 });
+
+    const plain = FontEngine3D.parse(font);
+    for (const key of ['glyphsById', 'gsub', 'gpos', 'gdef']) assert.ok(!(key in plain), key);
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, plain, 'fi').map(glyph => glyph.gid), [f, i]);
+
+    const json = FontEngine3D.parse(font, { layout: true });
+    assert.deepStrictEqual(json.glyphsById, {
+        12: { ha: 600, o: 'm 0 0 l 500 0 l 500 220 l 0 220 l 0 0' },
+        13: { ha: 600, o: 'm 0 0 l 500 0 l 500 230 l 0 230 l 0 0' }
+    });
+    assert.strictEqual(json._meta.unmappedGlyphs, 2);
+    assert.ok(json.gsub && json.gdef);
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, json, 'fi').map(glyph => glyph.gid), [12]);
+});
@@ -0,0 +1,124 @@
+// Minimal TrueType fonts built in memory for the tests: one rectangle per glyph (glyph 0 is
+// .notdef) plus any extra tables, e.g. a 'kern' table. Glyph g is 100 + 10g units tall, so
+// placedGlyphs() can tell from generateSVG() output which glyph went where.
+
+function u16(v) {
+    return [(v >> 8) & 0xFF, v & 0xFF];
+}
+
+function i16(v) {
+    return u16(v & 0xFFFF);
+}
+
+function u32(v) {
+    return [...u16(v >>> 16), ...u16(v & 0xFFFF)];
+}
+
+// A 500 × (100 + 10 gid) rectangle
+function rectangleGlyph(gid) {
+    const height = 100 + 10 * gid;
+    return [
+        ...i16(1), ...i16(0), ...i16(0), ...i16(500), ...i16(height), // numberOfContours, bounds
+        ...u16(3), ...u16(0), // endPtsOfContours, instructionLength
+        1, 1, 1, 1, // flags: on curve, 16-bit coordinates
+        ...i16(0), ...i16(500), ...i16(0), ...i16(-500), // x deltas
+        ...i16(0), ...i16(0), ...i16(height), ...i16(0) // y deltas
+    ];
+}
+
+// cmap with a format 4 subtable: one segment per character, then the closing 0xFFFF segment
+function cmapTable(codePoints) {
+    const segments = codePoints.map((cp, i) => [cp, cp, i + 1]).concat([[0xFFFF, 0xFFFF, 1]]);
+    const segCount = segments.length;
+    const subtable = [
+        ...u16(4), ...u16(16 + segCount * 8), ...u16(0), ...u16(segCount * 2), ...u16(0), ...u16(0), ...u16(0),
+        ...segments.flatMap(([, end]) => u16(end)), ...u16(0),
+        ...segments.flatMap(([start]) => u16(start)),
+        ...segments.flatMap(([start, , gid]) => i16(gid - start)),
+        ...segments.flatMap(() => u16(0))
+    ];
+    return [...u16(0), ...u16(1), ...u16(3), ...u16(1), ...u32(12), ...subtable];
+}
+
+// name table of records [platformID, languageID, nameID, string]: UTF-16 on platforms 0 and 3
+// (Windows records use encoding 1), one byte per character on platform 1
+function nameTable(records) {
+    const strings = [], entries = [];
+    for (const [platformID, languageID, nameID, string] of records) {
+        const bytes = platformID === 1
+            ? [...string].map(c => c.charCodeAt(0))
+            : [...string].flatMap(c => u16(c.charCodeAt(0)));
+        entries.push(...u16(platformID), ...u16(platformID === 3 ? 1 : 0), ...u16(languageID), ...u16(nameID),
+            ...u16(bytes.length), ...u16(strings.length));
+        strings.push(...bytes);
+    }
+    return [...u16(0), ...u16(records.length), ...u16(6 + entries.length), ...entries, ...strings];
+}
+
+// Tables { tag: byte array } of a font with the characters of chars mapped to glyphs 1, 2, ...
+// in order, followed by options.extraGlyphs unmapped glyphs. tables are added to or replace the
+// required ones.
+function fontTables(chars, tables = {}, options = {}) {
+    const codePoints = [...chars].map(c => c.codePointAt(0));
+    const numGlyphs = codePoints.length + 1 + (options.extraGlyphs || 0);
+    const glyphs = [];
+    for (let g = 0; g < numGlyphs; g++) glyphs.push(rectangleGlyph(g));
+    const loca = [...u16(0)];
+    let end = 0;
+    for (const glyph of glyphs) loca.push(...u16((end += glyph.length) / 2));
+
+    return Object.assign({
+        head: [
+            ...u32(0x00010000), ...u32(0x00010000), ...u32(0), ...u32(0x5F0F3CF5), ...u16(0), ...u16(1000),
+            ...new Array(16).fill(0), ...i16(0), ...i16(0), ...i16(500), ...i16(100 + 10 * (numGlyphs - 1)),
+            ...u16(0), ...u16(8), ...i16(2), ...i16(0), ...i16(0)
+        ],
+        hhea: [
+            ...u32(0x00010000), ...i16(800), ...i16(-200), ...i16(0), ...u16(600),
+            ...new Array(22).fill(0), ...u16(numGlyphs)
+        ],
+        maxp: [...u32(0x00005000), ...u16(numGlyphs)],
+        hmtx: new Array(numGlyphs).fill(0).flatMap(() => [...u16(600), ...i16(0)]),
+        name: [...u16(0), ...u16(0), ...u16(6)],
+        cmap: cmapTable(codePoints),
+        loca,
+        glyf: glyphs.flat()
+    }, tables);
+}
+
+// SFNT file of tables { tag: byte array }
+function sfnt(all) {
+    const tags = Object.keys(all).sort();
+    const header = [...u32(0x00010000), ...u16(tags.length), ...u16(0), ...u16(0), ...u16(0)];
+    let offset = header.length + tags.length * 16;
+    const records = [], data = [];
+    for (const tag of tags) {
+        const bytes = all[tag];
+        records.push(...[...tag].map(c => c.charCodeAt(0)), ...u32(0), ...u32(offset), ...u32(bytes.length));
+        data.push(...bytes);
+        while (data.length % 4) data.push(0);
+        offset = header.length + tags.length * 16 + data.length;
+    }
+    return new Uint8Array(header.concat(records, data));
+}
+
+// ArrayBuffer of the font of fontTables(), ready for FontEngine3D.parse()
+function buildFont(chars, tables, options) {
+    return sfnt(fontTables(chars, tables, options)).buffer;
+}
+
+// Glyphs drawn by generateSVG() at one pixel per unit (fontSize 1000): [{ gid, x, y }] in
+// drawing order. For horizontal text x runs from the left edge of the text and y upwards from
+// the first baseline; vertical text has its own origin, so only differences are meaningful.
+function placedGlyphs(FontEngine3D, json, text, options) {
+    const svg = FontEngine3D.generateSVG(json, text, 1000, options);
+    const baseline = 1100;
+    const glyphs = [];
+    for (const [, d, x, y] of svg.matchAll(/<path d="([^"]*)" transform="translate\(([^,]+),([^)]+)\)/g)) {
+        const heights = d.split(' ').filter((t, i, all) => /^[ML]$/.test(all[i - 2])).map(t => -parseFloat(t));
+        glyphs.push({ gid: (Math.max(...heights) - 100) / 10, x: Math.round(x - 10), y: Math.round(baseline - y) });
+    }
+    return glyphs;
+}
+
+module.exports = { buildFont, fontTables, sfnt, nameTable, placedGlyphs, u16, i16, u32 };
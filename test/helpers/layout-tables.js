@@ -0,0 +1,82 @@
+// OpenType layout structures for the tests, written as nested byte arrays: offset(child),
+// offset24(child) and offset32(child) stand for 16-, 24- and 32-bit offsets from the start of the
+// enclosing array to a child array, which serialize() stores after it.
+
+const { u16, u32 } = require('./build-font.js');
+
+function offset(child) {
+    return { child, size: 2 };
+}
+
+function offset24(child) {
+    return { child, size: 3 };
+}
+
+function offset32(child) {
+    return { child, size: 4 };
+}
+
+function serialize(node) {
+    const out = [], refs = [];
+    for (const item of node) {
+        if (typeof item === 'number') {
+            out.push(item);
+        } else {
+            refs.push({ at: out.length, item });
+            for (let i = 0; i < item.size; i++) out.push(0);
+        }
+    }
+    for (const { at, item } of refs) {
+        const bytes = u32(out.length).slice(4 - item.size);
+        out.splice(at, item.size, ...bytes);
+        const child = serialize(item.child);
+        for (const b of child) out.push(b);
+    }
+    return out;
+}
+
+function tag(string) {
+    return [...string].map(c => c.charCodeAt(0));
+}
+
+// Coverage format 1 of glyph IDs in ascending order
+function coverage(gids) {
+    return [...u16(1), ...u16(gids.length), ...gids.flatMap(u16)];
+}
+
+// ClassDef format 2 of { gid: class }, one range per glyph
+function classDef(classes) {
+    const gids = Object.keys(classes).map(Number).sort((a, b) => a - b);
+    return [...u16(2), ...u16(gids.length), ...gids.flatMap(gid => [...u16(gid), ...u16(gid), ...u16(classes[gid])])];
+}
+
+// GSUB or GPOS table of features [tag, lookupIndices] and lookups { type, flag, subtables, markFilteringSet }.
+// scripts: tags of scripts whose default language system lists all features (DFLT by default),
+// or { scriptTag: featureIndices }
+function layoutTable(features, lookups, scripts = ['DFLT']) {
+    const featuresOf = Array.isArray(scripts)
+        ? Object.fromEntries(scripts.map(script => [script, features.map((feature, i) => i)]))
+        : scripts;
+    const langSys = indices => [...u16(0), ...u16(0xFFFF), ...u16(indices.length), ...indices.flatMap(u16)];
+    const scriptList = [...u16(Object.keys(featuresOf).length), ...Object.entries(featuresOf).flatMap(([script, indices]) =>
+        [...tag(script), offset([offset(langSys(indices)), ...u16(0)])])];
+    const featureList = [...u16(features.length), ...features.flatMap(([featureTag, indices]) =>
+        [...tag(featureTag), offset([...u16(0), ...u16(indices.length), ...indices.flatMap(u16)])])];
+    const lookupList = [...u16(lookups.length), ...lookups.map(lookup => offset([
+        ...u16(lookup.type), ...u16(lookup.flag || 0), ...u16(lookup.subtables.length), ...lookup.subtables.map(offset),
+        ...(lookup.markFilteringSet !== undefined ? u16(lookup.markFilteringSet) : [])
+    ]))];
+    return serialize([...u32(0x00010000), offset(scriptList), offset(featureList), offset(lookupList)]);
+}
+
+// GDEF 1.2 of glyph classes { gid: class }, mark attachment classes and mark glyph sets (lists of glyph IDs)
+function gdefTable(glyphClasses, markAttachClasses, markSets) {
+    const sets = markSets ? [...u16(1), ...u16(markSets.length), ...markSets.map(set => offset32(coverage(set)))] : null;
+    return serialize([
+        ...u32(0x00010002), offset(classDef(glyphClasses)), ...u16(0), ...u16(0),
+        ...(markAttachClasses ? [offset(classDef(markAttachClasses))] : u16(0)),
+        ...(sets ? [offset(sets)] : u16(0))
+    ]);
+}
+
+module.exports = { offset, offset24, offset32, serialize, tag, coverage, classDef, layoutTable, gdefTable };
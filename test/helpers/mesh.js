@@ -0,0 +1,59 @@
+// Checks on the typed-array meshes of createTextGeometry()
+
+function triangleOf(g, t) {
+    return [0, 1, 2].map(k => {
+        const v = g.indices[t + k];
+        return { p: [g.positions[3 * v], g.positions[3 * v + 1], g.positions[3 * v + 2]], n: [g.normals[3 * v], g.normals[3 * v + 1], g.normals[3 * v + 2]] };
+    });
+}
+
+function cross(a, b, c) {
+    const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]], w = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    return [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+}
+
+// Directed edges between welded positions that no edge runs back along
+function openEdges(g) {
+    const ids = new Map(), id = [];
+    for (let v = 0; v < g.positions.length / 3; v++) {
+        const key = [0, 1, 2].map(k => Math.round(g.positions[3 * v + k] * 1e4)).join();
+        if (!ids.has(key)) ids.set(key, ids.size);
+        id.push(ids.get(key));
+    }
+    const net = new Map();
+    for (let t = 0; t < g.indices.length; t += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = id[g.indices[t + k]], b = id[g.indices[t + (k + 1) % 3]];
+            if (a === b) continue;
+            const key = Math.min(a, b) + ',' + Math.max(a, b);
+            net.set(key, (net.get(key) || 0) + (a < b ? 1 : -1));
+        }
+    }
+    return [...net.values()].filter(count => count !== 0).length;
+}
+
+// Triangles facing against their vertex normals
+function flippedTriangles(g) {
+    let flipped = 0;
+    for (let t = 0; t < g.indices.length; t += 3) {
+        const [a, b, c] = triangleOf(g, t);
+        const normal = cross(a.p, b.p, c.p);
+        if (Math.hypot(...normal) < 1e-9) continue;
+        const smooth = [0, 1, 2].map(k => a.n[k] + b.n[k] + c.n[k]);
+        if (normal[0] * smooth[0] + normal[1] * smooth[1] + normal[2] * smooth[2] < 0) flipped++;
+    }
+    return flipped;
+}
+
+// Area of the front face triangles, each counted whichever way it faces
+function frontArea(g) {
+    const faces = g.groups[0];
+    let area = 0;
+    for (let t = faces.start; t < faces.start + faces.count; t += 3) {
+        const [a, b, c] = triangleOf(g, t);
+        if (a.n[2] > 0) area += Math.abs(cross(a.p, b.p, c.p)[2]) / 2;
+    }
+    return area;
+}
+
+module.exports = { openEdges, flippedTriangles, frontArea };
@@ -0,0 +1,98 @@
+// Legacy 'kern' table: Microsoft and Apple headers, formats 0, 2 and 3, coverage bits
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, u16, i16, u32 } = require('./helpers/build-font.js');
+
+// Glyph IDs of the test font's characters
+const CHARS = 'AVTo';
+const A = 1, V = 2, T = 3, o = 4;
+
+function kerningOf(subtables, apple) {
+    const header = apple ? [...u32(0x00010000), ...u32(subtables.length)] : [...u16(0), ...u16(subtables.length)];
+    const json = FontEngine3D.parse(buildFont(CHARS, { kern: header.concat(...subtables) }));
+    return json.kerning;
+}
+
+// Subtable header and body: Microsoft (version, 16-bit length, coverage with the format in the
+// high byte) or Apple (32-bit length, coverage with the format in the low byte, tupleIndex)
+function subtable(apple, coverage, body) {
+    return apple
+        ? [...u32(8 + body.length), ...u16(coverage), ...u16(0), ...body]
+        : [...u16(0), ...u16(6 + body.length), ...u16(coverage), ...body];
+}
+
+function format0(pairs) {
+    return [...u16(pairs.length), ...u16(0), ...u16(0), ...u16(0),
+        ...pairs.flatMap(([left, right, value]) => [...u16(left), ...u16(right), ...i16(value)])];
+}
+
+// Class array: A and T have rows, V and o columns (byte offsets from the subtable start)
+function format2(headerSize) {
+    const rowWidth = 6, first = A, count = 4;
+    const leftOffset = headerSize + 8, rightOffset = leftOffset + 4 + count * 2, arrayOffset = rightOffset + 4 + count * 2;
+    const left = [0, 0, 0, 0], right = [0, 0, 0, 0];
+    left[A - first] = arrayOffset;
+    left[T - first] = arrayOffset + rowWidth;
+    right[V - first] = 2;
+    right[o - first] = 4;
+    return [
+        ...u16(rowWidth), ...u16(leftOffset), ...u16(rightOffset), ...u16(arrayOffset),
+        ...u16(first), ...u16(count), ...left.flatMap(u16),
+        ...u16(first), ...u16(count), ...right.flatMap(u16),
+        ...[0, -80, 0, 0, -30, -120].flatMap(i16)
+    ];
+}
+
+test('Microsoft format 0 pairs', () => {
+    const kerning = kerningOf([subtable(false, 0x0001, format0([[A, V, -50], [T, o, -70]]))], false);
+    assert.deepStrictEqual(kerning, { A: { V: -50 }, T: { o: -70 } });
+});
+
+test('Microsoft coverage: minimum and cross-stream subtables are skipped, override replaces', () => {
+    const kerning = kerningOf([
+        subtable(false, 0x0001, format0([[A, V, -50], [T, o, -70]])),
+        subtable(false, 0x0003, format0([[A, V, -999]])),
+        subtable(false, 0x0005, format0([[T, o, -999]])),
+        subtable(false, 0x0009, format0([[A, V, -20]]))
+    ], false);
+    assert.deepStrictEqual(kerning, { A: { V: -20 }, T: { o: -70 } });
+});
+
+test('Microsoft format 2 adds to format 0', () => {
+    const kerning = kerningOf([
+        subtable(false, 0x0001, format0([[A, V, -50]])),
+        subtable(false, 0x0201, format2(6))
+    ], false);
+    assert.deepStrictEqual(kerning, { A: { V: -130 }, T: { V: -30, o: -120 } });
+});
+
+test('Apple format 0 pairs; vertical and cross-stream subtables are skipped', () => {
+    const kerning = kerningOf([
+        subtable(true, 0x0000, format0([[A, V, -40]])),
+        subtable(true, 0x8000, format0([[T, o, -999]])),
+        subtable(true, 0x4000, format0([[A, V, -999]]))
+    ], true);
+    assert.deepStrictEqual(kerning, { A: { V: -40 } });
+});
+
+test('Apple format 2 class array', () => {
+    const kerning = kerningOf([subtable(true, 0x0002, format2(8))], true);
+    assert.deepStrictEqual(kerning, { A: { V: -80 }, T: { V: -30, o: -120 } });
+});
+
+test('Apple format 3 compact classes', () => {
+    // Left classes: V = 1; right classes: A = 1, o = 2; values [0, -50, -90] by kernIndex
+    const glyphCount = 5;
+    const leftClass = [0, 0, 1, 0, 0], rightClass = [0, 1, 0, 0, 2];
+    const body = [
+        ...u16(glyphCount), 3, 2, 3, 0,
+        ...[0, -50, -90].flatMap(i16),
+        ...leftClass, ...rightClass,
+        0, 0, 0, 0, 1, 2
+    ];
+    if (body.length % 2) body.push(0);
+    const kerning = kerningOf([subtable(true, 0x0003, body)], true);
+    assert.deepStrictEqual(kerning, { V: { A: -50, o: -90 } });
+});
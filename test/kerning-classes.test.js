@@ -0,0 +1,46 @@
+// kerningFormat: 'classes': class subtables stay classes, pair subtables stay pairs, layout matches json.kerning
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs, u16, i16 } = require('./helpers/build-font.js');
+const { offset, coverage, classDef, layoutTable } = require('./helpers/layout-tables.js');
+
+const CHARS = 'abcd';
+const a = 1, b = 2, c = 3, d = 4;
+
+// a and b kern against c by -40 and d by -60 (class pairs); a against a by -10 (glyph pairs)
+const GPOS = layoutTable([['kern', [0, 1]]], [
+    { type: 2, subtables: [[
+        ...u16(2), offset(coverage([a, b])), ...u16(0x0004), ...u16(0),
+        offset(classDef({ [a]: 1, [b]: 1 })), offset(classDef({ [c]: 1, [d]: 2 })), ...u16(2), ...u16(3),
+        ...[0, 0, 0, 0, -40, -60].flatMap(i16)
+    ]] },
+    { type: 2, subtables: [[...u16(1), offset(coverage([a])), ...u16(0x0004), ...u16(0), ...u16(1), offset([...u16(1), ...u16(a), ...i16(-10)])]] }
+]);
+const font = buildFont(CHARS, { GPOS });
+
+test('class and pair subtables keep their form', () => {
+    const json = FontEngine3D.parse(font, { kerningFormat: 'classes' });
+    assert.deepStrictEqual(json.kerningClasses, [
+        [{ left: { a: 1, b: 1 }, right: { c: 1, d: 2 }, matrix: [[0, 0, 0], [0, -40, -60]] }],
+        [{ pairs: { a: { a: -10 } } }]
+    ]);
+    assert.deepStrictEqual(json.kerning, {});
+});
+
+test('a character subset keeps only the classes it uses', () => {
+    const json = FontEngine3D.parse(font, { kerningFormat: 'classes', characters: 'ad' });
+    assert.deepStrictEqual(json.kerningClasses, [
+        [{ left: { a: 1 }, right: { d: 1 }, matrix: [[0, 0], [0, -60]] }],
+        [{ pairs: { a: { a: -10 } } }]
+    ]);
+});
+
+test('layout with kerning classes places glyphs as with the kerning map', () => {
+    const text = 'aacbdab';
+    const classes = placedGlyphs(FontEngine3D, FontEngine3D.parse(font, { kerningFormat: 'classes' }), text);
+    const pairs = placedGlyphs(FontEngine3D, FontEngine3D.parse(font), text);
+    assert.deepStrictEqual(classes, pairs);
+    assert.deepStrictEqual(pairs.map(glyph => glyph.x), [0, 590, 1150, 1750, 2290, 2890, 3490]);
+});
@@ -0,0 +1,52 @@
+// UAX #14 line breaking when wrapping: ideographs, kinsoku, strictness, soft hyphens and the hyphenate hook
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs } = require('./helpers/build-font.js');
+
+// Every glyph is 600 units wide
+const CHARS = [...'abc -日本語。「」ぁ々'];
+const json = FontEngine3D.parse(buildFont(CHARS.join('')));
+
+// Text of each drawn line, spaces left out
+function wrap(text, options) {
+    const rows = new Map();
+    for (const { gid, x, y } of placedGlyphs(FontEngine3D, json, text, options)) {
+        if (CHARS[gid - 1] === ' ') continue;
+        if (!rows.has(y)) rows.set(y, []);
+        rows.get(y).push([x, CHARS[gid - 1]]);
+    }
+    return [...rows.keys()].sort((p, q) => q - p).map(y => rows.get(y).sort((p, q) => p[0] - q[0]).map(([, c]) => c).join(''));
+}
+
+test('lines break between ideographs but not inside words', () => {
+    assert.deepStrictEqual(wrap('日本語日本', { maxWidth: 1900 }), ['日本語', '日本']);
+    assert.deepStrictEqual(wrap('ab abc', { maxWidth: 1900 }), ['ab', 'abc']);
+});
+
+test('closing punctuation does not start a line and opening brackets do not end one', () => {
+    assert.deepStrictEqual(wrap('日本語。日', { maxWidth: 1900 }), ['日本', '語。日']);
+    assert.deepStrictEqual(wrap('日本「語」', { maxWidth: 1900 }), ['日本', '「語」']);
+});
+
+test('lineBreak sets how strictly small kana and iteration marks keep to the character before', () => {
+    // Small kana may start a line unless strict
+    assert.deepStrictEqual(wrap('日本ぁ日', { maxWidth: 1300 }), ['日本', 'ぁ日']);
+    assert.deepStrictEqual(wrap('日本ぁ日', { maxWidth: 1300, lineBreak: 'strict' }), ['日', '本ぁ', '日']);
+    // Iteration marks only with loose
+    assert.deepStrictEqual(wrap('日本々日', { maxWidth: 1300 }), ['日', '本々', '日']);
+    assert.deepStrictEqual(wrap('日本々日', { maxWidth: 1300, lineBreak: 'loose' }), ['日本', '々日']);
+});
+
+test('soft hyphens break words with a visible hyphen and are invisible elsewhere', () => {
+    assert.deepStrictEqual(wrap('abc\u00ADabc', { maxWidth: 2500 }), ['abc-', 'abc']);
+    assert.deepStrictEqual(wrap('abc\u00ADabc'), ['abcabc']);
+});
+
+test('the hyphenate hook breaks a word at the last position that fits', () => {
+    const hyphenate = word => word === 'abcabc' ? [1, 3, 5] : [];
+    assert.deepStrictEqual(wrap('abcabc', { maxWidth: 2500, hyphenate }), ['abc-', 'abc']);
+    assert.deepStrictEqual(wrap('c abcabc', { maxWidth: 2500, hyphenate }), ['ca-', 'bcabc']);
+    assert.deepStrictEqual(wrap('c abcabc', { maxWidth: 2500 }), ['c', 'abcabc']);
+});
@@ -0,0 +1,44 @@
+// load(): Font object decoding glyphs on demand, and parse() as its toTypefaceJSON()
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, fontTables, sfnt } = require('./helpers/build-font.js');
+
+const font = buildFont('abc');
+
+test('glyphs are looked up by character and glyph ID', () => {
+    const loaded = FontEngine3D.load(font);
+    assert.strictEqual(loaded.numGlyphs, 4);
+    assert.strictEqual(loaded.charToGlyph('b'), 2);
+    assert.strictEqual(loaded.charToGlyph('z'), undefined);
+    assert.deepStrictEqual(loaded.glyphToChars(3), ['c']);
+    assert.deepStrictEqual(loaded.getGlyph('a'), { ha: 600, o: 'm 0 0 l 500 0 l 500 110 l 0 110 l 0 0', gid: 1 });
+    assert.deepStrictEqual(loaded.getGlyphById(0), { ha: 600, o: 'm 0 0 l 500 0 l 500 100 l 0 100 l 0 0' });
+    assert.strictEqual(loaded.getGlyph('z'), null);
+    assert.strictEqual(loaded.getGlyphById(4), null);
+});
+
+test('returned glyphs are copies of the cached ones', () => {
+    const loaded = FontEngine3D.load(font);
+    loaded.getGlyph('a').o = '';
+    assert.strictEqual(loaded.getGlyph('a').o, 'm 0 0 l 500 0 l 500 110 l 0 110 l 0 0');
+});
+
+test('only the glyphs asked for are decoded', () => {
+    // Glyph 3 claims 65536 points, more than its data holds
+    const tables = fontTables('abc');
+    const glyph3 = ((tables.loca[6] << 8) | tables.loca[7]) * 2;
+    tables.glyf[glyph3 + 10] = 0xFF;
+    tables.glyf[glyph3 + 11] = 0xFF;
+    const loaded = FontEngine3D.load(sfnt(tables).buffer);
+    assert.strictEqual(loaded.getGlyph('b').gid, 2);
+    assert.deepStrictEqual(Object.keys(loaded.toTypefaceJSON('ab').glyphs), ['a', 'b']);
+    assert.throws(() => loaded.getGlyph('c'));
+});
+
+test('parse() returns the typeface JSON of load()', () => {
+    const loaded = FontEngine3D.load(font);
+    assert.deepStrictEqual(FontEngine3D.parse(font), loaded.toTypefaceJSON());
+    assert.deepStrictEqual(FontEngine3D.parse(font, { characters: 'ca' }), loaded.toTypefaceJSON('ca'));
+});
@@ -0,0 +1,64 @@
+// Paragraph layout: line breaks, lineHeight, wrapping at maxWidth, align and verticalAlign
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs } = require('./helpers/build-font.js');
+
+// Every glyph is 600 units wide; ascender 800, descender -200, so lines are 1000 apart by default
+const CHARS = 'abc ';
+const SPACE = 4;
+const json = FontEngine3D.parse(buildFont(CHARS));
+
+// [character, x, y] of the drawn glyphs other than spaces
+function lines(text, options) {
+    return placedGlyphs(FontEngine3D, json, text, options)
+        .filter(glyph => glyph.gid !== SPACE)
+        .map(({ gid, x, y }) => [CHARS[gid - 1], x, y]);
+}
+
+test('lines start below each other, lineHeight apart', () => {
+    assert.deepStrictEqual(lines('ab\nc'), [['a', 0, 0], ['b', 600, 0], ['c', 0, -1000]]);
+    assert.deepStrictEqual(lines('a\r\nb\u2028c', { lineHeight: 1500 }), [['a', 0, 0], ['b', 0, -1500], ['c', 0, -3000]]);
+});
+
+test('lines align to the widest one', () => {
+    assert.deepStrictEqual(lines('ab\nc', { align: 'right' }), [['a', 0, 0], ['b', 600, 0], ['c', 600, -1000]]);
+    assert.deepStrictEqual(lines('ab\nc', { align: 'center' }), [['a', 0, 0], ['b', 600, 0], ['c', 300, -1000]]);
+});
+
+test('text wraps between words at maxWidth, trailing spaces hanging', () => {
+    assert.deepStrictEqual(lines('aa bb cc', { maxWidth: 3000 }),
+        [['a', 0, 0], ['a', 600, 0], ['b', 1800, 0], ['b', 2400, 0], ['c', 0, -1000], ['c', 600, -1000]]);
+    assert.deepStrictEqual(lines('aa bb', { maxWidth: 1500 }), [['a', 0, 0], ['a', 600, 0], ['b', 0, -1000], ['b', 600, -1000]]);
+    // A word wider than maxWidth overflows its line
+    assert.deepStrictEqual(lines('aaa b', { maxWidth: 1000 }), [['a', 0, 0], ['a', 600, 0], ['a', 1200, 0], ['b', 0, -1000]]);
+});
+
+test('justified lines stretch their spaces to maxWidth, except the last one', () => {
+    assert.deepStrictEqual(lines('aa bb cc', { maxWidth: 3300, align: 'justify' }),
+        [['a', 0, 0], ['a', 600, 0], ['b', 2100, 0], ['b', 2700, 0], ['c', 0, -1000], ['c', 600, -1000]]);
+});
+
+// Just enough of THREE.Shape/Path for createTextShapes() to record the outline points
+class Path {
+    constructor() { this.points = []; this.holes = []; }
+    moveTo(x, y) { this.points.push([x, y]); }
+    lineTo(x, y) { this.points.push([x, y]); }
+}
+const THREE = { Shape: Path, Path };
+
+// Lowest and highest y of the shapes of the text at one unit per font unit
+function verticalExtent(text, options) {
+    const shapes = FontEngine3D.createTextShapes(THREE, json, text, Object.assign({ size: 1000 }, options));
+    const ys = shapes.flatMap(shape => shape.points.map(([, y]) => y));
+    return [Math.min(...ys), Math.max(...ys)];
+}
+
+test('verticalAlign anchors the first baseline, the top or the middle of the block', () => {
+    // Glyph a is 110 units tall
+    assert.deepStrictEqual(verticalExtent('a'), [0, 110]);
+    assert.deepStrictEqual(verticalExtent('a', { verticalAlign: 'top' }), [-800, -690]);
+    assert.deepStrictEqual(verticalExtent('a', { verticalAlign: 'middle' }), [-300, -190]);
+    assert.deepStrictEqual(verticalExtent('a\na', { verticalAlign: 'middle' }), [-800, 310]);
+});
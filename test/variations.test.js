@@ -0,0 +1,217 @@
+// Variable fonts: fvar normalization, avar remapping, gvar deltas, HVAR advances, CFF2 blends
+// and the axis, instance and STAT metadata
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, fontTables, sfnt, nameTable, u16, i16, u32 } = require('./helpers/build-font.js');
+
+const fixed = v => u32(Math.round(v * 65536));
+const f2dot14 = v => i16(Math.round(v * 16384));
+
+// fvar of axes [tag, min, default, max, nameID, flags] and instances [subfamilyNameID, { tag: value }, postScriptNameID]
+function fvarTable(axes, instances = []) {
+    const instanceSize = 6 + axes.length * 4;
+    return [
+        ...u16(1), ...u16(0), ...u16(16), ...u16(2), ...u16(axes.length), ...u16(20), ...u16(instances.length), ...u16(instanceSize),
+        ...axes.flatMap(([tag, min, def, max, nameID, flags = 0]) => [
+            ...[...tag].map(c => c.charCodeAt(0)), ...fixed(min), ...fixed(def), ...fixed(max), ...u16(flags), ...u16(nameID)
+        ]),
+        ...instances.flatMap(([nameID, coordinates, postScriptNameID]) => [
+            ...u16(nameID), ...u16(0), ...axes.flatMap(([tag]) => fixed(coordinates[tag])), ...u16(postScriptNameID)
+        ])
+    ];
+}
+
+// avar with one segment map of [from, to] pairs
+function avarTable(map) {
+    return [...u16(1), ...u16(0), ...u16(0), ...u16(1), ...u16(map.length), ...map.flatMap(([from, to]) => [...f2dot14(from), ...f2dot14(to)])];
+}
+
+// gvar for one axis: glyphs[gid] = [xDeltas, yDeltas] of every point, phantom points included, at peak 1
+function gvarTable(glyphs, glyphCount) {
+    const data = [], offsets = [];
+    for (let gid = 0; gid < glyphCount; gid++) {
+        offsets.push(data.length / 2);
+        if (!glyphs[gid]) continue;
+        const [xs, ys] = glyphs[gid];
+        const deltas = [0x40 | (xs.length - 1), ...xs.flatMap(i16), 0x40 | (ys.length - 1), ...ys.flatMap(i16)];
+        data.push(...u16(1), ...u16(10), ...u16(deltas.length), ...u16(0x8000), ...f2dot14(1), ...deltas);
+        if (data.length % 2) data.push(0);
+    }
+    offsets.push(data.length / 2);
+    const arrayOffset = 20 + offsets.length * 2;
+    return [
+        ...u16(1), ...u16(0), ...u16(1), ...u16(0), ...u32(arrayOffset), ...u16(glyphCount), ...u16(0), ...u32(arrayOffset),
+        ...offsets.flatMap(u16), ...data
+    ];
+}
+
+// HVAR with one region peaking at 1 and an advance delta per glyph ID (no mapping)
+function hvarTable(advanceDeltas) {
+    const store = [
+        ...u16(1), ...u32(12), ...u16(1), ...u32(22),
+        ...u16(1), ...u16(1), ...f2dot14(0), ...f2dot14(1), ...f2dot14(1),
+        ...u16(advanceDeltas.length), ...u16(1), ...u16(1), ...u16(0), ...advanceDeltas.flatMap(i16)
+    ];
+    return [...u16(1), ...u16(0), ...u32(20), ...u32(0), ...u32(0), ...u32(0), ...store];
+}
+
+// 'a' (glyph 1, 500 × 110) grows by 100 × 90 and advances 100 further at wght 900
+const VARIABLE = {
+    fvar: fvarTable([['wght', 100, 400, 900, 256]]),
+    gvar: gvarTable({ 1: [[0, 100, 100, 0, 0, 100, 0, 0], [0, 0, 90, 90, 0, 0, 0, 0]] }, 3)
+};
+
+function glyphA(tables, variations) {
+    const json = FontEngine3D.parse(buildFont('ab', tables), { variations });
+    return { o: json.glyphs.a.o, ha: json.glyphs.a.ha, boundingBox: json.boundingBox };
+}
+
+test('gvar deltas scale with the normalized axis value', () => {
+    assert.deepStrictEqual(glyphA(VARIABLE, { wght: 900 }), {
+        o: 'm 0 0 l 600 0 l 600 200 l 0 200 l 0 0', ha: 700,
+        boundingBox: { xMin: 0, yMin: 0, xMax: 600, yMax: 200 }
+    });
+    assert.deepStrictEqual(glyphA(VARIABLE, { wght: 650 }).o, 'm 0 0 l 550 0 l 550 155 l 0 155 l 0 0');
+    assert.strictEqual(glyphA(VARIABLE, { wght: 650 }).ha, 650);
+});
+
+test('axis values are clamped and the default instance is the font itself', () => {
+    assert.deepStrictEqual(glyphA(VARIABLE, { wght: 2000 }), glyphA(VARIABLE, { wght: 900 }));
+    assert.deepStrictEqual(glyphA(VARIABLE, { wght: 400 }), glyphA(VARIABLE));
+    assert.deepStrictEqual(glyphA(VARIABLE, { wght: 100 }), glyphA(VARIABLE));
+});
+
+test('avar remaps normalized coordinates', () => {
+    const tables = Object.assign({ avar: avarTable([[-1, -1], [0, 0], [0.5, 0.2], [1, 1]]) }, VARIABLE);
+    assert.strictEqual(glyphA(tables, { wght: 650 }).o, 'm 0 0 l 520 0 l 520 128 l 0 128 l 0 0');
+});
+
+test('HVAR advances take precedence over phantom points', () => {
+    const tables = Object.assign({ HVAR: hvarTable([0, 40, 0]) }, VARIABLE);
+    assert.strictEqual(glyphA(tables, { wght: 900 }).ha, 640);
+});
+
+test('variations on a font without fvar are an error', () => {
+    assert.throws(() => FontEngine3D.parse(buildFont('ab'), { variations: { wght: 700 } }), /no fvar table/);
+    assert.doesNotThrow(() => FontEngine3D.parse(buildFont('ab'), { variations: {} }));
+});
+
+// CFF2 table whose charstrings are arrays of numbers and operators ({ op }), with an
+// ItemVariationStore of regions [start, peak, end] and item data listing region indices
+function cff2Table(charStrings, regions, itemData) {
+    const encode = cs => cs.flatMap(t => typeof t === 'number' ? [28, ...i16(t)] : [t.op]);
+    const dataStart = 16 + 4 + regions.length * 6;
+    const dataOffsets = [];
+    let data = [];
+    for (const indices of itemData) {
+        dataOffsets.push(dataStart + data.length);
+        data = data.concat(u16(0), u16(0), u16(indices.length), indices.flatMap(u16));
+    }
+    const store = [
+        ...u16(1), ...u32(16), ...u16(itemData.length), ...dataOffsets.flatMap(u32),
+        ...u16(1), ...u16(regions.length), ...regions.flatMap(r => r.flatMap(f2dot14)), ...data
+    ];
+    const encoded = charStrings.map(encode);
+    const charStringsOffset = 5 + 12 + 4 + 2 + store.length;
+    const offsets = [1];
+    for (const cs of encoded) offsets.push(offsets[offsets.length - 1] + cs.length);
+    return [
+        2, 0, 5, ...u16(12),
+        29, ...u32(charStringsOffset), 17, 29, ...u32(5 + 12 + 4), 24,
+        ...u32(0), // Global Subr INDEX
+        ...u16(store.length), ...store,
+        ...u32(encoded.length), 2, ...offsets.flatMap(u16), ...encoded.flat()
+    ];
+}
+
+test('CFF2 blends follow the item data selected by vsindex', () => {
+    const rmoveto = { op: 21 }, rlineto = { op: 5 }, blend = { op: 16 }, vsindex = { op: 15 };
+    const CFF2 = cff2Table([
+        [],
+        [0, 0, rmoveto, 500, 100, 1, blend, 0, rlineto, 0, 110, rlineto, -500, -100, 1, blend, 0, rlineto],
+        [1, vsindex, 0, 0, rmoveto, 500, 100, 40, 1, blend, 0, rlineto, 0, 120, rlineto, -500, -100, -40, 1, blend, 0, rlineto]
+    ], [[0, 1, 1], [0, 0.5, 1]], [[0], [0, 1]]);
+    const tables = fontTables('ab', { CFF2, fvar: VARIABLE.fvar });
+    delete tables.glyf;
+    delete tables.loca;
+    const outlines = variations => {
+        const json = FontEngine3D.parse(sfnt(tables).buffer, { variations });
+        return [json.glyphs.a.o, json.glyphs.b.o];
+    };
+    assert.deepStrictEqual(outlines({ wght: 900 }), [
+        'm 0 0 l 600 0 l 600 110 l 0 110', 'm 0 0 l 600 0 l 600 120 l 0 120'
+    ]);
+    // Halfway along the axis the second region of glyph 'b' peaks
+    assert.deepStrictEqual(outlines({ wght: 650 }), [
+        'm 0 0 l 550 0 l 550 110 l 0 110', 'm 0 0 l 590 0 l 590 120 l 0 120'
+    ]);
+    assert.deepStrictEqual(outlines({}), [
+        'm 0 0 l 500 0 l 500 110 l 0 110', 'm 0 0 l 500 0 l 500 120 l 0 120'
+    ]);
+});
+
+// STAT of design axes [tag, nameID, ordering] and axis value tables as byte arrays
+function statTable(designAxes, axisValues, elidedFallbackNameID) {
+    const valuesOffset = 20 + designAxes.length * 8;
+    const offsets = [];
+    let end = axisValues.length * 2;
+    for (const value of axisValues) {
+        offsets.push(end);
+        end += value.length;
+    }
+    return [
+        ...u16(1), ...u16(1), ...u16(8), ...u16(designAxes.length), ...u32(20), ...u16(axisValues.length), ...u32(valuesOffset),
+        ...u16(elidedFallbackNameID),
+        ...designAxes.flatMap(([tag, nameID, ordering]) => [...[...tag].map(c => c.charCodeAt(0)), ...u16(nameID), ...u16(ordering)]),
+        ...offsets.flatMap(u16), ...axisValues.flat()
+    ];
+}
+
+test('axes, named instances and STAT values are exposed with their names', () => {
+    const name = nameTable([
+        [3, 0x409, 256, 'Weight'], [3, 0x409, 257, 'Width'], [3, 0x409, 258, 'Bold'], [3, 0x409, 259, 'Pair-Bold'],
+        [3, 0x409, 260, 'Condensed'], [3, 0x409, 261, 'Regular'], [3, 0x409, 262, 'Semibold'], [3, 0x409, 263, 'Light Condensed']
+    ]);
+    // The width axis is hidden
+    const fvar = fvarTable([['wght', 100, 400, 900, 256], ['wdth', 75, 100, 100, 257, 0x0001]], [
+        [258, { wght: 700, wdth: 100 }, 259], [260, { wght: 400, wdth: 75 }, 0xFFFF]
+    ]);
+    const STAT = statTable([['wght', 256, 0], ['wdth', 257, 1]], [
+        [...u16(1), ...u16(0), ...u16(2), ...u16(261), ...fixed(400)],
+        [...u16(2), ...u16(0), ...u16(0), ...u16(262), ...fixed(600), ...fixed(550), ...fixed(650)],
+        [...u16(3), ...u16(0), ...u16(0), ...u16(258), ...fixed(700), ...fixed(400)],
+        [...u16(4), ...u16(2), ...u16(0), ...u16(263), ...u16(0), ...fixed(300), ...u16(1), ...fixed(75)]
+    ], 261);
+    const json = FontEngine3D.parse(buildFont('ab', { name, fvar, STAT }));
+    assert.deepStrictEqual(json.variationAxes, [
+        { tag: 'wght', name: 'Weight', nameID: 256, minValue: 100, defaultValue: 400, maxValue: 900, hidden: false },
+        { tag: 'wdth', name: 'Width', nameID: 257, minValue: 75, defaultValue: 100, maxValue: 100, hidden: true }
+    ]);
+    assert.deepStrictEqual(json.namedInstances, [
+        { name: 'Bold', postScriptName: 'Pair-Bold', coordinates: { wght: 700, wdth: 100 } },
+        { name: 'Condensed', postScriptName: '', coordinates: { wght: 400, wdth: 75 } }
+    ]);
+    assert.deepStrictEqual(json.stat, {
+        designAxes: [{ tag: 'wght', name: 'Weight', ordering: 0 }, { tag: 'wdth', name: 'Width', ordering: 1 }],
+        axisValues: [
+            { format: 1, name: 'Regular', flags: 2, axisTag: 'wght', value: 400 },
+            { format: 2, name: 'Semibold', flags: 0, axisTag: 'wght', value: 600, rangeMinValue: 550, rangeMaxValue: 650 },
+            { format: 3, name: 'Bold', flags: 0, axisTag: 'wght', value: 700, linkedValue: 400 },
+            { format: 4, name: 'Light Condensed', flags: 0, values: { wght: 300, wdth: 75 } }
+        ],
+        elidedFallbackName: 'Regular'
+    });
+});
+
+test('names resolve from the Windows English (US) record whatever the record order', () => {
+    const name = nameTable([
+        [1, 0, 256, 'Mac'], [3, 0x407, 256, 'Gewicht'], [3, 0x409, 256, 'Weight'], [3, 0x411, 256, 'Japanese'],
+        [1, 0, 1, 'Mac Family'], [3, 0x40C, 1, 'Famille']
+    ]);
+    const json = FontEngine3D.parse(buildFont('ab', { name, fvar: VARIABLE.fvar }));
+    assert.strictEqual(json.variationAxes[0].name, 'Weight');
+    // Without an English (US) record any Windows record beats the Macintosh one
+    assert.strictEqual(json.familyName, 'Famille');
+});
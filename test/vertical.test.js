@@ -0,0 +1,65 @@
+// direction: 'vertical': vhea/vmtx advances, vert substitutions, sideways runs and columns
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, placedGlyphs, u16, i16, u32 } = require('./helpers/build-font.js');
+const { offset, coverage, layoutTable } = require('./helpers/layout-tables.js');
+
+// 。 has a vertical form (glyph 6, unmapped) through vert
+const CHARS = '日本。ab';
+const ni = 1, hon = 2, maru = 3, a = 4, b = 5, maruVertical = 6;
+const GSUB = layoutTable([['vert', [0]]], [
+    { type: 1, subtables: [[...u16(2), offset(coverage([maru])), ...u16(1), ...u16(maruVertical)]] }
+]);
+
+// vhea and vmtx of [advance height, top side bearing] for glyphs 0–2, the others 1000 high
+function verticalMetrics(metrics, numGlyphs) {
+    const all = [];
+    for (let g = 0; g < numGlyphs; g++) all.push(metrics[g] || [1000, 0]);
+    return {
+        vhea: [...u32(0x00011000), ...i16(500), ...i16(-500), ...i16(0), ...u16(1100), ...new Array(22).fill(0), ...u16(numGlyphs)],
+        vmtx: all.flatMap(([advance, tsb]) => [...u16(advance), ...i16(tsb)])
+    };
+}
+
+const plain = FontEngine3D.parse(buildFont(CHARS, { GSUB }, { extraGlyphs: 1 }), { layout: true });
+const metrics = FontEngine3D.parse(buildFont(CHARS, Object.assign({ GSUB }, verticalMetrics({ 1: [900, 90], 2: [1100, 80] }, 7)),
+    { extraGlyphs: 1 }), { layout: true });
+
+function vertical(json, text) {
+    return placedGlyphs(FontEngine3D, json, text, { direction: 'vertical' }).map(({ gid, x, y }) => [gid, x, y]);
+}
+
+// Positions relative to the first glyph
+function relative(placed) {
+    return placed.map(([gid, x, y]) => [gid, x - placed[0][1], y - placed[0][2]]);
+}
+
+test('vmtx gives each glyph its vertical advance and origin', () => {
+    // Origins: yMax plus top side bearing, 110 + 90 and 120 + 80
+    assert.deepStrictEqual([metrics.glyphs['日'].va, metrics.glyphs['日'].vo, metrics.glyphs['本'].va, metrics.glyphs['本'].vo],
+        [900, 200, 1100, 200]);
+    assert.deepStrictEqual(relative(vertical(metrics, '日本日')), [[ni, 0, 0], [hon, 0, -900], [ni, 0, -2000]]);
+});
+
+test('without vhea glyphs advance by ascender minus descender', () => {
+    assert.strictEqual(plain.glyphs['日'].va, undefined);
+    assert.deepStrictEqual(relative(vertical(plain, '日本日')), [[ni, 0, 0], [hon, 0, -1000], [ni, 0, -2000]]);
+});
+
+test('upright runs take their vert forms', () => {
+    assert.deepStrictEqual(vertical(plain, '日。').map(([gid]) => gid), [ni, maruVertical]);
+    assert.deepStrictEqual(placedGlyphs(FontEngine3D, plain, '日。').map(glyph => glyph.gid), [ni, maru]);
+});
+
+test('Latin runs are set sideways, turned clockwise', () => {
+    const svg = FontEngine3D.generateSVG(plain, '日ab', 1000, { direction: 'vertical' });
+    assert.strictEqual(svg.match(/rotate\(90\)/g).length, 2);
+    const [, first, second] = vertical(plain, '日ab');
+    assert.deepStrictEqual([first[0], second[0], second[1] - first[1], second[2] - first[2]], [a, b, 0, -600]);
+});
+
+test('lines are columns running from right to left', () => {
+    assert.deepStrictEqual(relative(vertical(plain, '日\n本')), [[ni, 0, 0], [hon, -1000, 0]]);
+});
@@ -0,0 +1,99 @@
+// WOFF2: the built-in Brotli decoder against Node's encoder, null and glyf/loca/hmtx transforms
+
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const FontEngine3D = require('../3dfont-engine.js');
+const { buildFont, fontTables, nameTable, u16, i16, u32 } = require('./helpers/build-font.js');
+
+const KNOWN_TAGS = ['cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca'];
+const CHARS = 'AbC';
+const NAMES = { name: nameTable([[3, 0x409, 1, 'Woff Two'], [3, 0x409, 2, 'Regular']]) };
+
+function base128(v) {
+    const out = [v & 0x7F];
+    for (v >>>= 7; v; v >>>= 7) out.unshift(0x80 | (v & 0x7F));
+    return out;
+}
+
+// Transformed glyf of the rectangles of fontTables(): every point as a 16-bit triplet, bounds computed
+function transformedGlyf(numGlyphs) {
+    const nContours = [], nPoints = [], flags = [], glyphs = [];
+    for (let g = 0; g < numGlyphs; g++) {
+        nContours.push(...i16(1));
+        nPoints.push(4);
+        for (const [dx, dy] of [[0, 0], [500, 0], [0, 100 + 10 * g], [-500, 0]]) {
+            flags.push(124 | (dx >= 0 ? 1 : 0) | (dy >= 0 ? 2 : 0));
+            glyphs.push(...u16(Math.abs(dx)), ...u16(Math.abs(dy)));
+        }
+        glyphs.push(0); // instructionLength
+    }
+    const bbox = new Array(((numGlyphs + 31) >> 5) << 2).fill(0);
+    const streams = [nContours, nPoints, flags, glyphs, [], bbox, []];
+    return [...u16(0), ...u16(0), ...u16(numGlyphs), ...u16(0), ...streams.flatMap(s => u32(s.length)), ...streams.flat()];
+}
+
+// WOFF2 of tables { tag: byte array }; transform: also transform glyf, loca and hmtx
+function woff2(tables, transform, brotliOptions) {
+    const tags = Object.keys(tables).filter(tag => tag !== 'loca').sort();
+    tags.splice(tags.indexOf('glyf') + 1, 0, 'loca');
+    const numGlyphs = (tables.maxp[4] << 8) | tables.maxp[5];
+    const directory = [];
+    let data = [];
+    for (const tag of tags) {
+        const known = KNOWN_TAGS.indexOf(tag);
+        const tagBytes = known < 0 ? [...tag].map(c => c.charCodeAt(0)) : [];
+        let stored = tables[tag], version = (tag === 'glyf' || tag === 'loca') ? 3 : 0;
+        if (transform && tag === 'glyf') stored = transformedGlyf(numGlyphs);
+        if (transform && tag === 'loca') stored = [];
+        if (transform && tag === 'hmtx') stored = [0x03, ...tables.hmtx.filter((b, i) => i % 4 < 2)];
+        if (transform) version = tag === 'hmtx' ? 1 : tag === 'glyf' || tag === 'loca' ? 0 : version;
+        const transformed = (tag === 'glyf' || tag === 'loca') ? version === 0 : version !== 0;
+        directory.push((version << 6) | (known < 0 ? 0x3F : known), ...tagBytes, ...base128(tables[tag].length),
+            ...(transformed ? base128(stored.length) : []));
+        data = data.concat(stored);
+    }
+    const compressed = [...zlib.brotliCompressSync(new Uint8Array(data), brotliOptions)];
+    const header = [
+        ...u32(0x774F4632), ...u32(0x00010000), ...u32(0), ...u16(tags.length), ...u16(0),
+        ...u32(0), ...u32(compressed.length), ...new Array(24).fill(0)
+    ];
+    const file = header.concat(directory, compressed);
+    file.splice(8, 4, ...u32(file.length));
+    return new Uint8Array(file).buffer;
+}
+
+const expected = FontEngine3D.parse(buildFont(CHARS, NAMES));
+
+test('null-transform WOFF2 parses like the TrueType font it wraps', () => {
+    assert.deepStrictEqual(FontEngine3D.parse(woff2(fontTables(CHARS, NAMES), false)), expected);
+});
+
+test('transformed glyf, loca and hmtx are rebuilt', () => {
+    assert.deepStrictEqual(FontEngine3D.parse(woff2(fontTables(CHARS, NAMES), true)), expected);
+});
+
+test('Brotli streams of every quality and window size decode', () => {
+    // A large, repetitive table makes the encoder use its full range of codes
+    const words = ['glyph', 'outline', 'kerning', 'ligature', 'baseline', 'contour'];
+    const filler = [];
+    for (let i = 0; filler.length < 200000; i = (i * 7 + 3) % 997) filler.push(...Buffer.from(words[i % 6] + i));
+    const tables = fontTables(CHARS, Object.assign({ zzzz: filler }, NAMES));
+    for (const quality of [0, 1, 5, 9, 11]) {
+        for (const lgwin of [10, 16, 24]) {
+            const params = { [zlib.constants.BROTLI_PARAM_QUALITY]: quality, [zlib.constants.BROTLI_PARAM_LGWIN]: lgwin };
+            const json = FontEngine3D.parse(woff2(tables, false, { params }));
+            assert.deepStrictEqual(json, expected, `quality ${quality}, window ${lgwin}`);
+        }
+    }
+});
+
+test('a truncated file or Brotli stream is an error', () => {
+    const file = new Uint8Array(woff2(fontTables(CHARS, NAMES), false));
+    const cut = file.slice(0, file.length - 20);
+    assert.throws(() => FontEngine3D.parse(cut.buffer), /WOFF2: compressed data is truncated/);
+    // The same cut with a compressed size that agrees with it
+    const view = new DataView(cut.buffer);
+    view.setUint32(20, view.getUint32(20) - 20);
+    assert.throws(() => FontEngine3D.parse(cut.buffer), /Brotli|WOFF2/);
+});